@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Sauvegarde et restauration en ligne de commande, avec le store et le
+ * dossier uploads/ de server.js (STORAGE_DRIVER, DATABASE_URL, SQLITE_PATH).
+ *
+ *   node scripts/backup.js export [fichier]
+ *   node scripts/backup.js import <fichier> [--dry-run] [--conflicts=skip|replace|remap]
+ *
+ * Même archive que GET /export-backup et POST /import-backup (voir
+ * src/core/backup.js) : une sauvegarde faite ici se restaure dans le Worker,
+ * et inversement.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import 'dotenv/config';
+import { createStore } from '../src/storage/index.js';
+import { createFsImageStore } from '../src/images/fs.js';
+import { CONFLICT_STRATEGIES, createBackup, decodeBackup, importBackup } from '../src/core/backup.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dataDir = path.join(rootDir, 'data');
+
+const USAGE = `Usage:
+  node scripts/backup.js export [fichier]
+  node scripts/backup.js import <fichier> [--dry-run] [--conflicts=${CONFLICT_STRATEGIES.join('|')}]`;
+
+async function runExport(deps, [file]) {
+  const { header, stream } = await createBackup(deps);
+  const output = file || `home-services-backup-${header.exportedAt.slice(0, 10)}.json.gz`;
+  await pipeline(Readable.fromWeb(stream), fs.createWriteStream(output));
+
+  console.log(`💾 Sauvegarde écrite dans ${output}`);
+  for (const [collection, records] of Object.entries(header.collections)) {
+    console.log(`   ${collection}: ${records.length}`);
+  }
+  console.log(`   images: ${header.imageCount}`);
+}
+
+async function runImport(deps, args) {
+  const file = args.find((arg) => !arg.startsWith('--'));
+  if (!file) throw new Error(USAGE);
+  const dryRun = args.includes('--dry-run');
+  const conflicts = args.find((arg) => arg.startsWith('--conflicts='))?.split('=')[1] || 'skip';
+
+  const archive = await decodeBackup(Readable.toWeb(fs.createReadStream(file)));
+  const report = await importBackup(deps, archive, { dryRun, conflicts });
+
+  console.log(`📥 Import de ${file} (sauvegarde du ${archive.exportedAt}, conflits: ${conflicts})${dryRun ? " - simulation, rien n'est écrit" : ''}`);
+  for (const [collection, stats] of Object.entries(report.collections)) {
+    console.log(
+      `   ${collection}: ${stats.total} dans l'archive, ${stats.created} créé(s), ${stats.replaced} remplacé(s), ${stats.remapped} réattribué(s), ${stats.skipped} ignoré(s)`
+    );
+  }
+  console.log(`   images: ${report.images.total} dans l'archive, ${report.images.written} écrite(s), ${report.images.skipped} déjà présente(s), ${report.images.invalid} refusée(s)`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const commands = { export: runExport, import: runImport };
+if (!commands[command]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const storageDriver = process.env.STORAGE_DRIVER || 'json';
+const store = await createStore({
+  driver: storageDriver,
+  dataDir,
+  databaseUrl: process.env.DATABASE_URL,
+  sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'home-services.db'),
+});
+const images = createFsImageStore(path.join(rootDir, 'uploads'));
+
+try {
+  console.log(`💾 Stockage: ${storageDriver}`);
+  await commands[command]({ store, images }, args);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await store.close();
+}
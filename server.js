@@ -1,20 +1,43 @@
-const express = require('express');
-const multer = require('multer');
-const sharp = require('sharp');
-const fs = require('fs');
-const path = require('path');
-const swaggerUi = require('swagger-ui-express');
-const swaggerJsdoc = require('swagger-jsdoc');
-const axios = require('axios');
-const crypto = require('crypto');
-require('dotenv').config();
-const cors = require('cors');
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import swaggerUi from 'swagger-ui-express';
+import swaggerJsdoc from 'swagger-jsdoc';
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import 'dotenv/config';
+import cors from 'cors';
+import { createApp } from './src/core/app.js';
+import { createExpressHandler } from './src/adapters/express.js';
+import { createStore } from './src/storage/index.js';
+import { parseRoleMapping } from './src/core/roles.js';
+import { healthConfigFromEnv, runHealthChecks } from './src/core/health.js';
+import { purgeExpiredTrash, trashRetentionFromEnv } from './src/core/trash.js';
+import { launchRetentionFromEnv, purgeOldLaunches } from './src/core/launches.js';
+import { createFsImageStore } from './src/images/fs.js';
+import { TRANSFORM_FORMATS, processImage, transformImage } from './src/images/sharp.js';
+import { createSessions } from './src/sessions/index.js';
+import { SessionTooLargeError } from './src/sessions/cookie.js';
+import { createOidcClient, createPkcePair } from './src/oidc/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Store pour les sessions (en production, utiliser Redis)
-const sessions = new Map();
+// Sessions et states OAuth, conservés selon SESSION_DRIVER (voir src/sessions/index.js)
+const sessionDriver = process.env.SESSION_DRIVER || 'memory';
+const SESSION_TTL = Number(process.env.SESSION_TTL || 24 * 60 * 60) * 1000;
+const sessions = await createSessions({
+  driver: sessionDriver,
+  ttl: SESSION_TTL,
+  secret: process.env.SESSION_SECRET,
+  dataDir: path.join(__dirname, 'data', 'sessions'),
+  databaseUrl: process.env.DATABASE_URL,
+  redisUrl: process.env.REDIS_URL,
+});
+console.log(`🔑 Sessions: ${sessionDriver} (expiration glissante: ${SESSION_TTL / 1000}s)`);
 
 const corsOptions = {
   origin: process.env.CORS_ORIGIN,
@@ -24,27 +47,40 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
 
 // Configuration pour proxy de confiance (derrière reverse proxy)
 app.set('trust proxy', 1);
 
-// Configuration OAuth2 Authentik
+// Configuration OAuth2 Authentik ; les endpoints sont découverts depuis l'issuer
 const OAUTH_CONFIG = {
   clientId: process.env.AUTHENTIK_CLIENT_ID,
   clientSecret: process.env.AUTHENTIK_CLIENT_SECRET,
   issuer: process.env.AUTHENTIK_ISSUER,
   redirectUri: `${process.env.BASE_URL}/callback`,
-  tokenEndpoint: `https://connect.croci-monteiro.fr/application/o/token/`,
-  authorizationEndpoint: `https://connect.croci-monteiro.fr/application/o/authorize/`,
-  userInfoEndpoint: `https://connect.croci-monteiro.fr/application/o/userinfo/`,
-  scope: 'openid profile email groups',
+  // offline_access : Authentik ne délivre un refresh_token qu'avec ce scope
+  scope: 'openid profile email groups offline_access',
 };
 
+const oidc = createOidcClient(OAUTH_CONFIG);
+
+// Identifiants du client pour le token endpoint ; sans secret, l'API est un client public (PKCE seul)
+function clientCredentials() {
+  return OAUTH_CONFIG.clientSecret
+    ? { client_id: OAUTH_CONFIG.clientId, client_secret: OAUTH_CONFIG.clientSecret }
+    : { client_id: OAUTH_CONFIG.clientId };
+}
+
 console.log('🔧 Configuration OAuth2:');
+console.log('   Issuer:', OAUTH_CONFIG.issuer);
 console.log('   Redirect URI:', OAUTH_CONFIG.redirectUri);
-console.log('   Token Endpoint:', OAUTH_CONFIG.tokenEndpoint);
-console.log('   Authorization Endpoint:', OAUTH_CONFIG.authorizationEndpoint);
+
+// Découverte au démarrage pour détecter une mauvaise configuration ; réessayée à la première connexion sinon
+oidc.metadata()
+  .then((metadata) => {
+    console.log('   Token Endpoint:', metadata.token_endpoint);
+    console.log('   Authorization Endpoint:', metadata.authorization_endpoint);
+  })
+  .catch((err) => console.warn('⚠️ Découverte OIDC impossible:', err.message));
 
 // Middleware de logging pour toutes les requêtes
 app.use((req, res, next) => {
@@ -74,49 +110,183 @@ app.use((req, res, next) => {
   next();
 });
 
-// Helper: Générer un ID de session
-function generateSessionId() {
-  return crypto.randomBytes(32).toString('hex');
-}
-
-// Helper: Parser le cookie de session
-function getSessionFromCookie(req) {
+// Helper: Lire un cookie de la requête
+function readCookie(req, name) {
   const cookies = req.headers.cookie;
   if (!cookies) return null;
-  
-  const sessionCookie = cookies.split(';').find(c => c.trim().startsWith('session_id='));
-  if (!sessionCookie) return null;
-  
-  const sessionId = sessionCookie.split('=')[1];
-  return sessions.get(sessionId);
+
+  const cookie = cookies.split(';').find(c => c.trim().startsWith(`${name}=`));
+  if (!cookie) return null;
+
+  return cookie.trim().slice(name.length + 1);
 }
 
-// Middleware: Ajouter les infos utilisateur à la requête
-app.use((req, res, next) => {
-  const session = getSessionFromCookie(req);
-  if (session && session.user) {
-    req.user = session.user;
-    req.accessToken = session.accessToken;
+// Domaine des cookies, partagé entre l'API et le frontend (vide : cookie limité à l'hôte de l'API)
+const COOKIE_DOMAIN = process.env.COOKIE_DOMAIN ?? '.oauth2.croci-monteiro.fr';
+
+// Helper: En-tête Set-Cookie (maxAge en secondes, 0 pour supprimer)
+function cookieHeader(name, value, maxAge) {
+  const domain = COOKIE_DOMAIN ? `; Domain=${COOKIE_DOMAIN}` : '';
+  const expires = maxAge === 0 ? '; Expires=Thu, 01 Jan 1970 00:00:00 GMT' : '';
+  return `${name}=${value}; HttpOnly; Secure; SameSite=None${domain}; Path=/; Max-Age=${maxAge}${expires}`;
+}
+
+// Renouvellement de l'access token : un peu avant son expiration
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+// Durée de validité supposée si le token endpoint ne renvoie pas expires_in
+const DEFAULT_TOKEN_LIFETIME = 5 * 60;
+// Un renouvellement réussi est réutilisé par les requêtes concurrentes qui présentent encore l'ancien refresh_token
+const REFRESH_REUSE_WINDOW = 30 * 1000;
+const pendingRefreshes = new Map();
+
+function tokenExpiry(expiresIn) {
+  return Date.now() + (Number(expiresIn) || DEFAULT_TOKEN_LIFETIME) * 1000;
+}
+
+function needsRefresh(session) {
+  const expiresAt = session.accessTokenExpiresAt ?? (session.createdAt || 0) + DEFAULT_TOKEN_LIFETIME * 1000;
+  return Boolean(session.refreshToken) && expiresAt - Date.now() < TOKEN_REFRESH_MARGIN;
+}
+
+// Authentik refuse le refresh_token (révoqué, expiré, utilisateur désactivé…)
+function isRefreshRejected(err) {
+  return [400, 401].includes(err.response?.status);
+}
+
+// Échange le refresh_token contre un nouvel access token, puis relit les infos utilisateur (groupes)
+async function refreshTokens(session) {
+  const { token_endpoint, userinfo_endpoint } = await oidc.metadata();
+  const tokenResponse = await axios.post(
+    token_endpoint,
+    new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken,
+      ...clientCredentials(),
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    }
+  );
+  const { access_token, refresh_token, expires_in } = tokenResponse.data;
+
+  // Les nouveaux tokens sont gardés même si userinfo échoue : l'ancien refresh_token peut déjà être invalidé
+  let user = session.user;
+  try {
+    const userInfoResponse = await axios.get(userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${access_token}` },
+    });
+    user = userInfoResponse.data;
+  } catch (err) {
+    console.warn('⚠️ Impossible de relire les infos utilisateur:', err.message);
+  }
+
+  return {
+    ...session,
+    user,
+    accessToken: access_token,
+    refreshToken: refresh_token || session.refreshToken,
+    accessTokenExpiresAt: tokenExpiry(expires_in),
+  };
+}
+
+// Un seul renouvellement à la fois par refresh_token
+function refreshOnce(session) {
+  let pending = pendingRefreshes.get(session.refreshToken);
+  if (!pending) {
+    pending = refreshTokens(session);
+    pendingRefreshes.set(session.refreshToken, pending);
+    const forget = () => setTimeout(() => pendingRefreshes.delete(session.refreshToken), REFRESH_REUSE_WINDOW).unref();
+    pending.then(forget, () => pendingRefreshes.delete(session.refreshToken));
+  }
+  return pending;
+}
+
+// Renouvelle la session si nécessaire ; renvoie null si elle doit être terminée
+async function refreshSession(session) {
+  try {
+    const data = await refreshOnce(session.data);
+    const token = await sessions.update(session.token, data);
+    const groups = data.user.groups || [];
+    console.log(`🔄 Access token renouvelé pour ${data.user.email || data.user.preferred_username} (groupes: [${groups.join(', ')}])`);
+    return { data, token, renewed: true };
+  } catch (err) {
+    // Les tokens renouvelés ne tiennent plus dans le cookie : la session ne peut pas continuer
+    if (err instanceof SessionTooLargeError) {
+      console.warn('🚪 Session renouvelée trop volumineuse, fin de session:', err.message);
+      await sessions.destroy(session.token);
+      return null;
+    }
+    if (!isRefreshRejected(err)) {
+      // Authentik injoignable : la session est gardée, nouvel essai à la prochaine requête
+      console.warn('⚠️ Renouvellement du token impossible:', err.message);
+      return session;
+    }
+
+    // Un autre réplica a peut-être déjà renouvelé la session avec ce refresh_token
+    const current = await sessions.resume(session.token);
+    if (current && current.data.refreshToken !== session.data.refreshToken) {
+      return current;
+    }
+
+    console.warn('🚪 Refresh token refusé, fin de session:', err.response?.data?.error || err.message);
+    await sessions.destroy(session.token);
+    return null;
+  }
+}
+
+// Middleware: Ajouter les infos utilisateur à la requête (et prolonger ou renouveler la session)
+app.use(async (req, res, next) => {
+  try {
+    let session = await sessions.resume(readCookie(req, 'session_id'));
+    if (session && session.data.user && needsRefresh(session.data)) {
+      session = await refreshSession(session);
+      if (!session) {
+        res.append('Set-Cookie', cookieHeader('session_id', '', 0));
+      }
+    }
+    if (session && session.data.user) {
+      req.user = session.data.user;
+      req.accessToken = session.data.accessToken;
+      if (session.renewed) {
+        res.append('Set-Cookie', cookieHeader('session_id', session.token, SESSION_TTL / 1000));
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
   }
-  next();
 });
 
 // Route: Login - Redirige vers Authentik
-app.get('/login', (req, res) => {
+app.get('/login', async (req, res) => {
   const state = crypto.randomBytes(16).toString('hex');
   const nonce = crypto.randomBytes(16).toString('hex');
   
-  // Stocker le state temporairement (expire après 10 min)
-  sessions.set(`state_${state}`, { nonce, createdAt: Date.now() });
-  setTimeout(() => sessions.delete(`state_${state}`), 10 * 60 * 1000);
+  let metadata;
+  try {
+    metadata = await oidc.metadata();
+  } catch (err) {
+    console.error('❌ Découverte OIDC impossible:', err.message);
+    return res.redirect(`${process.env.CORS_ORIGIN}?auth_error=${encodeURIComponent('oidc_discovery_failed')}`);
+  }
+  
+  const pkce = createPkcePair();
+  
+  // Stocker le state et le code verifier PKCE temporairement (expire après 10 min) ; en mode cookie, ils voyagent dans oauth_state
+  const stateCookie = await sessions.saveState(state, { nonce, codeVerifier: pkce.verifier, createdAt: Date.now() });
+  if (stateCookie) {
+    res.append('Set-Cookie', cookieHeader('oauth_state', stateCookie, 10 * 60));
+  }
   
-  const authUrl = new URL(OAUTH_CONFIG.authorizationEndpoint);
+  const authUrl = new URL(metadata.authorization_endpoint);
   authUrl.searchParams.set('client_id', OAUTH_CONFIG.clientId);
   authUrl.searchParams.set('redirect_uri', OAUTH_CONFIG.redirectUri);
   authUrl.searchParams.set('response_type', 'code');
   authUrl.searchParams.set('scope', OAUTH_CONFIG.scope);
   authUrl.searchParams.set('state', state);
   authUrl.searchParams.set('nonce', nonce);
+  authUrl.searchParams.set('code_challenge', pkce.challenge);
+  authUrl.searchParams.set('code_challenge_method', pkce.method);
   
   console.log('🔐 Redirection vers Authentik:', authUrl.toString());
   res.redirect(authUrl.toString());
@@ -127,7 +297,7 @@ app.get('/callback', async (req, res) => {
   const { code, state, error, error_description } = req.query;
   
   console.log('📥 Callback reçu:');
-  console.log('   Code:', code ? code.substring(0, 10) + '...' : 'absent');
+  console.log('   Code:', code ? 'présent' : 'absent');
   console.log('   State:', state);
   console.log('   Error:', error || 'aucune');
   
@@ -141,28 +311,32 @@ app.get('/callback', async (req, res) => {
     return res.redirect(`${process.env.CORS_ORIGIN}?auth_error=missing_code_or_state`);
   }
   
-  // Vérifier le state
-  const storedState = sessions.get(`state_${state}`);
+  // Vérifier le state (usage unique)
+  const storedState = await sessions.takeState(state, readCookie(req, 'oauth_state'));
+  if (readCookie(req, 'oauth_state')) {
+    res.append('Set-Cookie', cookieHeader('oauth_state', '', 0));
+  }
   if (!storedState) {
     console.error('❌ State invalide ou expiré');
     return res.redirect(`${process.env.CORS_ORIGIN}?auth_error=invalid_state`);
   }
-  sessions.delete(`state_${state}`);
   
   try {
+    const metadata = await oidc.metadata();
+    
     // Échanger le code contre un token
     console.log('🔄 Échange du code contre un token...');
-    console.log('   Token endpoint:', OAUTH_CONFIG.tokenEndpoint);
+    console.log('   Token endpoint:', metadata.token_endpoint);
     console.log('   Redirect URI:', OAUTH_CONFIG.redirectUri);
     
     const tokenResponse = await axios.post(
-      OAUTH_CONFIG.tokenEndpoint,
+      metadata.token_endpoint,
       new URLSearchParams({
         grant_type: 'authorization_code',
         code: code,
         redirect_uri: OAUTH_CONFIG.redirectUri,
-        client_id: OAUTH_CONFIG.clientId,
-        client_secret: OAUTH_CONFIG.clientSecret,
+        code_verifier: storedState.codeVerifier,
+        ...clientCredentials(),
       }).toString(),
       {
         headers: {
@@ -172,39 +346,40 @@ app.get('/callback', async (req, res) => {
     );
     
     console.log('✅ Token reçu avec succès');
-    const { access_token, id_token, refresh_token } = tokenResponse.data;
+    const { access_token, id_token, refresh_token, expires_in } = tokenResponse.data;
+    
+    // Valider l'ID token (signature JWKS, iss, aud, exp, nonce) avant de créer la session
+    if (!id_token) {
+      throw new Error('ID token absent de la réponse du token endpoint');
+    }
+    const claims = await oidc.verifyIdToken(id_token, { nonce: storedState.nonce });
+    console.log('✅ ID token valide pour sub:', claims.sub);
     
     // Récupérer les infos utilisateur
     console.log('👤 Récupération des infos utilisateur...');
-    const userInfoResponse = await axios.get(OAUTH_CONFIG.userInfoEndpoint, {
+    const userInfoResponse = await axios.get(metadata.userinfo_endpoint, {
       headers: {
         Authorization: `Bearer ${access_token}`,
       },
     });
     
     const userInfo = userInfoResponse.data;
+    if (userInfo.sub !== claims.sub) {
+      throw new Error('Le sub de userinfo ne correspond pas à l\'ID token');
+    }
     console.log('✅ Infos utilisateur:', userInfo.email || userInfo.preferred_username);
     
-    // Créer une session
-    const sessionId = generateSessionId();
-    sessions.set(sessionId, {
+    // Créer une session (les sessions expirées sont nettoyées en tâche de fond)
+    const sessionToken = await sessions.create({
       user: userInfo,
       accessToken: access_token,
       refreshToken: refresh_token,
+      accessTokenExpiresAt: tokenExpiry(expires_in),
       createdAt: Date.now(),
     });
     
-    // Nettoyer les anciennes sessions (garder max 24h)
-    for (const [key, value] of sessions.entries()) {
-      if (value.createdAt && Date.now() - value.createdAt > 24 * 60 * 60 * 1000) {
-        sessions.delete(key);
-      }
-    }
-    
     // Définir le cookie de session
-    res.setHeader('Set-Cookie', [
-      `session_id=${sessionId}; HttpOnly; Secure; SameSite=None; Domain=.oauth2.croci-monteiro.fr; Path=/; Max-Age=${24 * 60 * 60}`,
-    ]);
+    res.append('Set-Cookie', cookieHeader('session_id', sessionToken, SESSION_TTL / 1000));
     
     console.log('✅ Session créée, redirection vers le frontend');
     res.redirect(process.env.CORS_ORIGIN);
@@ -222,35 +397,31 @@ app.get('/callback', async (req, res) => {
 
 // Route: Logout
 app.get('/logout', async (req, res) => {
-  const cookies = req.headers.cookie;
+  const sessionToken = readCookie(req, 'session_id');
   let accessToken = null;
   
-  if (cookies) {
-    const sessionCookie = cookies.split(';').find(c => c.trim().startsWith('session_id='));
-    if (sessionCookie) {
-      const sessionId = sessionCookie.split('=')[1].trim();
-      const session = sessions.get(sessionId);
-      
-      // Récupérer le token pour le révoquer
-      if (session) {
-        accessToken = session.accessToken;
-      }
-      
-      // Supprimer la session du store
-      sessions.delete(sessionId);
-      console.log('🗑️ Session supprimée:', sessionId.substring(0, 10) + '...');
+  if (sessionToken) {
+    // Supprimer la session du store, en récupérant le token pour le révoquer
+    const session = await sessions.destroy(sessionToken);
+    if (session) {
+      accessToken = session.accessToken;
     }
+    console.log('🗑️ Session supprimée:', sessionToken.substring(0, 10) + '...');
   }
   
+  const metadata = await oidc.metadata().catch((err) => {
+    console.warn('⚠️ Découverte OIDC impossible:', err.message);
+    return {};
+  });
+  
   // Révoquer le token auprès d'Authentik (best effort)
-  if (accessToken && OAUTH_CONFIG.clientId && OAUTH_CONFIG.clientSecret) {
+  if (accessToken && metadata.revocation_endpoint && OAUTH_CONFIG.clientId) {
     try {
       await axios.post(
-        'https://connect.croci-monteiro.fr/application/o/revoke/',
+        metadata.revocation_endpoint,
         new URLSearchParams({
           token: accessToken,
-          client_id: OAUTH_CONFIG.clientId,
-          client_secret: OAUTH_CONFIG.clientSecret,
+          ...clientCredentials(),
         }).toString(),
         {
           headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -263,139 +434,67 @@ app.get('/logout', async (req, res) => {
   }
   
   // Supprimer le cookie - utiliser le même domaine que lors de la création
-  res.setHeader('Set-Cookie', [
-    `session_id=; HttpOnly; Secure; SameSite=None; Domain=.oauth2.croci-monteiro.fr; Path=/; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT`,
-  ]);
+  res.append('Set-Cookie', cookieHeader('session_id', '', 0));
   
   // Construire l'URL de redirection post-logout vers le frontend
-  const postLogoutRedirect = encodeURIComponent(process.env.CORS_ORIGIN || 'http://localhost:3001');
+  const postLogoutRedirect = process.env.CORS_ORIGIN || 'http://localhost:3001';
+  if (!metadata.end_session_endpoint) {
+    return res.redirect(postLogoutRedirect);
+  }
   
   // Rediriger vers Authentik logout avec redirection vers le frontend
-  res.redirect(`https://connect.croci-monteiro.fr/application/o/myapp/end-session/?post_logout_redirect_uri=${postLogoutRedirect}`);
+  const endSessionUrl = new URL(metadata.end_session_endpoint);
+  endSessionUrl.searchParams.set('post_logout_redirect_uri', postLogoutRedirect);
+  res.redirect(endSessionUrl.toString());
 });
 
-// Helper: Générer URL Gravatar
-function getGravatarUrl(email) {
-  const hash = crypto.createHash('md5').update(email.toLowerCase().trim()).digest('hex');
-  return `https://www.gravatar.com/avatar/${hash}?d=identicon&s=200`;
-}
-
 const uploadFolder = './uploads';
-if (!fs.existsSync(uploadFolder)) fs.mkdirSync(uploadFolder);
-
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
-
-// Chemin vers dossier data (persistant)
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir);
-
-// Fichiers JSON
-const USERS_FILE = path.join(dataDir, 'users.json');
-const SERVICES_FILE = path.join(dataDir, 'services.json');
-const MESSAGES_FILE = path.join(dataDir, 'messages.json');
-const FAVORITES_FILE = path.join(dataDir, 'favorites.json');
-
-function loadUsers() {
-  try {
-    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-  } catch {
-    return {};
-  }
-}
-
-function saveUsers(users) {
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
-}
-
-function loadServices() {
-  try {
-    return JSON.parse(fs.readFileSync(SERVICES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
-}
 
-function saveServices(services) {
-  fs.writeFileSync(SERVICES_FILE, JSON.stringify(services, null, 2));
-}
-
-function loadMessages() {
-  try {
-    return JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
-}
-
-function saveMessages(messages) {
-  fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
-}
-
-function loadFavorites() {
-  try {
-    return JSON.parse(fs.readFileSync(FAVORITES_FILE, 'utf8'));
-  } catch {
-    return [];
+// Identité de l'utilisateur à partir de la session OAuth2 (req.user)
+function authenticateSession(request, { req }) {
+  const oauthUser = req.user;
+  if (!oauthUser) {
+    return { error: 'Non authentifié', status: 401 };
   }
-}
-
-function saveFavorites(favorites) {
-  fs.writeFileSync(FAVORITES_FILE, JSON.stringify(favorites, null, 2));
-}
-
-/** Génère l'URL Gravatar depuis l'email */
-function getGravatarUrl(email) {
-  if (!email) return null;
-  const hash = crypto.createHash('md5').update(email.toLowerCase().trim()).digest('hex');
-  return `https://www.gravatar.com/avatar/${hash}?d=identicon&s=200`;
-}
 
-/** Auth middleware - vérifie l'authentification OAuth2 */
-function checkAuth(req, res, next) {
-  if (!req.user) {
-    return res.status(401).json({ error: 'Non authentifié' });
-  }
-
-  try {
-    const oauthUser = req.user;
-    const username = oauthUser.email || oauthUser.preferred_username || oauthUser.sub;
-    const users = loadUsers();
-    
-    const email = oauthUser.email || null;
-    const displayName = oauthUser.name || oauthUser.preferred_username || null;
-    const groups = oauthUser.groups || [];
-    
-    // Générer l'URL Gravatar
-    const avatarUrl = getGravatarUrl(email);
-
-    // Met à jour ou crée l'utilisateur dans le JSON local
-    users[username] = {
-      email,
-      displayName,
-      avatarUrl,
-      groups,
-    };
-    saveUsers(users);
-
-    req.userInfo = { username, ...users[username] };
-    next();
-  } catch (error) {
-    console.error('❌ Erreur auth:', error.message);
-    return res.status(500).json({ error: 'Erreur lors de la récupération des informations utilisateur', details: error.message });
-  }
-}
-
-/** Middleware pour vérifier que l'utilisateur est admin */
-function requireAdmin(req, res, next) {
-  if (!req.userInfo?.groups?.includes('myapp-admin')) {
-    return res.status(403).json({ error: 'Accès réservé aux administrateurs' });
-  }
-  next();
+  return {
+    username: oauthUser.email || oauthUser.preferred_username || oauthUser.sub,
+    email: oauthUser.email || null,
+    displayName: oauthUser.name || oauthUser.preferred_username || null,
+    groups: oauthUser.groups || [],
+  };
 }
 
-// Chargement initial des services
-let services = loadServices();
+// Store de données choisi par STORAGE_DRIVER (json, prisma ou sqlite)
+const dataDir = path.join(__dirname, 'data');
+const storageDriver = process.env.STORAGE_DRIVER || 'json';
+const store = await createStore({
+  driver: storageDriver,
+  dataDir,
+  databaseUrl: process.env.DATABASE_URL,
+  sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'home-services.db'),
+});
+console.log(`💾 Stockage: ${storageDriver}`);
+
+const images = createFsImageStore(uploadFolder);
+
+// Cœur de l'API partagé avec les runtimes Cloudflare (voir src/core/app.js)
+const api = createApp({
+  store,
+  images,
+  processImage,
+  transformImage,
+  variantFormats: TRANSFORM_FORMATS,
+  authenticate: authenticateSession,
+  // Résolution DNS pour refuser les icônes du réseau local aux non-administrateurs (voir src/core/icon-fetch.js)
+  lookupHost: async (hostname) => (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address),
+  config: {
+    // Correspondance groupes Authentik → rôles (voir src/core/roles.js)
+    roleMapping: parseRoleMapping(process.env.ROLE_MAPPING),
+    healthCheck: healthConfigFromEnv(process.env),
+    trashRetentionDays: trashRetentionFromEnv(process.env),
+  },
+});
 
 /**
  * Swagger configuration
@@ -415,14 +514,19 @@ const swaggerDefinition = {
         in: 'header',
         name: 'remote-user',
       },
+      ApiTokenAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Token API hst_… (voir POST /add-api-token)',
+      },
     },
   },
-  security: [{ RemoteUserAuth: [] }],
+  security: [{ RemoteUserAuth: [] }, { ApiTokenAuth: [] }],
 };
 
 const swaggerSpec = swaggerJsdoc({
   swaggerDefinition,
-  apis: [__filename],
+  apis: [path.join(__dirname, 'src/core/routes/*.js')],
 });
 
 if (process.env.NODE_ENV === 'development') {
@@ -432,236 +536,8 @@ if (process.env.NODE_ENV === 'development') {
   console.log('Swagger UI désactivé en production');
 }
 
-app.use('/uploads', express.static(uploadFolder));
-
-// Route /whoami pour obtenir les infos utilisateur
-app.get('/whoami', checkAuth, (req, res) => {
-  try {
-    const isAdmin = req.userInfo.groups?.includes('myapp-admin') || false;
-    console.log(`👤 Whoami: ${req.userInfo.username}, Admin: ${isAdmin}`);
-    
-    res.json({
-      username: req.userInfo.username,
-      displayName: req.userInfo.displayName || req.userInfo.username,
-      email: req.userInfo.email || null,
-      avatarUrl: req.userInfo.avatarUrl || null,
-      isAdmin,
-    });
-  } catch (error) {
-    console.error('❌ Erreur /whoami:', error.message);
-    res.status(500).json({ error: 'Erreur lors de la récupération des informations utilisateur' });
-  }
-});
-
-/**
- * @swagger
- * /services:
- *   get:
- *     summary: Liste les services accessibles pour l'utilisateur selon ses groupes
- *     security:
- *       - RemoteUserAuth: []
- *     responses:
- *       200:
- *         description: Liste des services filtrée selon les groupes
- */
-app.get('/services', checkAuth, (req, res) => {
-  try {
-    const userGroups = req.userInfo.groups || [];
-    console.log(`🔍 Filtrage services pour groupes: [${userGroups.join(', ')}]`);
-    
-    // Retourne uniquement les services où au moins un groupe de l'user est autorisé
-    const filteredServices = services.filter(s => 
-      s.allowedGroups?.some(g => userGroups.includes(g))
-    );
-    
-    console.log(`   → ${filteredServices.length} service(s) accessible(s)`);
-    res.json(filteredServices);
-  } catch (error) {
-    console.error('❌ Erreur /services:', error.message);
-    res.status(500).json({ error: 'Erreur lors de la récupération des services' });
-  }
-});
-
-/**
- * @swagger
- * /add-service:
- *   post:
- *     summary: Ajouter un nouveau service (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     consumes:
- *       - multipart/form-data
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               redirectUrl:
- *                 type: string
- *               groups:
- *                 type: array
- *                 items:
- *                   type: string
- *               image:
- *                 type: string
- *                 format: binary
- *     responses:
- *       201:
- *         description: Service ajouté
- */
-app.post('/add-service', checkAuth, requireAdmin, upload.single('image'), async (req, res) => {
-  try {
-    const { name, redirectUrl, groups } = req.body;
-    const allowedGroups = Array.isArray(groups) ? groups : typeof groups === 'string' ? [groups] : [];
-    const imageBuffer = req.file?.buffer;
-
-    if (!name || !redirectUrl || !imageBuffer || allowedGroups.length === 0) {
-      return res.status(400).json({ error: 'Champs manquants ou groupes non spécifiés' });
-    }
-
-    // Lire les métadonnées de l’image
-    const metadata = await sharp(imageBuffer).metadata();
-    const originalWidth = metadata.width;
-    const originalHeight = metadata.height;
-
-    const resizedHeight = 50;
-    const resizedWidth = Math.round((originalWidth / originalHeight) * resizedHeight);
-
-    const resizedBuffer = await sharp(imageBuffer)
-      .resize({ height: resizedHeight })
-      .png()
-      .toBuffer();
-
-    const fileName = `${Date.now()}-${name.replace(/\s+/g, '_')}.png`;
-    const filePath = path.join(uploadFolder, fileName);
-    fs.writeFileSync(filePath, resizedBuffer);
-
-    const newService = {
-      id: Date.now().toString(),
-      name,
-      redirectUrl,
-      allowedGroups,
-      imagePath: filePath,
-      originalWidth,
-      originalHeight,
-      resizedHeight,
-      resizedWidth,
-    };
-
-    services.push(newService);
-    saveServices(services);
-    res.status(201).json({ service_id: newService.id });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de l’ajout' });
-  }
-});
-
-/**
- * @swagger
- * /update-service/{id}:
- *   put:
- *     summary: Modifier un service existant (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     consumes:
- *       - multipart/form-data
- *     requestBody:
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               name: { type: string }
- *               redirectUrl: { type: string }
- *               groups:
- *                 type: array
- *                 items:
- *                   type: string
- *               image: { type: string, format: binary }
- *     responses:
- *       200:
- *         description: Service modifié
- */
-app.put('/update-service/:id', checkAuth, requireAdmin, upload.single('image'), async (req, res) => {
-  try {
-    const id = req.params.id;
-    const index = services.findIndex(s => s.id === id);
-    if (index === -1) return res.status(404).json({ error: 'Service introuvable' });
-
-    const { name, redirectUrl, groups } = req.body;
-    if (name) services[index].name = name;
-    if (redirectUrl) services[index].redirectUrl = redirectUrl;
-    if (groups) {
-      const allowedGroups = Array.isArray(groups) ? groups : typeof groups === 'string' ? [groups] : [];
-      if (allowedGroups.length) services[index].allowedGroups = allowedGroups;
-    }
-
-    if (req.file?.buffer) {
-      const imageBuffer = req.file.buffer;
-      const original = await sharp(imageBuffer).metadata();
-      const resizedImageBuffer = await sharp(imageBuffer).resize({ height: 50 }).toBuffer();
-      const fileName = `${Date.now()}-${services[index].name.replace(/\s+/g, '_')}.png`;
-      const filePath = path.join(uploadFolder, fileName);
-
-      fs.writeFileSync(filePath, resizedImageBuffer);
-
-      // Supprime l'ancienne image
-      if (fs.existsSync(services[index].imagePath)) {
-        fs.unlinkSync(services[index].imagePath);
-      }
-
-      services[index].imagePath = filePath;
-      services[index].originalWidth = original.width;
-      services[index].originalHeight = original.height;
-      services[index].resizedHeight = 50;
-      services[index].resizedWidth = Math.round((original.width / original.height) * 50);
-    }
-
-    saveServices(services);
-    res.json(services[index]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la modification' });
-  }
-});
-
-/**
- * @swagger
- * /delete-service/{id}:
- *   delete:
- *     summary: Supprimer un service (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     responses:
- *       200:
- *         description: Service supprimé
- */
-app.delete('/delete-service/:id', checkAuth, requireAdmin, (req, res) => {
-  const id = req.params.id;
-  const index = services.findIndex(s => s.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Service introuvable' });
-
-  const [removed] = services.splice(index, 1);
-  if (fs.existsSync(removed.imagePath)) fs.unlinkSync(removed.imagePath);
-
-  saveServices(services);
-  res.json({ status: 'supprimé', id });
-});
+// Toutes les autres routes sont servies par le cœur de l'API
+app.use(createExpressHandler(api));
 
 // Gestionnaire d'erreur global
 app.use((err, req, res, next) => {
@@ -671,558 +547,53 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Serveur démarré sur http://localhost:${PORT}`);
   console.log(`📚 Swagger docs : http://localhost:${PORT}/api-docs`);
 });
 
-/**
- * @swagger
- * /whoami:
- *   get:
- *     summary: Récupère les infos de l'utilisateur connecté (admin ou non)
- *     security:
- *       - RemoteUserAuth: []
- *     responses:
- *       200:
- *         description: Infos utilisateur
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 username:
- *                   type: string
- *                 isAdmin:
- *                   type: boolean
- */
-app.get('/whoami', checkAuth, (req, res) => {
-  const username = req.userInfo.username;
-  const displayName = req.userInfo.displayName || username;
-  const email = req.userInfo.email || null;
-  const avatarUrl = req.userInfo.avatarUrl || null;
-  const isAdmin = req.userInfo.groups.includes('myapp-admin');
-  res.json({ username, displayName, email, avatarUrl, isAdmin });
-});
-
-/**
- * @swagger
- * /user-ids:
- *   get:
- *     summary: Récupère la liste de tous les utilisateurs (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     responses:
- *       200:
- *         description: Liste des utilisateurs avec id, email, displayName et groupes
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                     description: Email de l'utilisateur
- *                   email:
- *                     type: string
- *                   displayName:
- *                     type: string
- *                   groups:
- *                     type: array
- *                     items:
- *                       type: string
- */
-
-/**
- * @swagger
- * /add-message:
- *   post:
- *     summary: Ajouter un nouveau message pour un ou plusieurs utilisateurs (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - type
- *               - title
- *               - content
- *             properties:
- *               userId:
- *                 oneOf:
- *                   - type: string
- *                     description: Email d'un seul utilisateur destinataire
- *                   - type: array
- *                     items:
- *                       type: string
- *                     description: Array d'emails de plusieurs utilisateurs destinataires
- *               type:
- *                 type: string
- *                 enum: ['information', 'warning', 'error']
- *                 description: Type de message
- *               title:
- *                 type: string
- *                 description: Titre du message
- *               content:
- *                 type: string
- *                 description: Contenu du message
- *     responses:
- *       201:
- *         description: Message(s) créé(s) avec succès
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message_ids:
- *                   type: array
- *                   items:
- *                     type: string
- */
-
-app.post('/add-message', checkAuth, requireAdmin, (req, res) => {
-  try {
-    const { userId, type, title, content } = req.body;
-    
-    if (!userId || !type || !title || !content) {
-      return res.status(400).json({ error: 'Champs manquants (userId, type, title, content)' });
-    }
-
-    const validTypes = ['information', 'warning', 'error'];
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({ error: 'Type invalide. Doit être: information, warning ou error' });
+// Vérification de disponibilité des services toutes les HEALTH_CHECK_INTERVAL secondes (0 pour désactiver)
+const healthCheckInterval = Number(process.env.HEALTH_CHECK_INTERVAL ?? 300);
+let healthCheckTimer = null;
+if (healthCheckInterval > 0) {
+  let running = false;
+  const checkServices = async () => {
+    if (running) return; // La vérification précédente n'est pas terminée
+    running = true;
+    try {
+      await runHealthChecks({ store }, healthConfigFromEnv(process.env));
+    } catch (error) {
+      console.error('❌ Erreur lors de la vérification des services:', error);
+    } finally {
+      running = false;
     }
+  };
+  healthCheckTimer = setInterval(checkServices, healthCheckInterval * 1000);
+  setTimeout(checkServices, 5000).unref();
+  console.log(`🩺 Vérification des services toutes les ${healthCheckInterval}s`);
+}
 
-    // Convertir userId en array si c'est un string
-    const userIds = Array.isArray(userId) ? userId : [userId];
-
-    const messages = loadMessages();
-    const messageIds = [];
-
-    // Créer un message pour chaque utilisateur
-    userIds.forEach(email => {
-      const newMessage = {
-        id: Date.now().toString() + Math.random(),
-        userId: email,
-        type,
-        title,
-        content,
-        createdAt: new Date().toISOString(),
-        dismissed: false
-      };
-      messages.push(newMessage);
-      messageIds.push(newMessage.id);
+// Purge des services restés dans la corbeille plus de TRASH_RETENTION_DAYS jours
+// et des ouvertures de plus de LAUNCH_RETENTION_DAYS jours, toutes les heures
+const purgeExpired = async () => {
+  await purgeExpiredTrash({ store, images }, trashRetentionFromEnv(process.env)).catch((error) =>
+    console.error('❌ Erreur lors de la purge de la corbeille:', error)
+  );
+  await purgeOldLaunches({ store }, launchRetentionFromEnv(process.env)).catch((error) =>
+    console.error('❌ Erreur lors de la purge des ouvertures:', error)
+  );
+};
+const purgeTimer = setInterval(purgeExpired, 60 * 60 * 1000);
+setTimeout(purgeExpired, 10000).unref();
+
+// Arrêt propre : fermer les connexions du store (Prisma, SQLite) et des sessions (Redis, PostgreSQL)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    clearInterval(healthCheckTimer);
+    clearInterval(purgeTimer);
+    server.close(async () => {
+      await Promise.all([store.close(), sessions.close()]);
+      process.exit(0);
     });
-
-    saveMessages(messages);
-    res.status(201).json({ message_ids: messageIds });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de l\'ajout du message' });
-  }
-});
-
-/**
- * @swagger
- * /messages:
- *   get:
- *     summary: Récupère les messages non supprimés pour l'utilisateur connecté
- *     security:
- *       - RemoteUserAuth: []
- *     responses:
- *       200:
- *         description: Liste des messages de l'utilisateur
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   userId:
- *                     type: string
- *                     description: Email destinataire
- *                   type:
- *                     type: string
- *                     enum: ['information', 'warning', 'error']
- *                   title:
- *                     type: string
- *                   content:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- *                   dismissed:
- *                     type: boolean
- */
-
-app.get('/messages', checkAuth, (req, res) => {
-  try {
-    const userEmail = req.userInfo.username; // l'email de l'utilisateur
-    const messages = loadMessages();
-    
-    // Retourne les messages de cet utilisateur qui ne sont pas dismissed
-    const userMessages = messages.filter(m => m.userId === userEmail && !m.dismissed);
-    
-    res.json(userMessages);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la récupération des messages' });
-  }
-});
-
-/**
- * @swagger
- * /all-messages:
- *   get:
- *     summary: Récupère tous les messages non supprimés (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     responses:
- *       200:
- *         description: Liste de tous les messages (admin uniquement)
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   userId:
- *                     type: string
- *                     description: Email destinataire
- *                   type:
- *                     type: string
- *                     enum: ['information', 'warning', 'error']
- *                   title:
- *                     type: string
- *                   content:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- *                   dismissed:
- *                     type: boolean
- */
-
-app.get('/all-messages', checkAuth, requireAdmin, (req, res) => {
-  try {
-    const messages = loadMessages();
-    
-    // Retourne tous les messages non supprimés (admin uniquement)
-    const allMessages = messages.filter(m => !m.dismissed);
-    
-    res.json(allMessages);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la récupération des messages' });
-  }
-});
-
-/**
- * @swagger
- * /delete-message/{id}:
- *   delete:
- *     summary: Supprimer un message (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *         description: ID du message à supprimer
- *     responses:
- *       200:
- *         description: Message supprimé
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   enum: ['supprimé']
- *                 id:
- *                   type: string
- */
-
-app.delete('/delete-message/:id', checkAuth, requireAdmin, (req, res) => {
-  try {
-    const messageId = req.params.id;
-    const messages = loadMessages();
-    
-    const index = messages.findIndex(m => m.id === messageId);
-    if (index === -1) {
-      return res.status(404).json({ error: 'Message introuvable' });
-    }
-
-    const [removed] = messages.splice(index, 1);
-    saveMessages(messages);
-    res.json({ status: 'supprimé', id: messageId });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la suppression du message' });
-  }
-});
-
-/**
- * @swagger
- * /update-message/{id}:
- *   post:
- *     summary: Mettre à jour un message (admin uniquement)
- *     security:
- *       - RemoteUserAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *         description: ID du message à modifier
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               type:
- *                 type: string
- *                 enum: ['information', 'warning', 'error']
- *               title:
- *                 type: string
- *               content:
- *                 type: string
- *               dismissed:
- *                 type: boolean
- *                 description: Marquer comme "ne plus afficher" (pour les messages information)
- *     responses:
- *       200:
- *         description: Message modifié
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: string
- *                 userId:
- *                   type: string
- *                 type:
- *                   type: string
- *                 title:
- *                   type: string
- *                 content:
- *                   type: string
- *                 dismissed:
- *                   type: boolean
- */
-
-app.post('/update-message/:id', checkAuth, requireAdmin, (req, res) => {
-  try {
-    const messageId = req.params.id;
-    const { type, title, content, dismissed } = req.body;
-    const messages = loadMessages();
-
-    const index = messages.findIndex(m => m.id === messageId);
-    if (index === -1) {
-      return res.status(404).json({ error: 'Message introuvable' });
-    }
-
-    if (type) messages[index].type = type;
-    if (title) messages[index].title = title;
-    if (content) messages[index].content = content;
-    if (typeof dismissed === 'boolean') messages[index].dismissed = dismissed;
-
-    saveMessages(messages);
-    res.json(messages[index]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la mise à jour du message' });
-  }
-});
-
-app.get('/user-ids', checkAuth, requireAdmin, (req, res) => {
-  try {
-    const users = loadUsers();
-    
-    // Retourne la liste des utilisateurs avec nom, prénom et email
-    const userList = Object.entries(users).map(([username, userInfo]) => ({
-      id: username, // l'email
-      email: username,
-      displayName: userInfo.displayName || username,
-      groups: userInfo.groups || []
-    }));
-
-    res.json(userList);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la récupération des utilisateurs' });
-  }
-});
-
-/**
- * @swagger
- * /add-favorite:
- *   post:
- *     summary: Ajouter un lien en favori pour l'utilisateur connecté
- *     security:
- *       - RemoteUserAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - url
- *               - title
- *             properties:
- *               url:
- *                 type: string
- *                 description: URL du lien à ajouter en favori
- *               title:
- *                 type: string
- *                 description: Titre du favori
- *     responses:
- *       201:
- *         description: Favori ajouté avec succès
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 url:
- *                   type: string
- */
-
-app.post('/add-favorite', checkAuth, (req, res) => {
-  try {
-    const { url, title } = req.body;
-    const userEmail = req.userInfo.username;
-
-    if (!url || !title) {
-      return res.status(400).json({ error: 'Champs manquants (url, title)' });
-    }
-
-    const favorites = loadFavorites();
-    
-    // Vérifier si le favori existe déjà pour cet utilisateur
-    const exists = favorites.find(f => f.url === url && f.userId === userEmail);
-    if (exists) {
-      return res.status(400).json({ error: 'Ce lien est déjà en favori' });
-    }
-
-    const newFavorite = {
-      url, // ID du favori
-      title,
-      userId: userEmail, // Rattaché à l'utilisateur
-      createdAt: new Date().toISOString()
-    };
-
-    favorites.push(newFavorite);
-    saveFavorites(favorites);
-    res.status(201).json({ url: newFavorite.url });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de l\'ajout du favori' });
-  }
-});
-
-/**
- * @swagger
- * /favorites:
- *   get:
- *     summary: Récupère les favoris de l'utilisateur connecté
- *     security:
- *       - RemoteUserAuth: []
- *     responses:
- *       200:
- *         description: Liste des favoris
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   url:
- *                     type: string
- *                   title:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- */
-
-app.get('/favorites', checkAuth, (req, res) => {
-  try {
-    const userEmail = req.userInfo.username;
-    const favorites = loadFavorites();
-    
-    // Retourne uniquement les favoris de cet utilisateur
-    const userFavorites = favorites.filter(f => f.userId === userEmail);
-    
-    res.json(userFavorites);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la récupération des favoris' });
-  }
-});
-
-/**
- * @swagger
- * /delete-favorite/{id}:
- *   delete:
- *     summary: Supprimer un favori (l'id est l'URL du lien)
- *     security:
- *       - RemoteUserAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *         description: URL du favori à supprimer
- *     responses:
- *       200:
- *         description: Favori supprimé
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   enum: ['supprimé']
- *                 url:
- *                   type: string
- */
-
-app.delete('/delete-favorite/:id', checkAuth, (req, res) => {
-  try {
-    const url = decodeURIComponent(req.params.id); // Décoder l'URL
-    const userEmail = req.userInfo.username;
-    const favorites = loadFavorites();
-    
-    const index = favorites.findIndex(f => f.url === url && f.userId === userEmail);
-    if (index === -1) {
-      return res.status(404).json({ error: 'Favori introuvable' });
-    }
-
-    const [removed] = favorites.splice(index, 1);
-    saveFavorites(favorites);
-    res.json({ status: 'supprimé', url: removed.url });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Erreur lors de la suppression du favori' });
-  }
-});
\ No newline at end of file
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Adaptateur Cloudflare commun au Worker (src/index.js) et à la Pages
+ * Function (functions/api/[[path]].js) : Prisma/PostgreSQL, images dans R2
+ * et authentification via l'endpoint /api/verify d'Authentik.
+ */
+
+import { createApp } from '../core/app.js';
+import { jsonResponse, withCors, logRequest } from '../core/http.js';
+import { createPrismaStore, getPrisma } from '../storage/prisma.js';
+import { createR2ImageStore } from '../images/r2.js';
+import { parseRoleMapping } from '../core/roles.js';
+import { healthConfigFromEnv, runHealthChecks } from '../core/health.js';
+import { purgeExpiredTrash, trashRetentionFromEnv } from '../core/trash.js';
+import { launchRetentionFromEnv, purgeOldLaunches } from '../core/launches.js';
+import { TRANSFORM_FORMATS, processImage, transformImage, initWebpCodecs } from '../images/workers.js';
+// Importés comme WebAssembly.Module par wrangler (règle CompiledWasm par défaut)
+import WEBP_DEC_WASM from '@jsquash/webp/codec/dec/webp_dec.wasm';
+import WEBP_ENC_WASM from '@jsquash/webp/codec/enc/webp_enc.wasm';
+
+initWebpCodecs({ decoder: WEBP_DEC_WASM, encoder: WEBP_ENC_WASM });
+
+const DEFAULT_CORS_ORIGIN = 'https://myapp.oauth2.croci-monteiro.fr';
+const DEFAULT_VERIFY_URL = 'https://oauth2.croci-monteiro.fr/api/verify';
+
+// Authentification - interroge Authentik via /api/verify
+function createAuthentikVerifier(verifyUrl) {
+  return async function authenticate(request) {
+    const cookies = request.headers.get('cookie');
+    if (!cookies) {
+      return { error: 'Non authentifié (pas de cookies)', status: 401 };
+    }
+
+    const response = await fetch(verifyUrl, {
+      method: 'POST',
+      headers: {
+        Cookie: cookies,
+      },
+    });
+
+    if (!response.ok) {
+      return { error: 'Accès refusé par Authentik', status: 401 };
+    }
+
+    const username = response.headers.get('remote-user');
+    if (!username) {
+      return { error: 'Non authentifié', status: 401 };
+    }
+
+    // Authentik peut envoyer les groupes via 'remote-groups' ou 'x-authentik-groups'
+    const groupsHeader = response.headers.get('remote-groups') || response.headers.get('x-authentik-groups') || '';
+
+    return {
+      username,
+      email: response.headers.get('remote-email') || null,
+      displayName: response.headers.get('remote-name') || null,
+      groups: groupsHeader.split(',').map(g => g.trim()).filter(g => g),
+    };
+  };
+}
+
+/**
+ * Traite une requête Cloudflare.
+ *
+ * @param {Request} request
+ * @param {object} env - Bindings (DATABASE_URL, IMAGES_R2, CORS_ORIGIN, AUTHENTIK_VERIFY_URL, ROLE_MAPPING)
+ * @param {object} [options]
+ * @param {string} [options.basePath] - Préfixe retiré du chemin ('/api' pour Pages)
+ * @param {object} [options.ctx] - ExecutionContext du Worker / contexte Pages
+ */
+export async function handleCloudflareRequest(request, env, { basePath = '', ctx } = {}) {
+  const corsOrigin = env.CORS_ORIGIN || DEFAULT_CORS_ORIGIN;
+
+  // Log de la requête entrante
+  console.log(`\n➡️  [${new Date().toISOString()}] ${request.method} ${new URL(request.url).pathname}`);
+
+  if (!env.DATABASE_URL && request.method !== 'OPTIONS') {
+    logRequest(request.method, new URL(request.url).pathname, 500, { error: 'DATABASE_URL manquante' });
+    return withCors(jsonResponse({ error: 'Configuration de base de données manquante' }, 500), corsOrigin);
+  }
+
+  let roleMapping;
+  try {
+    roleMapping = parseRoleMapping(env.ROLE_MAPPING);
+  } catch (error) {
+    logRequest(request.method, new URL(request.url).pathname, 500, { error: error.message });
+    return withCors(jsonResponse({ error: 'Configuration des rôles invalide' }, 500), corsOrigin);
+  }
+
+  const prisma = env.DATABASE_URL ? getPrisma(env.DATABASE_URL) : null;
+  try {
+    const app = createApp({
+      store: prisma && createPrismaStore(prisma),
+      images: createR2ImageStore(env.IMAGES_R2),
+      processImage,
+      transformImage,
+      variantFormats: TRANSFORM_FORMATS,
+      authenticate: createAuthentikVerifier(env.AUTHENTIK_VERIFY_URL || DEFAULT_VERIFY_URL),
+      config: {
+        roleMapping,
+        healthCheck: healthConfigFromEnv(env),
+        trashRetentionDays: trashRetentionFromEnv(env),
+        basePath,
+        corsOrigin,
+      },
+    });
+
+    return await app.handle(request, {
+      ip: request.headers.get('cf-connecting-ip'),
+      waitUntil: ctx?.waitUntil?.bind(ctx),
+    });
+  } finally {
+    if (prisma) await prisma.$disconnect();
+  }
+}
+
+/**
+ * Tâches planifiées du handler scheduled() du Worker (déclencheur cron
+ * défini dans wrangler.toml) : vérification de disponibilité des services
+ * et purges de la corbeille et des anciennes ouvertures.
+ *
+ * @param {object} env - Bindings (DATABASE_URL, IMAGES_R2, HEALTH_CHECK_TIMEOUT, HEALTH_HISTORY_DAYS, TRASH_RETENTION_DAYS, LAUNCH_RETENTION_DAYS)
+ */
+export async function handleCloudflareScheduled(env) {
+  if (!env.DATABASE_URL) {
+    console.error('❌ Vérification des services impossible: DATABASE_URL manquante');
+    return;
+  }
+
+  const prisma = getPrisma(env.DATABASE_URL);
+  const store = createPrismaStore(prisma);
+  try {
+    // Une vérification en échec ne doit pas empêcher la purge
+    await runHealthChecks({ store }, healthConfigFromEnv(env)).catch((error) =>
+      console.error('❌ Erreur lors de la vérification des services:', error)
+    );
+    await purgeExpiredTrash({ store, images: createR2ImageStore(env.IMAGES_R2) }, trashRetentionFromEnv(env)).catch((error) =>
+      console.error('❌ Erreur lors de la purge de la corbeille:', error)
+    );
+    await purgeOldLaunches({ store }, launchRetentionFromEnv(env));
+  } finally {
+    await prisma.$disconnect();
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Adaptateur Express : convertit la requête Node en Request Web, la passe
+ * au cœur de l'API et recopie la Response, en flux, sur `res`.
+ */
+
+import { Readable } from 'stream';
+
+// Convertit une requête Express en Request Web
+function toWebRequest(req) {
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const headers = new Headers();
+  for (const [key, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach((v) => headers.append(key, v));
+    else if (value !== undefined) headers.set(key, value);
+  }
+
+  const hasBody = !['GET', 'HEAD'].includes(req.method);
+  return new Request(url, {
+    method: req.method,
+    headers,
+    body: hasBody ? Readable.toWeb(req) : undefined,
+    duplex: hasBody ? 'half' : undefined,
+  });
+}
+
+/**
+ * Crée un middleware Express à partir d'une application créée par
+ * `createApp`. Doit être monté sans parseur de corps en amont.
+ */
+export function createExpressHandler(app) {
+  return async (req, res, next) => {
+    try {
+      const response = await app.handle(toWebRequest(req), { req, ip: req.ip });
+
+      res.status(response.status);
+      response.headers.forEach((value, key) => res.setHeader(key, value));
+      if (!response.body) return res.end();
+
+      // Recopié en flux : une sauvegarde n'est jamais entièrement en mémoire
+      const body = Readable.fromWeb(response.body);
+      body.on('error', (err) => res.destroy(err));
+      body.pipe(res);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
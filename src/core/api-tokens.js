@@ -0,0 +1,84 @@
+/**
+ * Tokens API pour l'accès scripté (curl, cron, intégrations).
+ *
+ * Un token est envoyé en `Authorization: Bearer hst_…`. Seule son empreinte
+ * SHA-256 est stockée : le token en clair n'est affiché qu'à sa création.
+ * Chaque route déclare le scope qu'elle exige (`scope` dans la table des
+ * routes) ; une route sans scope n'est accessible qu'avec une session.
+ */
+
+import crypto from 'crypto';
+
+export const API_TOKEN_PREFIX = 'hst_';
+
+export const API_TOKEN_SCOPES = [
+  'services:read',
+  'services:write',
+  'messages:read',
+  'messages:write',
+  'favorites:read',
+  'favorites:write',
+  'users:read',
+  'images:read',
+  'images:write',
+  'audit:read',
+  'backup:read',
+  'backup:write',
+  'analytics:read',
+];
+
+// Scopes liés à un utilisateur réel, refusés aux tokens de service
+export const PERSONAL_ONLY_SCOPES = ['favorites:read', 'favorites:write'];
+
+// Durée de validité par défaut quand aucune échéance n'est fournie
+export const DEFAULT_API_TOKEN_DAYS = 90;
+// Durée de validité maximale, même avec une échéance explicite
+export const MAX_API_TOKEN_DAYS = 365;
+
+// Un token personnel agit avec les groupes de la dernière connexion de son
+// propriétaire : il est refusé si cette connexion date de plus de 30 jours,
+// le temps qu'un retrait de groupe chez le fournisseur d'identité soit répercuté
+export const API_TOKEN_GROUPS_MAX_AGE_DAYS = 30;
+
+// Génère un nouveau token, son empreinte et le préfixe affiché dans les listes
+export function generateApiToken() {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashApiToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+}
+
+export function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Extrait un token API de l'en-tête Authorization, null si absent ou d'un autre type
+export function readBearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('authorization') || '');
+  if (!match || !match[1].startsWith(API_TOKEN_PREFIX)) return null;
+  return match[1];
+}
+
+export function isExpired(apiToken, now = new Date()) {
+  return Boolean(apiToken.expiresAt) && new Date(apiToken.expiresAt) <= now;
+}
+
+// Nom d'utilisateur sous lequel agit un token de service
+export function serviceUsername(apiToken) {
+  return `service:${apiToken.name}`;
+}
+
+// Transforme un token pour l'API (jamais l'empreinte)
+export function serializeApiToken(apiToken) {
+  return {
+    id: apiToken.id,
+    name: apiToken.name,
+    type: apiToken.type,
+    owner: apiToken.userId,
+    prefix: apiToken.prefix,
+    scopes: apiToken.scopes || [],
+    groups: apiToken.type === 'service' ? apiToken.groups || [] : undefined,
+    expiresAt: apiToken.expiresAt,
+    lastUsedAt: apiToken.lastUsedAt || null,
+    createdAt: apiToken.createdAt,
+    expired: isExpired(apiToken),
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Tokens API : scopes exigés par les routes, tokens personnels et de
+ * service, échéance.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TOKEN_GROUPS_MAX_AGE_DAYS, PERSONAL_ONLY_SCOPES, generateApiToken, isExpired, readBearerToken } from './api-tokens.js';
+import { checkApiToken } from './auth.js';
+import { createTestApp } from './testing.js';
+
+describe('tokens API', () => {
+  let t;
+  let store;
+
+  before(() => {
+    t = createTestApp();
+    store = t.store;
+  });
+  after(() => t.close());
+
+  // Token enregistré directement dans le store, comme par /add-api-token
+  async function createToken(data) {
+    const { token, tokenHash, prefix } = generateApiToken();
+    const apiToken = await store.apiTokens.create({ type: 'personal', groups: [], expiresAt: null, ...data, tokenHash, prefix });
+    return { token, apiToken };
+  }
+
+  describe('en-tête et échéance', () => {
+    it("ne lit que les tokens hst_ de l'en-tête Authorization", () => {
+      const request = (value) => new Request('http://localhost/', { headers: value ? { Authorization: value } : {} });
+      assert.equal(readBearerToken(request('Bearer hst_abc')), 'hst_abc');
+      assert.equal(readBearerToken(request('bearer  hst_abc')), 'hst_abc');
+      assert.equal(readBearerToken(request('Bearer eyJhbGciOi')), null);
+      assert.equal(readBearerToken(request('Basic hst_abc')), null);
+      assert.equal(readBearerToken(request()), null);
+    });
+
+    it('considère un token sans échéance comme valide', () => {
+      const now = new Date('2026-01-05T10:00:00Z');
+      assert.ok(!isExpired({ expiresAt: null }, now));
+      assert.ok(isExpired({ expiresAt: '2026-01-05T10:00:00Z' }, now));
+      assert.ok(!isExpired({ expiresAt: '2026-01-05T10:00:01Z' }, now));
+    });
+  });
+
+  describe('checkApiToken', () => {
+    const route = (scope) => ({ scope });
+
+    before(() => store.users.upsert('alice', { email: 'alice@example.com', groups: ['users', 'media'] }));
+
+    it('refuse un token inconnu ou expiré', async () => {
+      assert.deepEqual(await checkApiToken('hst_inconnu', route('services:read'), { store }), { error: 'Token API invalide', status: 401 });
+
+      const { token } = await createToken({ userId: 'alice', name: 'expiré', scopes: ['services:read'], expiresAt: new Date(Date.now() - 1000) });
+      assert.deepEqual(await checkApiToken(token, route('services:read'), { store }), { error: 'Token API expiré', status: 401 });
+    });
+
+    it('exige le scope de la route, et refuse les routes sans scope', async () => {
+      const { token } = await createToken({ userId: 'alice', name: 'lecture', scopes: ['services:read'] });
+      assert.deepEqual(await checkApiToken(token, route('services:write'), { store }), { error: 'Scope requis: services:write', status: 403 });
+      assert.deepEqual(await checkApiToken(token, route(undefined), { store }), {
+        error: "Cette route n'est pas accessible avec un token API",
+        status: 403,
+      });
+    });
+
+    it('agit avec les groupes du propriétaire pour un token personnel', async () => {
+      const { token, apiToken } = await createToken({ userId: 'alice', name: 'perso', scopes: ['services:read'] });
+      const { userInfo } = await checkApiToken(token, route('services:read'), { store });
+      assert.equal(userInfo.username, 'alice');
+      assert.deepEqual(userInfo.groups, ['users', 'media']);
+      assert.equal(userInfo.apiTokenId, apiToken.id);
+      assert.ok((await store.apiTokens.get(apiToken.id)).lastUsedAt);
+    });
+
+    it('agit sous service:<nom> avec ses propres groupes pour un token de service', async () => {
+      const { token } = await createToken({ userId: 'alice', name: 'homepage', type: 'service', groups: ['kiosk'], scopes: ['services:read'] });
+      const { userInfo } = await checkApiToken(token, route('services:read'), { store });
+      assert.equal(userInfo.username, 'service:homepage');
+      assert.deepEqual(userInfo.groups, ['kiosk']);
+    });
+
+    it("suspend le token d'un propriétaire qui ne s'est pas connecté depuis 30 jours", async () => {
+      const syncedAt = new Date(Date.now() - (API_TOKEN_GROUPS_MAX_AGE_DAYS + 1) * 24 * 60 * 60 * 1000).toISOString();
+      await store.backup.importRecords('users', [{ username: 'absent', groups: ['users'], createdAt: syncedAt, updatedAt: syncedAt }]);
+      const { token } = await createToken({ userId: 'absent', name: 'ancien', scopes: ['services:read'] });
+      assert.deepEqual(await checkApiToken(token, route('services:read'), { store }), {
+        error: "Token API suspendu: son propriétaire ne s'est pas connecté depuis 30 jours",
+        status: 401,
+      });
+
+      // Une nouvelle connexion resynchronise ses groupes et réactive le token
+      await store.users.upsert('absent', { groups: ['users'] });
+      assert.equal((await checkApiToken(token, route('services:read'), { store })).userInfo.username, 'absent');
+    });
+
+    it("refuse le token d'un propriétaire inconnu", async () => {
+      const { token } = await createToken({ userId: 'parti', name: 'orphelin', scopes: ['services:read'] });
+      assert.deepEqual(await checkApiToken(token, route('services:read'), { store }), { error: 'Token API invalide', status: 401 });
+    });
+  });
+
+  describe('routes', () => {
+    it('applique le scope puis la permission du propriétaire', async () => {
+      const { token } = await createToken({ userId: 'alice', name: 'messages', scopes: ['services:read', 'messages:read'] });
+      assert.equal((await t.call('/services', { token })).status, 200);
+      assert.deepEqual(await t.call('/add-message', { token, method: 'POST', body: { title: 'x' } }), {
+        status: 403,
+        body: { error: 'Scope requis: messages:write' },
+      });
+      // Le scope ne donne pas la permission : alice n'a pas le rôle message-sender
+      assert.deepEqual(await t.call('/all-messages', { token }), { status: 403, body: { error: 'Permission requise: send-messages' } });
+    });
+
+    it('ne permet pas de gérer les tokens avec un token', async () => {
+      const { token } = await createToken({ userId: 'alice', name: 'tout', scopes: ['services:read', 'services:write'] });
+      assert.equal((await t.call('/api-tokens', { token })).status, 403);
+      assert.equal((await t.call('/add-api-token', { token, method: 'POST', body: { name: 'x', scopes: ['services:read'] } })).status, 403);
+    });
+
+    it('crée un token personnel avec une session, le token en clair une seule fois', async () => {
+      const created = await t.call('/add-api-token', { user: 'dave', method: 'POST', body: { name: 'cron', scopes: ['services:read', 'favorites:read'] } });
+      assert.equal(created.status, 201);
+      assert.match(created.body.token, /^hst_/);
+      assert.equal(created.body.tokenHash, undefined);
+
+      const listed = await t.call('/api-tokens', { user: 'dave' });
+      assert.deepEqual(listed.body.map((token) => [token.name, token.token]), [['cron', undefined]]);
+      assert.equal((await t.call('/favorites', { token: created.body.token })).status, 200);
+    });
+
+    it("valide les scopes et l'échéance", async () => {
+      const add = (body) => t.call('/add-api-token', { user: 'dave', method: 'POST', body });
+      assert.deepEqual((await add({ name: 'x', scopes: ['services:admin'] })).body, { error: 'Scope(s) inconnu(s): services:admin' });
+      assert.equal((await add({ name: 'x', scopes: [] })).status, 400);
+      assert.deepEqual((await add({ name: 'x', scopes: ['services:read'], expiresAt: '2020-01-01' })).body, {
+        error: "L'échéance du token doit être dans le futur",
+      });
+      assert.deepEqual((await add({ name: 'x', scopes: ['services:read'], expiresInDays: 400 })).body, {
+        error: "L'échéance du token ne peut pas dépasser 365 jours",
+      });
+    });
+
+    it('réserve les tokens de service à manage-api-tokens, sans scope personnel', async () => {
+      const body = { name: 'kiosque', type: 'service', groups: ['kiosk'], scopes: ['services:read'] };
+      assert.deepEqual(await t.call('/add-api-token', { user: 'dave', method: 'POST', body }), {
+        status: 403,
+        body: { error: 'Permission requise: manage-api-tokens' },
+      });
+
+      for (const scope of PERSONAL_ONLY_SCOPES) {
+        const refused = await t.call('/add-api-token', { user: 'root', groups: 'admin', method: 'POST', body: { ...body, scopes: ['services:read', scope] } });
+        assert.deepEqual(refused, { status: 400, body: { error: `Scope(s) réservé(s) aux tokens personnels: ${scope}` } });
+      }
+
+      const created = await t.call('/add-api-token', { user: 'root', groups: 'admin', method: 'POST', body });
+      assert.equal(created.status, 201);
+      assert.deepEqual(created.body.groups, ['kiosk']);
+    });
+
+    it('révoque un token de son propriétaire', async () => {
+      const { body } = await t.call('/add-api-token', { user: 'erin', method: 'POST', body: { name: 'jetable', scopes: ['services:read'] } });
+      assert.equal((await t.call(`/delete-api-token/${body.id}`, { user: 'dave', method: 'DELETE' })).status, 404);
+      assert.equal((await t.call(`/delete-api-token/${body.id}`, { user: 'erin', method: 'DELETE' })).status, 200);
+      assert.deepEqual(await t.call('/services', { token: body.token }), { status: 401, body: { error: 'Token API invalide' } });
+
+      // Création et révocation sont journalisées, jamais le token en clair
+      const entries = await t.store.audit.list({ resourceType: 'api-token', resourceId: body.id });
+      assert.deepEqual(entries.map((e) => [e.action, e.actor]), [['delete', 'erin'], ['create', 'erin']]);
+      assert.ok(!JSON.stringify(entries).includes(body.token));
+    });
+  });
+});
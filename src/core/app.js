@@ -0,0 +1,183 @@
+/**
+ * Cœur de l'API Home Services, indépendant du runtime.
+ *
+ * Définit les routes, la validation et la logique métier une seule fois ;
+ * le Worker (src/index.js), la Pages Function (functions/api/[[path]].js)
+ * et le serveur Express (server.js) ne sont que des adaptateurs qui
+ * fournissent leurs dépendances à `createApp`.
+ */
+
+import { HttpError, jsonResponse, withCors, logRequest } from './http.js';
+import { checkApiToken, checkAuth } from './auth.js';
+import { DEFAULT_ROLE_MAPPING, requirePermission, withRoles } from './roles.js';
+import { readBearerToken } from './api-tokens.js';
+import { DEFAULT_HEALTH_CONFIG } from './health.js';
+import { DEFAULT_TRASH_RETENTION_DAYS } from './trash.js';
+import serviceRoutes from './routes/services.js';
+import categoryRoutes from './routes/categories.js';
+import trashRoutes from './routes/trash.js';
+import revisionRoutes from './routes/revisions.js';
+import dashboardImportRoutes from './routes/dashboard-import.js';
+import healthRoutes from './routes/health.js';
+import launchRoutes from './routes/launches.js';
+import messageRoutes from './routes/messages.js';
+import favoriteRoutes from './routes/favorites.js';
+import userRoutes from './routes/users.js';
+import imageRoutes from './routes/images.js';
+import apiTokenRoutes from './routes/api-tokens.js';
+import auditRoutes from './routes/audit.js';
+import backupRoutes from './routes/backup.js';
+
+const DEFAULT_CONFIG = {
+  roleMapping: DEFAULT_ROLE_MAPPING,
+  healthCheck: DEFAULT_HEALTH_CONFIG,
+  trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+  basePath: '',
+  corsOrigin: null,
+};
+
+const routes = [
+  ...userRoutes,
+  ...serviceRoutes,
+  ...trashRoutes,
+  ...revisionRoutes,
+  ...dashboardImportRoutes,
+  ...categoryRoutes,
+  ...healthRoutes,
+  ...launchRoutes,
+  ...messageRoutes,
+  ...favoriteRoutes,
+  ...imageRoutes,
+  ...apiTokenRoutes,
+  ...auditRoutes,
+  ...backupRoutes,
+].map(compileRoute);
+
+// Transforme '/update-service/:id' ou '/images/*key' en expression régulière
+function compileRoute(route) {
+  const keys = [];
+  const pattern = route.path
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      if (segment.startsWith('*')) {
+        keys.push(segment.slice(1));
+        return '(.+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { ...route, keys, regex: new RegExp(`^${pattern}$`) };
+}
+
+function matchRoute(method, path) {
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.regex.exec(path);
+    if (!match) continue;
+
+    const params = {};
+    route.keys.forEach((key, i) => {
+      try {
+        params[key] = decodeURIComponent(match[i + 1]);
+      } catch {
+        // Séquence %xx invalide (%E0%A4%A, %zz…)
+        throw new HttpError(400, `Paramètre ${key} mal encodé`);
+      }
+    });
+    return { route, params };
+  }
+  return null;
+}
+
+/**
+ * Crée l'application.
+ *
+ * @param {object} deps
+ * @param {object} deps.store - Store de données (voir src/storage/)
+ * @param {object} deps.images - Stockage des images (voir src/images/)
+ * @param {Function} deps.processImage - Traitement des images uploadées
+ * @param {Function} deps.transformImage - Génération des variantes d'images
+ * @param {string[]} [deps.variantFormats] - Formats produits par transformImage (défaut: VARIANT_FORMATS)
+ * @param {Function} deps.authenticate - (request, platform) => identité | { error, status }
+ * @param {Function} [deps.lookupHost] - (hostname) => Promise<adresses IP>, pour refuser les icônes du réseau local
+ * @param {object} [deps.config] - { roleMapping, healthCheck, trashRetentionDays, basePath, corsOrigin }
+ * @returns {{ handle: (request: Request, platform?: object) => Promise<Response> }}
+ */
+export function createApp(deps) {
+  const config = { ...DEFAULT_CONFIG, ...deps.config };
+  config.healthCheck = { ...DEFAULT_HEALTH_CONFIG, ...deps.config?.healthCheck };
+
+  async function handle(request, platform = {}) {
+    const url = new URL(request.url);
+    const method = request.method;
+    let path = url.pathname;
+    if (config.basePath && path.startsWith(config.basePath)) {
+      path = path.slice(config.basePath.length) || '/';
+    }
+
+    // Gestion CORS preflight
+    if (method === 'OPTIONS') {
+      logRequest(method, path, 204, { info: 'CORS preflight' });
+      return withCors(new Response(null, { status: 204 }), config.corsOrigin);
+    }
+
+    let matched;
+    try {
+      matched = matchRoute(method, path);
+    } catch (error) {
+      logRequest(method, path, error.status, { error: error.message });
+      return withCors(jsonResponse({ error: error.message }, error.status), config.corsOrigin);
+    }
+    if (!matched) {
+      logRequest(method, path, 404);
+      return withCors(jsonResponse({ error: 'Route non trouvée' }, 404), config.corsOrigin);
+    }
+
+    const { route, params } = matched;
+    const ctx = { ...deps, config, request, url, path, params, route, platform, user: null };
+    let response;
+
+    try {
+      if (route.access !== 'public') {
+        // Un token API (Authorization: Bearer hst_…) remplace la session
+        const apiToken = readBearerToken(request);
+        const authResult = apiToken
+          ? await checkApiToken(apiToken, route, deps)
+          : await checkAuth(request, platform, deps);
+        if (authResult.error) {
+          logRequest(method, path, authResult.status, { error: authResult.error });
+          return withCors(jsonResponse({ error: authResult.error }, authResult.status), config.corsOrigin);
+        }
+        ctx.user = withRoles(authResult.userInfo, config.roleMapping);
+
+        if (route.permission) {
+          const permissionCheck = requirePermission(ctx.user, route.permission);
+          if (permissionCheck) {
+            logRequest(method, path, permissionCheck.status, { user: ctx.user.username, error: permissionCheck.error });
+            return withCors(jsonResponse({ error: permissionCheck.error }, permissionCheck.status), config.corsOrigin);
+          }
+        }
+      }
+
+      response = await route.handler(ctx);
+      logRequest(method, path, response.status, { user: ctx.user?.username });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        response = jsonResponse({ error: error.message }, error.status);
+        logRequest(method, path, error.status, { user: ctx.user?.username, error: error.message });
+      } else {
+        response = jsonResponse({ error: route.error }, 500);
+        logRequest(method, path, 500, { user: ctx.user?.username, error });
+      }
+    }
+
+    return withCors(response, config.corsOrigin);
+  }
+
+  return { handle };
+}
@@ -0,0 +1,26 @@
+/**
+ * Routeur de l'application : routes inconnues et paramètres de chemin mal
+ * encodés.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './testing.js';
+
+describe('routeur', () => {
+  let t;
+
+  before(() => {
+    t = createTestApp();
+  });
+  after(() => t.close());
+
+  it('renvoie 404 pour une route inconnue', async () => {
+    assert.deepEqual(await t.call('/inconnue', { user: 'alice' }), { status: 404, body: { error: 'Route non trouvée' } });
+  });
+
+  it('renvoie 400 pour un paramètre de chemin mal encodé', async () => {
+    assert.deepEqual(await t.call('/images/%E0%A4%A.png'), { status: 400, body: { error: 'Paramètre key mal encodé' } });
+    assert.deepEqual(await t.call('/go/%zz', { user: 'alice' }), { status: 400, body: { error: 'Paramètre id mal encodé' } });
+  });
+});
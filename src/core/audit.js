@@ -0,0 +1,80 @@
+/**
+ * Journal d'audit des modifications administratives (services, catégories,
+ * messages, tokens API, images, restaurations de sauvegarde).
+ *
+ * Chaque entrée indique qui a agi, quand, depuis quelle IP, par quelle
+ * route, sur quelle ressource, et les champs modifiés (avant / après).
+ * Le journal est en ajout seul : les stores n'exposent ni modification ni
+ * suppression d'entrées.
+ *
+ * Le journal est tenu au mieux : l'entrée est écrite après la modification,
+ * hors de toute transaction (le store JSON et R2 n'en ont pas), et un échec
+ * d'écriture est signalé dans les logs sans faire échouer la requête. Une
+ * modification peut donc manquer au journal ; une entrée ne décrit jamais
+ * une modification qui n'a pas eu lieu.
+ */
+
+// Champs techniques qui ne sont pas repris dans les différences
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Différence entre deux états d'une ressource : { champ: { before, after } }
+ * pour chaque champ modifié. `before` vaut null pour une création, `after`
+ * pour une suppression.
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (!isEqual(previous, next)) changes[field] = { before: previous, after: next };
+  }
+  return changes;
+}
+
+/**
+ * Enregistre une modification dans le journal, au mieux : un échec
+ * d'écriture est journalisé sans annuler la réponse, la modification ayant
+ * déjà eu lieu. Ne rejette jamais.
+ *
+ * @param {object} ctx - Contexte de la requête (store, user, route, platform)
+ * @param {object} entry - { action, resourceType, resourceId, before, after }
+ */
+export async function recordAudit(ctx, { action, resourceType, resourceId, before = null, after = null }) {
+  try {
+    await ctx.store.audit.record({
+      actor: ctx.user.username,
+      apiTokenId: ctx.user.apiTokenId || null,
+      ip: ctx.platform?.ip || null,
+      route: `${ctx.route.method} ${ctx.route.path}`,
+      action,
+      resourceType,
+      resourceId,
+      changes: diffRecords(before, after),
+    });
+  } catch (error) {
+    console.error(`   ⚠️  Entrée du journal d'audit perdue (${action} ${resourceType} ${resourceId}):`, error);
+  }
+}
+
+// Entrée du journal pour l'API
+export function serializeAuditEntry(entry) {
+  return {
+    id: entry.id,
+    actor: entry.actor,
+    apiTokenId: entry.apiTokenId || null,
+    ip: entry.ip || null,
+    route: entry.route,
+    action: entry.action,
+    resourceType: entry.resourceType,
+    resourceId: entry.resourceId,
+    changes: entry.changes || {},
+    createdAt: entry.createdAt,
+  };
+}
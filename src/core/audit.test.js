@@ -0,0 +1,72 @@
+/**
+ * Journal d'audit : différences avant / après et entrées écrites par les
+ * routes qui modifient services et messages.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRecords } from './audit.js';
+import { createTestApp } from './testing.js';
+
+describe("journal d'audit", () => {
+  describe('diffRecords', () => {
+    it('ne garde que les champs modifiés, sans les champs techniques', () => {
+      const before = { id: 's-1', name: 'Grafana', allowedGroups: ['users'], updatedAt: '2026-01-01' };
+      const after = { id: 's-1', name: 'Grafana', allowedGroups: ['users', 'admin'], updatedAt: '2026-01-02' };
+      assert.deepEqual(diffRecords(before, after), { allowedGroups: { before: ['users'], after: ['users', 'admin'] } });
+    });
+
+    it('compare à null pour une création ou une suppression', () => {
+      assert.deepEqual(diffRecords(null, { id: 'm-1', title: 'Maintenance' }), { title: { before: null, after: 'Maintenance' } });
+      assert.deepEqual(diffRecords({ title: 'Maintenance', content: undefined }, null), { title: { before: 'Maintenance', after: null } });
+    });
+  });
+
+  describe('GET /audit-log', () => {
+    let t;
+    const admin = { user: 'root', groups: 'admin' };
+
+    before(async () => {
+      t = createTestApp();
+      const body = { userId: ['alice', 'bob'], type: 'information', title: 'Maintenance', content: 'Ce soir' };
+      assert.equal((await t.call('/add-message', { ...admin, method: 'POST', body })).status, 201);
+      const [message] = await t.store.messages.list({ userId: 'alice' });
+      await t.call(`/update-message/${message.id}`, { ...admin, method: 'POST', body: { title: 'Maintenance reportée' } });
+    });
+    after(() => t.close());
+
+    it("réserve le journal à la permission view-audit-log", async () => {
+      assert.deepEqual(await t.call('/audit-log', { user: 'alice' }), { status: 403, body: { error: 'Permission requise: view-audit-log' } });
+    });
+
+    it("enregistre l'auteur, la route et les champs modifiés, plus récentes d'abord", async () => {
+      const { status, body } = await t.call('/audit-log?resourceType=message', admin);
+      assert.equal(status, 200);
+      assert.deepEqual(body.map((e) => e.action), ['update', 'create', 'create']);
+
+      const [update] = body;
+      assert.equal(update.actor, 'root');
+      assert.equal(update.route, 'POST /update-message/:id');
+      assert.deepEqual(update.changes.title, { before: 'Maintenance', after: 'Maintenance reportée' });
+    });
+
+    it('filtre et limite les entrées', async () => {
+      assert.equal((await t.call('/audit-log?limit=1', admin)).body.length, 1);
+      assert.deepEqual((await t.call('/audit-log?actor=alice', admin)).body, []);
+      assert.equal((await t.call('/audit-log?limit=0', admin)).status, 400);
+      assert.equal((await t.call('/audit-log?from=hier', admin)).status, 400);
+    });
+
+    it("garde la modification si l'écriture du journal échoue", async (ctx) => {
+      const errors = ctx.mock.method(console, 'error', () => {});
+      ctx.mock.method(t.store.audit, 'record', async () => {
+        throw new Error('disque plein');
+      });
+
+      const body = { userId: ['alice'], type: 'warning', title: 'Panne', content: 'Réseau' };
+      assert.equal((await t.call('/add-message', { ...admin, method: 'POST', body })).status, 201);
+      assert.ok((await t.store.messages.list({ userId: 'alice' })).some((m) => m.title === 'Panne'));
+      assert.ok(errors.mock.calls.some((call) => String(call.arguments[0]).includes("Entrée du journal d'audit perdue (create message")));
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Authentification commune : chaque runtime fournit une fonction
+ * `authenticate(request, platform)` qui renvoie l'identité brute
+ * ({ username, email, displayName, groups }) ou une erreur ; ce module
+ * synchronise l'utilisateur dans le store. Les droits sont appliqués
+ * d'après ses groupes par src/core/roles.js.
+ */
+
+import crypto from 'crypto';
+import { API_TOKEN_GROUPS_MAX_AGE_DAYS, hashApiToken, isExpired, serviceUsername } from './api-tokens.js';
+
+// Intervalle minimal entre deux mises à jour de lastUsedAt d'un token API
+const TOKEN_TOUCH_INTERVAL = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Génère l'URL Gravatar depuis l'email
+export function getGravatarUrl(email) {
+  if (!email) return null;
+  const hash = crypto.createHash('md5').update(email.toLowerCase().trim()).digest('hex');
+  return `https://www.gravatar.com/avatar/${hash}?d=identicon&s=200`;
+}
+
+// Vérifie l'authentification et crée/met à jour l'utilisateur dans le store
+export async function checkAuth(request, platform, { authenticate, store }) {
+  let identity;
+  try {
+    identity = await authenticate(request, platform);
+  } catch (error) {
+    console.error('Erreur d\'authentification:', error);
+    return { error: 'Accès refusé par le fournisseur d\'identité', status: 401 };
+  }
+
+  if (!identity || identity.error) {
+    return { error: identity?.error || 'Non authentifié', status: identity?.status || 401 };
+  }
+
+  const email = identity.email || null;
+  const user = await store.users.upsert(identity.username, {
+    email,
+    displayName: identity.displayName || null,
+    avatarUrl: getGravatarUrl(email),
+    groups: identity.groups || [],
+  });
+
+  return {
+    userInfo: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      groups: user.groups || [],
+    },
+  };
+}
+
+// Authentifie une requête portant un token API (voir src/core/api-tokens.js)
+// et vérifie qu'il possède le scope exigé par la route
+export async function checkApiToken(token, route, { store }) {
+  const apiToken = await store.apiTokens.getByHash(hashApiToken(token));
+  if (!apiToken) {
+    return { error: 'Token API invalide', status: 401 };
+  }
+  if (isExpired(apiToken)) {
+    return { error: 'Token API expiré', status: 401 };
+  }
+
+  if (!route.scope) {
+    return { error: "Cette route n'est pas accessible avec un token API", status: 403 };
+  }
+  if (!apiToken.scopes?.includes(route.scope)) {
+    return { error: `Scope requis: ${route.scope}`, status: 403 };
+  }
+
+  let userInfo;
+  if (apiToken.type === 'service') {
+    // Un token de service agit avec ses propres groupes, sans compte utilisateur
+    const username = serviceUsername(apiToken);
+    userInfo = { id: username, username, email: null, displayName: apiToken.name, avatarUrl: null, groups: apiToken.groups || [] };
+  } else {
+    // Un token personnel agit avec les groupes connus à la dernière connexion de son propriétaire
+    const user = await store.users.get(apiToken.userId);
+    if (!user) {
+      return { error: 'Token API invalide', status: 401 };
+    }
+    // Groupes synchronisés à chaque requête avec session (users.updatedAt) : trop anciens, ils
+    // pourraient encore contenir un groupe retiré chez le fournisseur d'identité
+    const syncedAt = user.updatedAt ? new Date(user.updatedAt).getTime() : 0;
+    if (Date.now() - syncedAt > API_TOKEN_GROUPS_MAX_AGE_DAYS * DAY) {
+      return { error: `Token API suspendu: son propriétaire ne s'est pas connecté depuis ${API_TOKEN_GROUPS_MAX_AGE_DAYS} jours`, status: 401 };
+    }
+    userInfo = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      groups: user.groups || [],
+    };
+  }
+
+  const lastUsedAt = apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsedAt > TOKEN_TOUCH_INTERVAL) {
+    await store.apiTokens.update(apiToken.id, { lastUsedAt: new Date() }).catch((error) => {
+      console.error('Erreur mise à jour lastUsedAt du token API:', error);
+    });
+  }
+
+  return { userInfo: { ...userInfo, apiTokenId: apiToken.id } };
+}
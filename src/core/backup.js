@@ -0,0 +1,453 @@
+/**
+ * Sauvegarde et restauration complètes : utilisateurs, catégories, services
+ * (corbeille comprise), révisions, messages, favoris, tokens API, ouvertures,
+ * journal d'audit et images, dans une seule archive.
+ *
+ * L'archive est un fichier JSON par lignes compressé en gzip, indépendant du
+ * store : une sauvegarde des fichiers data/*.json se restaure dans SQLite ou
+ * PostgreSQL, et une sauvegarde d'un serveur Express dans le Worker (images
+ * de uploads/ vers R2). Elle est écrite et lue en flux, image par image. Ne
+ * dépend que des API Web standard (streams, CompressionStream, btoa).
+ *
+ * Utilisé par les routes /export-backup et /import-backup et par
+ * scripts/backup.js.
+ */
+
+import { HttpError } from './http.js';
+import { safeImageKey } from './image-variants.js';
+import { readImageInfo } from '../images/metadata.js';
+import { SVG_CONTENT_TYPE, isSvg, processSvgImage } from '../images/svg.js';
+
+export const BACKUP_FORMAT = 'home-services-backup';
+export const BACKUP_VERSION = 2;
+
+// skip : garde l'existant (fusion), replace : écrase, remap : importe sous un nouvel id
+export const CONFLICT_STRATEGIES = ['skip', 'replace', 'remap'];
+
+// Ordre d'import : chaque collection ne référence que des collections déjà importées
+export const BACKUP_COLLECTIONS = ['users', 'categories', 'services', 'revisions', 'messages', 'favorites', 'apiTokens', 'launches', 'audit'];
+
+// Champs repris de chaque collection (ceux du schéma Prisma)
+const FIELDS = {
+  users: ['id', 'username', 'email', 'displayName', 'avatarUrl', 'groups', 'createdAt', 'updatedAt'],
+  categories: ['id', 'name', 'icon', 'position', 'createdAt', 'updatedAt'],
+  services: [
+    'id', 'name', 'redirectUrl', 'allowedGroups', 'allowedUsers', 'deniedUsers', 'deniedGroups', 'categoryId', 'position',
+    'healthCheck', 'imagePath', 'originalWidth', 'originalHeight', 'resizedHeight', 'resizedWidth', 'deletedAt', 'deletedBy',
+    'createdAt', 'updatedAt',
+  ],
+  revisions: ['id', 'serviceId', 'number', 'action', 'author', 'rolledBackTo', 'snapshot', 'imagePath', 'createdAt'],
+  messages: ['id', 'userId', 'type', 'title', 'content', 'dismissed', 'createdAt'],
+  favorites: ['id', 'url', 'title', 'userId', 'createdAt'],
+  apiTokens: ['id', 'userId', 'name', 'type', 'tokenHash', 'prefix', 'scopes', 'groups', 'expiresAt', 'lastUsedAt', 'createdAt'],
+  launches: ['id', 'serviceId', 'userId', 'groups', 'userAgent', 'launchedAt'],
+  audit: ['id', 'actor', 'apiTokenId', 'ip', 'route', 'action', 'resourceType', 'resourceId', 'changes', 'createdAt'],
+};
+
+// Valeurs des champs obligatoires absents des anciennes données
+const DEFAULTS = {
+  users: { groups: [] },
+  categories: { position: 0 },
+  services: { allowedGroups: [], allowedUsers: [], deniedUsers: [], deniedGroups: [], position: 0, resizedHeight: 50 },
+  messages: { dismissed: false },
+  apiTokens: { type: 'personal', scopes: [], groups: [] },
+  launches: { groups: [] },
+  audit: { changes: {} },
+};
+
+// Collections en ajout seul : un enregistrement existant n'est jamais écrasé
+const APPEND_ONLY = ['launches', 'audit'];
+
+// Collections identifiées par une clé métier (username, utilisateur + URL) plutôt que par leur id
+const NATURAL_KEYS = ['users', 'favorites'];
+
+// Images générées à la demande, recréées depuis les originaux
+const VARIANTS_PREFIX = 'images/variants/';
+const ORIGINALS_PREFIX = 'images/originals/';
+
+function keyOf(collection, record) {
+  if (collection === 'users') return record.username;
+  if (collection === 'favorites') return `${record.userId}\n${record.url}`;
+  return record.id;
+}
+
+// Autre contrainte d'unicité des tables, vérifiée avant l'écriture
+function uniqueKeyOf(collection, record) {
+  if (collection === 'apiTokens') return record.tokenHash;
+  if (collection === 'revisions') return `${record.serviceId}\n${record.number}`;
+  return null;
+}
+
+function emptyStats(total) {
+  return { total, created: 0, replaced: 0, remapped: 0, skipped: 0 };
+}
+
+// Enregistrement réduit aux champs connus, avec les valeurs par défaut
+function normalizeRecord(collection, raw) {
+  const record = { ...DEFAULTS[collection] };
+  for (const field of FIELDS[collection]) {
+    if (raw[field] !== undefined && raw[field] !== null) record[field] = raw[field];
+    else if (!(field in record)) record[field] = null;
+  }
+
+  // Les utilisateurs du store JSON ont leur username pour id
+  record.id ??= collection === 'users' ? record.username : crypto.randomUUID();
+  if (FIELDS[collection].includes('createdAt')) record.createdAt ??= new Date().toISOString();
+  if (FIELDS[collection].includes('updatedAt')) record.updatedAt ??= record.createdAt;
+  return record;
+}
+
+// Collection des ressources du journal d'audit dont l'id peut être réattribué
+const AUDIT_RESOURCES = { service: 'services', message: 'messages', category: 'categories' };
+
+/**
+ * Réécrit les références d'un enregistrement vers les ids du store cible
+ * (ids réattribués, utilisateurs). Renvoie null si l'enregistrement
+ * référence un service ou un utilisateur absent.
+ */
+function linkRecord(collection, record, { idMaps, knownIds, userIds }) {
+  const mapId = (target, id) => idMaps[target].get(id) ?? id;
+
+  if (collection === 'services' && record.categoryId) {
+    record.categoryId = mapId('categories', record.categoryId);
+    if (!knownIds.categories.has(record.categoryId)) record.categoryId = null;
+  }
+  if (collection === 'revisions' || collection === 'launches') {
+    record.serviceId = mapId('services', record.serviceId);
+    if (!knownIds.services.has(record.serviceId)) return null;
+  }
+  if (collection === 'favorites') {
+    record.userId = userIds.get(record.userId);
+    if (!record.userId) return null;
+  }
+  if (collection === 'audit' && AUDIT_RESOURCES[record.resourceType]) {
+    record.resourceId = mapId(AUDIT_RESOURCES[record.resourceType], record.resourceId);
+  }
+  return record;
+}
+
+// Lit toutes les données du store, dans la forme de l'archive
+async function readCollections(store) {
+  const users = await store.users.list();
+  const services = [...(await store.services.list()), ...(await store.services.listTrash())];
+
+  const revisions = [];
+  for (const service of services) {
+    revisions.push(...(await store.revisions.list(service.id)).reverse());
+  }
+  const favorites = [];
+  for (const user of users) {
+    favorites.push(...(await store.favorites.list(user.id)));
+  }
+
+  return {
+    users,
+    categories: await store.categories.list(),
+    services,
+    revisions,
+    messages: await store.messages.list(),
+    favorites,
+    apiTokens: await store.apiTokens.list(),
+    launches: await store.launches.list(),
+    // Plus anciennes d'abord, dans l'ordre d'écriture du journal
+    audit: (await store.audit.list()).reverse(),
+  };
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Construit l'archive de sauvegarde, en flux : une première ligne JSON avec
+ * tous les enregistrements, puis une ligne par image du stockage (uploads/
+ * ou R2, sauf les variantes), lue au fil de l'envoi et compressée en gzip.
+ * Une seule image est en mémoire à la fois, ce qui garde l'export dans les
+ * limites d'un Worker.
+ *
+ * @param {object} deps - { store, images }
+ * @returns {Promise<{ header: object, stream: ReadableStream<Uint8Array> }>}
+ */
+export async function createBackup({ store, images }) {
+  const collections = await readCollections(store);
+  const keys = (await images.list('images/')).filter((key) => !key.startsWith(VARIANTS_PREFIX));
+
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    // Passage par JSON : les dates Prisma deviennent des chaînes ISO comme dans les autres stores
+    collections: JSON.parse(JSON.stringify(collections)),
+    imageCount: keys.length,
+  };
+
+  const encoder = new TextEncoder();
+  let next = -1;
+  const lines = new ReadableStream({
+    async pull(controller) {
+      if (next === -1) {
+        next = 0;
+        return controller.enqueue(encoder.encode(`${JSON.stringify(header)}\n`));
+      }
+      while (next < keys.length) {
+        const key = keys[next++];
+        const object = await images.get(key);
+        if (!object) continue;
+        const bytes = new Uint8Array(await new Response(object.body).arrayBuffer());
+        const entry = { key, contentType: object.contentType || null, data: toBase64(bytes) };
+        return controller.enqueue(encoder.encode(`${JSON.stringify(entry)}\n`));
+      }
+      controller.close();
+    },
+  });
+
+  return { header, stream: lines.pipeThrough(new CompressionStream('gzip')) };
+}
+
+// Décompresse le flux s'il commence par l'en-tête gzip (archive .json.gz), sinon le renvoie tel quel
+async function decompressed(body) {
+  const reader = body.getReader();
+  const first = await reader.read();
+  if (first.done) {
+    throw new HttpError(400, 'Archive de sauvegarde manquante');
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+  const gzipped = first.value[0] === 0x1f && first.value[1] === 0x8b;
+  return gzipped ? stream.pipeThrough(new DecompressionStream('gzip')) : stream;
+}
+
+// Lignes d'un flux de texte, sans garder plus d'une ligne en mémoire
+async function* readLines(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let searchFrom = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let newline;
+    while ((newline = buffer.indexOf('\n', searchFrom)) !== -1) {
+      yield buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      searchFrom = 0;
+    }
+    searchFrom = buffer.length;
+  }
+  if (buffer) yield buffer;
+}
+
+// Ligne JSON de l'archive ; une erreur de décompression ou de syntaxe devient une 400
+async function readEntry(lines) {
+  try {
+    const { done, value } = await lines.next();
+    return done ? null : JSON.parse(value);
+  } catch {
+    throw new HttpError(400, 'Archive de sauvegarde illisible');
+  }
+}
+
+/**
+ * Lit une archive, compressée ou non, et vérifie son format. Les images
+ * sont renvoyées sous forme d'itérateur asynchrone, lu au fil de l'import.
+ * Une archive de version 1 (un seul document JSON, images comprises) est
+ * lue entièrement en mémoire.
+ *
+ * @param {ReadableStream<Uint8Array>} body - Corps de la requête ou fichier
+ */
+export async function decodeBackup(body) {
+  const lines = readLines(await decompressed(body));
+  const header = await readEntry(lines);
+
+  if (header?.format !== BACKUP_FORMAT || typeof header.collections !== 'object' || header.collections === null) {
+    throw new HttpError(400, "Ce fichier n'est pas une sauvegarde home-services");
+  }
+  if (header.version > BACKUP_VERSION) {
+    throw new HttpError(400, `Version de sauvegarde non prise en charge: ${header.version}`);
+  }
+
+  const legacyImages = Array.isArray(header.images) ? header.images : [];
+  async function* images() {
+    yield* legacyImages;
+    for (let entry = await readEntry(lines); entry !== null; entry = await readEntry(lines)) {
+      yield entry;
+    }
+  }
+  return { ...header, images: images() };
+}
+
+/**
+ * Contenu et type d'une image de l'archive, déduits de ses octets et jamais
+ * repris de l'archive : un SVG est nettoyé de nouveau, un fichier qui n'est
+ * pas une image est refusé (null). Les originaux ne sont jamais servis ; un
+ * format non reconnu (AVIF, TIFF…) y est gardé en application/octet-stream.
+ */
+function readArchivedImage(key, bytes) {
+  if (isSvg(bytes)) {
+    try {
+      return { bytes: processSvgImage(bytes).buffer, contentType: SVG_CONTENT_TYPE };
+    } catch {
+      return null;
+    }
+  }
+  const contentType = readImageInfo(bytes)?.contentType;
+  if (contentType) return { bytes, contentType };
+  return key.startsWith(ORIGINALS_PREFIX) ? { bytes, contentType: 'application/octet-stream' } : null;
+}
+
+// Écrit les images absentes du stockage ; les images déjà présentes sont gardées
+async function importImages(images, entries, dryRun) {
+  const stats = { total: 0, written: 0, skipped: 0, invalid: 0 };
+  const existing = new Set(await images.list('images/'));
+
+  for await (const entry of entries) {
+    stats.total += 1;
+    const key = safeImageKey(entry?.key);
+    if (key && (existing.has(key) || key.startsWith(VARIANTS_PREFIX))) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    let image = null;
+    try {
+      image = key && typeof entry.data === 'string' ? readArchivedImage(key, fromBase64(entry.data)) : null;
+    } catch {
+      // base64 invalide
+    }
+    if (!image) {
+      console.log(`   Image ignorée: ${String(entry?.key).slice(0, 120)}`);
+      stats.invalid += 1;
+      continue;
+    }
+
+    if (!dryRun) await images.put(key, image.bytes, { contentType: image.contentType });
+    existing.add(key);
+    stats.written += 1;
+  }
+  return stats;
+}
+
+/**
+ * Importe une archive dans le store et le stockage d'images.
+ *
+ * Un enregistrement absent du store est créé. En cas de conflit (même id,
+ * même username, même favori), `conflicts` décide : skip garde l'existant,
+ * replace l'écrase, remap l'importe sous un nouvel id en réécrivant les
+ * références (catégorie d'un service, service des révisions, des ouvertures
+ * et du journal). Utilisateurs et favoris ne sont jamais dupliqués, ouvertures
+ * et journal jamais écrasés. Avec dryRun, rien n'est écrit : le rapport
+ * indique ce que l'import ferait.
+ *
+ * @param {object} deps - { store, images }
+ * @param {object} archive - Archive lue par decodeBackup
+ * @param {object} [options] - { dryRun, conflicts }
+ * @returns {Promise<object>} Rapport par collection (created, replaced, remapped, skipped) et pour les images
+ */
+export async function importBackup({ store, images }, archive, { dryRun = false, conflicts = 'skip' } = {}) {
+  if (!CONFLICT_STRATEGIES.includes(conflicts)) {
+    throw new HttpError(400, `conflicts doit être: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  const existing = await readCollections(store);
+  const report = {
+    dryRun,
+    conflicts,
+    exportedAt: archive.exportedAt || null,
+    collections: {},
+    // Images d'abord : les services importés doivent trouver leur icône
+    images: await importImages(images, archive.images, dryRun),
+  };
+
+  const idMaps = {};
+  const knownIds = {};
+  // Id d'utilisateur dans l'archive → id dans le store cible (les favoris y font référence)
+  const userIds = new Map();
+
+  for (const collection of BACKUP_COLLECTIONS) {
+    const records = archive.collections[collection] || [];
+    const stats = emptyStats(records.length);
+    const current = new Map(existing[collection].map((r) => [keyOf(collection, r), r]));
+    const uniqueKeys = new Map(existing[collection].map((r) => [uniqueKeyOf(collection, r), r.id]));
+    idMaps[collection] = new Map();
+    knownIds[collection] = new Set(existing[collection].map((r) => r.id));
+
+    const toWrite = [];
+    for (const raw of records) {
+      const record = linkRecord(collection, normalizeRecord(collection, raw), { idMaps, knownIds, userIds });
+      const previous = record && current.get(keyOf(collection, record));
+
+      let outcome = 'created';
+      if (!record) {
+        outcome = 'skipped';
+      } else if (previous) {
+        if (conflicts === 'replace' && !APPEND_ONLY.includes(collection)) {
+          outcome = 'replaced';
+          record.id = previous.id;
+        } else if (conflicts === 'remap' && !NATURAL_KEYS.includes(collection)) {
+          outcome = 'remapped';
+          const id = crypto.randomUUID();
+          idMaps[collection].set(record.id, id);
+          record.id = id;
+        } else {
+          outcome = 'skipped';
+        }
+      } else if (NATURAL_KEYS.includes(collection) && knownIds[collection].has(record.id)) {
+        // Id déjà pris par un autre utilisateur ou favori du store cible
+        record.id = crypto.randomUUID();
+      }
+
+      const uniqueKey = record && uniqueKeyOf(collection, record);
+      if (outcome !== 'skipped' && uniqueKey !== null && uniqueKeys.has(uniqueKey) && uniqueKeys.get(uniqueKey) !== record.id) {
+        outcome = 'skipped';
+      }
+
+      if (collection === 'users' && record) {
+        userIds.set(raw.id ?? raw.username, outcome === 'skipped' ? previous.id : record.id);
+      }
+
+      stats[outcome] += 1;
+      if (outcome === 'skipped') continue;
+
+      current.set(keyOf(collection, record), record);
+      knownIds[collection].add(record.id);
+      if (uniqueKey !== null) uniqueKeys.set(uniqueKey, record.id);
+      toWrite.push(record);
+    }
+
+    if (!dryRun && toWrite.length) {
+      await store.backup.importRecords(collection, toWrite);
+    }
+    if (collection === 'users' && !dryRun) {
+      // Le store JSON identifie les utilisateurs par leur username, quel que soit l'id importé
+      const byUsername = new Map((await store.users.list()).map((u) => [u.username, u.id]));
+      for (const raw of records) userIds.set(raw.id ?? raw.username, byUsername.get(raw.username));
+    }
+
+    report.collections[collection] = stats;
+  }
+
+  return report;
+}
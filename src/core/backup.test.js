@@ -0,0 +1,173 @@
+/**
+ * Sauvegarde et restauration : archive en flux, import dans un store vide,
+ * réattribution des ids (remap), images de l'archive vérifiées et routes
+ * d'export et d'import.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { BACKUP_FORMAT, BACKUP_VERSION, createBackup, decodeBackup, importBackup } from './backup.js';
+import { PNG, createTestApp } from './testing.js';
+
+const base64 = (value) => Buffer.from(value).toString('base64');
+// Corps de requête lu en flux par decodeBackup
+const bodyOf = (bytes) => new Response(bytes).body;
+
+describe('sauvegarde', () => {
+  const apps = [];
+  let source;
+  let archive;
+  let ids;
+
+  function open() {
+    const t = createTestApp();
+    apps.push(t);
+    return t;
+  }
+
+  before(async () => {
+    source = open();
+    const { store, images } = source;
+
+    await images.put('images/a.png', PNG, { contentType: 'image/png' });
+    await images.put('images/originals/a.png', PNG, { contentType: 'image/png' });
+    await images.put('images/variants/a.png/w32.png', PNG, { contentType: 'image/png' });
+
+    const alice = await store.users.upsert('alice', { email: 'alice@example.com', groups: ['users'] });
+    await store.favorites.create(alice.id, { id: 'f-1', url: 'https://docs.example', title: 'Docs' });
+    const category = await store.categories.create({ name: 'Média', icon: null, position: 0 });
+    const service = await store.services.create({
+      name: 'Jellyfin', redirectUrl: 'https://jellyfin.example', allowedGroups: ['users'], categoryId: category.id, position: 0, imagePath: 'images/a.png',
+    });
+    await store.revisions.create(service.id, { action: 'create', author: 'alice', snapshot: { name: 'Jellyfin' }, imagePath: 'images/a.png' });
+    await store.launches.record({ serviceId: service.id, userId: 'alice', groups: ['users'], userAgent: null });
+    await store.audit.record({ actor: 'alice', apiTokenId: null, ip: null, route: 'POST /add-service', action: 'create', resourceType: 'service', resourceId: service.id, changes: {} });
+    ids = { category: category.id, service: service.id };
+
+    const { header, stream } = await createBackup(source);
+    assert.equal(header.imageCount, 2);
+    archive = new Uint8Array(await new Response(stream).arrayBuffer());
+  });
+  after(() => apps.forEach((t) => t.close()));
+
+  it('écrit une archive gzip : en-tête puis une ligne par image, sans les variantes', async () => {
+    assert.deepEqual([archive[0], archive[1]], [0x1f, 0x8b]);
+    const text = await new Response(new Response(archive).body.pipeThrough(new DecompressionStream('gzip'))).text();
+    const [header, ...images] = text.trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(header.format, BACKUP_FORMAT);
+    assert.equal(header.version, BACKUP_VERSION);
+    assert.equal(header.collections.services[0].id, ids.service);
+    assert.deepEqual(images.map((i) => i.key).sort(), ['images/a.png', 'images/originals/a.png']);
+  });
+
+  it('restaure tout dans une installation vide, sans rien écrire en simulation', async () => {
+    const target = open();
+    const simulated = await importBackup(target, await decodeBackup(bodyOf(archive)), { dryRun: true });
+    assert.deepEqual(simulated.images, { total: 2, written: 2, skipped: 0, invalid: 0 });
+    assert.deepEqual(await target.store.services.list(), []);
+    assert.deepEqual(await target.images.list('images/'), []);
+
+    const report = await importBackup(target, await decodeBackup(bodyOf(archive)));
+    assert.equal(report.collections.services.created, 1);
+    assert.equal(report.collections.favorites.created, 1);
+    assert.deepEqual((await target.images.list('images/')).sort(), ['images/a.png', 'images/originals/a.png']);
+
+    const [service] = await target.store.services.list();
+    assert.equal(service.id, ids.service);
+    assert.equal(service.categoryId, ids.category);
+    assert.equal(await target.store.revisions.count(ids.service), 1);
+
+    // Un second import ne duplique rien
+    const again = await importBackup(target, await decodeBackup(bodyOf(archive)));
+    assert.equal(again.collections.services.skipped, 1);
+    assert.deepEqual(again.images, { total: 2, written: 0, skipped: 2, invalid: 0 });
+  });
+
+  it('réattribue les ids avec remap, en réécrivant les références', async () => {
+    const { store } = source;
+    const report = await importBackup(source, await decodeBackup(bodyOf(archive)), { conflicts: 'remap' });
+    assert.equal(report.collections.services.remapped, 1);
+    assert.equal(report.collections.categories.remapped, 1);
+    // Utilisateurs et favoris sont reconnus par leur clé métier et jamais dupliqués
+    assert.equal(report.collections.users.skipped, 1);
+    assert.equal(report.collections.favorites.skipped, 1);
+
+    const copy = (await store.services.list()).find((s) => s.id !== ids.service);
+    assert.ok(copy.categoryId && copy.categoryId !== ids.category);
+    assert.equal((await store.categories.get(copy.categoryId)).name, 'Média');
+    assert.equal(await store.revisions.count(copy.id), 1);
+    assert.equal((await store.launches.list({ serviceId: copy.id })).length, 1);
+    assert.equal((await store.audit.list({ resourceId: copy.id })).length, 1);
+  });
+
+  it("vérifie les clés et le contenu des images de l'archive", async () => {
+    const target = open();
+    const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), collections: {} };
+    const lines = [
+      header,
+      { key: 'images/../evil.png', contentType: 'image/png', data: base64(PNG) },
+      { key: 'images/sub\\evil.png', contentType: 'image/png', data: base64(PNG) },
+      { key: 'config/evil.png', contentType: 'image/png', data: base64(PNG) },
+      { key: 'images/page.png', contentType: 'image/png', data: base64('<html><script>alert(1)</script></html>') },
+      { key: 'images/icon.svg', contentType: 'text/html', data: base64('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script><rect width="1" height="1"/></svg>') },
+      { key: 'uploads/legacy.png', contentType: 'text/html', data: base64(PNG) },
+      { key: 'images/originals/raw.bin', contentType: 'image/png', data: base64('inconnu') },
+    ];
+    const text = lines.map((line) => JSON.stringify(line)).join('\n');
+
+    const report = await importBackup(target, await decodeBackup(bodyOf(text)));
+    assert.deepEqual(report.images, { total: 7, written: 3, skipped: 0, invalid: 4 });
+    assert.deepEqual((await target.images.list('images/')).sort(), ['images/icon.svg', 'images/legacy.png', 'images/originals/raw.bin']);
+
+    const svg = await target.images.get('images/icon.svg');
+    assert.equal(svg.contentType, 'image/svg+xml');
+    assert.doesNotMatch(await new Response(svg.body).text(), /script/);
+    assert.equal((await target.images.get('images/legacy.png')).contentType, 'image/png');
+    assert.ok(!fs.existsSync(path.join(target.dir, 'evil.png')));
+  });
+
+  it('lit encore les archives de la première version', async () => {
+    const target = open();
+    const v1 = { format: BACKUP_FORMAT, version: 1, exportedAt: 'x', collections: {}, images: [{ key: 'images/v1.png', contentType: 'image/png', data: base64(PNG) }] };
+    const report = await importBackup(target, await decodeBackup(bodyOf(JSON.stringify(v1))));
+    assert.deepEqual(report.images, { total: 1, written: 1, skipped: 0, invalid: 0 });
+  });
+
+  it('refuse une archive vide, illisible ou étrangère', async () => {
+    await assert.rejects(decodeBackup(bodyOf(new Uint8Array())), { status: 400, message: 'Archive de sauvegarde manquante' });
+    await assert.rejects(decodeBackup(bodyOf('pas du json')), { status: 400, message: 'Archive de sauvegarde illisible' });
+    await assert.rejects(decodeBackup(bodyOf(archive.subarray(0, 40))), { status: 400, message: 'Archive de sauvegarde illisible' });
+    await assert.rejects(decodeBackup(bodyOf('{"format":"autre"}')), { status: 400, message: "Ce fichier n'est pas une sauvegarde home-services" });
+    await assert.rejects(decodeBackup(bodyOf(JSON.stringify({ format: BACKUP_FORMAT, version: 99, collections: {} }))), {
+      status: 400,
+      message: 'Version de sauvegarde non prise en charge: 99',
+    });
+  });
+
+  it("exporte et importe par l'API, avec la permission manage-backups", async () => {
+    const admin = { user: 'root', groups: 'admin' };
+    assert.equal((await source.request('/export-backup', { user: 'alice' })).status, 403);
+
+    const exported = await source.request('/export-backup', admin);
+    assert.equal(exported.headers.get('Content-Type'), 'application/gzip');
+    const body = new Uint8Array(await exported.arrayBuffer());
+
+    const target = open();
+    const dryRun = await target.call('/import-backup?dryRun=true', { ...admin, method: 'POST', body });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.collections.services.created, 2);
+    assert.deepEqual(await target.store.services.list(), []);
+
+    assert.equal((await target.call('/import-backup', { ...admin, method: 'POST', body })).status, 200);
+    assert.equal((await target.store.services.list()).length, 2);
+    const [entry] = await target.store.audit.list({ resourceType: 'backup' });
+    assert.equal(entry.action, 'import');
+
+    assert.deepEqual(await target.call('/import-backup', { ...admin, method: 'POST', body: new Uint8Array() }), {
+      status: 400,
+      body: { error: 'Archive de sauvegarde manquante' },
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Import des tuiles d'autres tableaux de bord homelab : Homer (config.yml),
+ * Dashy (conf.yml), gethomepage (services.yaml) et Heimdall (export JSON des
+ * applications). La configuration, YAML ou JSON, est convertie en entrées
+ * { name, redirectUrl, category, icon, règles d'accès } ; les groupes et
+ * sections du tableau de bord deviennent des catégories.
+ *
+ * Ce module ne fait aucun accès réseau : il indique seulement d'où viendrait
+ * l'icône (voir iconSourceFor). Utilisé par la route /import-dashboard.
+ */
+
+import { load } from 'js-yaml';
+import { HttpError } from './http.js';
+
+export const DASHBOARD_FORMATS = ['homer', 'dashy', 'homepage', 'heimdall'];
+
+// Icônes par nom de gethomepage (sonarr.png) et de Dashy (hl-sonarr)
+const DASHBOARD_ICONS_URL = 'https://cdn.jsdelivr.net/gh/walkxcode/dashboard-icons';
+
+const IMAGE_PATH = /\.(png|jpe?g|gif|webp|avif|svg|ico)$/i;
+
+// Nœuds (objets, listes, valeurs) d'une configuration, ancres YAML développées.
+// Un alias réutilise le même objet : quelques lignes d'ancres imbriquées
+// suffisent à produire des milliards de nœuds à parcourir.
+const MAX_NODES = 50000;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+}
+
+function asText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+function asList(value) {
+  return [...new Set(asArray(value).map(asText).filter(Boolean))];
+}
+
+// Règles d'affichage de Dashy (displayData), sur l'élément ou sa section
+function dashyAccess(displayData) {
+  if (!isObject(displayData)) return {};
+  return {
+    allowedUsers: asList(displayData.showForUsers).map((u) => u.toLowerCase()),
+    deniedUsers: asList(displayData.hideForUsers).map((u) => u.toLowerCase()),
+    allowedGroups: asList(displayData.showForKeycloakUsers?.groups),
+    deniedGroups: asList(displayData.hideForKeycloakUsers?.groups),
+  };
+}
+
+// Homer : services: [{ name, icon, items: [{ name, url, logo }] }]
+function parseHomer(config) {
+  return config.services.filter(isObject).flatMap((group) =>
+    asArray(group.items)
+      .filter(isObject)
+      .map((item) => ({ name: item.name, redirectUrl: item.url, category: group.name, categoryIcon: group.icon, icon: item.logo }))
+  );
+}
+
+// Dashy : sections: [{ name, icon, displayData, items: [{ title, url, icon, displayData }] }]
+function parseDashy(config) {
+  return config.sections.filter(isObject).flatMap((section) =>
+    asArray(section.items)
+      .filter(isObject)
+      .map((item) => ({
+        name: item.title,
+        redirectUrl: item.url,
+        category: section.name,
+        categoryIcon: section.icon,
+        icon: item.icon,
+        access: dashyAccess(item.displayData ?? section.displayData),
+      }))
+  );
+}
+
+// gethomepage : [{ Groupe: [{ Service: { href, icon } }] }], les groupes pouvant être imbriqués
+function parseHomepage(config) {
+  const entries = [];
+  for (const group of config.filter(isObject)) {
+    for (const [category, items] of Object.entries(group)) {
+      for (const item of asArray(items).filter(isObject)) {
+        for (const [name, settings] of Object.entries(item)) {
+          if (Array.isArray(settings)) {
+            entries.push(...parseHomepage([{ [name]: settings }]));
+          } else if (isObject(settings)) {
+            entries.push({ name, redirectUrl: settings.href, category, icon: settings.icon });
+          }
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+// Heimdall : [{ title, url, icon, tags }] ; les éléments de type 1 sont des tags, pas des applications
+function parseHeimdall(config) {
+  const items = Array.isArray(config) ? config : config.items;
+  return items
+    .filter((item) => isObject(item) && Number(item.type || 0) !== 1)
+    .map((item) => ({
+      name: item.title,
+      redirectUrl: item.url ?? item.link,
+      category: asList(item.tags)[0] || null,
+      icon: item.icon,
+    }));
+}
+
+// Vrai si la configuration compte plus de max nœuds, un nœud atteint par
+// plusieurs alias comptant à chaque fois. S'arrête dès le seuil dépassé.
+function exceedsNodes(config, max) {
+  const stack = [config];
+  let count = 1;
+  while (stack.length) {
+    const node = stack.pop();
+    if (node === null || typeof node !== 'object') continue;
+    const children = Object.values(node);
+    count += children.length;
+    if (count > max) return true;
+    for (const child of children) stack.push(child);
+  }
+  return false;
+}
+
+// Structure attendue de chaque format, dans l'ordre de détection
+const FORMATS = {
+  dashy: { matches: (config) => isObject(config) && Array.isArray(config.sections), parse: parseDashy },
+  homer: { matches: (config) => isObject(config) && Array.isArray(config.services), parse: parseHomer },
+  heimdall: {
+    matches: (config) =>
+      (isObject(config) && Array.isArray(config.items)) ||
+      (Array.isArray(config) && config.length > 0 && config.every((item) => isObject(item) && 'title' in item)),
+    parse: parseHeimdall,
+  },
+  homepage: {
+    matches: (config) =>
+      Array.isArray(config) && config.length > 0 && config.every((group) => isObject(group) && Object.values(group).every(Array.isArray)),
+    parse: parseHomepage,
+  },
+};
+
+/**
+ * Lit une configuration de tableau de bord.
+ *
+ * @param {string} text - Configuration YAML ou JSON
+ * @param {string} [format] - homer, dashy, homepage, heimdall ou auto (détection)
+ * @returns {{ format: string, entries: Array<object> }}
+ */
+export function parseDashboardConfig(text, format = 'auto') {
+  if (format !== 'auto' && !DASHBOARD_FORMATS.includes(format)) {
+    throw new HttpError(400, `format doit être: auto, ${DASHBOARD_FORMATS.join(', ')}`);
+  }
+
+  let config;
+  try {
+    config = load(text);
+  } catch (error) {
+    throw new HttpError(400, `Configuration illisible: ${error.reason || error.message}`);
+  }
+  if (exceedsNodes(config, MAX_NODES)) {
+    throw new HttpError(400, `Configuration trop volumineuse une fois les ancres YAML développées (plus de ${MAX_NODES} éléments)`);
+  }
+
+  const detected = format === 'auto' ? Object.keys(FORMATS).find((name) => FORMATS[name].matches(config)) : format;
+  if (!detected) {
+    throw new HttpError(400, `Format de configuration non reconnu (${DASHBOARD_FORMATS.join(', ')})`);
+  }
+  if (!FORMATS[detected].matches(config)) {
+    throw new HttpError(400, `Ce fichier n'est pas une configuration ${detected}`);
+  }
+
+  const entries = FORMATS[detected].parse(config).map((entry) => ({
+    name: asText(entry.name),
+    redirectUrl: asText(entry.redirectUrl),
+    category: asText(entry.category) || null,
+    categoryIcon: asText(entry.categoryIcon) || null,
+    icon: asText(entry.icon) || null,
+    access: entry.access || {},
+  }));
+  return { format: detected, entries };
+}
+
+// Emplacement d'un fichier d'icône local sur le tableau de bord
+function localIconPath(icon, format) {
+  if (icon.startsWith('/')) return icon;
+  if (format === 'heimdall') return `storage/${icon}`;
+  if (format === 'dashy' && !icon.includes('/')) return `item-icons/${icon}`;
+  return icon;
+}
+
+function dashboardIconUrl(name) {
+  const [, base, extension = 'png'] = /^(.+?)(?:\.(png|svg|webp))?$/i.exec(name);
+  return `${DASHBOARD_ICONS_URL}/${extension.toLowerCase()}/${base.toLowerCase()}.${extension.toLowerCase()}`;
+}
+
+/**
+ * Adresse de l'icône d'une entrée : URL, data: URI, icône par nom
+ * (dashboard-icons) ou fichier local du tableau de bord résolu depuis
+ * baseUrl. Null pour les icônes de police (Font Awesome, Material, Simple
+ * Icons) ou un fichier local sans baseUrl : l'icône sera alors récupérée
+ * sur le site du service.
+ */
+export function iconSourceFor(icon, format, baseUrl) {
+  if (!icon) return null;
+  if (/^data:/i.test(icon) || /^https?:\/\//i.test(icon)) return icon;
+  if (format === 'dashy' && /^hl-/i.test(icon)) return dashboardIconUrl(icon.slice(3));
+  if (format === 'homepage' && /^[\w-]+(\.(png|svg|webp))?$/i.test(icon) && !/^(mdi|si|sh)-/i.test(icon)) {
+    return dashboardIconUrl(icon);
+  }
+  if (!IMAGE_PATH.test(icon) || !baseUrl) return null;
+
+  try {
+    const url = new URL(localIconPath(icon, format), baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Fichier d'une icône en data: URI, dans la forme des images uploadées. Le
+// type déclaré est ignoré : storeImage le déduit des octets.
+export function readDataUrl(url) {
+  const match = /^data:[^;,]+(?:;[^;,]+)*?(;base64)?,(.*)$/is.exec(url);
+  if (!match) return null;
+
+  const [, base64, data] = match;
+  const binary = base64 ? atob(data) : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { name: 'icon', buffer: bytes.buffer };
+}
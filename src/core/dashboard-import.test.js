@@ -0,0 +1,205 @@
+/**
+ * Import de configurations Homer, Dashy, gethomepage et Heimdall : lecture
+ * des formats, sources d'icônes et route /import-dashboard.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { iconSourceFor, parseDashboardConfig, readDataUrl } from './dashboard-import.js';
+import { originalKeyFor } from './image-variants.js';
+import { PNG, createTestApp } from './testing.js';
+
+const PNG_DATA_URL = `data:image/png;base64,${PNG.toString('base64')}`;
+
+const HOMER = `
+services:
+  - name: Média
+    icon: fas fa-film
+    items:
+      - name: Jellyfin
+        url: https://jellyfin.example
+        logo: assets/tools/jellyfin.png
+  - name: Outils
+    items:
+      - name: Wiki
+        url: https://wiki.example
+`;
+
+const DASHY = `
+sections:
+  - name: Admin
+    displayData:
+      showForKeycloakUsers:
+        groups: [admins]
+    items:
+      - title: Proxmox
+        url: https://pve.example
+        icon: hl-proxmox
+      - title: Portainer
+        url: https://portainer.example
+        displayData:
+          showForUsers: [Alice]
+          hideForUsers: [Bob]
+`;
+
+const HOMEPAGE = `
+- Média:
+    - Sonarr:
+        href: https://sonarr.example
+        icon: sonarr.png
+    - Téléchargements:
+        - qBittorrent:
+            href: https://qbit.example
+            icon: mdi-download
+`;
+
+const HEIMDALL = JSON.stringify([
+  { title: 'Média', type: 1 },
+  { title: 'Plex', url: 'https://plex.example', icon: 'icons/plex.png', tags: ['Média'] },
+]);
+
+const summaryOf = ({ entries }) => entries.map((e) => [e.name, e.redirectUrl, e.category]);
+
+describe('import de tableaux de bord', () => {
+  describe('parseDashboardConfig', () => {
+    it('lit Homer : groupes en catégories, logos', () => {
+      const parsed = parseDashboardConfig(HOMER);
+      assert.equal(parsed.format, 'homer');
+      assert.deepEqual(summaryOf(parsed), [['Jellyfin', 'https://jellyfin.example', 'Média'], ['Wiki', 'https://wiki.example', 'Outils']]);
+      assert.deepEqual([parsed.entries[0].icon, parsed.entries[0].categoryIcon], ['assets/tools/jellyfin.png', 'fas fa-film']);
+    });
+
+    it("lit Dashy : règles d'affichage de l'élément, sinon de sa section", () => {
+      const { format, entries } = parseDashboardConfig(DASHY);
+      assert.equal(format, 'dashy');
+      assert.deepEqual(entries[0].access, { allowedUsers: [], deniedUsers: [], allowedGroups: ['admins'], deniedGroups: [] });
+      assert.deepEqual(entries[1].access, { allowedUsers: ['alice'], deniedUsers: ['bob'], allowedGroups: [], deniedGroups: [] });
+    });
+
+    it('lit gethomepage, groupes imbriqués compris', () => {
+      const parsed = parseDashboardConfig(HOMEPAGE);
+      assert.equal(parsed.format, 'homepage');
+      assert.deepEqual(summaryOf(parsed), [['Sonarr', 'https://sonarr.example', 'Média'], ['qBittorrent', 'https://qbit.example', 'Téléchargements']]);
+    });
+
+    it("lit l'export JSON de Heimdall, sans les tags", () => {
+      const parsed = parseDashboardConfig(HEIMDALL);
+      assert.equal(parsed.format, 'heimdall');
+      assert.deepEqual(summaryOf(parsed), [['Plex', 'https://plex.example', 'Média']]);
+    });
+
+    it('refuse une configuration illisible, non reconnue ou du mauvais format', () => {
+      assert.throws(() => parseDashboardConfig('a: [b'), { status: 400, message: /^Configuration illisible/ });
+      assert.throws(() => parseDashboardConfig('title: rien'), { status: 400, message: /^Format de configuration non reconnu/ });
+      assert.throws(() => parseDashboardConfig(HOMER, 'dashy'), { status: 400, message: "Ce fichier n'est pas une configuration dashy" });
+      assert.throws(() => parseDashboardConfig(HOMER, 'autre'), { status: 400 });
+    });
+
+    it('refuse une configuration que les ancres YAML font exploser', () => {
+      // Groupes gethomepage imbriqués : chaque niveau répète dix fois le précédent
+      const levels = ['    - &s0 { X: { href: "https://x.example" } }'];
+      for (let i = 1; i <= 8; i++) levels.push(`    - &s${i} { G: [${Array(10).fill(`*s${i - 1}`).join(', ')}] }`);
+      const bomb = `- Top:\n${levels.join('\n')}\n`;
+      assert.throws(() => parseDashboardConfig(bomb), { status: 400, message: /^Configuration trop volumineuse une fois les ancres YAML développées/ });
+    });
+  });
+
+  describe('iconSourceFor', () => {
+    it('résout les URL, les icônes par nom et les fichiers locaux', () => {
+      assert.equal(iconSourceFor('https://cdn.example/a.png', 'homer'), 'https://cdn.example/a.png');
+      assert.equal(iconSourceFor('hl-proxmox', 'dashy'), 'https://cdn.jsdelivr.net/gh/walkxcode/dashboard-icons/png/proxmox.png');
+      assert.equal(iconSourceFor('Sonarr.svg', 'homepage'), 'https://cdn.jsdelivr.net/gh/walkxcode/dashboard-icons/svg/sonarr.svg');
+      assert.equal(iconSourceFor('icons/plex.png', 'heimdall', 'https://heimdall.example'), 'https://heimdall.example/storage/icons/plex.png');
+      assert.equal(iconSourceFor('assets/a.png', 'homer', 'https://homer.example/sub'), 'https://homer.example/sub/assets/a.png');
+    });
+
+    it("renvoie null pour une icône de police ou un fichier local sans baseUrl", () => {
+      assert.equal(iconSourceFor('mdi-download', 'homepage'), null);
+      assert.equal(iconSourceFor('fas fa-film', 'homer', 'https://homer.example'), null);
+      assert.equal(iconSourceFor('assets/a.png', 'homer'), null);
+      assert.equal(iconSourceFor(null, 'homer'), null);
+    });
+  });
+
+  it('lit une icône en data: URI, sans reprendre le type déclaré', () => {
+    const file = readDataUrl(PNG_DATA_URL.replace('image/png', 'text/html'));
+    assert.equal(file.type, undefined);
+    assert.deepEqual([...new Uint8Array(file.buffer).subarray(1, 4)], [0x50, 0x4e, 0x47]);
+    assert.equal(readDataUrl('https://example.com/a.png'), null);
+  });
+
+  describe('POST /import-dashboard', () => {
+    let t;
+    const editor = { user: 'root', groups: 'users,admin' };
+    const config = `
+services:
+  - name: Média
+    items:
+      - name: Jellyfin
+        url: https://jellyfin.example
+        logo: "${PNG_DATA_URL}"
+      - name: Sans URL
+      - name: Existant
+        url: https://existant.example
+`;
+
+    before(async () => {
+      t = createTestApp();
+      await t.store.services.create({ name: 'Existant', redirectUrl: 'https://existant.example', allowedGroups: ['users'], imagePath: 'images/icon.png' });
+    });
+    after(() => t.close());
+
+    it("prévisualise l'import sans rien écrire", async () => {
+      const { status, body } = await t.call('/import-dashboard?dryRun=true&groups=users', { ...editor, method: 'POST', body: config });
+      assert.equal(status, 200);
+      assert.deepEqual(body.summary, { new: 1, invalid: 1, duplicate: 1 });
+      assert.equal(body.items[0].iconSource, 'data:');
+      assert.equal((await t.store.services.list()).length, 1);
+    });
+
+    it('exige des groupes quand la configuration ne donne pas de règles', async () => {
+      const { body } = await t.call('/import-dashboard?dryRun=true', { ...editor, method: 'POST', body: config });
+      assert.equal(body.items[0].error, 'Groupes non spécifiés (paramètre groups)');
+    });
+
+    it('crée les services et leurs catégories', async () => {
+      const { body } = await t.call('/import-dashboard?groups=users', { ...editor, method: 'POST', body: config });
+      assert.deepEqual(body.summary, { created: 1, invalid: 1, duplicate: 1 });
+      assert.equal(body.items[0].icon, 'config');
+
+      const service = await t.store.services.get(body.items[0].serviceId);
+      assert.equal((await t.store.categories.get(service.categoryId)).name, 'Média');
+      assert.equal(await t.store.revisions.count(service.id), 1);
+      assert.ok(await t.images.get(service.imagePath));
+    });
+
+    it("déduit le type d'une icône data: de son contenu", async () => {
+      const disguised = config.replace('image/png', 'text/html').replace(/jellyfin/g, 'plex');
+      const { body } = await t.call('/import-dashboard?groups=users', { ...editor, method: 'POST', body: disguised });
+      const service = await t.store.services.get(body.items[0].serviceId);
+      assert.equal((await t.images.get(originalKeyFor(service.imagePath))).contentType, 'image/png');
+    });
+
+    it('limite le nombre de services par import', async () => {
+      const items = Array.from({ length: 101 }, (_, i) => `      - name: S${i}\n        url: https://s${i}.example`).join('\n');
+      const { status, body } = await t.call('/import-dashboard?dryRun=true&groups=users', {
+        ...editor,
+        method: 'POST',
+        body: `services:\n  - name: Tous\n    items:\n${items}\n`,
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Au plus 100 services par import (101 dans la configuration)');
+    });
+
+    it('refuse une configuration de plus de 1 Mo', async () => {
+      const { status, body } = await t.call('/import-dashboard?dryRun=true', { ...editor, method: 'POST', body: `# ${'x'.repeat(1024 * 1024)}\n${config}` });
+      assert.deepEqual({ status, body }, { status: 413, body: { error: 'Configuration trop volumineuse (au plus 1 Mo)' } });
+    });
+
+    it('refuse une configuration vide ou une baseUrl invalide', async () => {
+      assert.equal((await t.call('/import-dashboard', { ...editor, method: 'POST', body: ' ' })).status, 400);
+      assert.equal((await t.call('/import-dashboard?baseUrl=ftp://x', { ...editor, method: 'POST', body: config })).status, 400);
+      assert.equal((await t.call('/import-dashboard', { user: 'alice', method: 'POST', body: config })).status, 403);
+    });
+  });
+});
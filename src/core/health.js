@@ -0,0 +1,196 @@
+/**
+ * Vérification de disponibilité des services : chaque redirectUrl est
+ * interrogé (code HTTP attendu, délai maximal, mot-clé optionnel dans la
+ * page), le dernier état est conservé par service et l'historique agrégé
+ * par heure (nombre de vérifications, succès, latence cumulée).
+ *
+ * Lancé par un timer dans server.js et par le handler scheduled() du
+ * Worker ; utilise uniquement fetch.
+ */
+
+export const DEFAULT_HEALTH_CONFIG = {
+  timeoutMs: 10000,
+  historyDays: 30,
+  concurrency: 5,
+};
+
+// Réglages globaux depuis l'environnement (HEALTH_CHECK_TIMEOUT en ms, HEALTH_HISTORY_DAYS)
+export function healthConfigFromEnv(env) {
+  return {
+    timeoutMs: Number(env.HEALTH_CHECK_TIMEOUT) || DEFAULT_HEALTH_CONFIG.timeoutMs,
+    historyDays: Number(env.HEALTH_HISTORY_DAYS) || DEFAULT_HEALTH_CONFIG.historyDays,
+  };
+}
+
+// Réglages d'un service quand ils ne sont pas précisés
+export const DEFAULT_SERVICE_CHECK = {
+  enabled: true,
+  expectedStatus: '200-399',
+  timeoutMs: null,
+  keyword: null,
+};
+
+const MAX_BODY_SIZE = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Réglages effectifs de la vérification d'un service
+export function serviceCheckConfig(service) {
+  return { ...DEFAULT_SERVICE_CHECK, ...service.healthCheck };
+}
+
+/**
+ * Indique si un code HTTP correspond à la liste attendue,
+ * par exemple '200-299,401'.
+ */
+export function matchesStatus(statusCode, expectedStatus) {
+  return String(expectedStatus)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .some((part) => {
+      const [min, max = min] = part.split('-').map(Number);
+      return statusCode >= min && statusCode <= max;
+    });
+}
+
+// Valide une liste de codes attendus ('200', '200-299,401', …)
+export function isValidStatusList(expectedStatus) {
+  return /^\s*\d{3}(\s*-\s*\d{3})?(\s*,\s*\d{3}(\s*-\s*\d{3})?)*\s*$/.test(expectedStatus);
+}
+
+// Lit au plus MAX_BODY_SIZE octets du corps, pour la recherche du mot-clé
+async function readText(response) {
+  const reader = response.body?.getReader();
+  if (!reader) return '';
+
+  const chunks = [];
+  let size = 0;
+  while (size < MAX_BODY_SIZE) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  await reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return new TextDecoder().decode(bytes.subarray(0, MAX_BODY_SIZE));
+}
+
+/**
+ * Vérifie un service.
+ *
+ * @returns {Promise<{ status: 'up'|'down', statusCode: number|null, latencyMs: number|null, error: string|null }>}
+ */
+export async function checkService(service, { timeoutMs = DEFAULT_HEALTH_CONFIG.timeoutMs } = {}) {
+  const check = serviceCheckConfig(service);
+  const started = Date.now();
+
+  let response;
+  try {
+    response = await fetch(service.redirectUrl, {
+      headers: { 'User-Agent': 'home-services-api (health check)' },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(check.timeoutMs || timeoutMs),
+    });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return {
+      status: 'down',
+      statusCode: null,
+      latencyMs: timedOut ? null : Date.now() - started,
+      error: timedOut ? `Délai dépassé (${check.timeoutMs || timeoutMs} ms)` : `Injoignable: ${error.cause?.code || error.cause?.message || error.message}`,
+    };
+  }
+
+  const latencyMs = Date.now() - started;
+  const result = { status: 'up', statusCode: response.status, latencyMs, error: null };
+
+  if (!matchesStatus(response.status, check.expectedStatus)) {
+    await response.body?.cancel().catch(() => {});
+    return { ...result, status: 'down', error: `Code HTTP ${response.status} (attendu: ${check.expectedStatus})` };
+  }
+
+  if (check.keyword) {
+    let body;
+    try {
+      body = await readText(response);
+    } catch (error) {
+      return { ...result, status: 'down', error: `Lecture de la page impossible: ${error.message}` };
+    }
+    if (!body.includes(check.keyword)) {
+      return { ...result, status: 'down', error: `Mot-clé absent: ${check.keyword}` };
+    }
+  } else {
+    await response.body?.cancel().catch(() => {});
+  }
+
+  return result;
+}
+
+// Début de l'heure d'une date, clé des agrégats d'historique
+export function hourOf(date) {
+  return new Date(Math.floor(new Date(date).getTime() / HOUR) * HOUR);
+}
+
+/**
+ * Vérifie tous les services actifs, enregistre les résultats et purge
+ * l'historique plus ancien que historyDays.
+ *
+ * @param {object} deps - { store }
+ * @param {object} [config] - { timeoutMs, historyDays, concurrency }
+ * @returns {Promise<Array<{ serviceId: string, name: string, status: string, statusCode: number|null, latencyMs: number|null, error: string|null }>>}
+ */
+export async function runHealthChecks({ store }, config = {}) {
+  const { timeoutMs, historyDays, concurrency } = { ...DEFAULT_HEALTH_CONFIG, ...config };
+  const services = (await store.services.list()).filter((s) => serviceCheckConfig(s).enabled);
+  const results = [];
+
+  // Quelques vérifications en parallèle, pour ne pas attendre chaque délai l'un après l'autre
+  let next = 0;
+  async function worker() {
+    while (next < services.length) {
+      const service = services[next++];
+      const result = await checkService(service, { timeoutMs });
+      const checkedAt = new Date();
+      await store.health.record(service.id, { ...result, checkedAt, hour: hourOf(checkedAt) });
+      results.push({ serviceId: service.id, name: service.name, ...result });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, services.length) }, worker));
+
+  await store.health.purge(new Date(Date.now() - historyDays * DAY));
+
+  const down = results.filter((r) => r.status === 'down');
+  console.log(`🩺 Vérification de ${results.length} service(s): ${results.length - down.length} en ligne, ${down.length} hors ligne`);
+  for (const r of down) console.log(`   ⚠️  ${r.name}: ${r.error}`);
+
+  return results;
+}
+
+// Dernier état d'un service pour l'API
+export function serializeHealth(health) {
+  if (!health) return null;
+  return {
+    status: health.status,
+    statusCode: health.statusCode ?? null,
+    latencyMs: health.latencyMs ?? null,
+    error: health.error || null,
+    checkedAt: health.checkedAt,
+  };
+}
+
+// Disponibilité (en %) sur les agrégats horaires postérieurs à since, null sans vérification
+export function uptimeSince(buckets, since) {
+  const recent = buckets.filter((b) => new Date(b.hour) >= since);
+  const checks = recent.reduce((sum, b) => sum + b.checks, 0);
+  if (checks === 0) return null;
+  const up = recent.reduce((sum, b) => sum + b.up, 0);
+  return Math.round((up / checks) * 10000) / 100;
+}
@@ -0,0 +1,198 @@
+/**
+ * Vérifications de disponibilité face à un serveur HTTP local : service en
+ * ligne, hors ligne, délai dépassé, codes attendus, mot-clé et agrégats horaires.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { checkService, hourOf, matchesStatus, runHealthChecks, uptimeSince } from './health.js';
+import { createJsonStore } from '../storage/json.js';
+import { createTestApp } from './testing.js';
+
+// Réponses du serveur local, par chemin
+const ROUTES = {
+  '/ok': (res) => res.end('<h1>Grafana</h1>'),
+  '/unauthorized': (res) => {
+    res.statusCode = 401;
+    res.end();
+  },
+  '/error': (res) => {
+    res.statusCode = 503;
+    res.end();
+  },
+  '/redirect': (res) => {
+    res.writeHead(302, { Location: '/ok' });
+    res.end();
+  },
+  '/slow': (res) => setTimeout(() => res.end('trop tard'), 2000),
+};
+
+describe('vérification de disponibilité', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = http.createServer((req, res) => (ROUTES[req.url] || ROUTES['/error'])(res));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const service = (pathname, healthCheck = {}) => ({ id: pathname, name: pathname, redirectUrl: `${base}${pathname}`, healthCheck });
+
+  describe('checkService', () => {
+    it('en ligne : code 2xx, latence mesurée', async () => {
+      const result = await checkService(service('/ok'));
+      assert.equal(result.status, 'up');
+      assert.equal(result.statusCode, 200);
+      assert.equal(typeof result.latencyMs, 'number');
+      assert.equal(result.error, null);
+    });
+
+    it('suit les redirections', async () => {
+      const result = await checkService(service('/redirect'));
+      assert.equal(result.status, 'up');
+      assert.equal(result.statusCode, 200);
+    });
+
+    it('hors ligne : code hors de la liste attendue', async () => {
+      const result = await checkService(service('/error'));
+      assert.equal(result.status, 'down');
+      assert.equal(result.statusCode, 503);
+      assert.match(result.error, /Code HTTP 503 \(attendu: 200-399\)/);
+    });
+
+    it('accepte le code attendu du service', async () => {
+      assert.equal((await checkService(service('/unauthorized'))).status, 'down');
+      assert.equal((await checkService(service('/unauthorized', { expectedStatus: '200-299,401' }))).status, 'up');
+    });
+
+    it('hors ligne : délai dépassé, sans latence', async () => {
+      const result = await checkService(service('/slow', { timeoutMs: 100 }));
+      assert.equal(result.status, 'down');
+      assert.equal(result.latencyMs, null);
+      assert.equal(result.error, 'Délai dépassé (100 ms)');
+    });
+
+    it('hors ligne : serveur injoignable', async () => {
+      const closed = http.createServer();
+      await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise((resolve) => closed.close(resolve));
+
+      const result = await checkService({ redirectUrl: `http://127.0.0.1:${port}/` });
+      assert.equal(result.status, 'down');
+      assert.match(result.error, /^Injoignable: ECONNREFUSED/);
+    });
+
+    it('cherche le mot-clé dans la page', async () => {
+      assert.equal((await checkService(service('/ok', { keyword: 'Grafana' }))).status, 'up');
+      const result = await checkService(service('/ok', { keyword: 'Kibana' }));
+      assert.equal(result.status, 'down');
+      assert.equal(result.error, 'Mot-clé absent: Kibana');
+    });
+  });
+
+  describe('matchesStatus', () => {
+    it('lit les codes et les plages', () => {
+      assert.ok(matchesStatus(204, '200-299'));
+      assert.ok(matchesStatus(401, '200-299, 401'));
+      assert.ok(!matchesStatus(404, '200-299,401'));
+    });
+  });
+
+  describe('runHealthChecks', () => {
+    let dir;
+    let store;
+
+    before(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+      store = createJsonStore(dir);
+      for (const [name, pathname, healthCheck] of [
+        ['Grafana', '/ok', {}],
+        ['Panne', '/error', {}],
+        ['Lent', '/slow', { timeoutMs: 100 }],
+        ['Désactivé', '/ok', { enabled: false }],
+      ]) {
+        await store.services.create({ name, redirectUrl: `${base}${pathname}`, allowedGroups: ['users'], healthCheck });
+      }
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('enregistre le dernier état et agrège les vérifications par heure', async () => {
+      const results = await runHealthChecks({ store }, { concurrency: 2 });
+      await runHealthChecks({ store });
+
+      assert.deepEqual(results.map((r) => `${r.name}:${r.status}`).sort(), ['Grafana:up', 'Lent:down', 'Panne:down']);
+
+      const services = await store.services.list();
+      const byName = Object.fromEntries(services.map((s) => [s.name, s.id]));
+      assert.equal(await store.health.get(byName['Désactivé']), null);
+      assert.equal((await store.health.get(byName.Panne)).statusCode, 503);
+
+      // Un agrégat par heure (deux si les vérifications ont chevauché un changement d'heure)
+      const since = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      const total = (buckets) => buckets.reduce((sum, b) => [sum[0] + b.checks, sum[1] + b.up], [0, 0]);
+      const grafana = await store.health.history(byName.Grafana, since);
+      assert.ok(grafana.every((b) => b.hour === hourOf(b.hour).toISOString()));
+      assert.deepEqual(total(grafana), [2, 2]);
+      assert.ok(grafana.every((b) => b.latencyTotal >= 0));
+
+      const panne = await store.health.history(byName.Panne, since);
+      assert.deepEqual(total(panne), [2, 0]);
+      assert.ok(panne.every((b) => b.latencyTotal === 0));
+
+      assert.equal(uptimeSince([...grafana, ...panne], since), 50);
+      assert.equal(uptimeSince(grafana, new Date(Date.now() + 60 * 60 * 1000)), null);
+    });
+
+    it("purge l'historique plus ancien que historyDays", async () => {
+      const [grafana] = (await store.services.list()).filter((s) => s.name === 'Grafana');
+      const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+      await store.health.record(grafana.id, { status: 'up', statusCode: 200, latencyMs: 5, error: null, checkedAt: old, hour: hourOf(old) });
+      assert.equal((await store.health.history(grafana.id, new Date(0)))[0].hour, hourOf(old).toISOString());
+
+      await runHealthChecks({ store }, { historyDays: 30 });
+      const history = await store.health.history(grafana.id, new Date(0));
+      assert.ok(history.length > 0);
+      assert.ok(history.every((b) => new Date(b.hour) > old));
+    });
+  });
+
+  describe('GET /service-health/:id', () => {
+    let t;
+    let id;
+
+    before(async () => {
+      t = createTestApp({ config: { healthCheck: { historyDays: 30 } } });
+      ({ id } = await t.store.services.create({ name: 'Grafana', redirectUrl: `${base}/ok`, allowedGroups: ['users'], imagePath: 'images/icon.png' }));
+      const hour = hourOf(new Date());
+      await t.store.health.record(id, { status: 'up', statusCode: 200, latencyMs: 12, error: null, checkedAt: new Date(), hour });
+    });
+    after(() => t.close());
+
+    it("renvoie l'état et l'historique de la période demandée", async () => {
+      const { status, body } = await t.call(`/service-health/${id}?days=30`, { user: 'alice' });
+      assert.equal(status, 200);
+      assert.equal(body.current.status, 'up');
+      assert.equal(body.history.length, 1);
+      assert.equal((await t.call(`/service-health/${id}`, { user: 'alice' })).status, 200);
+    });
+
+    it("refuse une période hors de la durée de conservation de l'historique", async () => {
+      for (const days of ['0', '31', '-1', '1.5', 'semaine', '']) {
+        assert.deepEqual(await t.call(`/service-health/${id}?days=${days}`, { user: 'alice' }), {
+          status: 400,
+          body: { error: 'days doit être un entier entre 1 et 30' },
+        }, days);
+      }
+    });
+  });
+});
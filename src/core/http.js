@@ -0,0 +1,150 @@
+/**
+ * Helpers HTTP partagés par tous les runtimes (Workers, Pages, Express).
+ * Ne dépend que des API Web standard (Request, Response, FormData).
+ */
+
+// Erreur métier portant un code HTTP, convertie en réponse JSON par le routeur
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Helper pour les réponses JSON
+export function jsonResponse(data, status = 200, options = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+// Ajoute les en-têtes CORS à une réponse (si une origine est configurée)
+export function withCors(response, origin) {
+  if (!origin) return response;
+
+  const headers = new Headers(response.headers);
+  headers.set('Access-Control-Allow-Origin', origin);
+  headers.set('Access-Control-Allow-Methods', 'GET, HEAD, PUT, PATCH, POST, DELETE, OPTIONS');
+  headers.set('Access-Control-Allow-Credentials', 'true');
+  headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+// Helper pour logger les requêtes
+export function logRequest(method, path, status, details = {}) {
+  const timestamp = new Date().toISOString();
+  const emoji = status >= 200 && status < 300 ? '✅' : status >= 400 ? '❌' : '➡️';
+
+  console.log(`${emoji} [${timestamp}] ${method} ${path} - ${status}`);
+
+  if (details.user) {
+    console.log(`   User: ${details.user}`);
+  }
+
+  if (details.error) {
+    console.error(`   Erreur:`, details.error);
+  }
+
+  if (details.info) {
+    console.log(`   Info:`, details.info);
+  }
+}
+
+// Champs multipart lus comme des listes
+const LIST_FIELDS = ['groups', 'allowedUsers', 'deniedUsers', 'deniedGroups'];
+
+// Helper pour parser multipart/form-data
+export async function parseMultipartFormData(request) {
+  const formData = await request.formData();
+  const result = {};
+  let file = null;
+
+  for (const [key, value] of formData.entries()) {
+    if (typeof value !== 'string') {
+      // Si c'est le champ "image", stocker le fichier
+      if (key === 'image') {
+        file = {
+          name: value.name,
+          type: value.type,
+          buffer: await value.arrayBuffer(),
+        };
+      }
+    } else if (LIST_FIELDS.includes(key)) {
+      // Les listes peuvent être répétées et/ou séparées par des virgules ;
+      // une valeur vide donne une liste vide (pour effacer une règle)
+      const items = value.split(',').map(g => g.trim()).filter(g => g);
+      result[key] = [...(result[key] || []), ...items];
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return { fields: result, file };
+}
+
+// Lit un corps JSON, en renvoyant une 400 si le corps est invalide ou n'est pas
+// un objet : les routes peuvent déstructurer le résultat sans vérifier null
+export async function readJson(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    throw new HttpError(400, 'Corps JSON invalide');
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Le corps doit être un objet JSON');
+  }
+  return body;
+}
+
+// Lit le corps d'une réponse ou d'une requête au fil de l'eau, ou null dès
+// qu'il dépasse la taille maximale
+export async function readLimited(message, maxSize) {
+  if (!message.body) return new ArrayBuffer(0);
+  if (Number(message.headers.get('content-length')) > maxSize) {
+    await message.body.cancel();
+    return null;
+  }
+
+  const reader = message.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxSize) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+// Lit une date ISO de la query string, ou la valeur par défaut
+export function parseDateParam(value, fallback, name) {
+  if (!value) return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} doit être une date ISO 8601`);
+  }
+  return date;
+}
@@ -0,0 +1,286 @@
+/**
+ * Récupération automatique de l'icône d'un service depuis son redirectUrl :
+ * <link rel="icon">, apple-touch-icon, icônes du manifeste web puis
+ * /favicon.ico. Les candidats sont classés du plus grand au plus petit
+ * (un SVG compte comme une grande icône) et téléchargés dans cet ordre.
+ *
+ * Le redirectUrl est fourni par l'utilisateur : sauf pour un administrateur
+ * (allowPrivate), chaque requête et chaque redirection doit viser une
+ * adresse publique, jamais le réseau local, la machine elle-même ou une
+ * adresse link-local (métadonnées cloud). Les redirections sont donc suivies
+ * à la main. Les noms d'hôte sont résolus par lookupHost quand le runtime le
+ * permet (dns.lookup dans server.js) ; sans lui, seuls les IP littérales et
+ * les noms locaux (localhost, *.local, nom sans point…) sont reconnus.
+ *
+ * Utilise uniquement fetch : fonctionne dans Workers comme dans Node.js.
+ */
+
+import { readLimited } from './http.js';
+import { icoToPng, isIco } from '../images/ico.js';
+
+const FETCH_TIMEOUT = 8000;
+const MAX_PAGE_SIZE = 2 * 1024 * 1024;
+const MAX_ICON_SIZE = 5 * 1024 * 1024;
+const VECTOR_SIZE = 512;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Suffixes des noms qui ne désignent que le réseau local
+const LOCAL_SUFFIXES = ['.localhost', '.local', '.lan', '.home', '.internal', '.intranet', '.home.arpa'];
+
+// Plages IPv4 non publiques : [adresse, longueur du préfixe]
+const PRIVATE_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+];
+
+function ipv4ToNumber(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) < 256)) return null;
+  return parts.reduce((n, p) => n * 256 + Number(p), 0);
+}
+
+// Adresse IPv6 en 8 groupes de 16 bits, ou null
+function ipv6Groups(address) {
+  let value = address;
+  const v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(value);
+  if (v4) {
+    const n = ipv4ToNumber(v4[1]);
+    if (n === null) return null;
+    value = `${value.slice(0, v4.index)}${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = value.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = 8 - left.length - right.length;
+  if (value.split('::').length > 2 || (tail === undefined ? missing !== 0 : missing < 1)) return null;
+  const groups = [...left, ...Array(tail === undefined ? 0 : missing).fill('0'), ...right].map((g) => parseInt(g, 16));
+  return groups.every((g) => g >= 0 && g <= 0xffff) ? groups : null;
+}
+
+/**
+ * Indique si une IP littérale (v4 ou v6) n'est pas publique : réseau
+ * privé, loopback, link-local, CGNAT, multicast, adresse non spécifiée.
+ */
+export function isPrivateAddress(address) {
+  const v4 = ipv4ToNumber(address);
+  if (v4 !== null) {
+    return PRIVATE_IPV4.some(([base, bits]) => Math.floor(v4 / 2 ** (32 - bits)) === Math.floor(ipv4ToNumber(base) / 2 ** (32 - bits)));
+  }
+
+  const groups = ipv6Groups(address.replace(/^\[|\]$/g, '').toLowerCase());
+  if (!groups) return false;
+  // IPv4 mappée (::ffff:a.b.c.d) ou compatible (::a.b.c.d)
+  if (groups.slice(0, 5).every((g) => g === 0) && [0, 0xffff].includes(groups[5])) {
+    const v4Mapped = `${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`;
+    return groups[6] === 0 && groups[7] <= 1 ? true : isPrivateAddress(v4Mapped);
+  }
+  const [first] = groups;
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+}
+
+function isLocalHostname(hostname) {
+  return hostname === 'localhost' || !hostname.includes('.') || LOCAL_SUFFIXES.some((suffix) => hostname.endsWith(suffix));
+}
+
+/**
+ * Vérifie qu'une URL peut être téléchargée : http(s) et, sans allowPrivate,
+ * un hôte public. Lève une erreur sinon.
+ *
+ * @param {string} url
+ * @param {object} [options] - { allowPrivate, lookupHost }
+ */
+export async function assertFetchable(url, { allowPrivate = false, lookupHost } = {}) {
+  const { protocol, hostname } = new URL(url);
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw new Error(`Protocole non pris en charge: ${protocol}`);
+  }
+  if (allowPrivate) return;
+
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  const literal = ipv4ToNumber(host) !== null || host.includes(':');
+  const addresses = literal ? [host] : isLocalHostname(host) ? null : lookupHost ? await lookupHost(host) : [];
+  if (!addresses || addresses.some(isPrivateAddress)) {
+    throw new Error(`Adresse privée refusée: ${hostname}`);
+  }
+}
+
+// Requête GET dont chaque redirection est vérifiée par assertFetchable avant d'être suivie
+async function fetchWithTimeout(url, accept, options) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertFetchable(current, options);
+    const response = await fetch(current, {
+      headers: { Accept: accept, 'User-Agent': 'home-services-api (icon fetcher)' },
+      redirect: 'manual',
+      signal,
+    });
+    const location = REDIRECT_STATUSES.includes(response.status) && response.headers.get('location');
+    if (!location) return response;
+
+    await response.body?.cancel();
+    current = resolveUrl(location, current);
+    if (!current) throw new Error(`Redirection invalide: ${location}`);
+  }
+  throw new Error(`Plus de ${MAX_REDIRECTS} redirections`);
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+// Attributs d'une balise HTML, noms en minuscules
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s"'<>\/=]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Plus grande dimension déclarée ("32x32 192x192", "any" pour un vectoriel)
+function declaredSize(sizes) {
+  if (!sizes) return null;
+  if (/\bany\b/i.test(sizes)) return VECTOR_SIZE;
+  const values = [...sizes.matchAll(/(\d+)x(\d+)/gi)].map((m) => Math.max(Number(m[1]), Number(m[2])));
+  return values.length ? Math.max(...values) : null;
+}
+
+function isVector(url, type) {
+  return type === 'image/svg+xml' || /\.svgz?(\?|#|$)/i.test(url);
+}
+
+// Taille estimée d'un candidat, pour le classement
+function scoreCandidate({ url, type, sizes, kind, purpose }) {
+  let score = declaredSize(sizes);
+  if (!score) {
+    if (isVector(url, type)) score = VECTOR_SIZE;
+    else if (kind === 'apple-touch-icon') score = 180;
+    else if (kind === 'favicon') score = 16;
+    else score = 32;
+  }
+  // Les icônes "maskable" seules ont de larges marges : à éviter si possible
+  if (purpose && !/\bany\b/.test(purpose) && /\bmaskable\b/.test(purpose)) score /= 4;
+  return score;
+}
+
+async function readManifestIcons(manifestUrl, options) {
+  try {
+    const response = await fetchWithTimeout(manifestUrl, 'application/manifest+json, application/json', options);
+    if (!response.ok) return [];
+    const body = await readLimited(response, MAX_PAGE_SIZE);
+    const manifest = body ? JSON.parse(new TextDecoder().decode(body)) : null;
+    const icons = Array.isArray(manifest?.icons) ? manifest.icons : [];
+    return icons
+      .map((icon) => ({
+        url: typeof icon.src === 'string' ? resolveUrl(icon.src, response.url || manifestUrl) : null,
+        type: icon.type,
+        sizes: icon.sizes,
+        purpose: icon.purpose,
+        kind: 'manifest',
+      }))
+      .filter((icon) => icon.url);
+  } catch (error) {
+    console.log(`   Manifeste illisible (${manifestUrl}): ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Liste les icônes déclarées par une page, de la meilleure à la moins bonne.
+ * Seul le premier manifeste est lu : une page qui en déclare des dizaines
+ * ne multiplie pas les requêtes.
+ *
+ * @param {string} pageUrl
+ * @param {object} [options] - { allowPrivate, lookupHost } (voir assertFetchable)
+ * @returns {Promise<Array<{ url: string, kind: string, type?: string, sizes?: string }>>}
+ */
+export async function findIconCandidates(pageUrl, options) {
+  const candidates = [];
+  let baseUrl = pageUrl;
+  let manifestRead = false;
+
+  try {
+    const response = await fetchWithTimeout(pageUrl, 'text/html, application/xhtml+xml', options);
+    baseUrl = response.url || pageUrl;
+    const contentType = response.headers.get('content-type') || '';
+    const body = response.ok && contentType.includes('html') ? await readLimited(response, MAX_PAGE_SIZE) : null;
+
+    if (body) {
+      const html = new TextDecoder().decode(body);
+      const base = /<base\b[^>]*>/i.exec(html);
+      if (base) baseUrl = resolveUrl(parseAttributes(base[0]).href || '', baseUrl) || baseUrl;
+
+      for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+        const url = attributes.href && resolveUrl(attributes.href, baseUrl);
+        if (!url) continue;
+
+        if (rel.includes('manifest')) {
+          if (manifestRead) continue;
+          manifestRead = true;
+          candidates.push(...(await readManifestIcons(url, options)));
+        } else if (rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed')) {
+          candidates.push({ url, kind: 'apple-touch-icon', sizes: attributes.sizes, type: attributes.type });
+        } else if (rel.includes('icon')) {
+          candidates.push({ url, kind: 'icon', sizes: attributes.sizes, type: attributes.type });
+        }
+      }
+    }
+  } catch (error) {
+    console.log(`   Page inaccessible (${pageUrl}): ${error.message}`);
+  }
+
+  candidates.push({ url: new URL('/favicon.ico', baseUrl).href, kind: 'favicon' });
+
+  // Tri stable : à taille égale, l'ordre de déclaration dans la page est conservé
+  const unique = candidates.filter((c, i) => candidates.findIndex((o) => o.url === c.url) === i);
+  return unique
+    .map((candidate, index) => ({ candidate, index, score: scoreCandidate(candidate) }))
+    .sort((a, z) => z.score - a.score || a.index - z.index)
+    .map(({ candidate }) => candidate);
+}
+
+// Télécharge un candidat ; les ICO sont convertis en PNG
+export async function downloadIcon(candidate, options) {
+  const response = await fetchWithTimeout(candidate.url, 'image/*', options);
+  if (!response.ok) return null;
+
+  const buffer = await readLimited(response, MAX_ICON_SIZE);
+  if (!buffer || buffer.byteLength === 0) return null;
+
+  const name = new URL(response.url || candidate.url).pathname.split('/').pop() || 'icon';
+  if (isIco(buffer)) {
+    const png = icoToPng(buffer);
+    if (!png) return null;
+    return { name: name.replace(/\.ico$/i, '.png'), type: 'image/png', buffer: png };
+  }
+
+  return { name, type: (response.headers.get('content-type') || '').split(';')[0] || undefined, buffer };
+}
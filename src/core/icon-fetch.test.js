@@ -0,0 +1,125 @@
+/**
+ * Récupération d'icônes face à un serveur HTTP local : adresses refusées
+ * hors administrateur, redirections vérifiées une à une et corps trop gros
+ * abandonnés en cours de lecture.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { assertFetchable, downloadIcon, findIconCandidates, isPrivateAddress } from './icon-fetch.js';
+import { PNG } from './testing.js';
+
+describe("récupération d'icônes", () => {
+  let server;
+  let base;
+  let sent = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/') {
+        res.setHeader('Content-Type', 'text/html');
+        return res.end('<link rel="icon" sizes="32x32" href="/icon.png">');
+      }
+      if (req.url === '/icon.png') {
+        res.setHeader('Content-Type', 'image/png');
+        return res.end(PNG);
+      }
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/icon.png' });
+        return res.end();
+      }
+      // Corps sans fin et sans Content-Length
+      const chunk = Buffer.alloc(64 * 1024);
+      const write = () => {
+        do sent += chunk.length;
+        while (res.write(chunk));
+      };
+      res.on('drain', write);
+      write();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  describe('isPrivateAddress', () => {
+    it('reconnaît les plages non publiques', () => {
+      for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+        assert.ok(isPrivateAddress(address), address);
+      }
+      for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8']) {
+        assert.ok(!isPrivateAddress(address), address);
+      }
+    });
+  });
+
+  describe('assertFetchable', () => {
+    it('refuse les IP privées, même écrites autrement, et les noms locaux', async () => {
+      for (const url of ['http://127.0.0.1/', 'http://0x7f.1/', 'http://[::ffff:127.0.0.1]/', 'http://localhost:3000/', 'http://grafana/', 'http://nas.local/']) {
+        await assert.rejects(assertFetchable(url), /Adresse privée refusée/, url);
+      }
+      await assert.rejects(assertFetchable('ftp://example.com/'), /Protocole non pris en charge/);
+    });
+
+    it('vérifie toutes les adresses résolues', async () => {
+      await assertFetchable('https://example.com/', { lookupHost: async () => ['93.184.216.34'] });
+      await assert.rejects(assertFetchable('https://example.com/', { lookupHost: async () => ['93.184.216.34', '10.0.0.1'] }), /Adresse privée refusée/);
+    });
+
+    it('autorise le réseau local avec allowPrivate', async () => {
+      await assertFetchable('http://192.168.1.10:8080/', { allowPrivate: true });
+    });
+  });
+
+  describe('téléchargement', () => {
+    it('refuse un service local sans allowPrivate', async () => {
+      await assert.rejects(downloadIcon({ url: `${base}/icon.png` }), /Adresse privée refusée: 127\.0\.0\.1/);
+    });
+
+    it('suit les redirections et lit les icônes de la page', async () => {
+      const icon = await downloadIcon({ url: `${base}/redirect` }, { allowPrivate: true });
+      assert.deepEqual(Buffer.from(icon.buffer), PNG);
+      assert.equal(icon.type, 'image/png');
+
+      const candidates = await findIconCandidates(`${base}/`, { allowPrivate: true });
+      assert.deepEqual(candidates.map((c) => c.url), [`${base}/icon.png`, `${base}/favicon.ico`]);
+    });
+
+    it('vérifie chaque redirection', async (t) => {
+      const requested = [];
+      t.mock.method(globalThis, 'fetch', async (url) => {
+        requested.push(url);
+        return new Response(null, { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } });
+      });
+      const lookupHost = async () => ['93.184.216.34'];
+      await assert.rejects(downloadIcon({ url: 'https://public.example/icon.png' }, { lookupHost }), /Adresse privée refusée: 169\.254\.169\.254/);
+      assert.deepEqual(requested, ['https://public.example/icon.png']);
+    });
+
+    it('ne lit que le premier manifeste de la page', async (t) => {
+      const requested = [];
+      t.mock.method(globalThis, 'fetch', async (url) => {
+        requested.push(url);
+        if (url === 'https://public.example/') {
+          const links = [1, 2, 3].map((i) => `<link rel="manifest" href="/m${i}.json">`).join('');
+          return new Response(links, { headers: { 'Content-Type': 'text/html' } });
+        }
+        return Response.json({ icons: [{ src: '/app.png', sizes: '192x192' }] });
+      });
+      const lookupHost = async () => ['93.184.216.34'];
+
+      const candidates = await findIconCandidates('https://public.example/', { lookupHost });
+      assert.deepEqual(requested, ['https://public.example/', 'https://public.example/m1.json']);
+      assert.deepEqual(candidates.map((c) => c.url), ['https://public.example/app.png', 'https://public.example/favicon.ico']);
+    });
+
+    it('abandonne un corps sans fin passé la taille maximale', async () => {
+      assert.equal(await downloadIcon({ url: `${base}/endless` }, { allowPrivate: true }), null);
+      assert.ok(sent < 16 * 1024 * 1024, `${sent} octets envoyés`);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Clés de stockage des images et de leurs dérivés.
+ *
+ * Les icônes sont adressées par leur contenu : "images/<sha256>.<ext>", le
+ * hash étant celui du fichier envoyé. Un même logo envoyé deux fois donne la
+ * même clé, partagée entre services (voir releaseImage).
+ *
+ * Pour une image "images/<fichier>" (icône 50px servie par défaut) :
+ *   - images/originals/<fichier>            : upload d'origine, source des variantes
+ *   - images/variants/<fichier>/<params>.<format> : variantes générées à la demande
+ */
+
+import { HttpError } from './http.js';
+
+// Formats possibles ; chaque runtime n'en produit qu'une partie (variantFormats de createApp)
+export const VARIANT_FORMATS = ['png', 'webp', 'avif'];
+// La route publique n'accepte que ces tailles et densités : chaque image a au
+// plus (tailles × 2 dimensions × densités × formats) variantes en stockage,
+// quels que soient les paramètres envoyés par un client anonyme
+export const VARIANT_SIZES = [16, 24, 32, 48, 50, 64, 96, 128, 256, 512];
+export const VARIANT_DPRS = [1, 2, 3];
+const MAX_DIMENSION = 1024;
+// Hauteur des icônes stockées, utilisée quand ni w ni h ne sont fournis
+const ICON_HEIGHT = 50;
+
+// Clé adressée par le contenu d'un fichier (SHA-256 en hexadécimal)
+export async function contentKeyFor(buffer, extension) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  const hash = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  return `images/${hash}.${extension}`;
+}
+
+// Les anciens chemins du serveur Express ("uploads/<fichier>") désignent "images/<fichier>"
+export function normalizeImageKey(imagePath) {
+  return imagePath.replace(/^uploads\//, 'images/');
+}
+
+// Clé ramenée à images/… ; null si elle pourrait sortir du stockage d'images
+// ou désigner une autre clé une fois résolue (segments vides, "." ou "..")
+export function safeImageKey(key) {
+  if (typeof key !== 'string') return null;
+  const imageKey = normalizeImageKey(key);
+  const segments = imageKey.split('/');
+  const valid =
+    imageKey.startsWith('images/') &&
+    segments.length > 1 &&
+    segments.every((segment) => segment && segment !== '.' && segment !== '..' && !/[\\\x00-\x1f]/.test(segment));
+  return valid ? imageKey : null;
+}
+
+export function originalKeyFor(imageKey) {
+  return imageKey.replace(/^images\//, 'images/originals/');
+}
+
+export function variantPrefixFor(imageKey) {
+  return `${imageKey.replace(/^images\//, 'images/variants/')}/`;
+}
+
+// Clé dérivée d'une variante ; les dimensions incluent déjà le dpr
+export function variantKeyFor(imageKey, { width, height, format }) {
+  const parts = [];
+  if (width) parts.push(`w${width}`);
+  if (height) parts.push(`h${height}`);
+  return `${variantPrefixFor(imageKey)}${parts.join('-')}.${format}`;
+}
+
+function parseDimension(value, name) {
+  if (value === null) return undefined;
+  const n = Number(value);
+  if (!VARIANT_SIZES.includes(n)) {
+    throw new HttpError(400, `Paramètre ${name} invalide. Doit être: ${VARIANT_SIZES.join(', ')}`);
+  }
+  return n;
+}
+
+/**
+ * Lit les paramètres ?w=, ?h=, ?dpr= et ?format= d'une URL d'image.
+ * Renvoie null si aucun n'est présent (image stockée servie telle quelle).
+ * formats : ceux que le runtime sait produire (AVIF uniquement avec sharp).
+ */
+export function parseVariantParams(searchParams, formats = VARIANT_FORMATS) {
+  if (!['w', 'h', 'dpr', 'format'].some((p) => searchParams.has(p))) {
+    return null;
+  }
+
+  const width = parseDimension(searchParams.get('w'), 'w');
+  let height = parseDimension(searchParams.get('h'), 'h');
+  if (width && height) {
+    throw new HttpError(400, 'Paramètres w et h exclusifs : les proportions sont conservées');
+  }
+  if (!width && !height) height = ICON_HEIGHT;
+
+  const dpr = searchParams.has('dpr') ? Number(searchParams.get('dpr')) : 1;
+  if (!VARIANT_DPRS.includes(dpr)) {
+    throw new HttpError(400, `Paramètre dpr invalide. Doit être: ${VARIANT_DPRS.join(', ')}`);
+  }
+
+  const format = searchParams.get('format') || 'png';
+  if (!formats.includes(format)) {
+    throw new HttpError(400, `Format invalide. Doit être: ${formats.join(', ')}`);
+  }
+
+  const scale = (n) => (n ? Math.min(MAX_DIMENSION, Math.round(n * dpr)) : undefined);
+  return { width: scale(width), height: scale(height), dpr, format };
+}
+
+// Supprime une image avec son original et ses variantes, sans faire échouer la requête
+export async function deleteImageFamily(images, imagePath) {
+  if (!imagePath) return;
+  const imageKey = normalizeImageKey(imagePath);
+  try {
+    const variants = await images.list(variantPrefixFor(imageKey));
+    await Promise.all([imageKey, originalKeyFor(imageKey), ...variants].map((key) => images.delete(key)));
+  } catch (e) {
+    console.error('Erreur lors de la suppression de l image:', e);
+  }
+}
+
+// Supprime une image (et ses dérivés) quand plus aucun service ni aucune révision
+// ne la référence. À appeler après la mise à jour du store, pour que le service
+// modifié ne compte plus.
+export async function releaseImage({ store, images }, imagePath) {
+  if (!imagePath) return;
+  const [services, revisions] = await Promise.all([
+    store.services.countByImage(imagePath),
+    store.revisions.countByImage(imagePath),
+  ]);
+  if (services + revisions > 0) {
+    console.log(`   Image conservée (${services} service(s), ${revisions} révision(s)): ${imagePath}`);
+    return;
+  }
+  await deleteImageFamily(images, imagePath);
+}
@@ -0,0 +1,108 @@
+/**
+ * Variantes d'images : paramètres ?w=, ?h=, ?dpr=, ?format=, clés dérivées
+ * et génération unique par GET /images/:key.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decode as decodePng, encode as encodePng } from 'fast-png';
+import { originalKeyFor, parseVariantParams, safeImageKey, variantKeyFor } from './image-variants.js';
+import { createTestApp } from './testing.js';
+
+const params = (query) => parseVariantParams(new URLSearchParams(query));
+
+// PNG RGBA uni de la couleur donnée
+function png(width, height, color) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(color, i);
+  return encodePng({ width, height, data, channels: 4, depth: 8 });
+}
+
+describe("variantes d'images", () => {
+  describe('parseVariantParams', () => {
+    it("renvoie null sans paramètre, l'image stockée est servie telle quelle", () => {
+      assert.equal(params(''), null);
+      assert.equal(params('v=2'), null);
+    });
+
+    it('applique la hauteur des icônes par défaut et multiplie par dpr', () => {
+      assert.deepEqual(params('format=png'), { width: undefined, height: 50, dpr: 1, format: 'png' });
+      assert.deepEqual(params('w=32&dpr=2'), { width: 64, height: undefined, dpr: 2, format: 'png' });
+      assert.equal(params('w=512&dpr=3').width, 1024);
+    });
+
+    it('refuse les tailles, densités et formats hors de la liste fixe', () => {
+      assert.throws(() => params('w=0'), { status: 400, message: 'Paramètre w invalide. Doit être: 16, 24, 32, 48, 50, 64, 96, 128, 256, 512' });
+      assert.throws(() => params('h=33'), { status: 400 });
+      assert.throws(() => params('dpr=1.5'), { status: 400, message: 'Paramètre dpr invalide. Doit être: 1, 2, 3' });
+      assert.throws(() => params('w=32&h=32'), { status: 400, message: 'Paramètres w et h exclusifs : les proportions sont conservées' });
+      assert.throws(() => params('format=gif'), { status: 400 });
+    });
+
+    it('ne propose que les formats du runtime', () => {
+      assert.equal(params('format=avif').format, 'avif');
+      const workers = (query) => parseVariantParams(new URLSearchParams(query), ['png', 'webp']);
+      assert.throws(() => workers('format=avif'), { status: 400, message: 'Format invalide. Doit être: png, webp' });
+    });
+  });
+
+  it('dérive les clés des originaux et des variantes', () => {
+    assert.equal(originalKeyFor('images/a.png'), 'images/originals/a.png');
+    assert.equal(safeImageKey('uploads/a.png'), 'images/a.png');
+    assert.equal(safeImageKey('images/x/../originals/a.png'), null);
+    assert.equal(safeImageKey('images//a.png'), null);
+    assert.equal(variantKeyFor('images/a.png', { width: 64, height: 32, format: 'webp' }), 'images/variants/a.png/w64-h32.webp');
+  });
+
+  describe('GET /images/:key', () => {
+    let t;
+
+    before(async () => {
+      t = createTestApp();
+      await t.images.put('images/a.png', png(100, 50, [255, 0, 0, 255]));
+    });
+    after(() => t.close());
+
+    it("sert l'image stockée sans paramètre", async () => {
+      const response = await t.request('/images/a.png');
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('Content-Type'), 'image/png');
+      assert.deepEqual(decodePng(new Uint8Array(await response.arrayBuffer())).width, 100);
+    });
+
+    it("génère la variante depuis l'original puis la sert depuis le stockage", async () => {
+      await t.images.put('images/originals/a.png', png(400, 200, [0, 0, 255, 255]));
+
+      const response = await t.request('/images/a.png?w=24');
+      assert.equal(response.status, 200);
+      const variant = decodePng(new Uint8Array(await response.arrayBuffer()));
+      assert.deepEqual([variant.width, variant.height], [24, 12]);
+      assert.deepEqual([...variant.data.subarray(0, 4)], [0, 0, 255, 255]);
+      assert.deepEqual(await t.images.list('images/variants/'), ['images/variants/a.png/w24.png']);
+
+      // Une variante déjà générée est servie telle quelle
+      await t.images.put('images/variants/a.png/w24.png', png(1, 1, [0, 0, 0, 255]));
+      const cached = decodePng(new Uint8Array(await (await t.request('/images/a.png?w=24')).arrayBuffer()));
+      assert.equal(cached.width, 1);
+    });
+
+    it("ne sert jamais l'original envoyé par le client", async () => {
+      assert.equal((await t.request('/images/originals/a.png')).status, 404);
+      // Ni par une clé qui y mène une fois résolue
+      assert.equal((await t.request('/images/x%2F..%2Foriginals%2Fa.png')).status, 404);
+      assert.equal((await t.request('/images/.%2Foriginals%2Fa.png')).status, 404);
+      assert.equal((await t.request('/uploads/x%2F..%2Foriginals%2Fa.png')).status, 404);
+      assert.equal((await t.request('/images/x%2F..%2Foriginals%2Fa.png?w=16')).status, 404);
+    });
+
+    it('ne génère pas de variante depuis un original ou une variante, ni pour une image absente', async () => {
+      assert.equal((await t.request('/images/originals/a.png?w=16')).status, 400);
+      assert.equal((await t.request('/images/variants/a.png/w24.png?w=16')).status, 400);
+      assert.equal((await t.request('/images/absente.png?w=16')).status, 404);
+    });
+
+    it("refuse l'AVIF quand transformImage ne sait pas l'encoder", async () => {
+      assert.deepEqual(await t.call('/images/a.png?format=avif'), { status: 400, body: { error: 'Format invalide. Doit être: png, webp' } });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Conservation des ouvertures enregistrées par /go/:id : elles sont
+ * supprimées après LAUNCH_RETENTION_DAYS jours, si bien que les statistiques
+ * d'usage et le tri personnel des services ne portent que sur cette période.
+ *
+ * La purge est lancée par un timer dans server.js et par le handler
+ * scheduled() du Worker.
+ */
+
+export const DEFAULT_LAUNCH_RETENTION_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Durée de conservation depuis l'environnement (LAUNCH_RETENTION_DAYS)
+export function launchRetentionFromEnv(env) {
+  return Number(env.LAUNCH_RETENTION_DAYS) || DEFAULT_LAUNCH_RETENTION_DAYS;
+}
+
+/**
+ * Supprime les ouvertures de plus de retentionDays jours.
+ *
+ * @param {object} deps - { store }
+ * @param {number} [retentionDays]
+ * @returns {Promise<number>} Nombre d'ouvertures supprimées
+ */
+export async function purgeOldLaunches(deps, retentionDays = DEFAULT_LAUNCH_RETENTION_DAYS) {
+  const removed = await deps.store.launches.purge(new Date(Date.now() - retentionDays * DAY));
+  if (removed) {
+    console.log(`📉 Ouvertures: ${removed} ouverture(s) de plus de ${retentionDays} jours supprimée(s)`);
+  }
+  return removed;
+}
@@ -0,0 +1,61 @@
+/**
+ * Historique des révisions des services : chaque création, modification,
+ * changement d'icône ou retour arrière enregistre l'état complet du service
+ * (champs, image, auteur, date), numéroté par service.
+ *
+ * L'image d'une révision reste en stockage tant que la révision existe
+ * (voir releaseImage) : un retour arrière restaure aussi l'icône. Les
+ * révisions disparaissent avec la purge du service.
+ */
+
+// Champs enregistrés et restaurés ; l'emplacement (categoryId, position)
+// relève de la mise en page et n'est pas versionné
+export const REVISION_FIELDS = [
+  'name',
+  'redirectUrl',
+  'allowedGroups',
+  'allowedUsers',
+  'deniedUsers',
+  'deniedGroups',
+  'healthCheck',
+  'imagePath',
+  'originalWidth',
+  'originalHeight',
+  'resizedHeight',
+  'resizedWidth',
+];
+
+// État versionné d'un service
+export function snapshotOf(service) {
+  return Object.fromEntries(REVISION_FIELDS.map((field) => [field, service[field] ?? null]));
+}
+
+/**
+ * Enregistre une révision après une modification d'un service. Pour un
+ * service antérieur à l'historique, l'état précédent est d'abord enregistré
+ * comme révision initiale (sans auteur), pour pouvoir y revenir.
+ *
+ * @param {object} ctx - Contexte de la requête (store, user)
+ * @param {object} service - Service après modification
+ * @param {string} action - create, update, icon ou rollback
+ * @param {object} [options] - { previous: service avant modification, rolledBackTo: numéro restauré }
+ */
+export async function recordRevision(ctx, service, action, { previous, rolledBackTo = null } = {}) {
+  if (previous && (await ctx.store.revisions.count(service.id)) === 0) {
+    await ctx.store.revisions.create(service.id, {
+      action: 'create',
+      author: null,
+      snapshot: snapshotOf(previous),
+      imagePath: previous.imagePath,
+      rolledBackTo: null,
+    });
+  }
+
+  return ctx.store.revisions.create(service.id, {
+    action,
+    author: ctx.user.username,
+    snapshot: snapshotOf(service),
+    imagePath: service.imagePath,
+    rolledBackTo,
+  });
+}
@@ -0,0 +1,84 @@
+/**
+ * Révisions des services : historique des modifications, différences entre
+ * révisions et retour arrière, icône comprise.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotOf } from './revisions.js';
+import { createTestApp, formData, pngFile } from './testing.js';
+
+const editor = { user: 'root', groups: 'users,admin' };
+
+describe('révisions des services', () => {
+  it("n'enregistre que les champs versionnés", () => {
+    const snapshot = snapshotOf({ id: 's-1', name: 'Grafana', categoryId: 'c-1', position: 2, imagePath: 'images/a.png' });
+    assert.equal(snapshot.name, 'Grafana');
+    assert.equal(snapshot.healthCheck, null);
+    assert.ok(!('categoryId' in snapshot) && !('position' in snapshot) && !('id' in snapshot));
+  });
+
+  describe('routes', () => {
+    let t;
+    let id;
+    let firstImage;
+
+    before(async () => {
+      t = createTestApp();
+      const created = await t.call('/add-service', {
+        ...editor,
+        method: 'POST',
+        body: formData({ name: 'Grafana', redirectUrl: 'https://grafana.example', groups: 'users', image: pngFile([255, 0, 0, 255]) }),
+      });
+      id = created.body.service_id;
+      firstImage = (await t.store.services.get(id)).imagePath;
+
+      await t.call(`/update-service/${id}`, { ...editor, method: 'PUT', body: formData({ name: 'Grafana 11' }) });
+      await t.call(`/update-service/${id}`, { ...editor, method: 'PUT', body: formData({ image: pngFile([0, 0, 255, 255]) }) });
+    });
+    after(() => t.close());
+
+    it("liste les révisions, plus récentes d'abord", async () => {
+      const { status, body } = await t.call(`/service-revisions/${id}`, editor);
+      assert.equal(status, 200);
+      assert.deepEqual(body.map((r) => [r.number, r.action, r.name]), [[3, 'update', 'Grafana 11'], [2, 'update', 'Grafana 11'], [1, 'create', 'Grafana']]);
+      assert.equal(body[2].author, 'root');
+      assert.equal((await t.call(`/service-revisions/${id}`, { user: 'alice' })).status, 403);
+      assert.equal((await t.call('/service-revisions/inconnu', editor)).status, 404);
+    });
+
+    it("compare deux révisions ou une révision à l'état actuel", async () => {
+      const { body } = await t.call(`/service-revisions/${id}/diff?from=1&to=2`, editor);
+      assert.deepEqual(body.changes, { name: { before: 'Grafana', after: 'Grafana 11' } });
+
+      const current = (await t.call(`/service-revisions/${id}/diff?from=2`, editor)).body;
+      assert.equal(current.to, 'current');
+      assert.deepEqual(Object.keys(current.changes), ['imagePath']);
+
+      assert.equal((await t.call(`/service-revisions/${id}/diff?from=0`, editor)).status, 400);
+      assert.equal((await t.call(`/service-revisions/${id}/diff?from=9`, editor)).status, 404);
+    });
+
+    it("revient à une révision, icône comprise, et l'enregistre", async () => {
+      // L'image de la première révision est conservée tant que la révision existe
+      assert.ok(await t.images.get(firstImage));
+
+      const { status, body } = await t.call(`/rollback-service/${id}`, { ...editor, method: 'POST', body: { revision: 1 } });
+      assert.equal(status, 200);
+      assert.deepEqual([body.name, body.imagePath], ['Grafana', firstImage]);
+
+      const [latest] = (await t.call(`/service-revisions/${id}`, editor)).body;
+      assert.deepEqual([latest.number, latest.action, latest.rolledBackTo], [4, 'rollback', 1]);
+      assert.equal((await t.call(`/rollback-service/${id}`, { ...editor, method: 'POST', body: {} })).status, 400);
+    });
+
+    it("refuse le retour arrière si l'image de la révision a disparu", async () => {
+      const [, , iconRevision] = (await t.store.revisions.list(id)).reverse();
+      await t.images.delete(iconRevision.imagePath);
+
+      const { status, body } = await t.call(`/rollback-service/${id}`, { ...editor, method: 'POST', body: { revision: 3 } });
+      assert.equal(status, 409);
+      assert.match(body.error, /^Image de la révision 3 introuvable/);
+    });
+  });
+});
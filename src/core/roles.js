@@ -0,0 +1,103 @@
+/**
+ * Rôles et permissions, communs à tous les runtimes.
+ *
+ * Les groupes du fournisseur d'identité sont associés à des rôles par une
+ * table de correspondance configurable (ROLE_MAPPING) ; chaque rôle donne
+ * un ensemble de permissions, exigées par les routes via `permission`.
+ */
+
+export const PERMISSIONS = [
+  'manage-services',
+  'send-messages',
+  'view-users',
+  'manage-images',
+  'manage-api-tokens',
+  'view-analytics',
+  'view-audit-log',
+  'manage-backups',
+];
+
+export const ROLES = {
+  admin: PERMISSIONS,
+  'service-editor': ['manage-services'],
+  // L'envoi de messages nécessite de choisir les destinataires
+  'message-sender': ['send-messages', 'view-users'],
+  'user-viewer': ['view-users'],
+};
+
+// Correspondance par défaut : les groupes admin historiques des deux runtimes
+// (`admin` sur Cloudflare, `myapp-admin` sur Express) donnent le rôle admin partout
+export const DEFAULT_ROLE_MAPPING = {
+  admin: ['admin'],
+  'myapp-admin': ['admin'],
+};
+
+/**
+ * Lit la correspondance groupes → rôles, au format JSON :
+ * `{"myapp-admin": ["admin"], "editors": "service-editor"}`.
+ * Renvoie la correspondance par défaut si la valeur est vide.
+ *
+ * @param {string} [value]
+ * @returns {Record<string, string[]>}
+ */
+export function parseRoleMapping(value) {
+  if (!value || !value.trim()) return DEFAULT_ROLE_MAPPING;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error('ROLE_MAPPING doit être un objet JSON { "groupe": ["rôle", …] }');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('ROLE_MAPPING doit être un objet JSON { "groupe": ["rôle", …] }');
+  }
+
+  const mapping = {};
+  for (const [group, roles] of Object.entries(parsed)) {
+    const list = Array.isArray(roles) ? roles : [roles];
+    const unknown = list.filter((role) => !ROLES[role]);
+    if (unknown.length) {
+      throw new Error(`ROLE_MAPPING: rôle(s) inconnu(s) pour ${group}: ${unknown.join(', ')}`);
+    }
+    mapping[group] = list;
+  }
+  return mapping;
+}
+
+// Rôles d'un utilisateur d'après ses groupes
+export function resolveRoles(groups = [], mapping = DEFAULT_ROLE_MAPPING) {
+  const roles = new Set();
+  for (const group of groups) {
+    for (const role of mapping[group] || []) roles.add(role);
+  }
+  return [...roles];
+}
+
+// Permissions effectives d'un ensemble de rôles, dans l'ordre de PERMISSIONS
+export function permissionsFor(roles) {
+  const granted = new Set(roles.flatMap((role) => ROLES[role] || []));
+  return PERMISSIONS.filter((permission) => granted.has(permission));
+}
+
+// Ajoute rôles et permissions à l'utilisateur authentifié
+export function withRoles(userInfo, mapping) {
+  const roles = resolveRoles(userInfo.groups, mapping);
+  return { ...userInfo, roles, permissions: permissionsFor(roles) };
+}
+
+export function hasPermission(userInfo, permission) {
+  return Boolean(userInfo?.permissions?.includes(permission));
+}
+
+export function isAdmin(userInfo) {
+  return Boolean(userInfo?.roles?.includes('admin'));
+}
+
+// Vérifie qu'un utilisateur possède la permission exigée par une route
+export function requirePermission(userInfo, permission) {
+  if (!hasPermission(userInfo, permission)) {
+    return { error: `Permission requise: ${permission}`, status: 403 };
+  }
+  return null;
+}
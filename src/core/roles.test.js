@@ -0,0 +1,116 @@
+/**
+ * Rôles et permissions : correspondance groupes → rôles (ROLE_MAPPING),
+ * permissions effectives et refus des routes par createApp.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ROLE_MAPPING,
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+  isAdmin,
+  parseRoleMapping,
+  permissionsFor,
+  requirePermission,
+  resolveRoles,
+  withRoles,
+} from './roles.js';
+import { createTestApp } from './testing.js';
+
+describe('rôles', () => {
+  describe('parseRoleMapping', () => {
+    it('renvoie la correspondance par défaut pour une valeur vide', () => {
+      assert.equal(parseRoleMapping(undefined), DEFAULT_ROLE_MAPPING);
+      assert.equal(parseRoleMapping('  '), DEFAULT_ROLE_MAPPING);
+    });
+
+    it('accepte un rôle seul ou une liste de rôles', () => {
+      assert.deepEqual(parseRoleMapping('{"myapp-admin": ["admin"], "editors": "service-editor"}'), {
+        'myapp-admin': ['admin'],
+        editors: ['service-editor'],
+      });
+    });
+
+    it('refuse un JSON invalide, un tableau et un rôle inconnu', () => {
+      assert.throws(() => parseRoleMapping('{admin}'), /ROLE_MAPPING doit être un objet JSON/);
+      assert.throws(() => parseRoleMapping('["admin"]'), /ROLE_MAPPING doit être un objet JSON/);
+      assert.throws(() => parseRoleMapping('{"editors": ["editor"]}'), /rôle\(s\) inconnu\(s\) pour editors: editor/);
+    });
+  });
+
+  describe('permissions effectives', () => {
+    const mapping = { 'myapp-admin': ['admin'], editors: ['service-editor'], comms: ['message-sender', 'user-viewer'] };
+
+    it('cumule les rôles de tous les groupes, sans doublon', () => {
+      assert.deepEqual(resolveRoles(['users', 'editors', 'comms'], mapping), ['service-editor', 'message-sender', 'user-viewer']);
+      assert.deepEqual(resolveRoles(['users'], mapping), []);
+      assert.deepEqual(resolveRoles(undefined, mapping), []);
+    });
+
+    it("donne les permissions dans l'ordre de PERMISSIONS", () => {
+      assert.deepEqual(permissionsFor(['admin']), PERMISSIONS);
+      assert.deepEqual(permissionsFor(['user-viewer', 'message-sender']), ['send-messages', 'view-users']);
+      assert.deepEqual(permissionsFor(['inconnu']), []);
+    });
+
+    it("ajoute rôles et permissions à l'utilisateur", () => {
+      const editor = withRoles({ username: 'bob', groups: ['editors'] }, mapping);
+      assert.deepEqual(editor.roles, ['service-editor']);
+      assert.ok(hasPermission(editor, 'manage-services'));
+      assert.ok(!hasPermission(editor, 'send-messages'));
+      assert.ok(!isAdmin(editor));
+      assert.deepEqual(requirePermission(editor, 'view-users'), { error: 'Permission requise: view-users', status: 403 });
+      assert.equal(requirePermission(editor, 'manage-services'), null);
+
+      const admin = withRoles({ username: 'alice', groups: ['myapp-admin'] }, mapping);
+      assert.ok(isAdmin(admin));
+      assert.ok(PERMISSIONS.every((permission) => hasPermission(admin, permission)));
+      assert.ok(!hasPermission(null, 'manage-services'));
+    });
+
+    it('ne donne que des permissions connues', () => {
+      for (const [role, permissions] of Object.entries(ROLES)) {
+        assert.ok(permissions.every((p) => PERMISSIONS.includes(p)), role);
+      }
+    });
+  });
+
+  describe('routes', () => {
+    let t;
+
+    before(() => {
+      t = createTestApp({ config: { roleMapping: parseRoleMapping('{"myapp-admin": "admin", "editors": "service-editor"}') } });
+    });
+    after(() => t.close());
+
+    const call = (pathname, groups, options = {}) => t.call(pathname, { user: 'bob', groups, ...options });
+
+    it('exige une identité', async () => {
+      assert.deepEqual(await t.call('/whoami'), { status: 401, body: { error: 'Non authentifié' } });
+    });
+
+    it('refuse une route dont la permission manque au rôle', async () => {
+      assert.deepEqual(await call('/all-messages', 'users'), { status: 403, body: { error: 'Permission requise: send-messages' } });
+      assert.equal((await call('/user-ids', 'users')).status, 403);
+      assert.equal((await call('/reconcile-images', 'editors')).status, 403);
+    });
+
+    it('autorise les routes permises par le rôle', async () => {
+      assert.equal((await call('/user-ids', 'myapp-admin')).status, 200);
+      assert.equal((await call('/all-messages', 'myapp-admin')).status, 200);
+
+      const { status, body } = await call('/whoami', 'users,editors');
+      assert.equal(status, 200);
+      assert.deepEqual([body.isAdmin, body.roles, body.permissions], [false, ['service-editor'], ['manage-services']]);
+    });
+
+    it("applique la permission avant d'exécuter la route", async () => {
+      const body = { title: 'Maintenance', content: 'Ce soir', type: 'info', userIds: ['bob'] };
+      const denied = await call('/add-message', 'users', { method: 'POST', body });
+      assert.equal(denied.status, 403);
+      assert.deepEqual((await call('/messages', 'users')).body, []);
+    });
+  });
+});
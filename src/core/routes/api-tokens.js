@@ -0,0 +1,200 @@
+/**
+ * Routes de gestion des tokens API (voir src/core/api-tokens.js).
+ *
+ * Ces routes n'ont pas de scope : elles exigent une session, un token API
+ * ne peut donc pas créer ou révoquer d'autres tokens.
+ */
+
+import { HttpError, jsonResponse, readJson } from '../http.js';
+import { hasPermission } from '../roles.js';
+import { recordAudit } from '../audit.js';
+import {
+  API_TOKEN_SCOPES,
+  DEFAULT_API_TOKEN_DAYS,
+  MAX_API_TOKEN_DAYS,
+  PERSONAL_ONLY_SCOPES,
+  generateApiToken,
+  serializeApiToken,
+} from '../api-tokens.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Échéance du token : expiresAt (date ISO) ou expiresInDays, 90 jours par défaut et 365 au plus
+function parseExpiry({ expiresAt, expiresInDays }) {
+  let expiry;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+  } else {
+    const days = expiresInDays ?? DEFAULT_API_TOKEN_DAYS;
+    if (!Number.isFinite(Number(days)) || Number(days) <= 0) {
+      throw new HttpError(400, 'expiresInDays doit être un nombre de jours positif');
+    }
+    expiry = new Date(Date.now() + Number(days) * DAY);
+  }
+
+  if (Number.isNaN(expiry.getTime())) {
+    throw new HttpError(400, 'expiresAt doit être une date ISO 8601');
+  }
+  if (expiry <= new Date()) {
+    throw new HttpError(400, "L'échéance du token doit être dans le futur");
+  }
+  if (expiry.getTime() > Date.now() + MAX_API_TOKEN_DAYS * DAY) {
+    throw new HttpError(400, `L'échéance du token ne peut pas dépasser ${MAX_API_TOKEN_DAYS} jours`);
+  }
+  return expiry;
+}
+
+/**
+ * @swagger
+ * /add-api-token:
+ *   post:
+ *     summary: Crée un token API (le token en clair n'est renvoyé qu'une fois)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [services:read, services:write, messages:read, messages:write, favorites:read, favorites:write, users:read, images:read, images:write, audit:read, backup:read, backup:write, analytics:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Utilisé si expiresAt est absent (défaut 90, au plus 365)
+ *               type:
+ *                 type: string
+ *                 enum: [personal, service]
+ *                 description: Un token de service (permission manage-api-tokens) agit sous le nom service:<name> avec ses propres groupes
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Groupes d'un token de service
+ *     responses:
+ *       201:
+ *         description: Token créé, avec le champ token en clair
+ */
+async function addApiToken(ctx) {
+  const body = await readJson(ctx.request);
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const type = body.type || 'personal';
+  const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+
+  if (!name || scopes.length === 0) {
+    throw new HttpError(400, 'Champs manquants (name, scopes)');
+  }
+  const unknownScopes = scopes.filter((scope) => !API_TOKEN_SCOPES.includes(scope));
+  if (unknownScopes.length) {
+    throw new HttpError(400, `Scope(s) inconnu(s): ${unknownScopes.join(', ')}`);
+  }
+  if (!['personal', 'service'].includes(type)) {
+    throw new HttpError(400, 'type doit être personal ou service');
+  }
+
+  let groups = [];
+  if (type === 'service') {
+    if (!hasPermission(ctx.user, 'manage-api-tokens')) {
+      throw new HttpError(403, 'Permission requise: manage-api-tokens');
+    }
+    groups = Array.isArray(body.groups) ? body.groups.filter((g) => typeof g === 'string') : [];
+    const personalScopes = scopes.filter((scope) => PERSONAL_ONLY_SCOPES.includes(scope));
+    if (personalScopes.length) {
+      throw new HttpError(400, `Scope(s) réservé(s) aux tokens personnels: ${personalScopes.join(', ')}`);
+    }
+  }
+
+  const expiresAt = parseExpiry(body);
+  const { token, tokenHash, prefix } = generateApiToken();
+
+  const apiToken = await ctx.store.apiTokens.create({
+    userId: ctx.user.username,
+    name,
+    type,
+    tokenHash,
+    prefix,
+    scopes,
+    groups,
+    expiresAt,
+  });
+
+  await recordAudit(ctx, { action: 'create', resourceType: 'api-token', resourceId: apiToken.id, after: serializeApiToken(apiToken) });
+  console.log(`   Token API créé: ${name} (${type}), scopes: [${scopes.join(', ')}]`);
+
+  return jsonResponse({ ...serializeApiToken(apiToken), token }, 201);
+}
+
+/**
+ * @swagger
+ * /api-tokens:
+ *   get:
+ *     summary: Liste les tokens API de l'utilisateur connecté (tous avec ?all=true et la permission manage-api-tokens)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Tokens sans leur valeur (seul le préfixe est renvoyé)
+ */
+async function listApiTokens(ctx) {
+  const all = ctx.url.searchParams.get('all') === 'true';
+  if (all && !hasPermission(ctx.user, 'manage-api-tokens')) {
+    throw new HttpError(403, 'Permission requise: manage-api-tokens');
+  }
+
+  const apiTokens = await ctx.store.apiTokens.list(all ? {} : { userId: ctx.user.username });
+  return jsonResponse(apiTokens.map(serializeApiToken));
+}
+
+/**
+ * @swagger
+ * /delete-api-token/{id}:
+ *   delete:
+ *     summary: Révoque un token API (le sien, ou n'importe lequel avec la permission manage-api-tokens)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Token révoqué
+ */
+async function deleteApiToken(ctx) {
+  const { id } = ctx.params;
+  const apiToken = await ctx.store.apiTokens.get(id);
+
+  // Le token d'un autre utilisateur est présenté comme introuvable
+  if (!apiToken || (apiToken.userId !== ctx.user.username && !hasPermission(ctx.user, 'manage-api-tokens'))) {
+    throw new HttpError(404, 'Token API introuvable');
+  }
+
+  await ctx.store.apiTokens.delete(id);
+  await recordAudit(ctx, { action: 'delete', resourceType: 'api-token', resourceId: id, before: serializeApiToken(apiToken) });
+  console.log(`   Token API révoqué: ${apiToken.name} (${apiToken.userId})`);
+
+  return jsonResponse({ status: 'révoqué', id });
+}
+
+export default [
+  { method: 'POST', path: '/add-api-token', access: 'user', handler: addApiToken, error: 'Erreur lors de la création du token' },
+  { method: 'GET', path: '/api-tokens', access: 'user', handler: listApiTokens, error: 'Erreur lors de la récupération des tokens' },
+  { method: 'DELETE', path: '/delete-api-token/:id', access: 'user', handler: deleteApiToken, error: 'Erreur lors de la révocation du token' },
+];
@@ -0,0 +1,66 @@
+/**
+ * Consultation du journal d'audit (voir src/core/audit.js).
+ */
+
+import { HttpError, jsonResponse, parseDateParam } from '../http.js';
+import { serializeAuditEntry } from '../audit.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * @swagger
+ * /audit-log:
+ *   get:
+ *     summary: Consulte le journal des modifications de services et de messages, plus récentes d'abord (permission view-audit-log)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema: { type: string }
+ *         description: Username de l'auteur (service:<nom> pour un token de service)
+ *       - in: query
+ *         name: resourceType
+ *         schema: { type: string, enum: [service, message, backup] }
+ *       - in: query
+ *         name: resourceId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Début de la période
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: Fin de la période, exclue
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 1000 }
+ *         description: Nombre maximal d'entrées (défaut 100)
+ *     responses:
+ *       200:
+ *         description: Entrées du journal (auteur, IP, route, ressource, changements avant/après)
+ */
+async function listAuditLog(ctx) {
+  const { searchParams } = ctx.url;
+  const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit doit être un entier entre 1 et ${MAX_LIMIT}`);
+  }
+
+  const entries = await ctx.store.audit.list({
+    actor: searchParams.get('actor') || undefined,
+    resourceType: searchParams.get('resourceType') || undefined,
+    resourceId: searchParams.get('resourceId') || undefined,
+    since: parseDateParam(searchParams.get('from'), undefined, 'from'),
+    until: parseDateParam(searchParams.get('to'), undefined, 'to'),
+    limit,
+  });
+
+  return jsonResponse(entries.map(serializeAuditEntry));
+}
+
+export default [
+  { method: 'GET', path: '/audit-log', access: 'user', permission: 'view-audit-log', scope: 'audit:read', handler: listAuditLog, error: "Erreur lors de la récupération du journal d'audit" },
+];
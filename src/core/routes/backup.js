@@ -0,0 +1,90 @@
+/**
+ * Routes d'export et d'import des sauvegardes complètes (voir src/core/backup.js).
+ */
+
+import { HttpError, jsonResponse } from '../http.js';
+import { recordAudit } from '../audit.js';
+import { createBackup, decodeBackup, importBackup } from '../backup.js';
+
+/**
+ * @swagger
+ * /export-backup:
+ *   get:
+ *     summary: Télécharge une sauvegarde complète des données et des images (permission manage-backups)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Archive home-services-backup-<date>.json.gz
+ *         content:
+ *           application/gzip: {}
+ */
+async function exportBackup(ctx) {
+  // Les images sont lues et compressées au fil de l'envoi
+  const { header, stream } = await createBackup(ctx);
+
+  console.log(`   Sauvegarde: ${header.collections.services.length} service(s), ${header.imageCount} image(s)`);
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="home-services-backup-${header.exportedAt.slice(0, 10)}.json.gz"`,
+    },
+  });
+}
+
+/**
+ * @swagger
+ * /import-backup:
+ *   post:
+ *     summary: Restaure une sauvegarde créée par /export-backup ou scripts/backup.js (permission manage-backups)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema: { type: boolean }
+ *         description: Calcule le rapport sans rien écrire
+ *       - in: query
+ *         name: conflicts
+ *         schema: { type: string, enum: [skip, replace, remap] }
+ *         description: Enregistrements déjà présents - skip les garde (défaut), replace les écrase, remap importe sous un nouvel id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/gzip: {}
+ *         application/json: {}
+ *     responses:
+ *       200:
+ *         description: Rapport par collection (total, created, replaced, remapped, skipped) et pour les images (written, skipped, invalid)
+ *       400:
+ *         description: Archive illisible ou paramètre invalide
+ */
+async function restoreBackup(ctx) {
+  const { searchParams } = ctx.url;
+  const dryRun = searchParams.get('dryRun') === 'true';
+  const conflicts = searchParams.get('conflicts') || 'skip';
+
+  if (!ctx.request.body) {
+    throw new HttpError(400, 'Archive de sauvegarde manquante');
+  }
+
+  // Lue en flux : seule une image de l'archive est en mémoire à la fois
+  const archive = await decodeBackup(ctx.request.body);
+  const report = await importBackup(ctx, archive, { dryRun, conflicts });
+
+  if (!dryRun) {
+    const after = { conflicts, images: report.images.written };
+    for (const [collection, stats] of Object.entries(report.collections)) {
+      after[collection] = stats.created + stats.replaced + stats.remapped;
+    }
+    await recordAudit(ctx, { action: 'import', resourceType: 'backup', resourceId: archive.exportedAt || 'inconnu', after });
+  }
+
+  console.log(`   Import de sauvegarde${dryRun ? ' (simulation)' : ''}: ${archive.exportedAt}, conflits: ${conflicts}`);
+  return jsonResponse(report);
+}
+
+export default [
+  { method: 'GET', path: '/export-backup', access: 'user', permission: 'manage-backups', scope: 'backup:read', handler: exportBackup, error: "Erreur lors de l'export de la sauvegarde" },
+  { method: 'POST', path: '/import-backup', access: 'user', permission: 'manage-backups', scope: 'backup:write', handler: restoreBackup, error: "Erreur lors de l'import de la sauvegarde" },
+];
@@ -0,0 +1,174 @@
+/**
+ * Routes des catégories de services (sections du tableau de bord).
+ */
+
+import { HttpError, jsonResponse, readJson } from '../http.js';
+import { recordAudit } from '../audit.js';
+
+// Transforme une catégorie pour l'API
+export function serializeCategory(category) {
+  return {
+    id: category.id,
+    name: category.name,
+    icon: category.icon || null,
+    position: category.position,
+    createdAt: category.createdAt,
+    updatedAt: category.updatedAt,
+  };
+}
+
+// Lit une position entière, undefined si absente
+export function parsePosition(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const position = Number(value);
+  if (!Number.isInteger(position)) {
+    throw new HttpError(400, 'position doit être un entier');
+  }
+  return position;
+}
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Liste les catégories de services, dans l'ordre d'affichage
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Catégories triées par position
+ */
+async function listCategories(ctx) {
+  const categories = await ctx.store.categories.list();
+  return jsonResponse(categories.map(serializeCategory));
+}
+
+/**
+ * @swagger
+ * /add-category:
+ *   post:
+ *     summary: Ajouter une catégorie (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               icon:
+ *                 type: string
+ *                 description: Emoji, nom d'icône ou URL, interprété par le frontend
+ *               position:
+ *                 type: integer
+ *                 description: Par défaut, après la dernière catégorie
+ *     responses:
+ *       201:
+ *         description: Catégorie ajoutée
+ */
+async function addCategory(ctx) {
+  const { name, icon, position } = await readJson(ctx.request);
+
+  if (!name || typeof name !== 'string') {
+    throw new HttpError(400, 'Champs manquants (name)');
+  }
+
+  let categoryPosition = parsePosition(position);
+  if (categoryPosition === undefined) {
+    const categories = await ctx.store.categories.list();
+    categoryPosition = categories.reduce((max, c) => Math.max(max, c.position + 1), 0);
+  }
+
+  const category = await ctx.store.categories.create({
+    name: name.trim(),
+    icon: icon || null,
+    position: categoryPosition,
+  });
+  await recordAudit(ctx, { action: 'create', resourceType: 'category', resourceId: category.id, after: category });
+
+  return jsonResponse(serializeCategory(category), 201);
+}
+
+/**
+ * @swagger
+ * /update-category/{id}:
+ *   put:
+ *     summary: Modifier une catégorie (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               icon: { type: string, nullable: true }
+ *               position: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Catégorie modifiée
+ */
+async function updateCategory(ctx) {
+  const { id } = ctx.params;
+  const existingCategory = await ctx.store.categories.get(id);
+  if (!existingCategory) {
+    throw new HttpError(404, 'Catégorie introuvable');
+  }
+
+  const { name, icon, position } = await readJson(ctx.request);
+  const updateData = {};
+  if (name) updateData.name = String(name).trim();
+  if (icon !== undefined) updateData.icon = icon || null;
+  const categoryPosition = parsePosition(position);
+  if (categoryPosition !== undefined) updateData.position = categoryPosition;
+
+  const category = await ctx.store.categories.update(id, updateData);
+  await recordAudit(ctx, { action: 'update', resourceType: 'category', resourceId: id, before: existingCategory, after: category });
+  return jsonResponse(serializeCategory(category));
+}
+
+/**
+ * @swagger
+ * /delete-category/{id}:
+ *   delete:
+ *     summary: Supprimer une catégorie, ses services deviennent non classés (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Catégorie supprimée
+ */
+async function deleteCategory(ctx) {
+  const { id } = ctx.params;
+  const category = await ctx.store.categories.get(id);
+  if (!category) {
+    throw new HttpError(404, 'Catégorie introuvable');
+  }
+
+  await ctx.store.categories.delete(id);
+  await recordAudit(ctx, { action: 'delete', resourceType: 'category', resourceId: id, before: category });
+  return jsonResponse({ status: 'supprimé', id });
+}
+
+export default [
+  { method: 'GET', path: '/categories', access: 'user', scope: 'services:read', handler: listCategories, error: 'Erreur lors de la récupération des catégories' },
+  { method: 'POST', path: '/add-category', access: 'user', permission: 'manage-services', scope: 'services:write', handler: addCategory, error: "Erreur lors de l'ajout de la catégorie" },
+  { method: 'PUT', path: '/update-category/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: updateCategory, error: 'Erreur lors de la modification de la catégorie' },
+  { method: 'DELETE', path: '/delete-category/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: deleteCategory, error: 'Erreur lors de la suppression de la catégorie' },
+];
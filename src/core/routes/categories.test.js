@@ -0,0 +1,105 @@
+/**
+ * Catégories et positions des services : ajout, réordonnancement en une
+ * fois et regroupement de la liste des services.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePosition } from './categories.js';
+import { createTestApp } from '../testing.js';
+
+const editor = { user: 'root', groups: 'users,admin' };
+
+describe('parsePosition', () => {
+  it('lit un entier, undefined si absent', () => {
+    assert.equal(parsePosition('3'), 3);
+    assert.equal(parsePosition(''), undefined);
+    assert.equal(parsePosition(null), undefined);
+    assert.throws(() => parsePosition('1.5'), { status: 400, message: 'position doit être un entier' });
+  });
+});
+
+describe('routes des catégories', () => {
+  let t;
+  let media;
+  let outils;
+  let services;
+
+  before(async () => {
+    t = createTestApp();
+    const service = (name) => t.store.services.create({ name, redirectUrl: `https://${name}.example`, allowedGroups: ['users'], imagePath: 'images/icon.png' });
+    services = { jellyfin: await service('jellyfin'), grafana: await service('grafana'), wiki: await service('wiki') };
+  });
+  after(() => t.close());
+
+  it('place une nouvelle catégorie après la dernière', async () => {
+    media = (await t.call('/add-category', { ...editor, method: 'POST', body: { name: ' Média ', icon: '🎬' } })).body;
+    outils = (await t.call('/add-category', { ...editor, method: 'POST', body: { name: 'Outils' } })).body;
+    assert.deepEqual([media.name, media.position, outils.position], ['Média', 0, 1]);
+
+    assert.deepEqual((await t.store.audit.list({ resourceType: 'category' })).map((e) => [e.action, e.resourceId]), [['create', outils.id], ['create', media.id]]);
+
+    assert.equal((await t.call('/add-category', { ...editor, method: 'POST', body: { icon: '🎬' } })).status, 400);
+    assert.equal((await t.call('/add-category', { user: 'alice', method: 'POST', body: { name: 'X' } })).status, 403);
+  });
+
+  it('réordonne catégories et services en une fois', async () => {
+    const { status, body } = await t.call('/reorder-services', {
+      ...editor,
+      method: 'POST',
+      body: {
+        categories: [outils.id, media.id],
+        services: [
+          { id: services.jellyfin.id, categoryId: media.id, position: 0 },
+          { id: services.wiki.id, categoryId: outils.id, position: 1 },
+          { id: services.grafana.id, categoryId: outils.id, position: 0 },
+        ],
+      },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((s) => s.name), ['grafana', 'wiki', 'jellyfin']);
+
+    const grouped = (await t.call('/services?grouped=true', { user: 'alice' })).body;
+    assert.deepEqual(
+      grouped.map((c) => [c.name, c.services.map((s) => s.name)]),
+      [['Outils', ['grafana', 'wiki']], ['Média', ['jellyfin']]]
+    );
+
+    // Une entrée d'audit par catégorie ou service déplacé
+    const reorders = (await t.store.audit.list()).filter((e) => e.action === 'reorder');
+    assert.equal(reorders.length, 5);
+    const [outilsMove] = reorders.filter((e) => e.resourceId === outils.id);
+    assert.deepEqual(outilsMove.changes, { position: { before: 1, after: 0 } });
+  });
+
+  it('refuse un réordonnancement qui référence un service ou une catégorie inconnus, sans rien modifier', async () => {
+    const unknownCategory = await t.call('/reorder-services', { ...editor, method: 'POST', body: { categories: ['inconnue', media.id] } });
+    assert.deepEqual(unknownCategory, { status: 400, body: { error: 'Catégorie(s) introuvable(s): inconnue' } });
+
+    const unknownService = await t.call('/reorder-services', {
+      ...editor,
+      method: 'POST',
+      body: { categories: [media.id, outils.id], services: [{ id: 'inconnu', position: 0 }] },
+    });
+    assert.equal(unknownService.status, 400);
+
+    const duplicate = await t.call('/reorder-services', { ...editor, method: 'POST', body: { categories: [media.id, media.id] } });
+    assert.deepEqual(duplicate.body, { error: 'Une catégorie ou un service apparaît plusieurs fois' });
+    assert.deepEqual(await t.call('/reorder-services', { ...editor, method: 'POST', body: [] }), {
+      status: 400,
+      body: { error: 'Le corps doit être un objet JSON' },
+    });
+    assert.equal((await t.call('/add-category', { ...editor, method: 'POST', body: 'null', headers: { 'Content-Type': 'application/json' } })).status, 400);
+    assert.deepEqual((await t.call('/categories', { user: 'alice' })).body.map((c) => c.name), ['Outils', 'Média']);
+  });
+
+  it('rend non classés les services de la catégorie supprimée', async () => {
+    assert.equal((await t.call(`/delete-category/${media.id}`, { ...editor, method: 'DELETE' })).status, 200);
+
+    const grouped = (await t.call('/services?grouped=true', { user: 'alice' })).body;
+    assert.deepEqual(
+      grouped.map((c) => [c.id, c.services.map((s) => s.name)]),
+      [[outils.id, ['grafana', 'wiki']], [null, ['jellyfin']]]
+    );
+  });
+});
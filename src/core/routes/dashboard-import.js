@@ -0,0 +1,247 @@
+/**
+ * Import de services depuis la configuration d'un autre tableau de bord
+ * (voir src/core/dashboard-import.js), avec aperçu avant écriture.
+ */
+
+import { HttpError, jsonResponse, readLimited } from '../http.js';
+import { recordAudit } from '../audit.js';
+import { recordRevision } from '../revisions.js';
+import { DEFAULT_SERVICE_CHECK } from '../health.js';
+import { downloadIcon } from '../icon-fetch.js';
+import { iconSourceFor, parseDashboardConfig, readDataUrl } from '../dashboard-import.js';
+import { iconFetchOptions, nextPosition, storeFetchedIcon, storeImage } from './services.js';
+
+// Chaque entrée peut télécharger plusieurs icônes : limite la durée d'un import
+const MAX_ENTRIES = 100;
+// Taille du fichier de configuration envoyé
+const MAX_CONFIG_SIZE = 1024 * 1024;
+// Téléchargements d'icônes en parallèle, et durée totale après laquelle les entrées restantes échouent
+const ICON_CONCURRENCY = 4;
+const ICON_DEADLINE = 60 * 1000;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Prépare l'import de chaque entrée : règles d'accès (celles de l'entrée,
+ * sinon les groupes par défaut), catégorie existante et source de l'icône.
+ * Statut : new, duplicate (URL déjà présente) ou invalid.
+ */
+function planImport(entries, { format, baseUrl, groups, services, categories }) {
+  const categoryIds = new Map(categories.map((c) => [c.name.toLowerCase(), c.id]));
+  const urls = new Set(services.map((s) => s.redirectUrl));
+
+  return entries.map((entry, index) => {
+    const { access } = entry;
+    const hasOwnAccess = Boolean(access.allowedGroups?.length || access.allowedUsers?.length);
+    const item = {
+      index,
+      name: entry.name,
+      redirectUrl: entry.redirectUrl,
+      category: entry.category,
+      categoryIcon: entry.categoryIcon,
+      categoryId: entry.category ? categoryIds.get(entry.category.toLowerCase()) ?? null : null,
+      allowedGroups: hasOwnAccess ? access.allowedGroups || [] : groups,
+      allowedUsers: hasOwnAccess ? access.allowedUsers || [] : [],
+      deniedUsers: access.deniedUsers || [],
+      deniedGroups: access.deniedGroups || [],
+      iconSource: iconSourceFor(entry.icon, format, baseUrl),
+      status: 'new',
+    };
+
+    if (!item.name || !isHttpUrl(item.redirectUrl)) {
+      item.status = 'invalid';
+      item.error = 'Nom ou URL http(s) manquant';
+    } else if (!item.allowedGroups.length && !item.allowedUsers.length) {
+      item.status = 'invalid';
+      item.error = 'Groupes non spécifiés (paramètre groups)';
+    } else if (urls.has(item.redirectUrl)) {
+      item.status = 'duplicate';
+    } else {
+      urls.add(item.redirectUrl);
+    }
+    return item;
+  });
+}
+
+// Entrée pour l'API ; une icône en data: URI n'est pas recopiée
+function serializeItem(item) {
+  const { categoryIcon, iconSource, ...rest } = item;
+  return { ...rest, iconSource: iconSource?.startsWith('data:') ? 'data:' : iconSource };
+}
+
+// Catégorie de l'entrée, créée à la suite des autres si elle n'existe pas encore
+async function categoryFor(ctx, item, categories) {
+  if (!item.category) return null;
+  const existing = categories.find((c) => c.name.toLowerCase() === item.category.toLowerCase());
+  if (existing) return existing.id;
+
+  const category = await ctx.store.categories.create({
+    name: item.category,
+    icon: item.categoryIcon,
+    position: categories.reduce((max, c) => Math.max(max, c.position + 1), 0),
+  });
+  categories.push(category);
+  await recordAudit(ctx, { action: 'create', resourceType: 'category', resourceId: category.id, after: category });
+  console.log(`   Catégorie créée: ${category.name}`);
+  return category.id;
+}
+
+// Icône de la configuration, sinon celle du site du service
+async function storeImportedIcon(ctx, item, deadline) {
+  if (item.iconSource) {
+    try {
+      const file = item.iconSource.startsWith('data:') ? readDataUrl(item.iconSource) : await downloadIcon({ url: item.iconSource }, iconFetchOptions(ctx));
+      if (file) return { image: await storeImage(ctx, file), icon: 'config' };
+    } catch (error) {
+      console.log(`   Icône ignorée (${item.iconSource.slice(0, 80)}): ${error.message}`);
+    }
+  }
+  return { image: await storeFetchedIcon(ctx, item.redirectUrl, { deadline }), icon: 'site' };
+}
+
+/**
+ * Icônes des entrées à créer, quelques téléchargements à la fois. Passé
+ * ICON_DEADLINE, les entrées restantes ne sont plus téléchargées et
+ * échouent : un nouvel import les reprend, les autres étant des doublons.
+ */
+async function storeImportedIcons(ctx, items) {
+  const deadline = Date.now() + ICON_DEADLINE;
+  const icons = new Map();
+
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const item = items[next++];
+      if (Date.now() > deadline) {
+        icons.set(item, { error: `Délai de l'import dépassé (${ICON_DEADLINE / 1000} s), relancez l'import` });
+        continue;
+      }
+      try {
+        icons.set(item, await storeImportedIcon(ctx, item, deadline));
+      } catch (error) {
+        icons.set(item, { error: error.message });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(ICON_CONCURRENCY, items.length) }, worker));
+  return icons;
+}
+
+/**
+ * @swagger
+ * /import-dashboard:
+ *   post:
+ *     summary: Importe les services d'une configuration Homer, Dashy, gethomepage ou Heimdall (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [auto, homer, dashy, homepage, heimdall] }
+ *         description: Format de la configuration (défaut auto, détecté d'après sa structure)
+ *       - in: query
+ *         name: groups
+ *         schema: { type: string }
+ *         description: Groupes autorisés, séparés par des virgules, pour les entrées sans règles d'accès
+ *       - in: query
+ *         name: baseUrl
+ *         schema: { type: string }
+ *         description: URL du tableau de bord d'origine, pour télécharger ses icônes locales
+ *       - in: query
+ *         name: dryRun
+ *         schema: { type: boolean }
+ *         description: Renvoie l'aperçu de l'import sans rien écrire
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/yaml: {}
+ *         application/json: {}
+ *     responses:
+ *       200:
+ *         description: Entrées avec leur catégorie, leurs règles d'accès, la source de l'icône et leur statut (new, duplicate, invalid ; created ou failed après import)
+ *       400:
+ *         description: Configuration illisible, format non reconnu ou trop de services
+ *       413:
+ *         description: Configuration de plus de 1 Mo
+ */
+async function importDashboard(ctx) {
+  const { searchParams } = ctx.url;
+  const dryRun = searchParams.get('dryRun') === 'true';
+  const baseUrl = searchParams.get('baseUrl') || null;
+  const groups = [...new Set((searchParams.get('groups') || '').split(',').map((g) => g.trim()).filter(Boolean))];
+
+  if (baseUrl && !isHttpUrl(baseUrl)) {
+    throw new HttpError(400, 'baseUrl doit être une URL http(s)');
+  }
+
+  const bytes = await readLimited(ctx.request, MAX_CONFIG_SIZE);
+  if (!bytes) {
+    throw new HttpError(413, `Configuration trop volumineuse (au plus ${MAX_CONFIG_SIZE / 1024 / 1024} Mo)`);
+  }
+  const text = new TextDecoder().decode(bytes);
+  if (!text.trim()) {
+    throw new HttpError(400, 'Configuration manquante');
+  }
+
+  const { format, entries } = parseDashboardConfig(text, searchParams.get('format') || 'auto');
+  if (entries.length > MAX_ENTRIES) {
+    throw new HttpError(400, `Au plus ${MAX_ENTRIES} services par import (${entries.length} dans la configuration)`);
+  }
+
+  const services = await ctx.store.services.list();
+  const categories = await ctx.store.categories.list();
+  const items = planImport(entries, { format, baseUrl, groups, services, categories });
+
+  // L'aperçu ne télécharge aucune icône
+  if (!dryRun) {
+    const newItems = items.filter((i) => i.status === 'new');
+    const icons = await storeImportedIcons(ctx, newItems);
+
+    // Services créés un par un, dans l'ordre de la configuration
+    for (const item of newItems) {
+      const { image, icon, error } = icons.get(item);
+      if (error) {
+        Object.assign(item, { status: 'failed', error });
+        continue;
+      }
+      try {
+        const categoryId = await categoryFor(ctx, item, categories);
+        const service = await ctx.store.services.create({
+          name: item.name,
+          redirectUrl: item.redirectUrl,
+          allowedGroups: item.allowedGroups,
+          allowedUsers: item.allowedUsers,
+          deniedUsers: item.deniedUsers,
+          deniedGroups: item.deniedGroups,
+          categoryId,
+          position: nextPosition(services, categoryId),
+          healthCheck: { ...DEFAULT_SERVICE_CHECK },
+          ...image,
+        });
+        services.push(service);
+        await recordRevision(ctx, service, 'create');
+        await recordAudit(ctx, { action: 'create', resourceType: 'service', resourceId: service.id, after: service });
+
+        Object.assign(item, { status: 'created', serviceId: service.id, categoryId, icon });
+      } catch (error) {
+        Object.assign(item, { status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  const summary = {};
+  for (const item of items) summary[item.status] = (summary[item.status] || 0) + 1;
+
+  console.log(`   Import ${format}${dryRun ? ' (aperçu)' : ''}: ${JSON.stringify(summary)}`);
+  return jsonResponse({ format, dryRun, summary, items: items.map(serializeItem) });
+}
+
+export default [
+  { method: 'POST', path: '/import-dashboard', access: 'user', permission: 'manage-services', scope: 'services:write', handler: importDashboard, error: "Erreur lors de l'import de la configuration" },
+];
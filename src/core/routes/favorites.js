@@ -0,0 +1,141 @@
+/**
+ * Routes des favoris de l'utilisateur connecté.
+ */
+
+import { HttpError, jsonResponse, readJson } from '../http.js';
+
+// Même forme sur tous les runtimes : userId est le username de l'utilisateur
+function serializeFavorite(favorite, user) {
+  return {
+    url: favorite.url,
+    title: favorite.title,
+    userId: user.username,
+    createdAt: favorite.createdAt,
+  };
+}
+
+/**
+ * @swagger
+ * /add-favorite:
+ *   post:
+ *     summary: Ajouter un lien en favori pour l'utilisateur connecté
+ *     security:
+ *       - RemoteUserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - title
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: URL du lien à ajouter en favori
+ *               title:
+ *                 type: string
+ *                 description: Titre du favori
+ *     responses:
+ *       201:
+ *         description: Favori ajouté avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ */
+async function addFavorite(ctx) {
+  const { url, title } = await readJson(ctx.request);
+
+  if (!url || !title) {
+    throw new HttpError(400, 'Champs manquants (url, title)');
+  }
+
+  // Vérifier si le favori existe déjà pour cet utilisateur
+  const exists = await ctx.store.favorites.get(ctx.user.id, url);
+  if (exists) {
+    throw new HttpError(400, 'Ce lien est déjà en favori');
+  }
+
+  const newFavorite = await ctx.store.favorites.create(ctx.user.id, { url, title });
+  return jsonResponse({ url: newFavorite.url }, 201);
+}
+
+/**
+ * @swagger
+ * /favorites:
+ *   get:
+ *     summary: Récupère les favoris de l'utilisateur connecté
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste des favoris
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   url:
+ *                     type: string
+ *                   title:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ */
+async function listFavorites(ctx) {
+  // Retourne uniquement les favoris de cet utilisateur
+  const favorites = await ctx.store.favorites.list(ctx.user.id);
+  return jsonResponse(favorites.map((favorite) => serializeFavorite(favorite, ctx.user)));
+}
+
+/**
+ * @swagger
+ * /delete-favorite/{id}:
+ *   delete:
+ *     summary: Supprimer un favori (l'id est l'URL du lien)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: URL du favori à supprimer
+ *     responses:
+ *       200:
+ *         description: Favori supprimé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: ['supprimé']
+ *                 url:
+ *                   type: string
+ */
+async function deleteFavorite(ctx) {
+  const url = ctx.params.id; // Déjà décodée par le routeur
+  const favorite = await ctx.store.favorites.get(ctx.user.id, url);
+  if (!favorite) {
+    throw new HttpError(404, 'Favori introuvable');
+  }
+
+  await ctx.store.favorites.delete(ctx.user.id, url);
+  return jsonResponse({ status: 'supprimé', url: favorite.url });
+}
+
+export default [
+  { method: 'POST', path: '/add-favorite', access: 'user', scope: 'favorites:write', handler: addFavorite, error: 'Erreur lors de l\'ajout du favori' },
+  { method: 'GET', path: '/favorites', access: 'user', scope: 'favorites:read', handler: listFavorites, error: 'Erreur lors de la récupération des favoris' },
+  { method: 'DELETE', path: '/delete-favorite/*id', access: 'user', scope: 'favorites:write', handler: deleteFavorite, error: 'Erreur lors de la suppression du favori' },
+];
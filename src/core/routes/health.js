@@ -0,0 +1,91 @@
+/**
+ * Routes de disponibilité des services (voir src/core/health.js).
+ */
+
+import { HttpError, jsonResponse } from '../http.js';
+import { runHealthChecks, serializeHealth, uptimeSince } from '../health.js';
+import { canAccessService } from './services.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * /service-health/{id}:
+ *   get:
+ *     summary: État, disponibilité et historique horaire d'un service visible par l'utilisateur
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: days
+ *         schema: { type: integer }
+ *         description: Période de l'historique renvoyé, de 1 à HEALTH_HISTORY_DAYS (défaut 7)
+ *     responses:
+ *       200:
+ *         description: Dernier état, disponibilité sur 24h, 7 et 30 jours, agrégats horaires
+ *       400:
+ *         description: days hors de la durée de conservation de l'historique
+ */
+async function getServiceHealth(ctx) {
+  const { id } = ctx.params;
+  const service = await ctx.store.services.get(id);
+  if (!service || !canAccessService(service, ctx.user)) {
+    throw new HttpError(404, 'Service introuvable');
+  }
+
+  const { historyDays } = ctx.config.healthCheck;
+  const days = ctx.url.searchParams.has('days') ? Number(ctx.url.searchParams.get('days')) : Math.min(7, historyDays);
+  if (!Number.isInteger(days) || days < 1 || days > historyDays) {
+    throw new HttpError(400, `days doit être un entier entre 1 et ${historyDays}`);
+  }
+  const now = Date.now();
+  const [current, buckets] = await Promise.all([
+    ctx.store.health.get(id),
+    ctx.store.health.history(id, new Date(now - Math.max(days, 30) * DAY)),
+  ]);
+  const since = new Date(now - days * DAY);
+
+  return jsonResponse({
+    serviceId: id,
+    current: serializeHealth(current),
+    uptime: {
+      '24h': uptimeSince(buckets, new Date(now - DAY)),
+      '7d': uptimeSince(buckets, new Date(now - 7 * DAY)),
+      '30d': uptimeSince(buckets, new Date(now - 30 * DAY)),
+    },
+    history: buckets
+      .filter((b) => new Date(b.hour) >= since)
+      .map((b) => ({
+        hour: b.hour,
+        checks: b.checks,
+        up: b.up,
+        uptime: Math.round((b.up / b.checks) * 10000) / 100,
+        averageLatencyMs: b.up ? Math.round(b.latencyTotal / b.up) : null,
+      })),
+  });
+}
+
+/**
+ * @swagger
+ * /run-health-checks:
+ *   post:
+ *     summary: Lance immédiatement la vérification de tous les services (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Résultat de la vérification de chaque service
+ */
+async function runChecks(ctx) {
+  const results = await runHealthChecks(ctx, ctx.config.healthCheck);
+  return jsonResponse(results);
+}
+
+export default [
+  { method: 'GET', path: '/service-health/:id', access: 'user', scope: 'services:read', handler: getServiceHealth, error: 'Erreur lors de la récupération de la disponibilité' },
+  { method: 'POST', path: '/run-health-checks', access: 'user', permission: 'manage-services', scope: 'services:write', handler: runChecks, error: 'Erreur lors de la vérification des services' },
+];
@@ -0,0 +1,189 @@
+/**
+ * Route publique servant les images des services depuis le stockage d'images,
+ * avec génération de variantes à la demande (?w=, ?h=, ?dpr=, ?format=).
+ *
+ * Chaque variante est générée une seule fois à partir de l'upload d'origine
+ * (ou de l'icône stockée pour les anciennes images), écrite sous une clé
+ * dérivée puis servie depuis le stockage. Les icônes SVG sont servies telles
+ * quelles, sans variantes. Les uploads d'origine (images/originals/) ne sont
+ * jamais servis : ce sont les octets bruts envoyés par le client.
+ *
+ * Routes admin de réconciliation entre le stockage d'images et les services.
+ */
+
+import { HttpError, jsonResponse } from '../http.js';
+import { recordAudit } from '../audit.js';
+import { normalizeImageKey, originalKeyFor, parseVariantParams, safeImageKey, variantKeyFor } from '../image-variants.js';
+import { SVG_CONTENT_TYPE } from '../../images/svg.js';
+
+function imageResponse(body, contentType) {
+  const headers = {
+    'Content-Type': contentType || 'image/png',
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff',
+  };
+  // Défense en profondeur si un SVG est ouvert directement dans le navigateur
+  if (contentType === SVG_CONTENT_TYPE) {
+    headers['Content-Security-Policy'] = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+  }
+  return new Response(body, { headers });
+}
+
+// Lit le contenu d'un objet du stockage (ReadableStream R2 ou Buffer disque)
+async function readObject(object) {
+  return new Response(object.body).arrayBuffer();
+}
+
+/**
+ * @swagger
+ * /images/{key}:
+ *   get:
+ *     summary: Sert une image, éventuellement redimensionnée ou convertie
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema: { type: string }
+ *       - { in: query, name: w, schema: { type: integer, enum: [16, 24, 32, 48, 50, 64, 96, 128, 256, 512] }, description: Largeur en pixels CSS (exclusif avec h) }
+ *       - { in: query, name: h, schema: { type: integer, enum: [16, 24, 32, 48, 50, 64, 96, 128, 256, 512] }, description: Hauteur en pixels CSS (exclusif avec w) }
+ *       - { in: query, name: dpr, schema: { type: integer, enum: [1, 2, 3] }, description: Densité de pixels }
+ *       - { in: query, name: format, schema: { type: string, enum: [png, webp, avif] }, description: avif uniquement avec server.js (400 sur Workers et Pages) }
+ *     responses:
+ *       200:
+ *         description: Image
+ *       404:
+ *         description: Image non trouvée
+ */
+async function getImage(ctx) {
+  // Une clé avec "." ou ".." (x%2F..%2Foriginals%2F…) désignerait un autre fichier une fois résolue
+  const imageKey = safeImageKey(`images/${ctx.params.key}`);
+  if (!imageKey) {
+    return new Response('Image non trouvée', { status: 404 });
+  }
+  // Les SVG sont vectoriels : servis tels quels quelle que soit la taille demandée
+  const variant = imageKey.endsWith('.svg') ? null : parseVariantParams(ctx.url.searchParams, ctx.variantFormats);
+
+  if (!variant) {
+    const object = imageKey.startsWith('images/originals/') ? null : await ctx.images.get(imageKey);
+    if (!object) {
+      return new Response('Image non trouvée', { status: 404 });
+    }
+    return imageResponse(object.body, object.contentType);
+  }
+
+  if (/^images\/(originals|variants)\//.test(imageKey)) {
+    throw new HttpError(400, 'Les variantes ne peuvent être générées que depuis une image de service');
+  }
+
+  const variantKey = variantKeyFor(imageKey, variant);
+  const cached = await ctx.images.get(variantKey);
+  if (cached) {
+    return imageResponse(cached.body, cached.contentType);
+  }
+
+  const source = (await ctx.images.get(originalKeyFor(imageKey))) || (await ctx.images.get(imageKey));
+  if (!source) {
+    return new Response('Image non trouvée', { status: 404 });
+  }
+
+  const output = await ctx.transformImage(await readObject(source), variant);
+  await ctx.images.put(variantKey, output.buffer, { contentType: output.contentType });
+  console.log(`   Variante générée: ${variantKey}`);
+
+  return imageResponse(output.buffer, output.contentType);
+}
+
+// Icône à laquelle se rattache une clé (elle-même, ou l'icône d'un original ou d'une variante)
+function ownerKeyOf(key) {
+  const match = /^images\/(?:originals\/(.+)|variants\/(.+)\/[^/]+)$/.exec(key);
+  return match ? `images/${match[1] ?? match[2]}` : key;
+}
+
+// Compare le stockage d'images aux imagePath des services et supprime
+// éventuellement les images orphelines (avec leurs originaux et variantes)
+async function reconcileImages(ctx, { remove }) {
+  // Les services de la corbeille et les révisions gardent leur image jusqu'à la purge
+  const [keys, active, trashed, revisionImages] = await Promise.all([
+    ctx.images.list('images/'),
+    ctx.store.services.list(),
+    ctx.store.services.listTrash(),
+    ctx.store.revisions.imagePaths(),
+  ]);
+  const services = [...active, ...trashed];
+  const stored = new Set(keys);
+  const referenced = new Set(
+    [...services.map((s) => s.imagePath), ...revisionImages].filter(Boolean).map(normalizeImageKey)
+  );
+
+  const orphans = keys.filter((key) => !referenced.has(ownerKeyOf(key)));
+  const dangling = services
+    .filter((s) => !s.imagePath || !stored.has(normalizeImageKey(s.imagePath)))
+    .map((s) => ({ id: s.id, name: s.name, imagePath: s.imagePath }));
+
+  const deleted = [];
+  const failed = [];
+  if (remove) {
+    for (const key of orphans) {
+      try {
+        await ctx.images.delete(key);
+        deleted.push(key);
+      } catch (error) {
+        console.error(`Erreur lors de la suppression de ${key}:`, error);
+        failed.push(key);
+      }
+    }
+
+    // Une entrée par icône supprimée, avec son original et ses variantes
+    const deletedByOwner = new Map();
+    for (const key of deleted) {
+      deletedByOwner.set(ownerKeyOf(key), [...(deletedByOwner.get(ownerKeyOf(key)) || []), key]);
+    }
+    for (const [ownerKey, deletedKeys] of deletedByOwner) {
+      await recordAudit(ctx, { action: 'delete', resourceType: 'image', resourceId: ownerKey, before: { keys: deletedKeys } });
+    }
+  }
+
+  console.log(`   ${keys.length} image(s), ${orphans.length} orpheline(s), ${dangling.length} référence(s) cassée(s)`);
+  return jsonResponse({
+    images: keys.length,
+    referenced: referenced.size,
+    orphans,
+    dangling,
+    ...(remove && { deleted, failed }),
+  });
+}
+
+/**
+ * @swagger
+ * /reconcile-images:
+ *   get:
+ *     summary: Rapport des images orphelines et des services dont l'image est absente (permission manage-images)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ images, referenced, orphans: [clé], dangling: [{ id, name, imagePath }] }"
+ *   post:
+ *     summary: Supprime les images orphelines, originaux et variantes compris (permission manage-images)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Rapport, avec les clés supprimées (deleted) et en échec (failed)
+ */
+async function getImageReport(ctx) {
+  return reconcileImages(ctx, { remove: false });
+}
+
+async function deleteOrphanImages(ctx) {
+  return reconcileImages(ctx, { remove: true });
+}
+
+export default [
+  { method: 'GET', path: '/images/*key', access: 'public', handler: getImage, error: 'Erreur lors de la récupération de l\'image' },
+  // Anciennes URLs du serveur Express (uploads/<fichier>)
+  { method: 'GET', path: '/uploads/*key', access: 'public', handler: getImage, error: 'Erreur lors de la récupération de l\'image' },
+  { method: 'GET', path: '/reconcile-images', access: 'user', permission: 'manage-images', scope: 'images:read', handler: getImageReport, error: 'Erreur lors de la vérification des images' },
+  { method: 'POST', path: '/reconcile-images', access: 'user', permission: 'manage-images', scope: 'images:write', handler: deleteOrphanImages, error: 'Erreur lors du nettoyage des images' },
+];
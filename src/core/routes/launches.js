@@ -0,0 +1,122 @@
+/**
+ * Ouverture suivie des services (GET /go/:id) et statistiques d'usage.
+ */
+
+import { HttpError, jsonResponse, parseDateParam } from '../http.js';
+import { canAccessService } from './services.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT = 512;
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+/**
+ * @swagger
+ * /go/{id}:
+ *   get:
+ *     summary: Ouvre un service visible par l'utilisateur en enregistrant l'ouverture, puis redirige vers son redirectUrl
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: Redirection vers le service
+ *       404:
+ *         description: Service introuvable ou non accessible
+ */
+async function launchService(ctx) {
+  const { id } = ctx.params;
+  const service = await ctx.store.services.get(id);
+  if (!service || !canAccessService(service, ctx.user)) {
+    throw new HttpError(404, 'Service introuvable');
+  }
+
+  // L'enregistrement ne doit jamais empêcher l'ouverture du service
+  try {
+    await ctx.store.launches.record({
+      serviceId: service.id,
+      userId: ctx.user.username,
+      groups: ctx.user.groups || [],
+      userAgent: ctx.request.headers.get('user-agent')?.slice(0, MAX_USER_AGENT) || null,
+    });
+  } catch (error) {
+    console.error('Erreur enregistrement ouverture:', error);
+  }
+
+  console.log(`   Ouverture: ${service.name}`);
+  return new Response(null, {
+    status: 302,
+    headers: { Location: service.redirectUrl, 'Cache-Control': 'no-store' },
+  });
+}
+
+/**
+ * @swagger
+ * /launch-stats:
+ *   get:
+ *     summary: Statistiques d'ouverture des services par service, par groupe et dans le temps (permission view-analytics, scope analytics:read)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Début de la période (défaut il y a 30 jours)
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: Fin de la période, exclue (défaut maintenant)
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [hour, day, week, month] }
+ *         description: Granularité de la série temporelle (défaut day)
+ *       - in: query
+ *         name: serviceId
+ *         schema: { type: string }
+ *         description: Limite les statistiques à un service
+ *     responses:
+ *       200:
+ *         description: Totaux, classement par service et par groupe, série temporelle
+ */
+async function launchStats(ctx) {
+  const { searchParams } = ctx.url;
+  const to = parseDateParam(searchParams.get('to'), new Date(), 'to');
+  const from = parseDateParam(searchParams.get('from'), new Date(to.getTime() - 30 * DAY), 'from');
+  const interval = searchParams.get('interval') || 'day';
+  const serviceId = searchParams.get('serviceId') || undefined;
+
+  if (!INTERVALS.includes(interval)) {
+    throw new HttpError(400, `interval doit être ${INTERVALS.join(', ')}`);
+  }
+
+  // Agrégé par le store : les ouvertures elles-mêmes ne sont jamais chargées
+  const [stats, services] = await Promise.all([
+    ctx.store.launches.stats({ since: from, until: to, serviceId, interval }),
+    ctx.store.services.list(),
+  ]);
+  const names = new Map(services.map((s) => [s.id, s.name]));
+  const byLaunches = (a, b) => b.launches - a.launches;
+
+  return jsonResponse({
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval,
+    total: stats.total,
+    users: stats.users,
+    byService: stats.byService
+      .map(({ serviceId: id, launches, users }) => ({ serviceId: id, name: names.get(id) || null, launches, users }))
+      .sort(byLaunches),
+    byGroup: stats.byGroup.map(({ group, launches, users }) => ({ group, launches, users })).sort(byLaunches),
+    overTime: stats.overTime
+      .map(({ period, launches, users }) => ({ period, launches, users }))
+      .sort((a, b) => a.period.localeCompare(b.period)),
+  });
+}
+
+export default [
+  { method: 'GET', path: '/go/:id', access: 'user', scope: 'services:read', handler: launchService, error: "Erreur lors de l'ouverture du service" },
+  { method: 'GET', path: '/launch-stats', access: 'user', permission: 'view-analytics', scope: 'analytics:read', handler: launchStats, error: 'Erreur lors du calcul des statistiques' },
+];
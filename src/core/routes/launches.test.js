@@ -0,0 +1,80 @@
+/**
+ * Ouvertures suivies par /go/:id : redirection, statistiques d'usage et tri
+ * personnel de la liste des services.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { purgeOldLaunches } from '../launches.js';
+import { createTestApp } from '../testing.js';
+
+describe('ouvertures des services', () => {
+  let t;
+  let grafana;
+  let wiki;
+
+  before(async () => {
+    t = createTestApp();
+    const service = (name, data = {}) =>
+      t.store.services.create({ name, redirectUrl: `https://${name}.example/`, allowedGroups: ['users'], imagePath: 'images/icon.png', ...data });
+    grafana = await service('grafana');
+    wiki = await service('wiki');
+    await service('secret', { allowedGroups: ['admin'] });
+  });
+  after(() => t.close());
+
+  it("redirige vers le service et enregistre l'ouverture", async () => {
+    const response = await t.request(`/go/${wiki.id}`, { user: 'alice', headers: { 'User-Agent': 'test' } });
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('Location'), 'https://wiki.example/');
+    await t.request(`/go/${wiki.id}`, { user: 'alice' });
+    await t.request(`/go/${grafana.id}`, { user: 'bob', groups: 'users,ops' });
+
+    const [launch] = await t.store.launches.list({ serviceId: grafana.id });
+    assert.deepEqual([launch.userId, launch.groups], ['bob', ['users', 'ops']]);
+  });
+
+  it("renvoie 404 pour un service inconnu ou non autorisé, sans l'enregistrer", async () => {
+    const [secret] = (await t.store.services.list()).filter((s) => s.name === 'secret');
+    assert.equal((await t.request(`/go/${secret.id}`, { user: 'alice' })).status, 404);
+    assert.equal((await t.request('/go/inconnu', { user: 'alice' })).status, 404);
+    assert.deepEqual(await t.store.launches.list({ serviceId: secret.id }), []);
+  });
+
+  it("trie les services selon les ouvertures de l'utilisateur", async () => {
+    const names = async (sort) => (await t.call(`/services?sort=${sort}`, { user: 'alice' })).body.map((s) => s.name);
+    assert.deepEqual(await names('frequent'), ['wiki', 'grafana']);
+
+    const [wikiForAlice] = (await t.call('/services', { user: 'alice' })).body.filter((s) => s.name === 'wiki');
+    assert.equal(wikiForAlice.usage.launches, 2);
+    assert.equal((await t.call('/services?sort=name', { user: 'alice' })).status, 400);
+  });
+
+  it('agrège les ouvertures par service, groupe et période', async () => {
+    assert.equal((await t.call('/launch-stats', { user: 'alice' })).status, 403);
+
+    const { status, body } = await t.call('/launch-stats?interval=month', { user: 'root', groups: 'admin' });
+    assert.equal(status, 200);
+    assert.deepEqual([body.total, body.users], [3, 2]);
+    assert.deepEqual(body.byService.map((s) => [s.name, s.launches, s.users]), [['wiki', 2, 1], ['grafana', 1, 1]]);
+    assert.deepEqual(body.byGroup.map((g) => [g.group, g.launches]), [['users', 3], ['ops', 1]]);
+    assert.equal(body.overTime.length, 1);
+
+    // Avec un token API, le rapport exige le scope analytics:read
+    await t.store.users.upsert('root', { groups: ['admin'] });
+    const { token } = (await t.call('/add-api-token', { user: 'root', groups: 'admin', method: 'POST', body: { name: 'stats', scopes: ['services:read'] } })).body;
+    assert.deepEqual(await t.call('/launch-stats', { token }), { status: 403, body: { error: 'Scope requis: analytics:read' } });
+
+    assert.equal((await t.call('/launch-stats?interval=year', { user: 'root', groups: 'admin' })).status, 400);
+    assert.equal((await t.call('/launch-stats?from=hier', { user: 'root', groups: 'admin' })).status, 400);
+  });
+
+  it('supprime les ouvertures plus anciennes que la durée de conservation', async () => {
+    const old = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+    await t.store.backup.importRecords('launches', [{ id: 'ancienne', serviceId: wiki.id, userId: 'alice', groups: ['users'], userAgent: null, launchedAt: old }]);
+    assert.equal((await t.store.launches.list({ serviceId: wiki.id })).length, 3);
+
+    assert.equal(await purgeOldLaunches({ store: t.store }, 365), 1);
+    assert.equal((await t.store.launches.list({ serviceId: wiki.id })).length, 2);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Routes des messages envoyés par les administrateurs aux utilisateurs.
+ */
+
+import { HttpError, jsonResponse, readJson } from '../http.js';
+import { recordAudit } from '../audit.js';
+
+// Types de messages acceptés par /add-message
+export const MESSAGE_TYPES = ['information', 'warning', 'error'];
+
+/**
+ * @swagger
+ * /add-message:
+ *   post:
+ *     summary: Ajouter un nouveau message pour un ou plusieurs utilisateurs (permission send-messages)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - type
+ *               - title
+ *               - content
+ *             properties:
+ *               userId:
+ *                 oneOf:
+ *                   - type: string
+ *                     description: Email d'un seul utilisateur destinataire
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                     description: Array d'emails de plusieurs utilisateurs destinataires
+ *               type:
+ *                 type: string
+ *                 enum: ['information', 'warning', 'error']
+ *                 description: Type de message
+ *               title:
+ *                 type: string
+ *                 description: Titre du message
+ *               content:
+ *                 type: string
+ *                 description: Contenu du message
+ *     responses:
+ *       201:
+ *         description: Message(s) créé(s) avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message_ids:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ */
+async function addMessage(ctx) {
+  const { userId, type, title, content } = await readJson(ctx.request);
+
+  if (!userId || !type || !title || !content) {
+    throw new HttpError(400, 'Champs manquants (userId, type, title, content)');
+  }
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw new HttpError(400, 'Type invalide. Doit être: information, warning ou error');
+  }
+
+  // Convertir userId en array si c'est un string
+  const userIds = Array.isArray(userId) ? userId : [userId];
+
+  // Créer un message pour chaque utilisateur
+  const created = await ctx.store.messages.createMany(userIds, { type, title, content });
+  for (const message of created) {
+    await recordAudit(ctx, { action: 'create', resourceType: 'message', resourceId: message.id, after: message });
+  }
+
+  return jsonResponse({ message_ids: created.map((m) => m.id) }, 201);
+}
+
+/**
+ * @swagger
+ * /messages:
+ *   get:
+ *     summary: Récupère les messages non supprimés pour l'utilisateur connecté
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste des messages de l'utilisateur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   userId:
+ *                     type: string
+ *                     description: Email destinataire
+ *                   type:
+ *                     type: string
+ *                     enum: ['information', 'warning', 'error']
+ *                   title:
+ *                     type: string
+ *                   content:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   dismissed:
+ *                     type: boolean
+ */
+async function listMessages(ctx) {
+  // Retourne les messages de cet utilisateur qui ne sont pas dismissed
+  const messages = await ctx.store.messages.list({ userId: ctx.user.username, dismissed: false });
+  return jsonResponse(messages);
+}
+
+/**
+ * @swagger
+ * /all-messages:
+ *   get:
+ *     summary: Récupère tous les messages non supprimés (permission send-messages)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste de tous les messages (permission send-messages)
+ */
+async function listAllMessages(ctx) {
+  // Retourne tous les messages non supprimés (permission send-messages)
+  const messages = await ctx.store.messages.list({ dismissed: false });
+  return jsonResponse(messages);
+}
+
+/**
+ * @swagger
+ * /delete-message/{id}:
+ *   delete:
+ *     summary: Supprimer un message (permission send-messages)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: ID du message à supprimer
+ *     responses:
+ *       200:
+ *         description: Message supprimé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: ['supprimé']
+ *                 id:
+ *                   type: string
+ */
+async function deleteMessage(ctx) {
+  const { id } = ctx.params;
+  const message = await ctx.store.messages.get(id);
+  if (!message) {
+    throw new HttpError(404, 'Message introuvable');
+  }
+
+  await ctx.store.messages.delete(id);
+  await recordAudit(ctx, { action: 'delete', resourceType: 'message', resourceId: id, before: message });
+  return jsonResponse({ status: 'supprimé', id });
+}
+
+/**
+ * @swagger
+ * /update-message/{id}:
+ *   post:
+ *     summary: Mettre à jour un message (permission send-messages)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: ID du message à modifier
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: ['information', 'warning', 'error']
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               dismissed:
+ *                 type: boolean
+ *                 description: Marquer comme "ne plus afficher" (pour les messages information)
+ *     responses:
+ *       200:
+ *         description: Message modifié
+ */
+async function updateMessage(ctx) {
+  const { id } = ctx.params;
+  const existingMessage = await ctx.store.messages.get(id);
+  if (!existingMessage) {
+    throw new HttpError(404, 'Message introuvable');
+  }
+
+  const { type, title, content, dismissed } = await readJson(ctx.request);
+
+  const updateData = {};
+  if (type) updateData.type = type;
+  if (title) updateData.title = title;
+  if (content) updateData.content = content;
+  if (typeof dismissed === 'boolean') updateData.dismissed = dismissed;
+
+  const updatedMessage = await ctx.store.messages.update(id, updateData);
+  await recordAudit(ctx, { action: 'update', resourceType: 'message', resourceId: id, before: existingMessage, after: updatedMessage });
+  return jsonResponse(updatedMessage);
+}
+
+export default [
+  { method: 'POST', path: '/add-message', access: 'user', permission: 'send-messages', scope: 'messages:write', handler: addMessage, error: 'Erreur lors de l\'ajout du message' },
+  { method: 'GET', path: '/messages', access: 'user', scope: 'messages:read', handler: listMessages, error: 'Erreur lors de la récupération des messages' },
+  { method: 'GET', path: '/all-messages', access: 'user', permission: 'send-messages', scope: 'messages:read', handler: listAllMessages, error: 'Erreur lors de la récupération des messages' },
+  { method: 'DELETE', path: '/delete-message/:id', access: 'user', permission: 'send-messages', scope: 'messages:write', handler: deleteMessage, error: 'Erreur lors de la suppression du message' },
+  { method: 'POST', path: '/update-message/:id', access: 'user', permission: 'send-messages', scope: 'messages:write', handler: updateMessage, error: 'Erreur lors de la mise à jour du message' },
+];
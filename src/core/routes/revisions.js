@@ -0,0 +1,172 @@
+/**
+ * Routes de l'historique des révisions des services (voir src/core/revisions.js).
+ */
+
+import { HttpError, jsonResponse, readJson } from '../http.js';
+import { diffRecords, recordAudit } from '../audit.js';
+import { normalizeImageKey, releaseImage } from '../image-variants.js';
+import { recordRevision, snapshotOf } from '../revisions.js';
+import { imageUrlFor, serializeService } from './services.js';
+
+// Transforme une révision pour l'API
+function serializeRevision(revision, config) {
+  return {
+    id: revision.id,
+    serviceId: revision.serviceId,
+    number: revision.number,
+    action: revision.action,
+    author: revision.author || null,
+    rolledBackTo: revision.rolledBackTo ?? null,
+    ...revision.snapshot,
+    imageUrl: imageUrlFor(revision.snapshot.imagePath, config),
+    createdAt: revision.createdAt,
+  };
+}
+
+// Lit un numéro de révision
+function parseRevisionNumber(value, name) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, `${name} doit être un numéro de révision`);
+  }
+  return number;
+}
+
+async function requireService(ctx) {
+  const service = await ctx.store.services.get(ctx.params.id);
+  if (!service) {
+    throw new HttpError(404, 'Service introuvable');
+  }
+  return service;
+}
+
+async function requireRevision(ctx, serviceId, number) {
+  const revision = await ctx.store.revisions.get(serviceId, number);
+  if (!revision) {
+    throw new HttpError(404, `Révision ${number} introuvable`);
+  }
+  return revision;
+}
+
+/**
+ * @swagger
+ * /service-revisions/{id}:
+ *   get:
+ *     summary: Liste les révisions d'un service, la plus récente d'abord (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Révisions avec leur numéro, action (create, update, icon, rollback), auteur, date et champs du service
+ */
+async function listRevisions(ctx) {
+  const service = await requireService(ctx);
+  const revisions = await ctx.store.revisions.list(service.id);
+  return jsonResponse(revisions.map((revision) => serializeRevision(revision, ctx.config)));
+}
+
+/**
+ * @swagger
+ * /service-revisions/{id}/diff:
+ *   get:
+ *     summary: Différences entre deux révisions d'un service (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Numéro de la révision de départ
+ *       - in: query
+ *         name: to
+ *         schema: { type: integer }
+ *         description: Numéro de la révision d'arrivée (par défaut, l'état actuel du service)
+ *     responses:
+ *       200:
+ *         description: Champs modifiés { champ: { before, after } }
+ */
+async function diffRevisions(ctx) {
+  const service = await requireService(ctx);
+  const { searchParams } = ctx.url;
+  const from = await requireRevision(ctx, service.id, parseRevisionNumber(searchParams.get('from'), 'from'));
+  const to = searchParams.has('to')
+    ? await requireRevision(ctx, service.id, parseRevisionNumber(searchParams.get('to'), 'to'))
+    : null;
+
+  return jsonResponse({
+    serviceId: service.id,
+    from: from.number,
+    to: to ? to.number : 'current',
+    changes: diffRecords(from.snapshot, to ? to.snapshot : snapshotOf(service)),
+  });
+}
+
+/**
+ * @swagger
+ * /rollback-service/{id}:
+ *   post:
+ *     summary: Revient à une révision d'un service, icône comprise ; le retour arrière crée une nouvelle révision (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: Numéro de la révision à restaurer
+ *     responses:
+ *       200:
+ *         description: Service restauré
+ *       409:
+ *         description: L'image de la révision n'est plus en stockage
+ */
+async function rollbackService(ctx) {
+  const service = await requireService(ctx);
+  const { revision: number } = await readJson(ctx.request);
+  const revision = await requireRevision(ctx, service.id, parseRevisionNumber(number, 'revision'));
+
+  const { imagePath } = revision.snapshot;
+  if (imagePath && imagePath !== service.imagePath && !(await ctx.images.get(normalizeImageKey(imagePath)))) {
+    throw new HttpError(409, `Image de la révision ${revision.number} introuvable: ${imagePath}`);
+  }
+
+  const updatedService = await ctx.store.services.update(service.id, revision.snapshot);
+  await recordRevision(ctx, updatedService, 'rollback', { previous: service, rolledBackTo: revision.number });
+  await recordAudit(ctx, { action: 'rollback', resourceType: 'service', resourceId: service.id, before: service, after: updatedService });
+  if (updatedService.imagePath !== service.imagePath) {
+    await releaseImage(ctx, service.imagePath);
+  }
+
+  console.log(`   Retour à la révision ${revision.number}: ${updatedService.name}`);
+  return jsonResponse({
+    ...serializeService(updatedService, ctx.config),
+    imagePath: updatedService.imagePath,
+  });
+}
+
+export default [
+  { method: 'GET', path: '/service-revisions/:id', access: 'user', permission: 'manage-services', scope: 'services:read', handler: listRevisions, error: 'Erreur lors de la récupération des révisions' },
+  { method: 'GET', path: '/service-revisions/:id/diff', access: 'user', permission: 'manage-services', scope: 'services:read', handler: diffRevisions, error: 'Erreur lors de la comparaison des révisions' },
+  { method: 'POST', path: '/rollback-service/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: rollbackService, error: 'Erreur lors du retour arrière' },
+];
@@ -0,0 +1,766 @@
+/**
+ * Routes des services (tuiles du tableau de bord).
+ */
+
+import { HttpError, jsonResponse, parseMultipartFormData, readJson } from '../http.js';
+import { contentKeyFor, originalKeyFor, releaseImage } from '../image-variants.js';
+import { assertFetchable, downloadIcon, findIconCandidates } from '../icon-fetch.js';
+import { SVG_CONTENT_TYPE } from '../../images/svg.js';
+import { readImageInfo } from '../../images/metadata.js';
+import { hasPermission, isAdmin } from '../roles.js';
+import { parsePosition, serializeCategory } from './categories.js';
+import { DEFAULT_SERVICE_CHECK, isValidStatusList, serializeHealth, serviceCheckConfig } from '../health.js';
+import { diffRecords, recordAudit } from '../audit.js';
+import { purgeDateOf } from '../trash.js';
+import { recordRevision } from '../revisions.js';
+
+// Normalise le champ "groups" (string ou tableau) en tableau
+function toGroupList(groups) {
+  return Array.isArray(groups) ? groups : typeof groups === 'string' ? [groups] : [];
+}
+
+// Normalise une liste d'utilisateurs (usernames = emails, comparés sans casse)
+function toUserList(users) {
+  return [...new Set(toGroupList(users).map((u) => u.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Indique si un utilisateur peut voir un service. Les refus l'emportent :
+ * deniedUsers, puis deniedGroups, puis allowedUsers ou allowedGroups.
+ */
+export function canAccessService(service, user) {
+  const username = user.username?.toLowerCase();
+  const userGroups = user.groups || [];
+
+  if (service.deniedUsers?.includes(username)) return false;
+  if (service.deniedGroups?.some((g) => userGroups.includes(g))) return false;
+  if (service.allowedUsers?.includes(username)) return true;
+  return Boolean(service.allowedGroups?.some((g) => userGroups.includes(g)));
+}
+
+// Règles d'accès par utilisateur lues depuis le formulaire (seulement les champs envoyés)
+function accessRulesFrom(fields) {
+  const rules = {};
+  if (fields.allowedUsers !== undefined) rules.allowedUsers = toUserList(fields.allowedUsers);
+  if (fields.deniedUsers !== undefined) rules.deniedUsers = toUserList(fields.deniedUsers);
+  if (fields.deniedGroups !== undefined) rules.deniedGroups = toGroupList(fields.deniedGroups);
+  return rules;
+}
+
+// Catégorie et position lues depuis le formulaire ; une catégorie vide retire le service de sa catégorie
+async function placementFrom(ctx, fields) {
+  const placement = {};
+  if (fields.categoryId !== undefined) {
+    placement.categoryId = fields.categoryId || null;
+    if (placement.categoryId && !(await ctx.store.categories.get(placement.categoryId))) {
+      throw new HttpError(400, 'Catégorie introuvable');
+    }
+  }
+  const position = parsePosition(fields.position);
+  if (position !== undefined) placement.position = position;
+  return placement;
+}
+
+// Réglages de vérification de disponibilité lus depuis le formulaire, complétant ceux
+// du service ; undefined si aucun champ healthCheck* n'est envoyé
+function healthCheckFrom(fields, current) {
+  const { healthCheckEnabled, healthCheckExpectedStatus, healthCheckTimeout, healthCheckKeyword } = fields;
+  if ([healthCheckEnabled, healthCheckExpectedStatus, healthCheckTimeout, healthCheckKeyword].every((v) => v === undefined)) {
+    return undefined;
+  }
+
+  const check = { ...DEFAULT_SERVICE_CHECK, ...current };
+  if (healthCheckEnabled !== undefined) check.enabled = healthCheckEnabled !== 'false';
+  if (healthCheckExpectedStatus !== undefined) {
+    const expectedStatus = healthCheckExpectedStatus.replace(/\s/g, '') || DEFAULT_SERVICE_CHECK.expectedStatus;
+    if (!isValidStatusList(expectedStatus)) {
+      throw new HttpError(400, 'healthCheckExpectedStatus doit être une liste de codes ou plages (ex: 200-299,401)');
+    }
+    check.expectedStatus = expectedStatus;
+  }
+  if (healthCheckTimeout !== undefined) {
+    const timeoutMs = healthCheckTimeout === '' ? null : Number(healthCheckTimeout);
+    if (timeoutMs !== null && (!Number.isInteger(timeoutMs) || timeoutMs < 100 || timeoutMs > 60000)) {
+      throw new HttpError(400, 'healthCheckTimeout doit être un nombre de millisecondes entre 100 et 60000');
+    }
+    check.timeoutMs = timeoutMs;
+  }
+  if (healthCheckKeyword !== undefined) check.keyword = healthCheckKeyword || null;
+  return check;
+}
+
+// Position après le dernier service de la catégorie
+export function nextPosition(services, categoryId) {
+  return services
+    .filter((s) => (s.categoryId || null) === categoryId)
+    .reduce((max, s) => Math.max(max, (s.position ?? 0) + 1), 0);
+}
+
+// Trie les services dans l'ordre des catégories (non classés en dernier), puis par position
+function sortServices(services, categories) {
+  const rank = new Map(categories.map((c, i) => [c.id, i]));
+  const categoryRank = (s) => rank.get(s.categoryId) ?? categories.length;
+  return [...services].sort(
+    (a, b) =>
+      categoryRank(a) - categoryRank(b) ||
+      (a.position ?? 0) - (b.position ?? 0) ||
+      new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+// Tris personnels de GET /services (?sort=) d'après les ouvertures de l'utilisateur ;
+// les services jamais ouverts gardent l'ordre des catégories, à la fin
+const USAGE_SORTS = {
+  recent: (a, b) => new Date(b.usage.lastLaunchedAt || 0) - new Date(a.usage.lastLaunchedAt || 0),
+  frequent: (a, b) => b.usage.launches - a.usage.launches,
+};
+
+// Regroupe des services triés par catégorie ; les catégories sans service visible sont omises
+function groupByCategory(services, categories) {
+  const groups = categories.map((category) => ({ ...serializeCategory(category), services: [] }));
+  const byId = new Map(groups.map((g) => [g.id, g]));
+  const uncategorized = { id: null, name: null, icon: null, position: null, services: [] };
+
+  for (const service of services) {
+    (byId.get(service.categoryId) || uncategorized).services.push(service);
+  }
+  return [...groups, uncategorized].filter((g) => g.services.length > 0);
+}
+
+// URL publique d'une image à partir de sa clé de stockage
+export function imageUrlFor(imagePath, config) {
+  if (!imagePath) return null;
+  return `${config.basePath}/images/${imagePath.replace(/^(images|uploads)\//, '')}`;
+}
+
+// Transforme un service pour l'API ; les règles par utilisateur et les réglages de
+// vérification ne sont renvoyés qu'aux éditeurs de services (withRules)
+export function serializeService(service, config, { withRules = true, health } = {}) {
+  return {
+    id: service.id,
+    name: service.name,
+    redirectUrl: service.redirectUrl,
+    allowedGroups: service.allowedGroups,
+    categoryId: service.categoryId || null,
+    position: service.position ?? 0,
+    ...(withRules && {
+      allowedUsers: service.allowedUsers || [],
+      deniedUsers: service.deniedUsers || [],
+      deniedGroups: service.deniedGroups || [],
+      healthCheck: serviceCheckConfig(service),
+    }),
+    ...(health !== undefined && { health: serializeHealth(health) }),
+    imageUrl: imageUrlFor(service.imagePath, config),
+    originalWidth: service.originalWidth,
+    originalHeight: service.originalHeight,
+    resizedHeight: service.resizedHeight,
+    resizedWidth: service.resizedWidth,
+    createdAt: service.createdAt,
+    updatedAt: service.updatedAt,
+  };
+}
+
+// Traite l'image uploadée et la sauvegarde dans le stockage d'images,
+// avec l'original qui sert de source aux variantes (GET /images/:key?h=…).
+// Un SVG n'a pas de variantes : seul le SVG nettoyé est conservé, jamais l'upload brut.
+// La clé dépend du contenu envoyé : réenvoyer le même fichier réécrit la même image.
+// Le type de l'original est lu dans ses octets, jamais repris du client (upload,
+// en-tête Content-Type d'une icône téléchargée, data: URI d'une configuration).
+export async function storeImage(ctx, file) {
+  const processedImage = await ctx.processImage(file.buffer);
+  const imageKey = await contentKeyFor(file.buffer, processedImage.extension);
+
+  await ctx.images.put(imageKey, processedImage.buffer, {
+    contentType: processedImage.contentType,
+  });
+  if (processedImage.contentType !== SVG_CONTENT_TYPE) {
+    await ctx.images.put(originalKeyFor(imageKey), file.buffer, {
+      contentType: readImageInfo(file.buffer)?.contentType || 'application/octet-stream',
+    });
+  }
+
+  return {
+    imagePath: imageKey,
+    originalWidth: processedImage.originalWidth,
+    originalHeight: processedImage.originalHeight,
+    resizedHeight: processedImage.resizedHeight,
+    resizedWidth: processedImage.resizedWidth,
+  };
+}
+
+// Téléchargement d'icônes : seul un administrateur peut viser le réseau local
+export function iconFetchOptions(ctx) {
+  return { allowPrivate: isAdmin(ctx.user), lookupHost: ctx.lookupHost };
+}
+
+// Récupère l'icône du site cible (voir src/core/icon-fetch.js) et la sauvegarde
+// comme une image uploadée : le premier candidat lisible est retenu. Passé
+// deadline (timestamp), les candidats restants ne sont pas essayés.
+export async function storeFetchedIcon(ctx, redirectUrl, { deadline } = {}) {
+  const options = iconFetchOptions(ctx);
+  try {
+    await assertFetchable(redirectUrl, options);
+  } catch (error) {
+    throw new HttpError(400, `${error.message} (icône récupérable par un administrateur), ajoutez une image`);
+  }
+
+  for (const candidate of await findIconCandidates(redirectUrl, options)) {
+    if (deadline && Date.now() > deadline) break;
+    try {
+      const file = await downloadIcon(candidate, options);
+      if (!file) continue;
+      const image = await storeImage(ctx, file);
+      console.log(`   Icône récupérée: ${candidate.url}`);
+      return image;
+    } catch (error) {
+      console.log(`   Icône ignorée (${candidate.url}): ${error.message}`);
+    }
+  }
+
+  throw new HttpError(400, `Aucune icône trouvée sur ${redirectUrl}, ajoutez une image`);
+}
+
+function assertHttpUrl(redirectUrl) {
+  try {
+    if (['http:', 'https:'].includes(new URL(redirectUrl).protocol)) return;
+  } catch {
+    // URL invalide
+  }
+  throw new HttpError(400, "redirectUrl doit être une URL http(s) pour récupérer l'icône");
+}
+
+const MAX_LIMIT = 200;
+const MAX_SEARCH_TERMS = 10;
+
+// Mots de la recherche ?q=, chacun devant apparaître dans le nom ou l'URL
+function searchTerms(query) {
+  return (query || '').split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+}
+
+// Lit la taille de page, undefined si absente (pas de pagination)
+function parseLimit(value) {
+  if (value === null || value === '') return undefined;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit doit être un entier entre 1 et ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+// Curseur opaque : dernier service renvoyé et position de la page suivante
+function encodeCursor(id, offset) {
+  return btoa(JSON.stringify({ id, offset })).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeCursor(value) {
+  if (!value) return null;
+  try {
+    const { id, offset } = JSON.parse(atob(value.replace(/-/g, '+').replace(/_/g, '/')));
+    if (typeof id === 'string' && Number.isInteger(offset) && offset >= 0) return { id, offset };
+  } catch {
+    // Curseur illisible
+  }
+  throw new HttpError(400, 'cursor invalide');
+}
+
+// Reprend après le dernier service de la page précédente ; s'il a disparu
+// entre-temps, reprend à la position mémorisée
+function cursorOffset(services, cursor) {
+  if (!cursor) return 0;
+  const index = services.findIndex((s) => s.id === cursor.id);
+  return index === -1 ? Math.min(cursor.offset, services.length) : index + 1;
+}
+
+/**
+ * @swagger
+ * /services:
+ *   get:
+ *     summary: Liste les services accessibles pour l'utilisateur (groupes et règles par utilisateur, les refus l'emportent)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: grouped
+ *         schema: { type: boolean }
+ *         description: Regroupe les services par catégorie ([{ id, name, icon, position, services }], non classés en dernier avec id null)
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [recent, frequent] }
+ *         description: Trie selon les ouvertures de l'utilisateur via /go/:id (plus récentes ou plus nombreuses d'abord)
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *         description: Recherche sans casse dans le nom et l'URL ; plusieurs mots doivent tous être présents
+ *       - in: query
+ *         name: group
+ *         schema: { type: string }
+ *         description: Services autorisés à ce groupe
+ *       - in: query
+ *         name: all
+ *         schema: { type: boolean }
+ *         description: Tous les services, sans filtrage de visibilité (permission manage-services)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 200 }
+ *         description: Active la pagination, réponse { items, nextCursor }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: Valeur nextCursor de la page précédente
+ *     responses:
+ *       200:
+ *         description: Liste des services filtrée selon les groupes et les règles par utilisateur, dans l'ordre des catégories puis des positions, avec leur dernier état de disponibilité (health) et les ouvertures de l'utilisateur (usage)
+ *       403:
+ *         description: all=true sans la permission manage-services
+ */
+async function listServices(ctx) {
+  const { searchParams } = ctx.url;
+  const sort = searchParams.get('sort');
+  if (sort && !USAGE_SORTS[sort]) {
+    throw new HttpError(400, `sort doit être ${Object.keys(USAGE_SORTS).join(' ou ')}`);
+  }
+  const all = searchParams.get('all') === 'true';
+  if (all && !hasPermission(ctx.user, 'manage-services')) {
+    throw new HttpError(403, 'Permission requise: manage-services');
+  }
+  const limit = parseLimit(searchParams.get('limit'));
+  const cursor = limit ? decodeCursor(searchParams.get('cursor')) : null;
+
+  // Visibilité, groupe et recherche sont filtrés par le store (en SQL pour SQLite et PostgreSQL)
+  const [services, categories, health, usage] = await Promise.all([
+    ctx.store.services.search({
+      terms: searchTerms(searchParams.get('q')),
+      group: searchParams.get('group') || undefined,
+      visibleTo: all ? undefined : { username: ctx.user.username, groups: ctx.user.groups || [] },
+    }),
+    ctx.store.categories.list(),
+    ctx.store.health.list(),
+    ctx.store.launches.usageByUser(ctx.user.username),
+  ]);
+  const healthByService = new Map(health.map((h) => [h.serviceId, h]));
+  const usageByService = new Map(usage.map((u) => [u.serviceId, u]));
+  const withRules = hasPermission(ctx.user, 'manage-services');
+
+  console.log(`   → ${services.length} service(s) accessible(s)`);
+  const result = sortServices(services, categories).map((service) => {
+    const serviceUsage = usageByService.get(service.id);
+    return {
+      ...serializeService(service, ctx.config, { withRules, health: healthByService.get(service.id) || null }),
+      usage: { launches: serviceUsage?.launches || 0, lastLaunchedAt: serviceUsage?.lastLaunchedAt || null },
+    };
+  });
+  if (sort) result.sort(USAGE_SORTS[sort]);
+
+  const grouped = searchParams.get('grouped') === 'true';
+  if (!limit) {
+    return jsonResponse(grouped ? groupByCategory(result, categories) : result);
+  }
+
+  // Pagination après le tri, qui dépend des catégories et des ouvertures de l'utilisateur
+  const start = cursorOffset(result, cursor);
+  const page = result.slice(start, start + limit);
+  const hasMore = start + limit < result.length;
+  return jsonResponse({
+    items: grouped ? groupByCategory(page, categories) : page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].id, start + limit) : null,
+  });
+}
+
+/**
+ * @swagger
+ * /add-service:
+ *   post:
+ *     summary: Ajouter un nouveau service (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               redirectUrl:
+ *                 type: string
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedUsers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Utilisateurs autorisés en plus des groupes
+ *               deniedUsers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Utilisateurs refusés (prioritaire)
+ *               deniedGroups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Groupes refusés (prioritaire)
+ *               categoryId:
+ *                 type: string
+ *                 description: Catégorie du service (vide pour non classé)
+ *               position:
+ *                 type: integer
+ *                 description: Position dans la catégorie (par défaut, en dernier)
+ *               healthCheckEnabled:
+ *                 type: boolean
+ *                 description: Vérification de disponibilité active (défaut true)
+ *               healthCheckExpectedStatus:
+ *                 type: string
+ *                 description: Codes HTTP attendus (défaut 200-399)
+ *               healthCheckTimeout:
+ *                 type: integer
+ *                 description: Délai maximal en millisecondes (défaut HEALTH_CHECK_TIMEOUT)
+ *               healthCheckKeyword:
+ *                 type: string
+ *                 description: Texte devant apparaître dans la page
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optionnelle, sinon l'icône est récupérée depuis redirectUrl
+ *     responses:
+ *       201:
+ *         description: Service ajouté
+ */
+async function addService(ctx) {
+  const { fields, file } = await parseMultipartFormData(ctx.request);
+  const { name, redirectUrl } = fields;
+  const allowedGroups = toGroupList(fields.groups);
+  const accessRules = accessRulesFrom(fields);
+  const healthCheck = healthCheckFrom(fields, {}) ?? { ...DEFAULT_SERVICE_CHECK };
+
+  if (!name || !redirectUrl || (allowedGroups.length === 0 && !accessRules.allowedUsers?.length)) {
+    throw new HttpError(400, 'Champs manquants ou groupes non spécifiés');
+  }
+
+  const placement = await placementFrom(ctx, fields);
+  placement.categoryId ??= null;
+  placement.position ??= nextPosition(await ctx.store.services.list(), placement.categoryId);
+
+  let image;
+  if (file) {
+    image = await storeImage(ctx, file);
+  } else {
+    assertHttpUrl(redirectUrl);
+    image = await storeFetchedIcon(ctx, redirectUrl);
+  }
+
+  const newService = await ctx.store.services.create({
+    name,
+    redirectUrl,
+    allowedGroups,
+    allowedUsers: [],
+    deniedUsers: [],
+    deniedGroups: [],
+    ...accessRules,
+    ...placement,
+    healthCheck,
+    ...image,
+  });
+  await recordRevision(ctx, newService, 'create');
+  await recordAudit(ctx, { action: 'create', resourceType: 'service', resourceId: newService.id, after: newService });
+
+  return jsonResponse({ service_id: newService.id }, 201);
+}
+
+/**
+ * @swagger
+ * /update-service/{id}:
+ *   put:
+ *     summary: Modifier un service existant (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               redirectUrl: { type: string }
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedUsers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Utilisateurs autorisés en plus des groupes (valeur vide pour effacer)
+ *               deniedUsers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Utilisateurs refusés (prioritaire)
+ *               deniedGroups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Groupes refusés (prioritaire)
+ *               categoryId:
+ *                 type: string
+ *                 description: Catégorie du service (vide pour non classé)
+ *               position:
+ *                 type: integer
+ *                 description: Position dans la catégorie
+ *               healthCheckEnabled:
+ *                 type: boolean
+ *                 description: Vérification de disponibilité active (défaut true)
+ *               healthCheckExpectedStatus:
+ *                 type: string
+ *                 description: Codes HTTP attendus (défaut 200-399)
+ *               healthCheckTimeout:
+ *                 type: integer
+ *                 description: Délai maximal en millisecondes (défaut HEALTH_CHECK_TIMEOUT)
+ *               healthCheckKeyword:
+ *                 type: string
+ *                 description: Texte devant apparaître dans la page
+ *               image: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Service modifié
+ */
+async function updateService(ctx) {
+  const { id } = ctx.params;
+  const existingService = await ctx.store.services.get(id);
+  if (!existingService) {
+    throw new HttpError(404, 'Service introuvable');
+  }
+
+  const { fields, file } = await parseMultipartFormData(ctx.request);
+  const { name, redirectUrl } = fields;
+
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (redirectUrl) updateData.redirectUrl = redirectUrl;
+  const allowedGroups = toGroupList(fields.groups);
+  if (allowedGroups.length) updateData.allowedGroups = allowedGroups;
+  Object.assign(updateData, accessRulesFrom(fields));
+  const healthCheck = healthCheckFrom(fields, existingService.healthCheck);
+  if (healthCheck) updateData.healthCheck = healthCheck;
+
+  // Un service déplacé sans position est placé en fin de sa nouvelle catégorie
+  const placement = await placementFrom(ctx, fields);
+  if (
+    placement.categoryId !== undefined &&
+    placement.categoryId !== (existingService.categoryId || null) &&
+    placement.position === undefined
+  ) {
+    placement.position = nextPosition(await ctx.store.services.list(), placement.categoryId);
+  }
+  Object.assign(updateData, placement);
+
+  if (file) {
+    Object.assign(updateData, await storeImage(ctx, file));
+  }
+
+  const updatedService = await ctx.store.services.update(id, updateData);
+  await recordRevision(ctx, updatedService, 'update', { previous: existingService });
+  await recordAudit(ctx, { action: 'update', resourceType: 'service', resourceId: id, before: existingService, after: updatedService });
+  // Libère l'ancienne image une fois la nouvelle enregistrée
+  if (updatedService.imagePath !== existingService.imagePath) {
+    await releaseImage(ctx, existingService.imagePath);
+  }
+
+  return jsonResponse({
+    ...serializeService(updatedService, ctx.config),
+    imagePath: updatedService.imagePath,
+  });
+}
+
+/**
+ * @swagger
+ * /refresh-service-icon/{id}:
+ *   post:
+ *     summary: Récupère à nouveau l'icône d'un service depuis son redirectUrl (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Service avec sa nouvelle icône
+ *       400:
+ *         description: Aucune icône trouvée
+ */
+async function refreshServiceIcon(ctx) {
+  const { id } = ctx.params;
+  const existingService = await ctx.store.services.get(id);
+  if (!existingService) {
+    throw new HttpError(404, 'Service introuvable');
+  }
+
+  assertHttpUrl(existingService.redirectUrl);
+  const image = await storeFetchedIcon(ctx, existingService.redirectUrl);
+
+  const updatedService = await ctx.store.services.update(id, image);
+  await recordRevision(ctx, updatedService, 'icon', { previous: existingService });
+  await recordAudit(ctx, { action: 'update', resourceType: 'service', resourceId: id, before: existingService, after: updatedService });
+  if (updatedService.imagePath !== existingService.imagePath) {
+    await releaseImage(ctx, existingService.imagePath);
+  }
+
+  return jsonResponse({
+    ...serializeService(updatedService, ctx.config),
+    imagePath: updatedService.imagePath,
+  });
+}
+
+/**
+ * @swagger
+ * /reorder-services:
+ *   post:
+ *     summary: Réordonne les catégories et les services en une fois, pour le glisser-déposer (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 description: Ids des catégories dans le nouvel ordre
+ *                 items:
+ *                   type: string
+ *               services:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [id, position]
+ *                   properties:
+ *                     id: { type: string }
+ *                     categoryId: { type: string, nullable: true, description: "Absent: inchangée, null: non classé" }
+ *                     position: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Services dans leur nouvel ordre
+ */
+async function reorderServices(ctx) {
+  const body = await readJson(ctx.request);
+  const categoryIds = body.categories ?? [];
+  const moves = body.services ?? [];
+
+  if (!Array.isArray(categoryIds) || !Array.isArray(moves)) {
+    throw new HttpError(400, 'categories et services doivent être des tableaux');
+  }
+
+  const [services, categories] = await Promise.all([
+    ctx.store.services.list(),
+    ctx.store.categories.list(),
+  ]);
+  const knownServices = new Set(services.map((s) => s.id));
+  const knownCategories = new Set(categories.map((c) => c.id));
+
+  const unknownCategories = categoryIds.filter((id) => !knownCategories.has(id));
+  if (unknownCategories.length) {
+    throw new HttpError(400, `Catégorie(s) introuvable(s): ${unknownCategories.join(', ')}`);
+  }
+  if (new Set(categoryIds).size !== categoryIds.length || new Set(moves.map((move) => move?.id)).size !== moves.length) {
+    throw new HttpError(400, 'Une catégorie ou un service apparaît plusieurs fois');
+  }
+
+  const serviceUpdates = moves.map((move) => {
+    if (!move || !knownServices.has(move.id)) {
+      throw new HttpError(400, `Service introuvable: ${move?.id}`);
+    }
+    const position = parsePosition(move.position);
+    if (position === undefined) {
+      throw new HttpError(400, `position manquante pour le service ${move.id}`);
+    }
+    const update = { id: move.id, position };
+    if (move.categoryId !== undefined) {
+      if (move.categoryId !== null && !knownCategories.has(move.categoryId)) {
+        throw new HttpError(400, `Catégorie introuvable: ${move.categoryId}`);
+      }
+      update.categoryId = move.categoryId;
+    }
+    return update;
+  });
+
+  if (categoryIds.length) {
+    await ctx.store.categories.reorder(categoryIds.map((id, position) => ({ id, position })));
+  }
+  if (serviceUpdates.length) {
+    await ctx.store.services.reorder(serviceUpdates);
+  }
+
+  console.log(`   Réordonnés: ${categoryIds.length} catégorie(s), ${serviceUpdates.length} service(s)`);
+
+  const [updatedServices, updatedCategories] = await Promise.all([
+    ctx.store.services.list(),
+    ctx.store.categories.list(),
+  ]);
+
+  // Une entrée par catégorie ou service dont la place a changé
+  const placeOf = ({ position, categoryId }) => ({ position, categoryId });
+  for (const [resourceType, before, after] of [['category', categories, updatedCategories], ['service', services, updatedServices]]) {
+    const previous = new Map(before.map((record) => [record.id, record]));
+    for (const record of after) {
+      const old = previous.get(record.id);
+      if (old && Object.keys(diffRecords(placeOf(old), placeOf(record))).length) {
+        await recordAudit(ctx, { action: 'reorder', resourceType, resourceId: record.id, before: placeOf(old), after: placeOf(record) });
+      }
+    }
+  }
+
+  return jsonResponse(
+    sortServices(updatedServices, updatedCategories).map((service) => serializeService(service, ctx.config))
+  );
+}
+
+/**
+ * @swagger
+ * /delete-service/{id}:
+ *   delete:
+ *     summary: Mettre un service à la corbeille, restaurable jusqu'à sa purge (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Service mis à la corbeille, avec la date de purge définitive (purgeAt)
+ */
+async function deleteService(ctx) {
+  const { id } = ctx.params;
+  const service = await ctx.store.services.get(id);
+  if (!service) {
+    throw new HttpError(404, 'Service introuvable');
+  }
+
+  // L'image est conservée jusqu'à la purge, pour pouvoir restaurer le service
+  const trashedService = await ctx.store.services.trash(id, ctx.user.username);
+  await recordAudit(ctx, { action: 'delete', resourceType: 'service', resourceId: id, before: service, after: trashedService });
+
+  return jsonResponse({ status: 'supprimé', id, purgeAt: purgeDateOf(trashedService, ctx.config.trashRetentionDays) });
+}
+
+export default [
+  { method: 'GET', path: '/services', access: 'user', scope: 'services:read', handler: listServices, error: 'Erreur lors de la récupération des services' },
+  { method: 'POST', path: '/add-service', access: 'user', permission: 'manage-services', scope: 'services:write', handler: addService, error: "Erreur lors de l'ajout" },
+  { method: 'PUT', path: '/update-service/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: updateService, error: 'Erreur lors de la modification' },
+  { method: 'POST', path: '/refresh-service-icon/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: refreshServiceIcon, error: "Erreur lors de la récupération de l'icône" },
+  { method: 'POST', path: '/reorder-services', access: 'user', permission: 'manage-services', scope: 'services:write', handler: reorderServices, error: 'Erreur lors du réordonnancement' },
+  { method: 'DELETE', path: '/delete-service/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: deleteService, error: 'Erreur lors de la suppression' },
+];
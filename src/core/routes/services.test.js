@@ -0,0 +1,128 @@
+/**
+ * Accès aux services : groupes autorisés, utilisateurs autorisés et refus
+ * par utilisateur ou par groupe, qui l'emportent.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { canAccessService } from './services.js';
+import { originalKeyFor } from '../image-variants.js';
+import { createTestApp, formData, pngFile } from '../testing.js';
+
+describe('canAccessService', () => {
+  const service = { allowedGroups: ['users'], allowedUsers: ['carol@example.com'], deniedUsers: ['bob'], deniedGroups: ['interns'] };
+
+  it('autorise par groupe ou par utilisateur, sans tenir compte de la casse', () => {
+    assert.equal(canAccessService(service, { username: 'alice', groups: ['users'] }), true);
+    assert.equal(canAccessService(service, { username: 'Carol@Example.com', groups: [] }), true);
+    assert.equal(canAccessService(service, { username: 'dave', groups: ['guests'] }), false);
+  });
+
+  it('fait primer les refus sur les autorisations', () => {
+    assert.equal(canAccessService(service, { username: 'BOB', groups: ['users'] }), false);
+    assert.equal(canAccessService(service, { username: 'eve', groups: ['users', 'interns'] }), false);
+    assert.equal(canAccessService({ ...service, deniedUsers: ['carol@example.com'] }, { username: 'carol@example.com', groups: [] }), false);
+  });
+
+  it('accepte les services créés avant les règles par utilisateur', () => {
+    assert.equal(canAccessService({ allowedGroups: ['users'] }, { username: 'alice', groups: ['users'] }), true);
+  });
+});
+
+describe('routes des services', () => {
+  let t;
+  let id;
+  const names = async (user, groups) => (await t.call('/services', { user, groups })).body.map((s) => s.name);
+
+  before(async () => {
+    t = createTestApp();
+    const { status, body } = await t.call('/add-service', {
+      user: 'root', groups: 'admin', method: 'POST',
+      body: formData({ name: 'Grafana', redirectUrl: 'https://grafana.example', groups: 'users', allowedUsers: ' Carol@Example.com ', deniedUsers: 'bob', deniedGroups: 'interns', image: pngFile() }),
+    });
+    assert.equal(status, 201);
+    id = body.service_id;
+  });
+  after(() => t.close());
+
+  it('filtre la liste selon les règles du service', async () => {
+    assert.deepEqual(await names('alice', 'users'), ['Grafana']);
+    assert.deepEqual(await names('carol@example.com', 'guests'), ['Grafana']);
+    assert.deepEqual(await names('bob', 'users'), []);
+    assert.deepEqual(await names('eve', 'users,interns'), []);
+  });
+
+  it("ne renvoie les règles qu'aux éditeurs de services", async () => {
+    const [forUser] = (await t.call('/services', { user: 'alice' })).body;
+    assert.equal(forUser.deniedUsers, undefined);
+
+    const [forEditor] = (await t.call('/services', { user: 'root', groups: 'users,admin' })).body;
+    assert.deepEqual(forEditor.allowedUsers, ['carol@example.com']);
+    assert.deepEqual(forEditor.deniedUsers, ['bob']);
+    assert.deepEqual(forEditor.deniedGroups, ['interns']);
+  });
+
+  it('efface une règle envoyée vide et garde les autres', async () => {
+    const { status, body } = await t.call(`/update-service/${id}`, { user: 'root', groups: 'admin', method: 'PUT', body: formData({ deniedUsers: '' }) });
+    assert.equal(status, 200);
+    assert.deepEqual(body.deniedUsers, []);
+    assert.deepEqual(body.allowedUsers, ['carol@example.com']);
+    assert.deepEqual(await names('bob', 'users'), ['Grafana']);
+  });
+
+  it("enregistre l'original avec le type lu dans ses octets", async () => {
+    const [{ imagePath }] = await t.store.services.list();
+    const original = await t.images.get(originalKeyFor(imagePath));
+    assert.equal(original.contentType, 'image/png');
+
+    const file = new File([await pngFile().arrayBuffer()], 'page.html', { type: 'text/html' });
+    const { body } = await t.call(`/update-service/${id}`, { user: 'root', groups: 'admin', method: 'PUT', body: formData({ image: file }) });
+    assert.equal((await t.images.get(originalKeyFor(body.imagePath))).contentType, 'image/png');
+  });
+
+  it('exige un groupe ou un utilisateur autorisé', async () => {
+    const { status } = await t.call('/add-service', {
+      user: 'root', groups: 'admin', method: 'POST',
+      body: formData({ name: 'Vide', redirectUrl: 'https://vide.example', deniedUsers: 'bob', image: pngFile() }),
+    });
+    assert.equal(status, 400);
+  });
+});
+
+describe('recherche et pagination des services', () => {
+  let t;
+  const get = (query, user = 'alice', groups = 'users') => t.call(`/services?${query}`, { user, groups });
+
+  before(async () => {
+    t = createTestApp();
+    for (const [name, allowedGroups] of [['Grafana', ['users']], ['Gitea', ['users', 'dev']], ['Wiki', ['users']], ['Vault', ['admin']]]) {
+      await t.store.services.create({ name, redirectUrl: `https://${name.toLowerCase()}.example`, allowedGroups, imagePath: 'images/icon.png' });
+    }
+  });
+  after(() => t.close());
+
+  it('cherche dans le nom et filtre par groupe', async () => {
+    assert.deepEqual((await get('q=g')).body.map((s) => s.name), ['Grafana', 'Gitea']);
+    assert.deepEqual((await get('q=GIT%20example')).body.map((s) => s.name), ['Gitea']);
+    assert.deepEqual((await get('group=dev')).body.map((s) => s.name), ['Gitea']);
+  });
+
+  it('réserve all=true aux éditeurs de services', async () => {
+    assert.equal((await get('all=true')).status, 403);
+    assert.equal((await get('all=true', 'root', 'admin')).body.length, 4);
+  });
+
+  it('pagine avec un curseur opaque', async () => {
+    const first = (await get('limit=2')).body;
+    assert.deepEqual(first.items.map((s) => s.name), ['Grafana', 'Gitea']);
+
+    // Reprise après le dernier service renvoyé, même si la page précédente a changé
+    await t.store.services.delete(first.items[0].id);
+    const second = (await get(`limit=2&cursor=${first.nextCursor}`)).body;
+    assert.deepEqual(second.items.map((s) => s.name), ['Wiki']);
+    assert.equal(second.nextCursor, null);
+
+    assert.equal((await get('limit=0')).status, 400);
+    assert.equal((await get('limit=2&cursor=abc')).status, 400);
+  });
+});
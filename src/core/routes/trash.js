@@ -0,0 +1,103 @@
+/**
+ * Routes de la corbeille des services (voir src/core/trash.js).
+ */
+
+import { HttpError, jsonResponse } from '../http.js';
+import { recordAudit } from '../audit.js';
+import { purgeDateOf, purgeService } from '../trash.js';
+import { serializeService } from './services.js';
+
+// Service de la corbeille pour l'API
+function serializeTrashedService(service, config) {
+  return {
+    ...serializeService(service, config),
+    deletedAt: service.deletedAt,
+    deletedBy: service.deletedBy || null,
+    purgeAt: purgeDateOf(service, config.trashRetentionDays),
+  };
+}
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: Liste les services de la corbeille, supprimés le plus récemment d'abord (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Services supprimés avec deletedAt, deletedBy et la date de purge définitive (purgeAt)
+ */
+async function listTrash(ctx) {
+  const services = await ctx.store.services.listTrash();
+  return jsonResponse(services.map((service) => serializeTrashedService(service, ctx.config)));
+}
+
+/**
+ * @swagger
+ * /restore-service/{id}:
+ *   post:
+ *     summary: Restaure un service de la corbeille, avec son image et ses réglages (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Service restauré
+ *       404:
+ *         description: Service absent de la corbeille
+ */
+async function restoreService(ctx) {
+  const { id } = ctx.params;
+  const service = await ctx.store.services.getTrashed(id);
+  if (!service) {
+    throw new HttpError(404, 'Service introuvable dans la corbeille');
+  }
+
+  const restoredService = await ctx.store.services.restore(id);
+  await recordAudit(ctx, { action: 'restore', resourceType: 'service', resourceId: id, before: service, after: restoredService });
+
+  console.log(`   Restauré: ${restoredService.name}`);
+  return jsonResponse(serializeService(restoredService, ctx.config));
+}
+
+/**
+ * @swagger
+ * /purge-service/{id}:
+ *   delete:
+ *     summary: Supprime définitivement un service de la corbeille et son image si elle n'est plus utilisée (permission manage-services)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Service supprimé définitivement
+ *       404:
+ *         description: Service absent de la corbeille
+ */
+async function purgeTrashedService(ctx) {
+  const { id } = ctx.params;
+  const service = await ctx.store.services.getTrashed(id);
+  if (!service) {
+    throw new HttpError(404, 'Service introuvable dans la corbeille');
+  }
+
+  await purgeService(ctx, service);
+  await recordAudit(ctx, { action: 'purge', resourceType: 'service', resourceId: id, before: service });
+
+  return jsonResponse({ status: 'purgé', id });
+}
+
+export default [
+  { method: 'GET', path: '/trash', access: 'user', permission: 'manage-services', scope: 'services:read', handler: listTrash, error: 'Erreur lors de la récupération de la corbeille' },
+  { method: 'POST', path: '/restore-service/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: restoreService, error: 'Erreur lors de la restauration' },
+  { method: 'DELETE', path: '/purge-service/:id', access: 'user', permission: 'manage-services', scope: 'services:write', handler: purgeTrashedService, error: 'Erreur lors de la purge' },
+];
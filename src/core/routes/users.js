@@ -0,0 +1,100 @@
+/**
+ * Routes liées à l'utilisateur connecté et à l'annuaire des utilisateurs.
+ */
+
+import { jsonResponse } from '../http.js';
+import { isAdmin } from '../roles.js';
+
+/**
+ * @swagger
+ * /whoami:
+ *   get:
+ *     summary: Récupère les infos de l'utilisateur connecté, avec ses rôles et permissions effectives
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Infos utilisateur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                 isAdmin:
+ *                   type: boolean
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     enum: [manage-services, send-messages, view-users, manage-images, manage-api-tokens, view-analytics]
+ */
+async function whoami(ctx) {
+  const { user } = ctx;
+  const admin = isAdmin(user);
+
+  console.log(`   Rôles: [${user.roles.join(', ')}], Groupes: [${user.groups.join(', ')}]`);
+
+  return jsonResponse({
+    username: user.username,
+    displayName: user.displayName || user.username,
+    email: user.email || null,
+    avatarUrl: user.avatarUrl || null,
+    isAdmin: admin,
+    roles: user.roles,
+    permissions: user.permissions,
+  });
+}
+
+/**
+ * @swagger
+ * /user-ids:
+ *   get:
+ *     summary: Récupère la liste de tous les utilisateurs (permission view-users)
+ *     security:
+ *       - RemoteUserAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste des utilisateurs avec id, email, displayName et groupes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Email de l'utilisateur
+ *                   email:
+ *                     type: string
+ *                   displayName:
+ *                     type: string
+ *                   groups:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ */
+async function listUserIds(ctx) {
+  const users = await ctx.store.users.list();
+
+  // Retourne la liste des utilisateurs avec nom, prénom et email
+  return jsonResponse(
+    users.map((user) => ({
+      id: user.username, // l'email
+      email: user.username,
+      displayName: user.displayName || user.username,
+      groups: user.groups || [],
+    }))
+  );
+}
+
+export default [
+  { method: 'GET', path: '/whoami', access: 'user', scope: 'users:read', handler: whoami, error: 'Erreur lors de la récupération des informations utilisateur' },
+  { method: 'GET', path: '/user-ids', access: 'user', permission: 'view-users', scope: 'users:read', handler: listUserIds, error: 'Erreur lors de la récupération des utilisateurs' },
+];
@@ -0,0 +1,76 @@
+/**
+ * Application de test partagée par les fichiers *.test.js : createApp sur
+ * un store JSON et un stockage d'images dans un dossier temporaire, avec
+ * une identité lue dans les en-têtes x-test-user et x-test-groups, comme
+ * derrière un proxy d'authentification.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { encode as encodePng } from 'fast-png';
+import { createApp } from './app.js';
+import { createJsonStore } from '../storage/json.js';
+import { createFsImageStore } from '../images/fs.js';
+import { TRANSFORM_FORMATS, processImage, transformImage } from '../images/workers.js';
+
+function authenticate(request) {
+  const username = request.headers.get('x-test-user');
+  if (!username) return { error: 'Non authentifié', status: 401 };
+  const groups = (request.headers.get('x-test-groups') || '').split(',').filter(Boolean);
+  return { username, email: null, displayName: username, groups };
+}
+
+// PNG 1x1, pour les contenus d'image écrits directement (stockage, archives, data: URI)
+export const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+// Icône PNG 4x4 de la couleur donnée, à envoyer dans un formulaire
+export function pngFile(color = [255, 255, 255, 255], name = 'icon.png') {
+  const data = new Uint8Array(4 * 4 * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(color, i);
+  return new File([encodePng({ width: 4, height: 4, data, channels: 4, depth: 8 })], name, { type: 'image/png' });
+}
+
+// Formulaire multipart ; un tableau donne un champ répété
+export function formData(fields) {
+  const data = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of [].concat(value)) data.append(name, item);
+  }
+  return data;
+}
+
+/**
+ * @param {object} [deps] - Dépendances de createApp qui remplacent celles de test
+ * @returns {{ dir: string, store: object, images: object, app: object, request: Function, call: Function, close: Function }}
+ */
+export function createTestApp(deps = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'home-services-'));
+  const store = createJsonStore(path.join(dir, 'data'));
+  const images = createFsImageStore(path.join(dir, 'uploads'));
+  const app = createApp({ store, images, processImage, transformImage, variantFormats: TRANSFORM_FORMATS, authenticate, ...deps });
+
+  // Envoie une requête avec l'identité user (ou le token API token), sans identité
+  // si aucun n'est donné. Un body objet ou tableau est envoyé en JSON, un FormData tel quel.
+  function request(pathname, { user, groups = 'users', token, method = 'GET', body, headers = {} } = {}) {
+    let identity = {};
+    if (token) identity = { Authorization: `Bearer ${token}` };
+    else if (user) identity = { 'x-test-user': user, 'x-test-groups': groups };
+    const json = body?.constructor === Object || Array.isArray(body);
+    return app.handle(
+      new Request(`http://localhost${pathname}`, {
+        method,
+        headers: { ...identity, ...(json && { 'Content-Type': 'application/json' }), ...headers },
+        body: json ? JSON.stringify(body) : body,
+      })
+    );
+  }
+
+  // Comme request, avec la réponse JSON lue
+  async function call(pathname, options) {
+    const response = await request(pathname, options);
+    return { status: response.status, body: await response.json() };
+  }
+
+  return { dir, store, images, app, request, call, close: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
@@ -0,0 +1,69 @@
+/**
+ * Corbeille des services : /delete-service/:id ne fait que marquer le
+ * service (deletedAt), qui disparaît de /services mais garde son image et
+ * ses réglages. Il peut être restauré jusqu'à sa purge définitive, après
+ * TRASH_RETENTION_DAYS jours.
+ *
+ * La purge est lancée par un timer dans server.js et par le handler
+ * scheduled() du Worker.
+ */
+
+import { releaseImage } from './image-variants.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Durée de conservation depuis l'environnement (TRASH_RETENTION_DAYS)
+export function trashRetentionFromEnv(env) {
+  return Number(env.TRASH_RETENTION_DAYS) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Date à partir de laquelle un service de la corbeille est purgé
+export function purgeDateOf(service, retentionDays) {
+  return new Date(new Date(service.deletedAt).getTime() + retentionDays * DAY).toISOString();
+}
+
+/**
+ * Supprime définitivement un service de la corbeille avec ses révisions,
+ * puis leurs images si plus aucun service (actif ou dans la corbeille) ni
+ * aucune révision ne les référence.
+ *
+ * @param {object} deps - { store, images }
+ */
+export async function purgeService(deps, service) {
+  const revisions = await deps.store.revisions.list(service.id);
+  const imagePaths = new Set([service.imagePath, ...revisions.map((r) => r.imagePath)]);
+
+  await deps.store.services.delete(service.id);
+  for (const imagePath of imagePaths) {
+    await releaseImage(deps, imagePath);
+  }
+}
+
+/**
+ * Purge les services mis à la corbeille depuis plus de retentionDays jours.
+ *
+ * @param {object} deps - { store, images }
+ * @param {number} [retentionDays]
+ * @returns {Promise<Array<{ id: string, name: string }>>} Services purgés
+ */
+export async function purgeExpiredTrash(deps, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+  const now = new Date().toISOString();
+  const expired = (await deps.store.services.listTrash()).filter((s) => purgeDateOf(s, retentionDays) <= now);
+
+  const purged = [];
+  for (const service of expired) {
+    try {
+      await purgeService(deps, service);
+      purged.push({ id: service.id, name: service.name });
+    } catch (error) {
+      console.error(`Erreur lors de la purge de ${service.name}:`, error);
+    }
+  }
+
+  if (purged.length) {
+    console.log(`🗑️  Corbeille: ${purged.length} service(s) purgé(s) après ${retentionDays} jours`);
+  }
+  return purged;
+}
@@ -0,0 +1,70 @@
+/**
+ * Corbeille des services : suppression réversible, restauration, purge
+ * manuelle ou après TRASH_RETENTION_DAYS jours, et images libérées à la purge.
+ */
+
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { purgeDateOf, purgeExpiredTrash, trashRetentionFromEnv } from './trash.js';
+import { createTestApp } from './testing.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const editor = { user: 'root', groups: 'users,admin' };
+
+describe('corbeille', () => {
+  it('calcule la date de purge depuis la durée de conservation', () => {
+    assert.equal(purgeDateOf({ deletedAt: '2026-01-01T00:00:00.000Z' }, 30), '2026-01-31T00:00:00.000Z');
+    assert.equal(trashRetentionFromEnv({}), 30);
+    assert.equal(trashRetentionFromEnv({ TRASH_RETENTION_DAYS: '7' }), 7);
+  });
+
+  describe('routes', () => {
+    let t;
+    let service;
+
+    beforeEach(async () => {
+      t?.close();
+      t = createTestApp({ config: { trashRetentionDays: 10 } });
+      await t.images.put('images/icon.png', new Uint8Array([1]));
+      service = await t.store.services.create({ name: 'Grafana', redirectUrl: 'https://grafana.example', allowedGroups: ['users'], imagePath: 'images/icon.png' });
+    });
+    after(() => t.close());
+
+    it('met le service à la corbeille, puis le restaure', async () => {
+      const deleted = await t.call(`/delete-service/${service.id}`, { ...editor, method: 'DELETE' });
+      assert.equal(deleted.status, 200);
+      assert.equal(deleted.body.purgeAt, purgeDateOf(await t.store.services.getTrashed(service.id), 10));
+      assert.deepEqual((await t.call('/services', { user: 'alice' })).body, []);
+
+      const [trashed] = (await t.call('/trash', editor)).body;
+      assert.deepEqual([trashed.id, trashed.deletedBy], [service.id, 'root']);
+      assert.equal((await t.call('/trash', { user: 'alice' })).status, 403);
+
+      assert.equal((await t.call(`/restore-service/${service.id}`, { ...editor, method: 'POST' })).status, 200);
+      assert.deepEqual((await t.call('/services', { user: 'alice' })).body.map((s) => s.name), ['Grafana']);
+      assert.equal((await t.call(`/restore-service/${service.id}`, { ...editor, method: 'POST' })).status, 404);
+      assert.ok(await t.images.get('images/icon.png'));
+    });
+
+    it("purge un service de la corbeille et libère son image", async () => {
+      assert.equal((await t.call(`/purge-service/${service.id}`, { ...editor, method: 'DELETE' })).status, 404);
+
+      await t.call(`/delete-service/${service.id}`, { ...editor, method: 'DELETE' });
+      assert.equal((await t.call(`/purge-service/${service.id}`, { ...editor, method: 'DELETE' })).status, 200);
+      assert.deepEqual(await t.store.services.listTrash(), []);
+      assert.equal(await t.images.get('images/icon.png'), null);
+    });
+
+    it('purge les services plus anciens que la durée de conservation', async () => {
+      const recent = await t.store.services.create({ name: 'Wiki', redirectUrl: 'https://wiki.example', allowedGroups: ['users'], imagePath: 'images/icon.png' });
+      await t.store.services.trash(recent.id, 'root');
+      await t.store.services.trash(service.id, 'root');
+      await t.store.services.update(service.id, { deletedAt: new Date(Date.now() - 11 * DAY).toISOString() });
+
+      assert.deepEqual(await purgeExpiredTrash(t, 10), [{ id: service.id, name: 'Grafana' }]);
+      assert.deepEqual((await t.store.services.listTrash()).map((s) => s.name), ['Wiki']);
+      // L'image reste référencée par le service encore dans la corbeille
+      assert.ok(await t.images.get('images/icon.png'));
+    });
+  });
+});
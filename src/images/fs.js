@@ -0,0 +1,81 @@
+/**
+ * Stockage des images sur disque (dossier uploads/), utilisé par server.js.
+ *
+ * Les clés ont la forme "images/<chemin>" comme dans R2 et sont stockées
+ * sous uploads/<chemin>. Les anciens chemins "uploads/<fichier>" enregistrés
+ * dans data/services.json sont acceptés aussi. Le type MIME est déduit du
+ * contenu, puis de l'extension.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readImageInfo } from './metadata.js';
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+};
+
+export function createFsImageStore(uploadFolder) {
+  const root = path.resolve(uploadFolder);
+  if (!fs.existsSync(root)) fs.mkdirSync(root, { recursive: true });
+
+  // Chemin sur disque d'une clé, ou null si elle sort du dossier uploads/
+  function resolve(key) {
+    const filePath = path.resolve(root, key.replace(/^(images|uploads)\//, ''));
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+  }
+
+  function toKey(filePath) {
+    return `images/${path.relative(root, filePath).split(path.sep).join('/')}`;
+  }
+
+  async function walk(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = await Promise.all(
+      entries.map((entry) => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(full) : [full];
+      })
+    );
+    return files.flat();
+  }
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      if (!filePath) throw new Error(`Clé d'image invalide: ${key}`);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, Buffer.from(buffer));
+    },
+    async get(key) {
+      const filePath = resolve(key);
+      if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+      const body = await fs.promises.readFile(filePath);
+      return {
+        body,
+        contentType: readImageInfo(body)?.contentType || CONTENT_TYPES[path.extname(filePath).toLowerCase()],
+      };
+    },
+    async delete(key) {
+      const filePath = resolve(key);
+      if (!filePath) return;
+      await fs.promises.rm(filePath, { force: true });
+      // Retire les dossiers devenus vides (variantes d'une image supprimée)
+      let dir = path.dirname(filePath);
+      while (dir !== root && (await fs.promises.readdir(dir).catch(() => [dir])).length === 0) {
+        await fs.promises.rmdir(dir);
+        dir = path.dirname(dir);
+      }
+    },
+    async list(prefix = 'images/') {
+      const files = await walk(root);
+      return files.map(toKey).filter((key) => key.startsWith(prefix));
+    },
+  };
+}
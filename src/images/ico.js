@@ -0,0 +1,120 @@
+/**
+ * Lecture des fichiers ICO (favicon.ico) : extrait l'image la plus grande
+ * et la convertit en PNG pour le traitement d'images habituel. Les entrées
+ * peuvent contenir un PNG (repris tel quel) ou un bitmap DIB 1, 4, 8, 24 ou
+ * 32 bits avec son masque de transparence. Pur JavaScript.
+ */
+
+import { encode as encodePng } from 'fast-png';
+
+const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+const u32le = (b, i) => (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) >>> 0;
+const i32le = (b, i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24);
+
+export function isIco(buffer) {
+  const b = new Uint8Array(buffer);
+  return b.length >= 22 && u16le(b, 0) === 0 && u16le(b, 2) === 1 && u16le(b, 4) > 0;
+}
+
+function readEntries(b) {
+  const entries = [];
+  for (let i = 0; i < u16le(b, 4); i++) {
+    const offset = 6 + i * 16;
+    if (offset + 16 > b.length) break;
+    entries.push({
+      width: b[offset] || 256,
+      height: b[offset + 1] || 256,
+      bitCount: u16le(b, offset + 6),
+      size: u32le(b, offset + 8),
+      offset: u32le(b, offset + 12),
+    });
+  }
+  return entries.filter((e) => e.size > 0 && e.offset + e.size <= b.length);
+}
+
+// Décode un bitmap DIB d'icône (lignes de bas en haut, masque AND 1 bit).
+// Les dimensions ne peuvent dépasser celles de l'entrée du répertoire (256
+// au plus), et pixels comme masque doivent tenir dans les octets de l'entrée.
+function decodeDib(b, entry) {
+  if (b.length < 40) return null;
+  const headerSize = u32le(b, 0);
+  const width = i32le(b, 4);
+  const height = Math.abs(i32le(b, 8)) / 2; // Hauteur XOR + masque AND
+  const bitCount = u16le(b, 14);
+  if (u32le(b, 16) !== 0 || ![1, 4, 8, 24, 32].includes(bitCount) || headerSize < 40) {
+    return null;
+  }
+  if (width <= 0 || height <= 0 || !Number.isInteger(height) || width > entry.width || height > entry.height) {
+    return null;
+  }
+
+  const paletteSize = bitCount <= 8 ? (u32le(b, 32) || 1 << bitCount) : 0;
+  if (paletteSize > 1 << bitCount) return null;
+  const palette = headerSize;
+  const pixels = palette + paletteSize * 4;
+  const stride = Math.ceil((width * bitCount) / 32) * 4;
+  const maskStride = Math.ceil(width / 32) * 4;
+  const mask = pixels + stride * height;
+  if (mask + maskStride * height > b.length) return null;
+
+  const data = new Uint8Array(width * height * 4);
+  let hasAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    const row = pixels + (height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let color;
+      if (bitCount >= 24) {
+        color = row + x * (bitCount / 8);
+      } else {
+        const bit = x * bitCount;
+        const index = (b[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+        color = palette + index * 4;
+      }
+      data[out] = b[color + 2];
+      data[out + 1] = b[color + 1];
+      data[out + 2] = b[color];
+      data[out + 3] = bitCount === 32 ? b[color + 3] : 255;
+      if (bitCount === 32 && data[out + 3]) hasAlpha = true;
+    }
+  }
+
+  // Sans canal alpha exploitable, la transparence vient du masque AND
+  if (!hasAlpha) {
+    for (let y = 0; y < height; y++) {
+      const row = mask + (height - 1 - y) * maskStride;
+      for (let x = 0; x < width; x++) {
+        const transparent = (b[row + (x >> 3)] >> (7 - (x & 7))) & 1;
+        data[(y * width + x) * 4 + 3] = transparent ? 0 : 255;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Convertit un fichier ICO en PNG (entrée la plus grande).
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Uint8Array|null} PNG, ou null si aucune entrée n'est lisible
+ */
+export function icoToPng(buffer) {
+  const b = new Uint8Array(buffer);
+  const entries = readEntries(b).sort(
+    (a, z) => z.width * z.height - a.width * a.height || z.bitCount - a.bitCount
+  );
+
+  for (const entry of entries) {
+    const image = b.subarray(entry.offset, entry.offset + entry.size);
+    if (image[0] === 0x89 && image[1] === 0x50 && image[2] === 0x4e && image[3] === 0x47) {
+      return image.slice();
+    }
+    const bitmap = decodeDib(image, entry);
+    if (bitmap) {
+      return encodePng({ ...bitmap, channels: 4, depth: 8 });
+    }
+  }
+  return null;
+}
@@ -0,0 +1,58 @@
+/**
+ * Lecture des fichiers ICO : bitmap DIB converti en PNG, entrées dont les
+ * dimensions ou la taille ne tiennent pas dans le répertoire refusées.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decode as decodePng } from 'fast-png';
+import { icoToPng, isIco } from './ico.js';
+
+// ICO d'une entrée DIB 24 bits width x height (rouge, masque AND opaque)
+function ico(width, height, { dibWidth = width, dibHeight = height, truncate = 0 } = {}) {
+  const stride = Math.ceil((width * 24) / 32) * 4;
+  const maskStride = Math.ceil(width / 32) * 4;
+  const dib = new Uint8Array(40 + (stride + maskStride) * height);
+  const view = new DataView(dib.buffer);
+  view.setUint32(0, 40, true);
+  view.setInt32(4, dibWidth, true);
+  view.setInt32(8, dibHeight * 2, true);
+  view.setUint16(12, 1, true);
+  view.setUint16(14, 24, true);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) dib[40 + y * stride + x * 3 + 2] = 255;
+  }
+  const image = dib.subarray(0, dib.length - truncate);
+
+  const file = new Uint8Array(22 + image.length);
+  const header = new DataView(file.buffer);
+  header.setUint16(2, 1, true);
+  header.setUint16(4, 1, true);
+  file[6] = width % 256;
+  file[7] = height % 256;
+  header.setUint16(10, 1, true);
+  header.setUint16(12, 24, true);
+  header.setUint32(14, image.length, true);
+  header.setUint32(18, 22, true);
+  file.set(image, 22);
+  return file;
+}
+
+describe('icoToPng', () => {
+  it('convertit une entrée DIB en PNG', () => {
+    const file = ico(2, 3);
+    assert.ok(isIco(file));
+    const png = decodePng(icoToPng(file));
+    assert.deepEqual([png.width, png.height], [2, 3]);
+    assert.deepEqual([...png.data.subarray(0, 4)], [255, 0, 0, 255]);
+  });
+
+  it("refuse un DIB plus grand que l'entrée du répertoire", () => {
+    assert.equal(icoToPng(ico(2, 2, { dibWidth: 100000 })), null);
+    assert.equal(icoToPng(ico(2, 2, { dibHeight: 100000 })), null);
+  });
+
+  it("refuse un DIB dont les pixels ou le masque dépassent l'entrée", () => {
+    assert.equal(icoToPng(ico(4, 4, { truncate: 1 })), null);
+  });
+});
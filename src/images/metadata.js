@@ -0,0 +1,86 @@
+/**
+ * Lecture des en-têtes PNG, JPEG, WebP et GIF pour obtenir le format et les
+ * dimensions réelles d'une image, sans la décoder. Pur JavaScript :
+ * fonctionne dans Workers comme dans Node.js.
+ */
+
+export const CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+};
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const u16be = (b, i) => (b[i] << 8) | b[i + 1];
+const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+const u24le = (b, i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+const u32be = (b, i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+
+function readPng(b) {
+  if (b.length < 24 || u32be(b, 0) !== 0x89504e47 || ascii(b, 12, 4) !== 'IHDR') return null;
+  return { width: u32be(b, 16), height: u32be(b, 20) };
+}
+
+function readGif(b) {
+  if (b.length < 10 || !['GIF87a', 'GIF89a'].includes(ascii(b, 0, 6))) return null;
+  return { width: u16le(b, 6), height: u16le(b, 8) };
+}
+
+function readWebp(b) {
+  if (b.length < 30 || ascii(b, 0, 4) !== 'RIFF' || ascii(b, 8, 4) !== 'WEBP') return null;
+
+  switch (ascii(b, 12, 4)) {
+    case 'VP8 ': // Lossy
+      return { width: u16le(b, 26) & 0x3fff, height: u16le(b, 28) & 0x3fff };
+    case 'VP8L': { // Lossless : 14 bits largeur-1, 14 bits hauteur-1
+      const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X': // Étendu (animation, alpha, ICC…)
+      return { width: u24le(b, 24) + 1, height: u24le(b, 27) + 1 };
+    default:
+      return null;
+  }
+}
+
+function readJpeg(b) {
+  if (b.length < 4 || b[0] !== 0xff || b[1] !== 0xd8) return null;
+
+  // Parcourt les segments jusqu'au premier SOFn qui porte les dimensions
+  let offset = 2;
+  while (offset + 9 < b.length) {
+    if (b[offset] !== 0xff) return null;
+    const marker = b[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+
+    const isSof = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isSof) {
+      return { width: u16be(b, offset + 7), height: u16be(b, offset + 5) };
+    }
+    offset += 2 + u16be(b, offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Détecte le format et les dimensions d'une image.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{ format: string, contentType: string, width: number, height: number } | null}
+ */
+export function readImageInfo(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const readers = { png: readPng, jpeg: readJpeg, webp: readWebp, gif: readGif };
+
+  for (const [format, read] of Object.entries(readers)) {
+    const size = read(bytes);
+    if (size && size.width > 0 && size.height > 0) {
+      return { format, contentType: CONTENT_TYPES[format], ...size };
+    }
+  }
+  return null;
+}
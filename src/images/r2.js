@@ -0,0 +1,31 @@
+/**
+ * Stockage des images dans un bucket Cloudflare R2.
+ */
+
+export function createR2ImageStore(bucket) {
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await bucket.put(key, buffer, {
+        httpMetadata: { contentType },
+      });
+    },
+    async get(key) {
+      const object = await bucket.get(key);
+      if (!object) return null;
+      return { body: object.body, contentType: object.httpMetadata?.contentType };
+    },
+    async delete(key) {
+      await bucket.delete(key);
+    },
+    async list(prefix = 'images/') {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await bucket.list({ prefix, cursor });
+        keys.push(...page.objects.map((object) => object.key));
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+      return keys;
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Redimensionnement d'images RGBA 8 bits en pur JavaScript (moyenne par
+ * zone de couverture, alpha prémultiplié pour éviter les halos sombres).
+ */
+
+/**
+ * @param {{ width: number, height: number, data: Uint8Array|Uint8ClampedArray }} src
+ * @param {number} width - Largeur cible
+ * @param {number} height - Hauteur cible
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }}
+ */
+export function resizeRgba(src, width, height) {
+  const { width: sw, height: sh, data } = src;
+  const out = new Uint8ClampedArray(width * height * 4);
+  const xScale = sw / width;
+  const yScale = sh / height;
+
+  for (let dy = 0; dy < height; dy++) {
+    const y0 = dy * yScale;
+    const y1 = y0 + yScale;
+    const syEnd = Math.min(Math.ceil(y1), sh);
+
+    for (let dx = 0; dx < width; dx++) {
+      const x0 = dx * xScale;
+      const x1 = x0 + xScale;
+      const sxEnd = Math.min(Math.ceil(x1), sw);
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      let weight = 0;
+
+      for (let sy = Math.floor(y0); sy < syEnd; sy++) {
+        const wy = Math.min(sy + 1, y1) - Math.max(sy, y0);
+        for (let sx = Math.floor(x0); sx < sxEnd; sx++) {
+          const w = (Math.min(sx + 1, x1) - Math.max(sx, x0)) * wy;
+          const i = (sy * sw + sx) * 4;
+          const alpha = data[i + 3] * w;
+          r += data[i] * alpha;
+          g += data[i + 1] * alpha;
+          b += data[i + 2] * alpha;
+          a += alpha;
+          weight += w;
+        }
+      }
+
+      const o = (dy * width + dx) * 4;
+      if (a > 0) {
+        out[o] = r / a;
+        out[o + 1] = g / a;
+        out[o + 2] = b / a;
+      }
+      out[o + 3] = weight > 0 ? a / weight : 0;
+    }
+  }
+
+  return { width, height, data: out };
+}
@@ -0,0 +1,51 @@
+/**
+ * Traitement des images avec sharp (Node.js uniquement) : redimensionne à
+ * une hauteur de 50px et convertit en PNG, et génère les variantes servies
+ * par GET /images/:key. Les SVG sont nettoyés et gardés tels quels.
+ */
+
+import sharp from 'sharp';
+import { isSvg, processSvgImage } from './svg.js';
+
+// Formats de variantes que transformImage sait produire
+export const TRANSFORM_FORMATS = ['png', 'webp', 'avif'];
+
+export async function processImage(imageBuffer) {
+  // Les SVG sont conservés en vectoriel, après nettoyage
+  if (isSvg(imageBuffer)) return processSvgImage(imageBuffer);
+
+  const input = Buffer.from(imageBuffer);
+
+  // Lire les métadonnées de l'image
+  const metadata = await sharp(input).metadata();
+  const originalWidth = metadata.width;
+  const originalHeight = metadata.height;
+
+  const resizedHeight = 50;
+  const resizedWidth = Math.round((originalWidth / originalHeight) * resizedHeight);
+
+  const buffer = await sharp(input)
+    .resize({ height: resizedHeight })
+    .png()
+    .toBuffer();
+
+  return {
+    buffer,
+    extension: 'png',
+    contentType: 'image/png',
+    originalWidth,
+    originalHeight,
+    resizedHeight,
+    resizedWidth,
+  };
+}
+
+// Génère une variante (dimensions maximales et format) d'une image
+export async function transformImage(imageBuffer, { width, height, format }) {
+  const buffer = await sharp(Buffer.from(imageBuffer))
+    .resize({ width, height, fit: 'inside' })
+    .toFormat(format)
+    .toBuffer();
+
+  return { buffer, contentType: `image/${format}` };
+}
@@ -0,0 +1,168 @@
+/**
+ * Icônes SVG : détection, nettoyage et dimensions intrinsèques.
+ *
+ * Les SVG sont stockés tels quels (après nettoyage) avec le type
+ * image/svg+xml. Le nettoyage fonctionne par liste blanche et sans DOM
+ * natif (xmldom), donc aussi bien dans Workers que dans Node.js :
+ *   - seuls les éléments SVG de dessin sont conservés (pas de script,
+ *     foreignObject, éléments d'autres espaces de noms…) ;
+ *   - les gestionnaires d'événements (on*) sont supprimés ;
+ *   - les références externes (href, url(), @import) sont supprimées, seules
+ *     les références internes (#id) et les images raster en data: restent ;
+ *     attributs et styles contenant un échappement CSS (\) sont supprimés ;
+ *   - DOCTYPE avec sous-ensemble interne (entités) refusé.
+ */
+
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import { HttpError } from '../core/http.js';
+
+export const SVG_CONTENT_TYPE = 'image/svg+xml';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const RESIZED_HEIGHT = 50;
+
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath', 'image', 'style', 'marker',
+  'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask', 'pattern',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite',
+  'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight',
+  'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset',
+  'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence',
+]);
+
+// Les échappements CSS (\75 rl(, @\69mport) contourneraient ces motifs :
+// une valeur avec une barre oblique inverse est refusée
+const DANGEROUS_VALUE = /javascript:|vbscript:|expression\s*\(|@import|\\/i;
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+
+// Vrai si toutes les url(...) d'une valeur pointent vers un fragment interne
+function hasOnlyLocalUrls(value) {
+  const urls = value.match(/url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi) || [];
+  return urls.every((u) => /url\s*\(\s*['"]?#/i.test(u));
+}
+
+function isSafeValue(value) {
+  return !DANGEROUS_VALUE.test(value) && hasOnlyLocalUrls(value);
+}
+
+function sanitizeAttributes(element) {
+  for (const attr of Array.from(element.attributes)) {
+    const name = attr.name;
+    const local = attr.localName || name;
+    const value = attr.value.trim();
+
+    // Attributs d'autres espaces de noms (sauf xlink, xml et les déclarations svg/xlink)
+    const isNamespaceDecl = name === 'xmlns' || name === 'xmlns:xlink';
+    const isForeign = Boolean(attr.namespaceURI) && !isNamespaceDecl
+      && attr.namespaceURI !== XLINK_NS && attr.namespaceURI !== XML_NS;
+    const isHandler = /^on/i.test(local);
+    const isHref = local === 'href';
+    const hrefAllowed = value.startsWith('#') || (element.localName === 'image' && SAFE_DATA_IMAGE.test(value));
+
+    if (isForeign || isHandler || (isHref && !hrefAllowed) || !isSafeValue(value)) {
+      element.removeAttributeNode(attr);
+    }
+  }
+}
+
+function sanitizeNode(node) {
+  for (const child of Array.from(node.childNodes)) {
+    switch (child.nodeType) {
+      case 1: { // Élément
+        const allowed = child.namespaceURI === SVG_NS && ALLOWED_ELEMENTS.has(child.localName);
+        if (!allowed || (child.localName === 'style' && !isSafeValue(child.textContent))) {
+          node.removeChild(child);
+        } else {
+          sanitizeAttributes(child);
+          sanitizeNode(child);
+        }
+        break;
+      }
+      case 3: // Texte
+      case 4: // CDATA
+        break;
+      default: // Commentaires, instructions de traitement, DOCTYPE…
+        node.removeChild(child);
+    }
+  }
+}
+
+// Dimensions intrinsèques : viewBox, sinon attributs width/height en unités absolues
+function readSvgSize(root) {
+  const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+
+  const length = (name) => {
+    const match = /^([\d.]+)(px)?$/.exec((root.getAttribute(name) || '').trim());
+    return match ? Math.round(Number(match[1])) : null;
+  };
+  const width = length('width');
+  const height = length('height');
+  return width && height ? { width, height } : { width: null, height: null };
+}
+
+// Détecte un document SVG (éventuellement précédé d'un prologue XML ou de commentaires)
+export function isSvg(buffer) {
+  const head = new TextDecoder().decode(new Uint8Array(buffer).subarray(0, 1024));
+  return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE\s+svg|<svg[\s>])/i.test(head);
+}
+
+/**
+ * Nettoie un SVG et lit ses dimensions.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{ svg: string, width: number|null, height: number|null }}
+ */
+export function sanitizeSvg(buffer) {
+  const text = new TextDecoder().decode(buffer);
+  if (/<!DOCTYPE[^>]*\[/i.test(text)) {
+    throw new HttpError(400, 'SVG refusé: les DOCTYPE avec entités ne sont pas acceptés');
+  }
+
+  let parseError = null;
+  let doc = null;
+  try {
+    doc = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') parseError = message;
+      },
+    }).parseFromString(text, SVG_CONTENT_TYPE);
+  } catch (error) {
+    parseError = error.message;
+  }
+
+  const root = doc?.documentElement;
+  if (parseError || !root || root.localName !== 'svg' || root.namespaceURI !== SVG_NS) {
+    throw new HttpError(400, 'SVG invalide');
+  }
+
+  for (const child of Array.from(doc.childNodes)) {
+    if (child !== root) doc.removeChild(child);
+  }
+  sanitizeAttributes(root);
+  sanitizeNode(root);
+
+  return { svg: new XMLSerializer().serializeToString(doc), ...readSvgSize(root) };
+}
+
+// Traitement d'une icône SVG, même forme de résultat que processImage()
+export function processSvgImage(imageBuffer) {
+  const { svg, width, height } = sanitizeSvg(imageBuffer);
+
+  return {
+    buffer: new TextEncoder().encode(svg),
+    extension: 'svg',
+    contentType: SVG_CONTENT_TYPE,
+    originalWidth: width,
+    originalHeight: height,
+    resizedHeight: RESIZED_HEIGHT,
+    resizedWidth: width && height ? Math.round((width / height) * RESIZED_HEIGHT) : RESIZED_HEIGHT,
+  };
+}
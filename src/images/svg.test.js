@@ -0,0 +1,95 @@
+/**
+ * Nettoyage des icônes SVG par liste blanche : scripts, gestionnaires
+ * d'événements, références externes (href, url(), @import) et entités.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSvg, processSvgImage, sanitizeSvg } from './svg.js';
+
+const SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 24 24">';
+const encode = (text) => new TextEncoder().encode(text);
+// Nettoie le contenu donné, placé dans un élément svg racine
+const clean = (content) => sanitizeSvg(encode(`${SVG_OPEN}${content}</svg>`)).svg;
+
+describe('SVG', () => {
+  it('reconnaît un SVG, même précédé du prologue XML ou de commentaires', () => {
+    assert.ok(isSvg(encode('<svg xmlns="http://www.w3.org/2000/svg"/>')));
+    assert.ok(isSvg(encode('<?xml version="1.0"?>\n<!-- icône -->\n<svg>')));
+    assert.ok(isSvg(encode('<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "x"><svg>')));
+    assert.ok(!isSvg(encode('<html><svg></svg></html>')));
+    assert.ok(!isSvg(encode('<svgx>')));
+  });
+
+  it('garde les éléments de dessin et les références internes', () => {
+    const svg = clean('<defs><linearGradient id="g"><stop offset="0"/></linearGradient></defs><rect fill="url(#g)" width="24" height="24"/><use href="#g"/>');
+    assert.match(svg, /<linearGradient id="g">/);
+    assert.match(svg, /<rect fill="url\(#g\)" width="24" height="24"\/>/);
+    assert.match(svg, /<use href="#g"\/>/);
+  });
+
+  it('supprime les scripts, foreignObject et éléments étrangers', () => {
+    const svg = clean(
+      '<script>alert(1)</script><foreignObject><iframe xmlns="http://www.w3.org/1999/xhtml" src="https://evil"/></foreignObject>' +
+        '<h:div xmlns:h="http://www.w3.org/1999/xhtml">x</h:div><a href="#x"><rect/></a><!-- commentaire --><circle r="2"/>'
+    );
+    assert.doesNotMatch(svg, /script|foreignObject|iframe|div|<a|commentaire/);
+    assert.match(svg, /<circle r="2"\/>/);
+  });
+
+  it("supprime les gestionnaires d'événements", () => {
+    const svg = sanitizeSvg(encode('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><rect ONCLICK="alert(1)" onmouseover="x" width="1"/></svg>')).svg;
+    assert.doesNotMatch(svg, /on(load|click|mouseover)/i);
+    assert.match(svg, /<rect width="1"\/>/);
+  });
+
+  it('supprime les liens externes et javascript:, sauf les images raster en data:', () => {
+    const png = 'data:image/png;base64,iVBORw0KGgo=';
+    const svg = clean(
+      `<use href="https://evil/sprite.svg#a"/><use xlink:href="javascript:alert(1)"/><image href="${png}"/>` +
+        '<image href="data:text/html;base64,PHNjcmlwdD4="/><image href="data:image/svg+xml;base64,PHN2Zz4="/>'
+    );
+    assert.doesNotMatch(svg, /evil|javascript|text\/html|svg\+xml/);
+    assert.ok(svg.includes(`<image href="${png}"/>`));
+    assert.equal(svg.match(/<use\/>/g).length, 2);
+  });
+
+  it('supprime les url() externes et @import des styles', () => {
+    const svg = clean(
+      '<rect style="fill: url(https://evil/x)" width="1"/><rect fill="url(\'//evil/x\')" width="2"/>' +
+        '<rect style="background: url( &quot;https://evil&quot; )" width="3"/><rect style="fill: expression(alert(1))" width="4"/>' +
+        '<style>@import "https://evil/a.css";</style><style>rect { fill: url(https://evil/x) }</style><style>rect { fill: red }</style>'
+    );
+    assert.doesNotMatch(svg, /evil|expression|@import/);
+    for (const width of [1, 2, 3, 4]) assert.match(svg, new RegExp(`<rect width="${width}"/>`));
+    assert.match(svg, /<style>rect { fill: red }<\/style>/);
+  });
+
+  it('supprime les url() et @import écrits avec des échappements CSS', () => {
+    const svg = clean(
+      '<rect style="fill: \\75 rl(https://evil/x)" width="1"/><rect fill="\\000075rl(//evil/x)" width="2"/>' +
+        '<rect style="fill: u&#92;72l(https://evil/x)" width="3"/><rect style="fill: \\65xpression(alert(1))" width="4"/>' +
+        '<style>@\\69mport "https://evil/a.css";</style><style>rect { fill: \\75rl(https://evil/x) }</style>'
+    );
+    assert.doesNotMatch(svg, /evil|style>/);
+    for (const width of [1, 2, 3, 4]) assert.match(svg, new RegExp(`<rect width="${width}"/>`));
+  });
+
+  it('refuse les entités, les documents invalides et les racines autres que svg', () => {
+    const entities = '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY x "y">]><svg xmlns="http://www.w3.org/2000/svg">&x;</svg>';
+    assert.throws(() => sanitizeSvg(encode(entities)), { status: 400, message: 'SVG refusé: les DOCTYPE avec entités ne sont pas acceptés' });
+    assert.throws(() => sanitizeSvg(encode('<svg xmlns="http://www.w3.org/2000/svg"><rect></svg>')), { status: 400, message: 'SVG invalide' });
+    assert.throws(() => sanitizeSvg(encode('<html xmlns="http://www.w3.org/2000/svg"/>')), { status: 400 });
+  });
+
+  it('lit les dimensions depuis viewBox, sinon width et height', () => {
+    assert.equal(processSvgImage(encode(`${SVG_OPEN}</svg>`)).originalWidth, 24);
+    const sized = processSvgImage(encode('<svg xmlns="http://www.w3.org/2000/svg" width="200px" height="100"/>'));
+    assert.deepEqual([sized.originalWidth, sized.originalHeight, sized.resizedWidth, sized.resizedHeight], [200, 100, 100, 50]);
+    assert.equal(sized.contentType, 'image/svg+xml');
+    assert.equal(sized.extension, 'svg');
+
+    const unsized = processSvgImage(encode('<svg xmlns="http://www.w3.org/2000/svg" width="100%"/>'));
+    assert.deepEqual([unsized.originalWidth, unsized.resizedWidth], [null, 50]);
+  });
+});
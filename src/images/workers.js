@@ -0,0 +1,172 @@
+/**
+ * Traitement des images compatible Cloudflare Workers (sharp n'y est pas
+ * disponible) : décode PNG, JPEG, WebP et GIF, redimensionne à une hauteur
+ * de 50px et encode en PNG, comme le fait src/images/sharp.js côté Node.
+ *
+ * PNG, JPEG et GIF sont décodés en pur JavaScript ; WebP utilise le
+ * décodeur et l'encodeur WebAssembly de jSquash, dont les modules doivent
+ * être fournis par l'adaptateur via `initWebpCodecs` (import des fichiers
+ * .wasm par wrangler). Les variantes peuvent être produites en PNG ou WebP ;
+ * l'encodeur AVIF est trop volumineux pour un Worker. Les SVG sont nettoyés
+ * et gardés tels quels (src/images/svg.js).
+ */
+
+import { decode as decodePng, encode as encodePng, convertIndexedToRgb } from 'fast-png';
+import jpeg from 'jpeg-js';
+import { GifReader } from 'omggif';
+import decodeWebp, { init as initWebpDecoder } from '@jsquash/webp/decode.js';
+import webpEncoderFactory from '@jsquash/webp/codec/enc/webp_enc.js';
+import { defaultOptions as webpDefaultOptions } from '@jsquash/webp/meta.js';
+import { initEmscriptenModule } from '@jsquash/webp/utils.js';
+import { HttpError } from '../core/http.js';
+import { readImageInfo } from './metadata.js';
+import { resizeRgba } from './resize.js';
+import { isSvg, processSvgImage } from './svg.js';
+
+const RESIZED_HEIGHT = 50;
+// Formats de variantes que transformImage sait produire (pas d'encodeur AVIF)
+export const TRANSFORM_FORMATS = ['png', 'webp'];
+// Un décodage complet tient en mémoire (4 octets par pixel) : au-delà, l'image
+// est refusée d'après les dimensions de son en-tête, avant tout décodage
+const MAX_PIXELS = 16_000_000;
+
+let webpEncoder = null;
+
+// Initialise le décodeur et l'encodeur WebP avec des WebAssembly.Module déjà compilés
+export function initWebpCodecs({ decoder, encoder }) {
+  initWebpDecoder(decoder);
+  // Version sans SIMD de l'encodeur, chargée explicitement pour correspondre au module fourni
+  webpEncoder = initEmscriptenModule(webpEncoderFactory, encoder);
+}
+
+async function encodeWebp({ width, height, data }) {
+  if (!webpEncoder) {
+    throw new Error('Encodeur WebP non initialisé (initWebpCodecs)');
+  }
+  const module = await webpEncoder;
+  const result = module.encode(data, width, height, webpDefaultOptions);
+  if (!result) throw new Error('Erreur d\'encodage WebP');
+  return result.buffer;
+}
+
+// Convertit la sortie de fast-png (gris, gris+alpha, RGB, RGBA, palette, 16 bits) en RGBA 8 bits
+function pngToRgba(png) {
+  let { data, channels, depth } = png;
+  if (png.palette) {
+    data = convertIndexedToRgb(png);
+    channels = png.palette[0].length;
+    depth = 8;
+  }
+
+  const max = 2 ** depth - 1;
+  const scale = (v) => (depth === 8 ? v : Math.round((v * 255) / max));
+  const pixels = png.width * png.height;
+  const out = new Uint8ClampedArray(pixels * 4);
+
+  for (let p = 0; p < pixels; p++) {
+    const i = p * channels;
+    const o = p * 4;
+    if (channels <= 2) {
+      out[o] = out[o + 1] = out[o + 2] = scale(data[i]);
+      out[o + 3] = channels === 2 ? scale(data[i + 1]) : 255;
+    } else {
+      out[o] = scale(data[i]);
+      out[o + 1] = scale(data[i + 1]);
+      out[o + 2] = scale(data[i + 2]);
+      out[o + 3] = channels === 4 ? scale(data[i + 3]) : 255;
+    }
+  }
+
+  return { width: png.width, height: png.height, data: out };
+}
+
+// Décode une image en pixels RGBA 8 bits
+async function decodeToRgba(format, bytes) {
+  switch (format) {
+    case 'png':
+      return pngToRgba(decodePng(bytes));
+    case 'jpeg':
+      return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_PIXELS / 1_000_000 });
+    case 'gif': {
+      // Seule la première image d'un GIF animé est conservée
+      const reader = new GifReader(bytes);
+      const data = new Uint8ClampedArray(reader.width * reader.height * 4);
+      reader.decodeAndBlitFrameRGBA(0, data);
+      return { width: reader.width, height: reader.height, data };
+    }
+    case 'webp':
+      return decodeWebp(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    default:
+      throw new HttpError(400, `Format d'image non supporté: ${format}`);
+  }
+}
+
+function readSupportedImage(bytes) {
+  const info = readImageInfo(bytes);
+  if (!info) {
+    throw new HttpError(400, 'Format d\'image non supporté (PNG, JPEG, WebP ou GIF attendu)');
+  }
+  if (info.width * info.height > MAX_PIXELS) {
+    throw new HttpError(400, `Image trop grande (${info.width}x${info.height}, au plus ${MAX_PIXELS / 1_000_000} mégapixels)`);
+  }
+  return info;
+}
+
+export async function processImage(imageBuffer) {
+  const bytes = new Uint8Array(imageBuffer);
+
+  // Les SVG sont conservés en vectoriel, après nettoyage
+  if (isSvg(bytes)) return processSvgImage(bytes);
+
+  // Lire les dimensions réelles depuis l'en-tête
+  const info = readSupportedImage(bytes);
+
+  const resizedHeight = RESIZED_HEIGHT;
+  const resizedWidth = Math.max(1, Math.round((info.width / info.height) * resizedHeight));
+
+  const pixels = await decodeToRgba(info.format, bytes);
+  const resized = resizeRgba(pixels, resizedWidth, resizedHeight);
+  const buffer = encodePng({ width: resizedWidth, height: resizedHeight, data: resized.data, channels: 4, depth: 8 });
+
+  return {
+    buffer,
+    extension: 'png',
+    contentType: 'image/png',
+    originalWidth: info.width,
+    originalHeight: info.height,
+    resizedHeight,
+    resizedWidth,
+  };
+}
+
+// Génère une variante (dimensions maximales et format) d'une image
+export async function transformImage(imageBuffer, { width, height, format }) {
+  if (!TRANSFORM_FORMATS.includes(format)) {
+    throw new HttpError(400, `Format ${format} non disponible sur ce runtime (${TRANSFORM_FORMATS.join(' ou ')})`);
+  }
+
+  const bytes = new Uint8Array(imageBuffer);
+  const info = readSupportedImage(bytes);
+
+  // Conserve les proportions dans la boîte demandée (équivalent de fit: 'inside')
+  const ratio = info.width / info.height;
+  let targetWidth = width || Math.round(height * ratio);
+  let targetHeight = height || Math.round(width / ratio);
+  if (width && height) {
+    targetWidth = Math.min(width, Math.round(height * ratio));
+    targetHeight = Math.min(height, Math.round(width / ratio));
+  }
+  targetWidth = Math.max(1, targetWidth);
+  targetHeight = Math.max(1, targetHeight);
+
+  const pixels = await decodeToRgba(info.format, bytes);
+  const resized = resizeRgba(pixels, targetWidth, targetHeight);
+
+  if (format === 'webp') {
+    return { buffer: await encodeWebp(resized), contentType: 'image/webp' };
+  }
+  return {
+    buffer: encodePng({ width: targetWidth, height: targetHeight, data: resized.data, channels: 4, depth: 8 }),
+    contentType: 'image/png',
+  };
+}
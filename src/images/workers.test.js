@@ -0,0 +1,104 @@
+/**
+ * Traitement des images côté Workers : détection du format par l'en-tête,
+ * décodage en pur JavaScript, redimensionnement à 50px de haut et
+ * réencodage en PNG.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decode as decodePng, encode as encodePng } from 'fast-png';
+import jpeg from 'jpeg-js';
+import { GifWriter } from 'omggif';
+import { processImage } from './workers.js';
+import { readImageInfo } from './metadata.js';
+import { resizeRgba } from './resize.js';
+
+// Image RGBA unie de la couleur donnée
+function solid(width, height, [r, g, b, a]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([r, g, b, a], i);
+  return { width, height, data };
+}
+
+function gif(width, height) {
+  const buffer = new Uint8Array(1024 + width * height);
+  const writer = new GifWriter(buffer, width, height, { palette: [0xff0000, 0x0000ff] });
+  writer.addFrame(0, 0, width, height, new Uint8Array(width * height));
+  return buffer.subarray(0, writer.end());
+}
+
+describe('images Workers', () => {
+  describe('readImageInfo', () => {
+    it('lit le format et les dimensions sans décoder', () => {
+      const png = encodePng({ ...solid(3, 2, [0, 0, 0, 255]), channels: 4, depth: 8 });
+      assert.deepEqual(readImageInfo(png), { format: 'png', contentType: 'image/png', width: 3, height: 2 });
+      const jpg = jpeg.encode(solid(5, 4, [0, 0, 0, 255]), 90).data;
+      assert.deepEqual(readImageInfo(jpg), { format: 'jpeg', contentType: 'image/jpeg', width: 5, height: 4 });
+      assert.deepEqual(readImageInfo(gif(7, 6)), { format: 'gif', contentType: 'image/gif', width: 7, height: 6 });
+    });
+
+    it("ne reconnaît pas un fichier qui n'est pas une image", () => {
+      assert.equal(readImageInfo(new TextEncoder().encode('<html></html>')), null);
+      assert.equal(readImageInfo(new Uint8Array()), null);
+    });
+  });
+
+  describe('resizeRgba', () => {
+    it('moyenne les pixels sans assombrir les bords transparents', () => {
+      const src = { width: 2, height: 1, data: new Uint8Array([255, 0, 0, 255, 0, 0, 0, 0]) };
+      const { data } = resizeRgba(src, 1, 1);
+      assert.deepEqual([...data], [255, 0, 0, 128]);
+    });
+  });
+
+  describe('processImage', () => {
+    it('redimensionne un PNG à 50px de haut en gardant les proportions', async () => {
+      const png = encodePng({ ...solid(200, 100, [0, 128, 255, 255]), channels: 4, depth: 8 });
+      const result = await processImage(png);
+
+      assert.equal(result.contentType, 'image/png');
+      assert.equal(result.extension, 'png');
+      assert.deepEqual([result.originalWidth, result.originalHeight, result.resizedWidth, result.resizedHeight], [200, 100, 100, 50]);
+      const decoded = decodePng(result.buffer);
+      assert.deepEqual([decoded.width, decoded.height], [100, 50]);
+      assert.deepEqual([...decoded.data.subarray(0, 4)], [0, 128, 255, 255]);
+    });
+
+    it('convertit JPEG et GIF en PNG', async () => {
+      const fromJpeg = await processImage(jpeg.encode(solid(100, 100, [200, 200, 200, 255]), 90).data);
+      assert.deepEqual([fromJpeg.resizedWidth, fromJpeg.resizedHeight], [50, 50]);
+      assert.equal(readImageInfo(fromJpeg.buffer).format, 'png');
+
+      const fromGif = await processImage(gif(20, 10));
+      assert.deepEqual([fromGif.resizedWidth, fromGif.resizedHeight], [100, 50]);
+      assert.deepEqual([...decodePng(fromGif.buffer).data.subarray(0, 4)], [255, 0, 0, 255]);
+    });
+
+    it('garde les SVG en vectoriel, nettoyés', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 10"><script>alert(1)</script><rect width="20" height="10"/></svg>';
+      const result = await processImage(new TextEncoder().encode(svg));
+      assert.equal(result.contentType, 'image/svg+xml');
+      assert.deepEqual([result.resizedWidth, result.resizedHeight], [100, 50]);
+      assert.doesNotMatch(new TextDecoder().decode(result.buffer), /script/);
+    });
+
+    it("refuse une image de plus de 16 mégapixels d'après son en-tête", async () => {
+      // En-tête PNG seul : signature puis IHDR annonçant 5000x4000, sans pixels
+      const header = new Uint8Array(33);
+      header.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+      const view = new DataView(header.buffer);
+      view.setUint32(16, 5000);
+      view.setUint32(20, 4000);
+      header.set([8, 6], 24);
+
+      await assert.rejects(processImage(header), { status: 400, message: 'Image trop grande (5000x4000, au plus 16 mégapixels)' });
+    });
+
+    it("refuse un fichier qui n'est pas une image", async () => {
+      await assert.rejects(processImage(new TextEncoder().encode('<html></html>')), {
+        status: 400,
+        message: "Format d'image non supporté (PNG, JPEG, WebP ou GIF attendu)",
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Client OpenID Connect de server.js (Node.js uniquement).
+ *
+ * Les endpoints (authorize, token, userinfo, revoke, end-session) et les
+ * clés de signature sont découverts depuis AUTHENTIK_ISSUER via
+ * .well-known/openid-configuration, puis mis en cache. Les ID tokens sont
+ * validés (signature, iss, aud, azp, exp, iat, nonce) avant la création
+ * d'une session. Le flux authorization code utilise PKCE (S256).
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { decodeJwt, isSupportedAlgorithm, isSymmetric, verifyJwtSignature } from './jwt.js';
+
+// Durée de cache de la configuration et des clés JWKS
+const DISCOVERY_TTL = 60 * 60 * 1000;
+// Délai minimal entre deux rechargements des JWKS (kid inconnu, rotation de clés)
+const JWKS_REFETCH_INTERVAL = 30 * 1000;
+// Tolérance sur l'horloge pour exp, iat et nbf, en secondes
+const CLOCK_SKEW = 60;
+
+const withoutTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Génère une paire PKCE : le verifier reste côté serveur (avec le state),
+ * seul le challenge S256 part dans l'URL d'autorisation.
+ *
+ * @returns {{ verifier: string, challenge: string, method: 'S256' }}
+ */
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge, method: 'S256' };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.issuer - URL de l'émetteur (AUTHENTIK_ISSUER)
+ * @param {string} options.clientId
+ * @param {string} [options.clientSecret] - Requis pour les ID tokens signés en HS*
+ */
+export function createOidcClient({ issuer, clientId, clientSecret }) {
+  let discovery = null;
+  let jwks = null;
+
+  async function metadata() {
+    if (!issuer) {
+      throw new Error('AUTHENTIK_ISSUER est requis pour la découverte OIDC');
+    }
+    if (discovery && Date.now() - discovery.fetchedAt < DISCOVERY_TTL) {
+      return discovery.value;
+    }
+
+    const url = `${withoutTrailingSlash(issuer)}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: 10000 });
+
+    if (!data.issuer || withoutTrailingSlash(data.issuer) !== withoutTrailingSlash(issuer)) {
+      throw new Error(`Émetteur inattendu dans ${url}: ${data.issuer}`);
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!data[field]) throw new Error(`Configuration OIDC incomplète: ${field} manquant`);
+    }
+
+    discovery = { value: data, fetchedAt: Date.now() };
+    return data;
+  }
+
+  async function loadKeys(force = false) {
+    const stale = !jwks || Date.now() - jwks.fetchedAt > DISCOVERY_TTL;
+    const canRefetch = !jwks || Date.now() - jwks.fetchedAt > JWKS_REFETCH_INTERVAL;
+    if (stale || (force && canRefetch)) {
+      const { jwks_uri } = await metadata();
+      const { data } = await axios.get(jwks_uri, { timeout: 10000 });
+      jwks = { keys: Array.isArray(data.keys) ? data.keys : [], fetchedAt: Date.now() };
+    }
+    return jwks.keys;
+  }
+
+  // Clé JWKS correspondant à l'en-tête du token ; recharge les JWKS si le kid est inconnu
+  async function findKey(header) {
+    const matches = (keys) => keys.filter((key) =>
+      (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig') && (!key.alg || key.alg === header.alg)
+    );
+
+    let candidates = matches(await loadKeys());
+    if (candidates.length === 0) candidates = matches(await loadKeys(true));
+    if (candidates.length === 0) {
+      throw new Error(`Aucune clé JWKS pour kid=${header.kid || '(absent)'}`);
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Valide un ID token et renvoie ses claims.
+   *
+   * @param {string} idToken
+   * @param {object} expected
+   * @param {string} expected.nonce - Nonce envoyé dans la requête d'autorisation
+   */
+  async function verifyIdToken(idToken, { nonce }) {
+    const jwt = decodeJwt(idToken);
+    const { header, payload } = jwt;
+
+    if (!isSupportedAlgorithm(header.alg)) {
+      throw new Error(`ID token: algorithme non supporté (${header.alg})`);
+    }
+    if (isSymmetric(header.alg)) {
+      verifyJwtSignature(jwt, { secret: clientSecret });
+    } else {
+      verifyJwtSignature(jwt, { jwk: await findKey(header) });
+    }
+
+    const { issuer: expectedIssuer } = await metadata();
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+    if (payload.iss !== expectedIssuer) {
+      throw new Error(`ID token: iss invalide (${payload.iss})`);
+    }
+    if (!audiences.includes(clientId)) {
+      throw new Error('ID token: aud ne contient pas le client_id');
+    }
+    if (audiences.length > 1 && payload.azp !== clientId) {
+      throw new Error('ID token: azp invalide');
+    }
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW < now) {
+      throw new Error('ID token expiré');
+    }
+    if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW > now) {
+      throw new Error('ID token émis dans le futur');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW > now) {
+      throw new Error('ID token pas encore valide');
+    }
+    if (!nonce || payload.nonce !== nonce) {
+      throw new Error('ID token: nonce invalide');
+    }
+    if (!payload.sub) {
+      throw new Error('ID token: sub manquant');
+    }
+
+    return payload;
+  }
+
+  return { metadata, verifyIdToken };
+}
@@ -0,0 +1,230 @@
+/**
+ * Client OIDC face à un fournisseur factice local : découverte, rotation des
+ * clés JWKS, validation des ID tokens et flux authorization code avec PKCE.
+ */
+
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { createOidcClient, createPkcePair } from './index.js';
+
+const CLIENT_ID = 'home-services';
+
+function createSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'ES256' } };
+}
+
+function signJwt(payload, key, header = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'ES256', typ: 'JWT', kid: key.kid, ...header })}.${encode(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: key.privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Fournisseur factice : configuration, JWKS (clés remplaçables pour simuler
+ * une rotation), /authorize qui mémorise le code_challenge, et /token qui
+ * exige le code_verifier correspondant, comme Authentik.
+ */
+async function startProvider() {
+  const provider = { keys: [createSigningKey('k1')], requests: {}, codes: new Map(), config: {} };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, provider.issuer);
+    provider.requests[url.pathname] = (provider.requests[url.pathname] || 0) + 1;
+    const json = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        userinfo_endpoint: `${provider.issuer}/userinfo`,
+        jwks_uri: `${provider.issuer}/jwks`,
+        code_challenge_methods_supported: ['S256'],
+        ...provider.config,
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return json(200, { keys: provider.keys.map((key) => key.jwk) });
+    }
+    if (url.pathname === '/authorize') {
+      const code = crypto.randomBytes(8).toString('hex');
+      provider.codes.set(code, {
+        challenge: url.searchParams.get('code_challenge'),
+        method: url.searchParams.get('code_challenge_method'),
+        nonce: url.searchParams.get('nonce'),
+      });
+      res.writeHead(302, { Location: `${url.searchParams.get('redirect_uri')}?code=${code}&state=${url.searchParams.get('state')}` });
+      return res.end();
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const form = new URLSearchParams(body);
+      const grant = provider.codes.get(form.get('code'));
+      provider.codes.delete(form.get('code'));
+      const verifier = form.get('code_verifier') || '';
+      const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+      if (!grant || grant.method !== 'S256' || challenge !== grant.challenge) {
+        return json(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+      return json(200, { access_token: 'access', id_token: provider.idToken({ nonce: grant.nonce }) });
+    }
+    json(404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  provider.issuer = `http://127.0.0.1:${server.address().port}`;
+  provider.idToken = (claims = {}, key = provider.keys[0], header) => {
+    const now = Math.floor(Date.now() / 1000);
+    return signJwt({ iss: provider.issuer, aud: CLIENT_ID, sub: 'user-1', iat: now, exp: now + 300, nonce: 'n-1', ...claims }, key, header);
+  };
+  provider.close = () => new Promise((resolve) => server.close(resolve));
+  return provider;
+}
+
+describe('client OIDC', () => {
+  let provider;
+  let client;
+
+  before(async () => {
+    provider = await startProvider();
+  });
+  after(() => provider.close());
+  beforeEach(() => {
+    provider.keys = [createSigningKey('k1')];
+    provider.requests = {};
+    provider.config = {};
+    client = createOidcClient({ issuer: provider.issuer, clientId: CLIENT_ID });
+  });
+
+  describe('découverte', () => {
+    it('lit les endpoints et met la configuration en cache', async () => {
+      const metadata = await client.metadata();
+      assert.equal(metadata.token_endpoint, `${provider.issuer}/token`);
+      await client.metadata();
+      assert.equal(provider.requests['/.well-known/openid-configuration'], 1);
+    });
+
+    it("refuse une configuration d'un autre émetteur", async () => {
+      provider.config = { issuer: 'https://evil.example' };
+      await assert.rejects(client.metadata(), /Émetteur inattendu/);
+    });
+
+    it('refuse une configuration sans jwks_uri', async () => {
+      provider.config = { jwks_uri: undefined };
+      await assert.rejects(client.metadata(), /jwks_uri manquant/);
+    });
+  });
+
+  describe('rotation des clés JWKS', () => {
+    it('recharge les JWKS pour un kid inconnu, au plus toutes les 30 secondes', async (t) => {
+      const [k1] = provider.keys;
+      await client.verifyIdToken(provider.idToken(), { nonce: 'n-1' });
+      assert.equal(provider.requests['/jwks'], 1);
+
+      const k2 = createSigningKey('k2');
+      provider.keys = [k2];
+      await assert.rejects(client.verifyIdToken(provider.idToken({}, k2), { nonce: 'n-1' }), /Aucune clé JWKS pour kid=k2/);
+      assert.equal(provider.requests['/jwks'], 1);
+
+      const now = Date.now();
+      t.mock.method(Date, 'now', () => now + 31 * 1000);
+      const claims = await client.verifyIdToken(provider.idToken({}, k2), { nonce: 'n-1' });
+      assert.equal(claims.sub, 'user-1');
+      assert.equal(provider.requests['/jwks'], 2);
+
+      // L'ancienne clé a disparu des JWKS : ses tokens sont refusés
+      await assert.rejects(client.verifyIdToken(provider.idToken({}, k1), { nonce: 'n-1' }), /Aucune clé JWKS pour kid=k1/);
+    });
+  });
+
+  describe('validation des ID tokens', () => {
+    it('accepte un token valide', async () => {
+      const claims = await client.verifyIdToken(provider.idToken(), { nonce: 'n-1' });
+      assert.equal(claims.sub, 'user-1');
+    });
+
+    const rejected = {
+      nonce: [{ nonce: 'autre' }, /nonce invalide/],
+      iss: [{ iss: 'https://evil.example' }, /iss invalide/],
+      aud: [{ aud: 'autre-client' }, /aud ne contient pas le client_id/],
+      azp: [{ aud: [CLIENT_ID, 'autre-client'], azp: 'autre-client' }, /azp invalide/],
+      exp: [{ exp: Math.floor(Date.now() / 1000) - 120 }, /ID token expiré/],
+      sub: [{ sub: undefined }, /sub manquant/],
+    };
+    for (const [claim, [claims, message]] of Object.entries(rejected)) {
+      it(`refuse un ${claim} invalide`, async () => {
+        await assert.rejects(client.verifyIdToken(provider.idToken(claims), { nonce: 'n-1' }), message);
+      });
+    }
+
+    it('refuse une signature falsifiée', async () => {
+      const [header, payload, signature] = provider.idToken().split('.');
+      const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'admin' })).toString('base64url');
+      await assert.rejects(client.verifyIdToken(`${header}.${forged}.${signature}`, { nonce: 'n-1' }), /Signature du JWT invalide/);
+    });
+
+    it("refuse l'algorithme none", async () => {
+      const token = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${provider.idToken().split('.')[1]}.`;
+      await assert.rejects(client.verifyIdToken(token, { nonce: 'n-1' }), /algorithme non supporté/);
+    });
+
+    it('refuse un HS256 sans client secret', async () => {
+      await assert.rejects(client.verifyIdToken(provider.idToken({}, undefined, { alg: 'HS256' }), { nonce: 'n-1' }), /Secret requis/);
+    });
+  });
+
+  describe('PKCE', () => {
+    it('génère un verifier aléatoire et son challenge S256', () => {
+      const pair = createPkcePair();
+      assert.equal(pair.method, 'S256');
+      assert.match(pair.verifier, /^[A-Za-z0-9_-]{43,128}$/);
+      assert.equal(pair.challenge, crypto.createHash('sha256').update(pair.verifier).digest('base64url'));
+      assert.notEqual(createPkcePair().verifier, pair.verifier);
+    });
+
+    // Même échange que /login puis /callback dans server.js
+    async function authorize(pkce) {
+      const metadata = await client.metadata();
+      const authUrl = new URL(metadata.authorization_endpoint);
+      authUrl.searchParams.set('redirect_uri', 'http://localhost/callback');
+      authUrl.searchParams.set('state', 's-1');
+      authUrl.searchParams.set('nonce', 'n-2');
+      authUrl.searchParams.set('code_challenge', pkce.challenge);
+      authUrl.searchParams.set('code_challenge_method', pkce.method);
+      const redirect = await fetch(authUrl, { redirect: 'manual' });
+      return new URL(redirect.headers.get('location')).searchParams.get('code');
+    }
+
+    async function exchange(code, verifier) {
+      const response = await fetch((await client.metadata()).token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ grant_type: 'authorization_code', code, code_verifier: verifier }),
+      });
+      return { status: response.status, data: await response.json() };
+    }
+
+    it('échange le code avec le verifier et valide le nonce de la requête', async () => {
+      const pkce = createPkcePair();
+      const { status, data } = await exchange(await authorize(pkce), pkce.verifier);
+      assert.equal(status, 200);
+      const claims = await client.verifyIdToken(data.id_token, { nonce: 'n-2' });
+      assert.equal(claims.nonce, 'n-2');
+    });
+
+    it('rend inutilisable un code intercepté sans le verifier', async () => {
+      const pkce = createPkcePair();
+      const { status, data } = await exchange(await authorize(pkce), createPkcePair().verifier);
+      assert.equal(status, 400);
+      assert.equal(data.error, 'invalid_grant');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Chiffrement des sessions sans état (SESSION_DRIVER=cookie) : la session
+ * est stockée dans le cookie lui-même, chiffrée et authentifiée en
+ * AES-256-GCM avec une clé dérivée de SESSION_SECRET. Un cookie modifié,
+ * expiré ou émis pour un autre usage (session / state OAuth) est rejeté.
+ *
+ * Un navigateur ignore sans erreur un cookie de plus de 4 Ko : une session
+ * qui ne tient pas dans MAX_COOKIE_SIZE est refusée (SessionTooLargeError)
+ * plutôt que posée puis perdue.
+ */
+
+import crypto from 'crypto';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// Au-delà, les navigateurs ignorent le cookie (4096 octets avec son nom et ses attributs)
+export const MAX_COOKIE_SIZE = 4000;
+
+// Session trop volumineuse pour être stockée dans un cookie
+export class SessionTooLargeError extends Error {
+  constructor(size) {
+    super(`Session trop volumineuse pour SESSION_DRIVER=cookie (${size} octets, au plus ${MAX_COOKIE_SIZE}) : utilisez un backend de sessions côté serveur`);
+    this.name = 'SessionTooLargeError';
+    this.size = size;
+  }
+}
+
+export function createCookieSealer(secret) {
+  if (!secret) {
+    throw new Error('SESSION_SECRET est requis avec SESSION_DRIVER=cookie');
+  }
+  if (secret.length < 32) {
+    console.warn('⚠️ SESSION_SECRET est court (moins de 32 caractères)');
+  }
+
+  const key = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'home-services-api session cookie', 32));
+
+  return {
+    seal(purpose, data, expiresAt) {
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      cipher.setAAD(Buffer.from(purpose));
+      const payload = Buffer.concat([cipher.update(JSON.stringify({ data, expiresAt })), cipher.final()]);
+      const value = Buffer.concat([iv, cipher.getAuthTag(), payload]).toString('base64url');
+
+      if (value.length > MAX_COOKIE_SIZE) {
+        throw new SessionTooLargeError(value.length);
+      }
+      return value;
+    },
+
+    unseal(purpose, value) {
+      try {
+        const raw = Buffer.from(value, 'base64url');
+        if (raw.length <= IV_LENGTH + TAG_LENGTH) return null;
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, IV_LENGTH));
+        decipher.setAAD(Buffer.from(purpose));
+        decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        const json = Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+
+        const entry = JSON.parse(json.toString('utf8'));
+        return entry.expiresAt > Date.now() ? entry : null;
+      } catch {
+        return null;
+      }
+    },
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Store de sessions sur disque : un fichier JSON par session dans
+ * data/sessions/, nommé d'après le hash de l'identifiant. Survit aux
+ * redémarrages ; partageable entre réplicas via un volume commun.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export function createFileSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(id) {
+    return path.join(dir, `${crypto.createHash('sha256').update(id).digest('hex')}.json`);
+  }
+
+  async function read(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Écriture atomique : un lecteur concurrent ne voit jamais un fichier partiel
+  async function write(filePath, entry) {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entry));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  return {
+    async get(id) {
+      const entry = await read(fileFor(id));
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry;
+    },
+    async set(id, data, ttl) {
+      await write(fileFor(id), { data, expiresAt: Date.now() + ttl });
+    },
+    async touch(id, ttl) {
+      const filePath = fileFor(id);
+      const entry = await read(filePath);
+      if (entry) await write(filePath, { ...entry, expiresAt: Date.now() + ttl });
+    },
+    async delete(id) {
+      await fs.promises.rm(fileFor(id), { force: true });
+    },
+    async cleanup() {
+      let removed = 0;
+      for (const name of await fs.promises.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const filePath = path.join(dir, name);
+        const entry = await read(filePath);
+        if (!entry || entry.expiresAt <= Date.now()) {
+          await fs.promises.rm(filePath, { force: true });
+          removed++;
+        }
+      }
+      return removed;
+    },
+    async close() {},
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Sessions du flux OAuth2 de server.js (Node.js uniquement).
+ *
+ * Le backend est choisi par configuration (SESSION_DRIVER) :
+ *   - memory   : en mémoire (défaut, perdu au redémarrage)
+ *   - file     : fichiers data/sessions/*.json
+ *   - postgres : table "sessions" via Prisma (DATABASE_URL)
+ *   - redis    : serveur compatible Redis (REDIS_URL)
+ *   - cookie   : sans état, session chiffrée dans le cookie (SESSION_SECRET)
+ *
+ * Les backends serveur exposent get/set/touch/delete/cleanup/close et sont
+ * nettoyés en tâche de fond. L'expiration est glissante : chaque requête
+ * authentifiée repousse l'échéance (au plus une écriture par minute).
+ *
+ * Le gestionnaire renvoyé masque la différence entre les deux modes : ses
+ * méthodes prennent et renvoient la valeur du cookie (identifiant de session
+ * ou session chiffrée).
+ */
+
+import crypto from 'crypto';
+import { createCookieSealer } from './cookie.js';
+
+export const SESSION_DRIVERS = ['memory', 'file', 'postgres', 'redis', 'cookie'];
+
+// Durée de validité d'un state OAuth entre /login et /callback
+export const STATE_TTL = 10 * 60 * 1000;
+// Intervalle minimal entre deux prolongations d'une même session
+const TOUCH_INTERVAL = 60 * 1000;
+const SESSION_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+// Vrai si l'échéance doit être repoussée (pour les TTL courts, dès 10% de la durée écoulée)
+function shouldRenew(expiresAt, ttl) {
+  return expiresAt - Date.now() < ttl - Math.min(TOUCH_INTERVAL, ttl / 10);
+}
+
+async function createSessionStore({ driver, dataDir, databaseUrl, redisUrl }) {
+  switch (driver) {
+    case 'memory': {
+      const { createMemorySessionStore } = await import('./memory.js');
+      return createMemorySessionStore();
+    }
+    case 'file': {
+      const { createFileSessionStore } = await import('./file.js');
+      return createFileSessionStore(dataDir);
+    }
+    case 'postgres': {
+      const { getPrisma } = await import('../storage/prisma.js');
+      const { createPostgresSessionStore } = await import('./postgres.js');
+      return createPostgresSessionStore(getPrisma(databaseUrl, { maxConnections: 2 }));
+    }
+    case 'redis': {
+      const { createRedisSessionStore } = await import('./redis.js');
+      return createRedisSessionStore(redisUrl);
+    }
+    default:
+      throw new Error(`SESSION_DRIVER inconnu: "${driver}" (attendu: ${SESSION_DRIVERS.join(', ')})`);
+  }
+}
+
+// Sessions conservées côté serveur : le cookie ne contient que l'identifiant
+function createStoredSessions(store, { ttl, cleanupInterval }) {
+  const timer = setInterval(async () => {
+    try {
+      const removed = await store.cleanup();
+      if (removed) console.log(`🧹 ${removed} session(s) expirée(s) supprimée(s)`);
+    } catch (err) {
+      console.error('❌ Erreur lors du nettoyage des sessions:', err.message);
+    }
+  }, cleanupInterval);
+  timer.unref();
+
+  return {
+    async create(data) {
+      const id = crypto.randomBytes(32).toString('hex');
+      await store.set(id, data, ttl);
+      return id;
+    },
+    async resume(token) {
+      if (!token || !SESSION_ID_PATTERN.test(token)) return null;
+      const entry = await store.get(token);
+      if (!entry) return null;
+
+      const renewed = shouldRenew(entry.expiresAt, ttl);
+      if (renewed) await store.touch(token, ttl);
+      return { data: entry.data, token, renewed };
+    },
+    // Remplace le contenu d'une session (tokens renouvelés) et repousse son échéance
+    async update(token, data) {
+      await store.set(token, data, ttl);
+      return token;
+    },
+    async destroy(token) {
+      if (!token || !SESSION_ID_PATTERN.test(token)) return null;
+      const entry = await store.get(token);
+      await store.delete(token);
+      return entry?.data || null;
+    },
+    // Le state est conservé côté serveur : aucun cookie à poser
+    async saveState(state, data) {
+      await store.set(`state_${state}`, data, STATE_TTL);
+      return null;
+    },
+    async takeState(state) {
+      const key = `state_${state}`;
+      const entry = await store.get(key);
+      await store.delete(key);
+      return entry?.data || null;
+    },
+    async close() {
+      clearInterval(timer);
+      await store.close();
+    },
+  };
+}
+
+// Sessions sans état : tout est dans des cookies chiffrés, rien à nettoyer.
+// Une session ne peut pas être révoquée avant son expiration côté serveur.
+function createCookieSessions(sealer, { ttl }) {
+  return {
+    async create(data) {
+      return sealer.seal('session', data, Date.now() + ttl);
+    },
+    async resume(token) {
+      const entry = token && sealer.unseal('session', token);
+      if (!entry) return null;
+
+      const renewed = shouldRenew(entry.expiresAt, ttl);
+      return {
+        data: entry.data,
+        token: renewed ? sealer.seal('session', entry.data, Date.now() + ttl) : token,
+        renewed,
+      };
+    },
+    async update(token, data) {
+      return sealer.seal('session', data, Date.now() + ttl);
+    },
+    async destroy(token) {
+      return (token && sealer.unseal('session', token))?.data || null;
+    },
+    // Le state voyage dans un cookie oauth_state, vérifié au retour sur /callback
+    async saveState(state, data) {
+      return sealer.seal('state', { state, ...data }, Date.now() + STATE_TTL);
+    },
+    async takeState(state, token) {
+      const entry = token && sealer.unseal('state', token);
+      return entry?.data.state === state ? entry.data : null;
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Crée le gestionnaire de sessions.
+ *
+ * @param {object} options
+ * @param {string} [options.driver] - Voir SESSION_DRIVERS (défaut: memory)
+ * @param {number} options.ttl - Durée de vie glissante d'une session, en ms
+ * @param {string} [options.secret] - SESSION_SECRET (requis pour cookie)
+ * @param {string} [options.dataDir] - Dossier des sessions (file)
+ * @param {string} [options.databaseUrl] - URL PostgreSQL (postgres)
+ * @param {string} [options.redisUrl] - URL Redis (redis)
+ * @param {number} [options.cleanupInterval] - Période du nettoyage, en ms
+ */
+export async function createSessions({ driver = 'memory', ttl, secret, dataDir, databaseUrl, redisUrl, cleanupInterval = 10 * 60 * 1000 }) {
+  if (driver === 'cookie') {
+    return createCookieSessions(createCookieSealer(secret), { ttl });
+  }
+
+  const store = await createSessionStore({ driver, dataDir, databaseUrl, redisUrl });
+  return createStoredSessions(store, { ttl, cleanupInterval });
+}
@@ -0,0 +1,94 @@
+/**
+ * Sessions du flux OAuth2 : stores serveur (mémoire, fichiers) et sessions
+ * sans état chiffrées dans le cookie, avec expiration glissante et state
+ * OAuth à usage unique.
+ */
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSessions } from './index.js';
+import { MAX_COOKIE_SIZE, SessionTooLargeError, createCookieSealer } from './cookie.js';
+
+const SECRET = 'un-secret-de-test-suffisamment-long-pour-hkdf';
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+for (const driver of ['memory', 'file', 'cookie']) {
+  describe(`sessions ${driver}`, () => {
+    const open = (ttl) => createSessions({ driver, ttl, secret: SECRET, dataDir: path.join(dir, driver) });
+
+    it('reprend, puis détruit une session', async () => {
+      const sessions = await open(60 * 60 * 1000);
+      const token = await sessions.create({ username: 'alice' });
+
+      const resumed = await sessions.resume(token);
+      assert.deepEqual(resumed, { data: { username: 'alice' }, token, renewed: false });
+      assert.equal(await sessions.resume('inconnu'), null);
+      assert.equal(await sessions.resume(undefined), null);
+
+      assert.deepEqual(await sessions.destroy(token), { username: 'alice' });
+      if (driver !== 'cookie') assert.equal(await sessions.resume(token), null);
+      await sessions.close();
+    });
+
+    it("repousse l'échéance, puis expire", async () => {
+      const sessions = await open(1000);
+      const token = await sessions.create({ username: 'bob' });
+
+      // Prolongée dès 10% de la durée écoulée pour un TTL court
+      await sleep(150);
+      const resumed = await sessions.resume(token);
+      assert.equal(resumed.renewed, true);
+
+      await sleep(1100);
+      assert.equal(await sessions.resume(resumed.token), null);
+      await sessions.close();
+    });
+
+    it("n'accepte le state OAuth qu'une fois", async () => {
+      const sessions = await open(60 * 60 * 1000);
+      const cookie = await sessions.saveState('abc', { verifier: 'v' });
+      assert.equal(cookie === null, driver !== 'cookie');
+
+      assert.equal(await sessions.takeState('autre', cookie), null);
+      assert.equal((await sessions.takeState('abc', cookie))?.verifier, 'v');
+      if (driver !== 'cookie') assert.equal(await sessions.takeState('abc', cookie), null);
+      await sessions.close();
+    });
+  });
+}
+
+describe('cookie chiffré', () => {
+  it('exige SESSION_SECRET', () => {
+    assert.throws(() => createCookieSealer(undefined), /SESSION_SECRET est requis/);
+  });
+
+  it('rejette un cookie modifié, signé par une autre clé ou émis pour un autre usage', () => {
+    const sealer = createCookieSealer(SECRET);
+    const value = sealer.seal('session', { username: 'alice' }, Date.now() + 60000);
+    assert.deepEqual(sealer.unseal('session', value).data, { username: 'alice' });
+
+    const raw = Buffer.from(value, 'base64url');
+    raw[raw.length - 1] ^= 1;
+    assert.equal(sealer.unseal('session', raw.toString('base64url')), null);
+    assert.equal(createCookieSealer(`${SECRET}-autre`).unseal('session', value), null);
+    assert.equal(sealer.unseal('state', value), null);
+    assert.equal(sealer.unseal('session', 'pas-un-cookie'), null);
+    assert.equal(sealer.unseal('session', sealer.seal('session', {}, Date.now() - 1)), null);
+  });
+
+  it('refuse une session qui ne tiendrait pas dans un cookie', async () => {
+    const sessions = await createSessions({ driver: 'cookie', ttl: 60000, secret: SECRET });
+    const token = await sessions.create({ groups: ['g'.repeat(2000)] });
+    assert.ok(token.length <= MAX_COOKIE_SIZE);
+
+    const groups = Array.from({ length: 200 }, (_, i) => `groupe-${i}`.padEnd(20, 'x'));
+    await assert.rejects(sessions.create({ groups }), SessionTooLargeError);
+    await assert.rejects(sessions.update(token, { groups }), /^SessionTooLargeError: Session trop volumineuse pour SESSION_DRIVER=cookie/);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Store de sessions en mémoire (un seul processus, perdu au redémarrage).
+ */
+
+export function createMemorySessionStore() {
+  const entries = new Map();
+
+  return {
+    async get(id) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(id);
+        return null;
+      }
+      return { data: entry.data, expiresAt: entry.expiresAt };
+    },
+    async set(id, data, ttl) {
+      entries.set(id, { data, expiresAt: Date.now() + ttl });
+    },
+    async touch(id, ttl) {
+      const entry = entries.get(id);
+      if (entry) entry.expiresAt = Date.now() + ttl;
+    },
+    async delete(id) {
+      entries.delete(id);
+    },
+    async cleanup() {
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (entry.expiresAt <= Date.now()) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    async close() {},
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Store de sessions PostgreSQL via Prisma (modèle Session, table "sessions").
+ * Partagé par tous les réplicas qui utilisent la même base.
+ */
+
+export function createPostgresSessionStore(prisma) {
+  return {
+    async get(id) {
+      const session = await prisma.session.findUnique({ where: { id } });
+      if (!session || session.expiresAt <= new Date()) return null;
+      return { data: session.data, expiresAt: session.expiresAt.getTime() };
+    },
+    async set(id, data, ttl) {
+      const expiresAt = new Date(Date.now() + ttl);
+      await prisma.session.upsert({
+        where: { id },
+        update: { data, expiresAt },
+        create: { id, data, expiresAt },
+      });
+    },
+    async touch(id, ttl) {
+      await prisma.session.updateMany({ where: { id }, data: { expiresAt: new Date(Date.now() + ttl) } });
+    },
+    async delete(id) {
+      await prisma.session.deleteMany({ where: { id } });
+    },
+    async cleanup() {
+      const { count } = await prisma.session.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+      return count;
+    },
+    close() {
+      return prisma.$disconnect();
+    },
+  };
+}
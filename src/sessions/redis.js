@@ -0,0 +1,44 @@
+/**
+ * Store de sessions Redis (ou tout serveur compatible avec le protocole
+ * Redis : Valkey, KeyDB, Dragonfly…). L'expiration est gérée par le serveur
+ * (PX / PEXPIRE), le nettoyage périodique n'a donc rien à faire.
+ */
+
+import { createClient } from 'redis';
+
+const KEY_PREFIX = 'home-services:session:';
+
+export async function createRedisSessionStore(redisUrl) {
+  if (!redisUrl) {
+    throw new Error('REDIS_URL est requis avec SESSION_DRIVER=redis');
+  }
+
+  const client = createClient({ url: redisUrl });
+  client.on('error', (err) => console.error('❌ Redis:', err.message));
+  await client.connect();
+
+  const keyFor = (id) => `${KEY_PREFIX}${id}`;
+
+  return {
+    async get(id) {
+      const [value, remaining] = await Promise.all([client.get(keyFor(id)), client.pTTL(keyFor(id))]);
+      if (value === null || remaining < 0) return null;
+      return { data: JSON.parse(value), expiresAt: Date.now() + remaining };
+    },
+    async set(id, data, ttl) {
+      await client.set(keyFor(id), JSON.stringify(data), { PX: ttl });
+    },
+    async touch(id, ttl) {
+      await client.pExpire(keyFor(id), ttl);
+    },
+    async delete(id) {
+      await client.del(keyFor(id));
+    },
+    async cleanup() {
+      return 0;
+    },
+    async close() {
+      await client.quit();
+    },
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Sélection du store de données pour server.js (Node.js uniquement).
+ *
+ * Tous les stores exposent la même interface (users, services, messages,
+ * favorites, close) ; le backend est choisi par configuration :
+ *   - json   : fichiers data/*.json (défaut, compatible avec les anciennes installations)
+ *   - prisma : PostgreSQL via Prisma (DATABASE_URL)
+ *   - sqlite : fichier SQLite embarqué (SQLITE_PATH)
+ *
+ * Les modules sont importés à la demande pour ne pas charger Prisma ou
+ * better-sqlite3 quand ils ne sont pas utilisés.
+ */
+
+export const STORAGE_DRIVERS = ['json', 'prisma', 'sqlite'];
+
+export async function createStore({ driver = 'json', dataDir, databaseUrl, sqlitePath }) {
+  switch (driver) {
+    case 'json': {
+      const { createJsonStore } = await import('./json.js');
+      return createJsonStore(dataDir);
+    }
+    case 'prisma': {
+      const { createPrismaStore, getPrisma } = await import('./prisma.js');
+      return createPrismaStore(getPrisma(databaseUrl, { maxConnections: 10 }));
+    }
+    case 'sqlite': {
+      const { createSqliteStore } = await import('./sqlite.js');
+      return createSqliteStore(sqlitePath);
+    }
+    default:
+      throw new Error(`STORAGE_DRIVER inconnu: "${driver}" (attendu: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+}
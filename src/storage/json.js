@@ -0,0 +1,511 @@
+/**
+ * Store fichiers JSON (data/*.json), utilisé par le déploiement Docker.
+ *
+ * Chaque collection est relue et réécrite entièrement à chaque opération,
+ * comme le faisait server.js. Les utilisateurs sont indexés par username,
+ * qui sert aussi d'id.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Début de la période (UTC) contenant une date ; les semaines commencent le lundi
+function periodOf(date, interval) {
+  const d = new Date(date);
+  switch (interval) {
+    case 'hour':
+      d.setUTCMinutes(0, 0, 0);
+      break;
+    case 'week':
+      d.setUTCHours(0, 0, 0, 0);
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      break;
+    case 'month':
+      d.setUTCHours(0, 0, 0, 0);
+      d.setUTCDate(1);
+      break;
+    default:
+      d.setUTCHours(0, 0, 0, 0);
+  }
+  return d.toISOString();
+}
+
+// Ouvertures d'une période, éventuellement d'un seul service
+function filterLaunches(launches, { since, until, serviceId }) {
+  return launches.filter(
+    (l) =>
+      (!since || new Date(l.launchedAt) >= since) &&
+      (!until || new Date(l.launchedAt) < until) &&
+      (serviceId === undefined || l.serviceId === serviceId)
+  );
+}
+
+// Compte les ouvertures et les utilisateurs distincts par clé
+function countBy(launches, keysOf) {
+  const counts = new Map();
+  for (const launch of launches) {
+    for (const key of keysOf(launch)) {
+      const entry = counts.get(key) || { launches: 0, users: new Set() };
+      entry.launches += 1;
+      entry.users.add(launch.userId);
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.entries()].map(([key, { launches, users }]) => ({ key, launches, users: users.size }));
+}
+
+export function createJsonStore(dataDir) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+  const files = {
+    users: path.join(dataDir, 'users.json'),
+    services: path.join(dataDir, 'services.json'),
+    messages: path.join(dataDir, 'messages.json'),
+    favorites: path.join(dataDir, 'favorites.json'),
+    apiTokens: path.join(dataDir, 'api-tokens.json'),
+    categories: path.join(dataDir, 'categories.json'),
+    health: path.join(dataDir, 'health.json'),
+    healthHistory: path.join(dataDir, 'health-history.json'),
+    launches: path.join(dataDir, 'launches.json'),
+    audit: path.join(dataDir, 'audit-log.json'),
+    revisions: path.join(dataDir, 'revisions.json'),
+  };
+
+  function load(name, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(files[name], 'utf8'));
+    } catch {
+      return fallback;
+    }
+  }
+
+  function save(name, data) {
+    fs.writeFileSync(files[name], JSON.stringify(data, null, 2));
+  }
+
+  function toUser(username, data) {
+    return { id: username, username, ...data };
+  }
+
+  return {
+    users: {
+      async upsert(username, data) {
+        const users = load('users', {});
+        const now = new Date().toISOString();
+        users[username] = { createdAt: now, ...users[username], ...data, updatedAt: now };
+        save('users', users);
+        return toUser(username, users[username]);
+      },
+      async get(username) {
+        const users = load('users', {});
+        return users[username] ? toUser(username, users[username]) : null;
+      },
+      async list() {
+        const users = load('users', {});
+        return Object.entries(users).map(([username, data]) => toUser(username, data));
+      },
+    },
+
+    services: {
+      // Les services dans la corbeille (deletedAt) ne sont renvoyés que par listTrash et getTrashed
+      async list() {
+        return load('services', []).filter((s) => !s.deletedAt);
+      },
+      // Visibilité (mêmes règles que canAccessService), groupe et termes de recherche sur le nom et l'URL
+      async search({ terms = [], group, visibleTo } = {}) {
+        const username = visibleTo?.username.toLowerCase();
+        const userGroups = visibleTo?.groups || [];
+        return load('services', []).filter((s) => {
+          if (s.deletedAt) return false;
+          if (visibleTo) {
+            if (s.deniedUsers?.includes(username)) return false;
+            if (s.deniedGroups?.some((g) => userGroups.includes(g))) return false;
+            if (!s.allowedUsers?.includes(username) && !s.allowedGroups?.some((g) => userGroups.includes(g))) return false;
+          }
+          if (group && !s.allowedGroups?.includes(group)) return false;
+          const text = `${s.name}\n${s.redirectUrl}`.toLowerCase();
+          return terms.every((term) => text.includes(term.toLowerCase()));
+        });
+      },
+      async get(id) {
+        return load('services', []).find((s) => s.id === id && !s.deletedAt) || null;
+      },
+      async listTrash() {
+        return load('services', [])
+          .filter((s) => s.deletedAt)
+          .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+      },
+      async getTrashed(id) {
+        return load('services', []).find((s) => s.id === id && s.deletedAt) || null;
+      },
+      async trash(id, deletedBy) {
+        const services = load('services', []);
+        const index = services.findIndex((s) => s.id === id);
+        if (index === -1) return null;
+        const now = new Date().toISOString();
+        services[index] = { ...services[index], deletedAt: now, deletedBy, updatedAt: now };
+        save('services', services);
+        return services[index];
+      },
+      async restore(id) {
+        const services = load('services', []);
+        const index = services.findIndex((s) => s.id === id);
+        if (index === -1) return null;
+        services[index] = { ...services[index], deletedAt: null, deletedBy: null, updatedAt: new Date().toISOString() };
+        save('services', services);
+        return services[index];
+      },
+      async create(data) {
+        const services = load('services', []);
+        const now = new Date().toISOString();
+        const service = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+        services.push(service);
+        save('services', services);
+        return service;
+      },
+      async update(id, data) {
+        const services = load('services', []);
+        const index = services.findIndex((s) => s.id === id);
+        if (index === -1) return null;
+        services[index] = { ...services[index], ...data, updatedAt: new Date().toISOString() };
+        save('services', services);
+        return services[index];
+      },
+      async delete(id) {
+        const services = load('services', []);
+        const index = services.findIndex((s) => s.id === id);
+        if (index === -1) return null;
+        const [removed] = services.splice(index, 1);
+        save('services', services);
+        // Supprime l'état et l'historique de santé du service
+        const health = load('health', {});
+        delete health[id];
+        save('health', health);
+        save('healthHistory', load('healthHistory', []).filter((b) => b.serviceId !== id));
+        save('launches', load('launches', []).filter((l) => l.serviceId !== id));
+        save('revisions', load('revisions', []).filter((r) => r.serviceId !== id));
+        return removed;
+      },
+      // Compte aussi la corbeille : l'image doit survivre jusqu'à la purge
+      async countByImage(imagePath) {
+        return load('services', []).filter((s) => s.imagePath === imagePath).length;
+      },
+      async reorder(updates) {
+        const services = load('services', []);
+        const now = new Date().toISOString();
+        for (const { id, ...data } of updates) {
+          const index = services.findIndex((s) => s.id === id);
+          if (index !== -1) services[index] = { ...services[index], ...data, updatedAt: now };
+        }
+        save('services', services);
+      },
+    },
+
+    // Révisions des services, numérotées par service
+    revisions: {
+      async count(serviceId) {
+        return load('revisions', []).filter((r) => r.serviceId === serviceId).length;
+      },
+      async list(serviceId) {
+        return load('revisions', [])
+          .filter((r) => r.serviceId === serviceId)
+          .sort((a, b) => b.number - a.number);
+      },
+      async get(serviceId, number) {
+        return load('revisions', []).find((r) => r.serviceId === serviceId && r.number === number) || null;
+      },
+      async create(serviceId, data) {
+        const revisions = load('revisions', []);
+        const number = revisions.reduce((max, r) => (r.serviceId === serviceId ? Math.max(max, r.number) : max), 0) + 1;
+        const revision = { id: crypto.randomUUID(), serviceId, number, ...data, createdAt: new Date().toISOString() };
+        revisions.push(revision);
+        save('revisions', revisions);
+        return revision;
+      },
+      async countByImage(imagePath) {
+        return load('revisions', []).filter((r) => r.imagePath === imagePath).length;
+      },
+      async imagePaths() {
+        return [...new Set(load('revisions', []).map((r) => r.imagePath).filter(Boolean))];
+      },
+    },
+
+    // Journal d'audit en ajout seul : ni modification ni suppression
+    audit: {
+      async record(data) {
+        const entries = load('audit', []);
+        const entry = { id: crypto.randomUUID(), ...data, createdAt: new Date().toISOString() };
+        entries.push(entry);
+        save('audit', entries);
+        return entry;
+      },
+      async list({ actor, resourceType, resourceId, since, until, limit } = {}) {
+        return load('audit', [])
+          .filter(
+            (e) =>
+              (actor === undefined || e.actor === actor) &&
+              (resourceType === undefined || e.resourceType === resourceType) &&
+              (resourceId === undefined || e.resourceId === resourceId) &&
+              (!since || new Date(e.createdAt) >= since) &&
+              (!until || new Date(e.createdAt) < until)
+          )
+          .reverse()
+          .slice(0, limit);
+      },
+    },
+
+    categories: {
+      async list() {
+        return load('categories', []).sort((a, b) => a.position - b.position);
+      },
+      async get(id) {
+        return load('categories', []).find((c) => c.id === id) || null;
+      },
+      async create(data) {
+        const categories = load('categories', []);
+        const now = new Date().toISOString();
+        const category = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+        categories.push(category);
+        save('categories', categories);
+        return category;
+      },
+      async update(id, data) {
+        const categories = load('categories', []);
+        const index = categories.findIndex((c) => c.id === id);
+        if (index === -1) return null;
+        categories[index] = { ...categories[index], ...data, updatedAt: new Date().toISOString() };
+        save('categories', categories);
+        return categories[index];
+      },
+      async delete(id) {
+        const categories = load('categories', []);
+        const index = categories.findIndex((c) => c.id === id);
+        if (index === -1) return null;
+        const [removed] = categories.splice(index, 1);
+        save('categories', categories);
+        // Les services de la catégorie deviennent non classés
+        const services = load('services', []);
+        save('services', services.map((s) => (s.categoryId === id ? { ...s, categoryId: null } : s)));
+        return removed;
+      },
+      async reorder(updates) {
+        const categories = load('categories', []);
+        const now = new Date().toISOString();
+        for (const { id, ...data } of updates) {
+          const index = categories.findIndex((c) => c.id === id);
+          if (index !== -1) categories[index] = { ...categories[index], ...data, updatedAt: now };
+        }
+        save('categories', categories);
+      },
+    },
+
+    messages: {
+      async createMany(userIds, data) {
+        const messages = load('messages', []);
+        const created = userIds.map((userId) => ({
+          id: crypto.randomUUID(),
+          userId,
+          ...data,
+          createdAt: new Date().toISOString(),
+          dismissed: false,
+        }));
+        messages.push(...created);
+        save('messages', messages);
+        return created;
+      },
+      async list({ userId, dismissed } = {}) {
+        return load('messages', []).filter(
+          (m) =>
+            (userId === undefined || m.userId === userId) &&
+            (dismissed === undefined || Boolean(m.dismissed) === dismissed)
+        );
+      },
+      async get(id) {
+        return load('messages', []).find((m) => m.id === id) || null;
+      },
+      async update(id, data) {
+        const messages = load('messages', []);
+        const index = messages.findIndex((m) => m.id === id);
+        if (index === -1) return null;
+        messages[index] = { ...messages[index], ...data };
+        save('messages', messages);
+        return messages[index];
+      },
+      async delete(id) {
+        const messages = load('messages', []);
+        const index = messages.findIndex((m) => m.id === id);
+        if (index === -1) return null;
+        const [removed] = messages.splice(index, 1);
+        save('messages', messages);
+        return removed;
+      },
+    },
+
+    favorites: {
+      async list(userId) {
+        return load('favorites', []).filter((f) => f.userId === userId);
+      },
+      async get(userId, url) {
+        return load('favorites', []).find((f) => f.userId === userId && f.url === url) || null;
+      },
+      async create(userId, data) {
+        const favorites = load('favorites', []);
+        const favorite = { ...data, userId, createdAt: new Date().toISOString() };
+        favorites.push(favorite);
+        save('favorites', favorites);
+        return favorite;
+      },
+      async delete(userId, url) {
+        const favorites = load('favorites', []);
+        const index = favorites.findIndex((f) => f.userId === userId && f.url === url);
+        if (index === -1) return null;
+        const [removed] = favorites.splice(index, 1);
+        save('favorites', favorites);
+        return removed;
+      },
+    },
+
+    health: {
+      async list() {
+        return Object.values(load('health', {}));
+      },
+      async get(serviceId) {
+        return load('health', {})[serviceId] || null;
+      },
+      async record(serviceId, { status, statusCode, latencyMs, error, checkedAt, hour }) {
+        const health = load('health', {});
+        health[serviceId] = { serviceId, status, statusCode, latencyMs, error, checkedAt: checkedAt.toISOString() };
+        save('health', health);
+
+        // Agrégat horaire : nombre de vérifications, succès et latence cumulée des succès
+        const history = load('healthHistory', []);
+        let bucket = history.find((b) => b.serviceId === serviceId && b.hour === hour.toISOString());
+        if (!bucket) {
+          bucket = { serviceId, hour: hour.toISOString(), checks: 0, up: 0, latencyTotal: 0 };
+          history.push(bucket);
+        }
+        bucket.checks += 1;
+        if (status === 'up') {
+          bucket.up += 1;
+          bucket.latencyTotal += latencyMs || 0;
+        }
+        save('healthHistory', history);
+      },
+      async history(serviceId, since) {
+        return load('healthHistory', [])
+          .filter((b) => b.serviceId === serviceId && new Date(b.hour) >= since)
+          .sort((a, b) => a.hour.localeCompare(b.hour));
+      },
+      async purge(before) {
+        const history = load('healthHistory', []);
+        const kept = history.filter((b) => new Date(b.hour) >= before);
+        if (kept.length !== history.length) save('healthHistory', kept);
+      },
+    },
+
+    launches: {
+      async record(data) {
+        const launches = load('launches', []);
+        const launch = { id: crypto.randomUUID(), ...data, launchedAt: new Date().toISOString() };
+        launches.push(launch);
+        save('launches', launches);
+        return launch;
+      },
+      async list(filters = {}) {
+        return filterLaunches(load('launches', []), filters);
+      },
+      // Ouvertures et utilisateurs distincts au total, par service, par groupe et par période
+      async stats({ since, until, serviceId, interval }) {
+        const launches = filterLaunches(load('launches', []), { since, until, serviceId });
+        return {
+          total: launches.length,
+          users: new Set(launches.map((l) => l.userId)).size,
+          byService: countBy(launches, (l) => [l.serviceId]).map(({ key, ...counts }) => ({ serviceId: key, ...counts })),
+          byGroup: countBy(launches, (l) => l.groups || []).map(({ key, ...counts }) => ({ group: key, ...counts })),
+          overTime: countBy(launches, (l) => [periodOf(l.launchedAt, interval)]).map(({ key, ...counts }) => ({ period: key, ...counts })),
+        };
+      },
+      async usageByUser(userId) {
+        const usage = new Map();
+        for (const l of load('launches', [])) {
+          if (l.userId !== userId) continue;
+          const entry = usage.get(l.serviceId) || { serviceId: l.serviceId, launches: 0, lastLaunchedAt: null };
+          entry.launches += 1;
+          if (!entry.lastLaunchedAt || l.launchedAt > entry.lastLaunchedAt) entry.lastLaunchedAt = l.launchedAt;
+          usage.set(l.serviceId, entry);
+        }
+        return [...usage.values()];
+      },
+      // Supprime les ouvertures antérieures à before ; renvoie leur nombre
+      async purge(before) {
+        const launches = load('launches', []);
+        const kept = launches.filter((l) => new Date(l.launchedAt) >= before);
+        if (kept.length !== launches.length) save('launches', kept);
+        return launches.length - kept.length;
+      },
+    },
+
+    apiTokens: {
+      async list({ userId } = {}) {
+        return load('apiTokens', []).filter((t) => userId === undefined || t.userId === userId);
+      },
+      async get(id) {
+        return load('apiTokens', []).find((t) => t.id === id) || null;
+      },
+      async getByHash(tokenHash) {
+        return load('apiTokens', []).find((t) => t.tokenHash === tokenHash) || null;
+      },
+      async create(data) {
+        const apiTokens = load('apiTokens', []);
+        const apiToken = { id: crypto.randomUUID(), ...data, lastUsedAt: null, createdAt: new Date().toISOString() };
+        apiTokens.push(apiToken);
+        save('apiTokens', apiTokens);
+        return apiToken;
+      },
+      async update(id, data) {
+        const apiTokens = load('apiTokens', []);
+        const index = apiTokens.findIndex((t) => t.id === id);
+        if (index === -1) return null;
+        apiTokens[index] = { ...apiTokens[index], ...data };
+        save('apiTokens', apiTokens);
+        return apiTokens[index];
+      },
+      async delete(id) {
+        const apiTokens = load('apiTokens', []);
+        const index = apiTokens.findIndex((t) => t.id === id);
+        if (index === -1) return null;
+        const [removed] = apiTokens.splice(index, 1);
+        save('apiTokens', apiTokens);
+        return removed;
+      },
+    },
+
+    // Import d'une sauvegarde (src/core/backup.js) : ajoute ou remplace par clé
+    backup: {
+      async importRecords(collection, records) {
+        if (collection === 'users') {
+          const users = load('users', {});
+          for (const { id, username, ...data } of records) users[username] = data;
+          save('users', users);
+          return;
+        }
+        const keyOf = collection === 'favorites' ? (r) => `${r.userId}\n${r.url}` : (r) => r.id;
+        const existing = load(collection, []);
+        const indexes = new Map(existing.map((r, i) => [keyOf(r), i]));
+        for (const record of records) {
+          const index = indexes.get(keyOf(record));
+          if (index === undefined) {
+            indexes.set(keyOf(record), existing.length);
+            existing.push(record);
+          } else {
+            existing[index] = record;
+          }
+        }
+        save(collection, existing);
+      },
+    },
+
+    async close() {},
+  };
+}
@@ -0,0 +1,377 @@
+/**
+ * Store Prisma/PostgreSQL.
+ *
+ * Implémente la même interface que les stores JSON et SQLite : users,
+ * services, categories, health, launches, revisions, audit, messages, favorites, apiTokens, backup et close.
+ */
+
+import { Prisma, PrismaClient } from '@prisma/client';
+import { PrismaPg } from '@prisma/adapter-pg';
+import { Pool } from 'pg';
+
+// Obtient une instance Prisma Client configurée avec le driver adapter pg
+export function getPrisma(databaseUrl, { maxConnections = 1 } = {}) {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is required');
+  }
+
+  // Créer un pool de connexions PostgreSQL
+  // Dans Workers, on limite à 1 connexion pour éviter les problèmes
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    max: maxConnections,
+  });
+
+  // Créer l'adaptateur Prisma
+  const adapter = new PrismaPg(pool);
+
+  // Créer le client Prisma avec l'adaptateur
+  return new PrismaClient({ adapter });
+}
+
+// Champs Json optionnels : Prisma refuse null, qui s'écrit Prisma.DbNull
+const NULLABLE_JSON_FIELDS = ['healthCheck'];
+
+function withJsonNulls(data) {
+  const result = { ...data };
+  for (const field of NULLABLE_JSON_FIELDS) {
+    if (result[field] === null) result[field] = Prisma.DbNull;
+  }
+  return result;
+}
+
+// Modèles et clés d'import des collections d'une sauvegarde (src/core/backup.js)
+const BACKUP_MODELS = {
+  users: 'user',
+  categories: 'category',
+  services: 'service',
+  revisions: 'serviceRevision',
+  messages: 'message',
+  favorites: 'favorite',
+  apiTokens: 'apiToken',
+  launches: 'launch',
+  audit: 'auditLog',
+};
+const BACKUP_BATCH_SIZE = 100;
+
+function backupWhere(collection, record) {
+  if (collection === 'users') return { username: record.username };
+  if (collection === 'favorites') return { userId_url: { userId: record.userId, url: record.url } };
+  return { id: record.id };
+}
+
+export function createPrismaStore(prisma) {
+  return {
+    users: {
+      upsert(username, data) {
+        return prisma.user.upsert({
+          where: { username },
+          update: { ...data, updatedAt: new Date() },
+          create: { username, ...data },
+        });
+      },
+      get(username) {
+        return prisma.user.findUnique({ where: { username } });
+      },
+      list() {
+        return prisma.user.findMany({ orderBy: { username: 'asc' } });
+      },
+    },
+
+    services: {
+      // Les services dans la corbeille (deletedAt) ne sont renvoyés que par listTrash et getTrashed
+      list() {
+        return prisma.service.findMany({ where: { deletedAt: null } });
+      },
+      // Filtrage dans PostgreSQL : visibilité (mêmes règles que canAccessService),
+      // groupe et termes de recherche sur le nom et l'URL
+      search({ terms = [], group, visibleTo } = {}) {
+        const conditions = [{ deletedAt: null }];
+        if (visibleTo) {
+          const username = visibleTo.username.toLowerCase();
+          conditions.push(
+            { NOT: { deniedUsers: { has: username } } },
+            { NOT: { deniedGroups: { hasSome: visibleTo.groups } } },
+            { OR: [{ allowedUsers: { has: username } }, { allowedGroups: { hasSome: visibleTo.groups } }] }
+          );
+        }
+        if (group) conditions.push({ allowedGroups: { has: group } });
+        for (const term of terms) {
+          conditions.push({
+            OR: [
+              { name: { contains: term, mode: 'insensitive' } },
+              { redirectUrl: { contains: term, mode: 'insensitive' } },
+            ],
+          });
+        }
+        return prisma.service.findMany({ where: { AND: conditions } });
+      },
+      get(id) {
+        return prisma.service.findFirst({ where: { id, deletedAt: null } });
+      },
+      listTrash() {
+        return prisma.service.findMany({ where: { deletedAt: { not: null } }, orderBy: { deletedAt: 'desc' } });
+      },
+      getTrashed(id) {
+        return prisma.service.findFirst({ where: { id, deletedAt: { not: null } } });
+      },
+      trash(id, deletedBy) {
+        return prisma.service.update({ where: { id }, data: { deletedAt: new Date(), deletedBy } });
+      },
+      restore(id) {
+        return prisma.service.update({ where: { id }, data: { deletedAt: null, deletedBy: null } });
+      },
+      create(data) {
+        return prisma.service.create({ data });
+      },
+      update(id, data) {
+        return prisma.service.update({ where: { id }, data: withJsonNulls(data) });
+      },
+      delete(id) {
+        return prisma.service.delete({ where: { id } });
+      },
+      // Compte aussi la corbeille : l'image doit survivre jusqu'à la purge
+      countByImage(imagePath) {
+        return prisma.service.count({ where: { imagePath } });
+      },
+      async reorder(updates) {
+        await prisma.$transaction(
+          updates.map(({ id, ...data }) => prisma.service.update({ where: { id }, data }))
+        );
+      },
+    },
+
+    health: {
+      list() {
+        return prisma.serviceHealth.findMany();
+      },
+      get(serviceId) {
+        return prisma.serviceHealth.findUnique({ where: { serviceId } });
+      },
+      async record(serviceId, { status, statusCode, latencyMs, error, checkedAt, hour }) {
+        const latest = { status, statusCode, latencyMs, error, checkedAt };
+        const up = status === 'up' ? 1 : 0;
+        const latency = up ? latencyMs || 0 : 0;
+        // Agrégat horaire : nombre de vérifications, succès et latence cumulée des succès
+        await prisma.$transaction([
+          prisma.serviceHealth.upsert({
+            where: { serviceId },
+            update: latest,
+            create: { serviceId, ...latest },
+          }),
+          prisma.healthHistory.upsert({
+            where: { serviceId_hour: { serviceId, hour } },
+            update: { checks: { increment: 1 }, up: { increment: up }, latencyTotal: { increment: latency } },
+            create: { serviceId, hour, checks: 1, up, latencyTotal: latency },
+          }),
+        ]);
+      },
+      history(serviceId, since) {
+        return prisma.healthHistory.findMany({
+          where: { serviceId, hour: { gte: since } },
+          orderBy: { hour: 'asc' },
+        });
+      },
+      async purge(before) {
+        await prisma.healthHistory.deleteMany({ where: { hour: { lt: before } } });
+      },
+    },
+
+    launches: {
+      record(data) {
+        return prisma.launch.create({ data });
+      },
+      list({ since, until, serviceId } = {}) {
+        const where = {};
+        if (since || until) where.launchedAt = { gte: since, lt: until };
+        if (serviceId !== undefined) where.serviceId = serviceId;
+        return prisma.launch.findMany({ where, orderBy: { launchedAt: 'asc' } });
+      },
+      // Ouvertures et utilisateurs distincts au total, par service, par groupe et par période,
+      // agrégés par PostgreSQL (date_trunc commence les semaines le lundi)
+      async stats({ since, until, serviceId, interval }) {
+        const where = Prisma.sql`WHERE "launchedAt" >= ${since} AND "launchedAt" < ${until}${
+          serviceId !== undefined ? Prisma.sql` AND "serviceId" = ${serviceId}` : Prisma.empty
+        }`;
+        const counts = Prisma.sql`COUNT(*)::int AS launches, COUNT(DISTINCT "userId")::int AS users`;
+        const [[totals], byService, byGroup, overTime] = await Promise.all([
+          prisma.$queryRaw`SELECT ${counts} FROM launches ${where}`,
+          prisma.$queryRaw`SELECT "serviceId", ${counts} FROM launches ${where} GROUP BY "serviceId"`,
+          prisma.$queryRaw`SELECT g AS "group", ${counts} FROM launches, unnest("groups") AS g ${where} GROUP BY g`,
+          prisma.$queryRaw`SELECT date_trunc(${interval}, "launchedAt") AS period, ${counts} FROM launches ${where} GROUP BY 1`,
+        ]);
+        return {
+          total: totals.launches,
+          users: totals.users,
+          byService,
+          byGroup,
+          overTime: overTime.map((row) => ({ ...row, period: row.period.toISOString() })),
+        };
+      },
+      async usageByUser(userId) {
+        const rows = await prisma.launch.groupBy({
+          by: ['serviceId'],
+          where: { userId },
+          _count: { _all: true },
+          _max: { launchedAt: true },
+        });
+        return rows.map((row) => ({
+          serviceId: row.serviceId,
+          launches: row._count._all,
+          lastLaunchedAt: row._max.launchedAt,
+        }));
+      },
+      // Supprime les ouvertures antérieures à before ; renvoie leur nombre
+      async purge(before) {
+        const { count } = await prisma.launch.deleteMany({ where: { launchedAt: { lt: before } } });
+        return count;
+      },
+    },
+
+    // Révisions des services, numérotées par service
+    revisions: {
+      count(serviceId) {
+        return prisma.serviceRevision.count({ where: { serviceId } });
+      },
+      list(serviceId) {
+        return prisma.serviceRevision.findMany({ where: { serviceId }, orderBy: { number: 'desc' } });
+      },
+      get(serviceId, number) {
+        return prisma.serviceRevision.findUnique({ where: { serviceId_number: { serviceId, number } } });
+      },
+      async create(serviceId, data) {
+        const last = await prisma.serviceRevision.aggregate({ where: { serviceId }, _max: { number: true } });
+        return prisma.serviceRevision.create({
+          data: { serviceId, number: (last._max.number || 0) + 1, ...data },
+        });
+      },
+      countByImage(imagePath) {
+        return prisma.serviceRevision.count({ where: { imagePath } });
+      },
+      async imagePaths() {
+        const rows = await prisma.serviceRevision.findMany({ select: { imagePath: true }, distinct: ['imagePath'] });
+        return rows.map((row) => row.imagePath).filter(Boolean);
+      },
+    },
+
+    // Journal d'audit en ajout seul : ni modification ni suppression
+    audit: {
+      record(data) {
+        return prisma.auditLog.create({ data });
+      },
+      list({ actor, resourceType, resourceId, since, until, limit } = {}) {
+        const where = {};
+        if (actor !== undefined) where.actor = actor;
+        if (resourceType !== undefined) where.resourceType = resourceType;
+        if (resourceId !== undefined) where.resourceId = resourceId;
+        if (since || until) where.createdAt = { gte: since, lt: until };
+        // À date égale, les cuid croissants gardent l'ordre d'écriture
+        return prisma.auditLog.findMany({ where, orderBy: [{ createdAt: 'desc' }, { id: 'desc' }], take: limit });
+      },
+    },
+
+    categories: {
+      list() {
+        return prisma.category.findMany({ orderBy: [{ position: 'asc' }, { createdAt: 'asc' }] });
+      },
+      get(id) {
+        return prisma.category.findUnique({ where: { id } });
+      },
+      create(data) {
+        return prisma.category.create({ data });
+      },
+      update(id, data) {
+        return prisma.category.update({ where: { id }, data });
+      },
+      // La relation (onDelete: SetNull) détache les services de la catégorie
+      delete(id) {
+        return prisma.category.delete({ where: { id } });
+      },
+      async reorder(updates) {
+        await prisma.$transaction(
+          updates.map(({ id, ...data }) => prisma.category.update({ where: { id }, data }))
+        );
+      },
+    },
+
+    messages: {
+      createMany(userIds, data) {
+        return prisma.$transaction(
+          userIds.map((userId) => prisma.message.create({ data: { userId, ...data } }))
+        );
+      },
+      list({ userId, dismissed } = {}) {
+        const where = {};
+        if (userId !== undefined) where.userId = userId;
+        if (dismissed !== undefined) where.dismissed = dismissed;
+        return prisma.message.findMany({ where, orderBy: { createdAt: 'asc' } });
+      },
+      get(id) {
+        return prisma.message.findUnique({ where: { id } });
+      },
+      update(id, data) {
+        return prisma.message.update({ where: { id }, data });
+      },
+      delete(id) {
+        return prisma.message.delete({ where: { id } });
+      },
+    },
+
+    favorites: {
+      list(userId) {
+        return prisma.favorite.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } });
+      },
+      get(userId, url) {
+        return prisma.favorite.findUnique({ where: { userId_url: { userId, url } } });
+      },
+      create(userId, data) {
+        return prisma.favorite.create({ data: { userId, ...data } });
+      },
+      delete(userId, url) {
+        return prisma.favorite.delete({ where: { userId_url: { userId, url } } });
+      },
+    },
+
+    apiTokens: {
+      list({ userId } = {}) {
+        const where = {};
+        if (userId !== undefined) where.userId = userId;
+        return prisma.apiToken.findMany({ where, orderBy: { createdAt: 'asc' } });
+      },
+      get(id) {
+        return prisma.apiToken.findUnique({ where: { id } });
+      },
+      getByHash(tokenHash) {
+        return prisma.apiToken.findUnique({ where: { tokenHash } });
+      },
+      create(data) {
+        return prisma.apiToken.create({ data });
+      },
+      update(id, data) {
+        return prisma.apiToken.update({ where: { id }, data });
+      },
+      delete(id) {
+        return prisma.apiToken.delete({ where: { id } });
+      },
+    },
+
+    backup: {
+      // Ajoute ou remplace par clé, par lots transactionnels
+      async importRecords(collection, records) {
+        const model = prisma[BACKUP_MODELS[collection]];
+        for (let i = 0; i < records.length; i += BACKUP_BATCH_SIZE) {
+          await prisma.$transaction(
+            records.slice(i, i + BACKUP_BATCH_SIZE).map((record) => {
+              const { id, ...data } = withJsonNulls(record);
+              return model.upsert({ where: backupWhere(collection, record), create: { id, ...data }, update: data });
+            })
+          );
+        }
+      },
+    },
+
+    async close() {
+      await prisma.$disconnect();
+    },
+  };
+}
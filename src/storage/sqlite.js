@@ -0,0 +1,673 @@
+/**
+ * Store SQLite embarqué (better-sqlite3), pour les petites installations
+ * auto-hébergées qui ne veulent ni PostgreSQL ni fichiers JSON.
+ *
+ * Même interface que src/storage/json.js et src/storage/prisma.js. Les
+ * tableaux (groupes) sont stockés en JSON et les dates en ISO 8601.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id          TEXT PRIMARY KEY,
+    username    TEXT NOT NULL UNIQUE,
+    email       TEXT,
+    displayName TEXT,
+    avatarUrl   TEXT,
+    groups      TEXT NOT NULL DEFAULT '[]',
+    createdAt   TEXT NOT NULL,
+    updatedAt   TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS services (
+    id             TEXT PRIMARY KEY,
+    name           TEXT NOT NULL,
+    redirectUrl    TEXT NOT NULL,
+    allowedGroups  TEXT NOT NULL DEFAULT '[]',
+    allowedUsers   TEXT NOT NULL DEFAULT '[]',
+    deniedUsers    TEXT NOT NULL DEFAULT '[]',
+    deniedGroups   TEXT NOT NULL DEFAULT '[]',
+    categoryId     TEXT,
+    position       INTEGER NOT NULL DEFAULT 0,
+    healthCheck    TEXT,
+    imagePath      TEXT NOT NULL,
+    originalWidth  INTEGER,
+    originalHeight INTEGER,
+    resizedHeight  INTEGER NOT NULL DEFAULT 50,
+    resizedWidth   INTEGER,
+    createdAt      TEXT NOT NULL,
+    updatedAt      TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS services_imagePath_idx ON services (imagePath);
+
+  CREATE TABLE IF NOT EXISTS service_health (
+    serviceId  TEXT PRIMARY KEY REFERENCES services (id) ON DELETE CASCADE,
+    status     TEXT NOT NULL,
+    statusCode INTEGER,
+    latencyMs  INTEGER,
+    error      TEXT,
+    checkedAt  TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS health_history (
+    serviceId    TEXT NOT NULL REFERENCES services (id) ON DELETE CASCADE,
+    hour         TEXT NOT NULL,
+    checks       INTEGER NOT NULL DEFAULT 0,
+    up           INTEGER NOT NULL DEFAULT 0,
+    latencyTotal INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (serviceId, hour)
+  );
+  CREATE INDEX IF NOT EXISTS health_history_hour_idx ON health_history (hour);
+
+  CREATE TABLE IF NOT EXISTS launches (
+    id         TEXT PRIMARY KEY,
+    serviceId  TEXT NOT NULL REFERENCES services (id) ON DELETE CASCADE,
+    userId     TEXT NOT NULL,
+    groups     TEXT NOT NULL DEFAULT '[]',
+    userAgent  TEXT,
+    launchedAt TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS launches_serviceId_idx ON launches (serviceId, launchedAt);
+  CREATE INDEX IF NOT EXISTS launches_userId_idx ON launches (userId, serviceId);
+  CREATE INDEX IF NOT EXISTS launches_launchedAt_idx ON launches (launchedAt);
+
+  CREATE TABLE IF NOT EXISTS service_revisions (
+    id           TEXT PRIMARY KEY,
+    serviceId    TEXT NOT NULL REFERENCES services (id) ON DELETE CASCADE,
+    number       INTEGER NOT NULL,
+    action       TEXT NOT NULL,
+    author       TEXT,
+    rolledBackTo INTEGER,
+    snapshot     TEXT NOT NULL,
+    imagePath    TEXT,
+    createdAt    TEXT NOT NULL,
+    UNIQUE (serviceId, number)
+  );
+  CREATE INDEX IF NOT EXISTS service_revisions_imagePath_idx ON service_revisions (imagePath);
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id           TEXT PRIMARY KEY,
+    actor        TEXT NOT NULL,
+    apiTokenId   TEXT,
+    ip           TEXT,
+    route        TEXT NOT NULL,
+    action       TEXT NOT NULL,
+    resourceType TEXT NOT NULL,
+    resourceId   TEXT NOT NULL,
+    changes      TEXT NOT NULL DEFAULT '{}',
+    createdAt    TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor, createdAt);
+  CREATE INDEX IF NOT EXISTS audit_log_resource_idx ON audit_log (resourceType, resourceId, createdAt);
+  CREATE INDEX IF NOT EXISTS audit_log_createdAt_idx ON audit_log (createdAt);
+
+  CREATE TABLE IF NOT EXISTS categories (
+    id        TEXT PRIMARY KEY,
+    name      TEXT NOT NULL,
+    icon      TEXT,
+    position  INTEGER NOT NULL DEFAULT 0,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id        TEXT PRIMARY KEY,
+    userId    TEXT NOT NULL,
+    type      TEXT NOT NULL,
+    title     TEXT NOT NULL,
+    content   TEXT NOT NULL,
+    dismissed INTEGER NOT NULL DEFAULT 0,
+    createdAt TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS messages_userId_idx ON messages (userId);
+
+  CREATE TABLE IF NOT EXISTS favorites (
+    id        TEXT PRIMARY KEY,
+    url       TEXT NOT NULL,
+    title     TEXT NOT NULL,
+    userId    TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    createdAt TEXT NOT NULL,
+    UNIQUE (userId, url)
+  );
+
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id         TEXT PRIMARY KEY,
+    userId     TEXT NOT NULL,
+    name       TEXT NOT NULL,
+    type       TEXT NOT NULL DEFAULT 'personal',
+    tokenHash  TEXT NOT NULL UNIQUE,
+    prefix     TEXT NOT NULL,
+    scopes     TEXT NOT NULL DEFAULT '[]',
+    groups     TEXT NOT NULL DEFAULT '[]',
+    expiresAt  TEXT,
+    lastUsedAt TEXT,
+    createdAt  TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS api_tokens_userId_idx ON api_tokens (userId);
+`;
+
+// Colonnes ajoutées après la création des tables, ajoutées aux bases existantes au démarrage
+const ADDED_COLUMNS = {
+  services: {
+    allowedUsers: "TEXT NOT NULL DEFAULT '[]'",
+    deniedUsers: "TEXT NOT NULL DEFAULT '[]'",
+    deniedGroups: "TEXT NOT NULL DEFAULT '[]'",
+    categoryId: 'TEXT',
+    position: 'INTEGER NOT NULL DEFAULT 0',
+    healthCheck: 'TEXT',
+    deletedAt: 'TEXT',
+    deletedBy: 'TEXT',
+  },
+};
+
+function addMissingColumns(db) {
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+}
+
+// Colonnes stockées en JSON ou en entier, converties à la lecture/écriture
+const JSON_COLUMNS = ['groups', 'allowedGroups', 'allowedUsers', 'deniedUsers', 'deniedGroups', 'scopes', 'healthCheck', 'changes', 'snapshot'];
+const BOOLEAN_COLUMNS = ['dismissed'];
+
+function toRow(data) {
+  const row = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (JSON_COLUMNS.includes(key)) row[key] = JSON.stringify(value);
+    else if (BOOLEAN_COLUMNS.includes(key)) row[key] = value ? 1 : 0;
+    else if (value instanceof Date) row[key] = value.toISOString();
+    else row[key] = value;
+  }
+  return row;
+}
+
+// Tables et clés d'import des collections d'une sauvegarde (src/core/backup.js)
+const BACKUP_TABLES = {
+  users: 'users',
+  categories: 'categories',
+  services: 'services',
+  revisions: 'service_revisions',
+  messages: 'messages',
+  favorites: 'favorites',
+  apiTokens: 'api_tokens',
+  launches: 'launches',
+  audit: 'audit_log',
+};
+const BACKUP_KEYS = { users: ['username'], favorites: ['userId', 'url'] };
+
+// Début de la période (UTC) d'une ouverture, au format de Date.toISOString ; les semaines commencent le lundi
+const PERIOD_EXPRESSIONS = {
+  hour: "strftime('%Y-%m-%dT%H:00:00.000Z', launchedAt)",
+  day: "strftime('%Y-%m-%dT00:00:00.000Z', launchedAt)",
+  week: "strftime('%Y-%m-%dT00:00:00.000Z', launchedAt, '-' || ((CAST(strftime('%w', launchedAt) AS INTEGER) + 6) % 7) || ' days')",
+  month: "strftime('%Y-%m-01T00:00:00.000Z', launchedAt)",
+};
+
+// Clause WHERE des ouvertures sur une période et éventuellement un service
+function launchFilter({ since, until, serviceId }) {
+  const conditions = [];
+  const params = {};
+  if (since) {
+    conditions.push('launchedAt >= @since');
+    params.since = since.toISOString();
+  }
+  if (until) {
+    conditions.push('launchedAt < @until');
+    params.until = until.toISOString();
+  }
+  if (serviceId !== undefined) {
+    conditions.push('serviceId = @serviceId');
+    params.serviceId = serviceId;
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const data = { ...row };
+  for (const key of JSON_COLUMNS) {
+    if (key in data) data[key] = JSON.parse(data[key]);
+  }
+  for (const key of BOOLEAN_COLUMNS) {
+    if (key in data) data[key] = Boolean(data[key]);
+  }
+  return data;
+}
+
+export function createSqliteStore(filename) {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  addMissingColumns(db);
+  // Index créé après addMissingColumns : la colonne peut manquer dans une base existante
+  db.exec('CREATE INDEX IF NOT EXISTS services_categoryId_idx ON services (categoryId, position)');
+  db.exec('CREATE INDEX IF NOT EXISTS services_deletedAt_idx ON services (deletedAt)');
+
+  function insert(table, data) {
+    const row = toRow(data);
+    const columns = Object.keys(row);
+    db.prepare(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((c) => `@${c}`).join(', ')})`
+    ).run(row);
+  }
+
+  function update(table, id, data) {
+    const row = toRow(data);
+    const columns = Object.keys(row);
+    if (columns.length) {
+      db.prepare(
+        `UPDATE ${table} SET ${columns.map((c) => `${c} = @${c}`).join(', ')} WHERE id = @id`
+      ).run({ ...row, id });
+    }
+    return fromRow(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id));
+  }
+
+  function remove(table, id) {
+    const existing = fromRow(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id));
+    if (existing) db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+    return existing;
+  }
+
+  return {
+    users: {
+      async upsert(username, data) {
+        const now = new Date().toISOString();
+        const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+        if (existing) {
+          return update('users', existing.id, { ...data, updatedAt: now });
+        }
+        const id = crypto.randomUUID();
+        insert('users', { id, username, ...data, createdAt: now, updatedAt: now });
+        return fromRow(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+      },
+      async get(username) {
+        return fromRow(db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+      },
+      async list() {
+        return db.prepare('SELECT * FROM users ORDER BY username').all().map(fromRow);
+      },
+    },
+
+    services: {
+      // Les services dans la corbeille (deletedAt) ne sont renvoyés que par listTrash et getTrashed
+      async list() {
+        return db.prepare('SELECT * FROM services WHERE deletedAt IS NULL ORDER BY createdAt').all().map(fromRow);
+      },
+      // Filtrage en SQL : visibilité (mêmes règles que canAccessService), groupe et
+      // termes de recherche sur le nom et l'URL (LIKE, insensible à la casse ASCII)
+      async search({ terms = [], group, visibleTo } = {}) {
+        const conditions = ['deletedAt IS NULL'];
+        const params = {};
+        const has = (column, value) => `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value = ${value})`;
+        const hasSome = (column, values) =>
+          `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value IN (SELECT value FROM json_each(${values})))`;
+
+        if (visibleTo) {
+          params.username = visibleTo.username.toLowerCase();
+          params.userGroups = JSON.stringify(visibleTo.groups || []);
+          conditions.push(
+            `NOT ${has('deniedUsers', '@username')}`,
+            `NOT ${hasSome('deniedGroups', '@userGroups')}`,
+            `(${has('allowedUsers', '@username')} OR ${hasSome('allowedGroups', '@userGroups')})`
+          );
+        }
+        if (group) {
+          params.group = group;
+          conditions.push(has('allowedGroups', '@group'));
+        }
+        terms.forEach((term, i) => {
+          params[`term${i}`] = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+          conditions.push(`(name LIKE @term${i} ESCAPE '\\' OR redirectUrl LIKE @term${i} ESCAPE '\\')`);
+        });
+
+        return db
+          .prepare(`SELECT * FROM services WHERE ${conditions.join(' AND ')} ORDER BY createdAt`)
+          .all(params)
+          .map(fromRow);
+      },
+      async get(id) {
+        return fromRow(db.prepare('SELECT * FROM services WHERE id = ? AND deletedAt IS NULL').get(id));
+      },
+      async listTrash() {
+        return db
+          .prepare('SELECT * FROM services WHERE deletedAt IS NOT NULL ORDER BY deletedAt DESC')
+          .all()
+          .map(fromRow);
+      },
+      async getTrashed(id) {
+        return fromRow(db.prepare('SELECT * FROM services WHERE id = ? AND deletedAt IS NOT NULL').get(id));
+      },
+      async trash(id, deletedBy) {
+        const now = new Date().toISOString();
+        return update('services', id, { deletedAt: now, deletedBy, updatedAt: now });
+      },
+      async restore(id) {
+        return update('services', id, { deletedAt: null, deletedBy: null, updatedAt: new Date().toISOString() });
+      },
+      async create(data) {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        insert('services', { id, ...data, createdAt: now, updatedAt: now });
+        return fromRow(db.prepare('SELECT * FROM services WHERE id = ?').get(id));
+      },
+      async update(id, data) {
+        return update('services', id, { ...data, updatedAt: new Date().toISOString() });
+      },
+      async delete(id) {
+        return remove('services', id);
+      },
+      // Compte aussi la corbeille : l'image doit survivre jusqu'à la purge
+      async countByImage(imagePath) {
+        return db.prepare('SELECT COUNT(*) AS count FROM services WHERE imagePath = ?').get(imagePath).count;
+      },
+      async reorder(updates) {
+        const now = new Date().toISOString();
+        db.transaction(() => {
+          for (const { id, ...data } of updates) update('services', id, { ...data, updatedAt: now });
+        })();
+      },
+    },
+
+    health: {
+      async list() {
+        return db.prepare('SELECT * FROM service_health').all();
+      },
+      async get(serviceId) {
+        return db.prepare('SELECT * FROM service_health WHERE serviceId = ?').get(serviceId) || null;
+      },
+      async record(serviceId, { status, statusCode, latencyMs, error, checkedAt, hour }) {
+        const latest = { serviceId, status, statusCode, latencyMs, error, checkedAt: checkedAt.toISOString() };
+        const up = status === 'up' ? 1 : 0;
+        db.transaction(() => {
+          db.prepare(
+            `INSERT INTO service_health (serviceId, status, statusCode, latencyMs, error, checkedAt)
+             VALUES (@serviceId, @status, @statusCode, @latencyMs, @error, @checkedAt)
+             ON CONFLICT (serviceId) DO UPDATE SET status = @status, statusCode = @statusCode,
+               latencyMs = @latencyMs, error = @error, checkedAt = @checkedAt`
+          ).run(latest);
+          // Agrégat horaire : nombre de vérifications, succès et latence cumulée des succès
+          db.prepare(
+            `INSERT INTO health_history (serviceId, hour, checks, up, latencyTotal) VALUES (?, ?, 1, ?, ?)
+             ON CONFLICT (serviceId, hour) DO UPDATE SET checks = checks + 1, up = up + excluded.up,
+               latencyTotal = latencyTotal + excluded.latencyTotal`
+          ).run(serviceId, hour.toISOString(), up, up ? latencyMs || 0 : 0);
+        })();
+      },
+      async history(serviceId, since) {
+        return db
+          .prepare('SELECT * FROM health_history WHERE serviceId = ? AND hour >= ? ORDER BY hour')
+          .all(serviceId, since.toISOString());
+      },
+      async purge(before) {
+        db.prepare('DELETE FROM health_history WHERE hour < ?').run(before.toISOString());
+      },
+    },
+
+    launches: {
+      async record(data) {
+        const launch = { id: crypto.randomUUID(), ...data, launchedAt: new Date().toISOString() };
+        insert('launches', launch);
+        return launch;
+      },
+      async list(filters = {}) {
+        const { where, params } = launchFilter(filters);
+        return db.prepare(`SELECT * FROM launches ${where} ORDER BY launchedAt`).all(params).map(fromRow);
+      },
+      // Ouvertures et utilisateurs distincts au total, par service, par groupe et par période
+      async stats({ since, until, serviceId, interval }) {
+        const { where, params } = launchFilter({ since, until, serviceId });
+        const counts = 'COUNT(*) AS launches, COUNT(DISTINCT userId) AS users';
+        const { launches: total, users } = db.prepare(`SELECT ${counts} FROM launches ${where}`).get(params);
+        return {
+          total,
+          users,
+          byService: db.prepare(`SELECT serviceId, ${counts} FROM launches ${where} GROUP BY serviceId`).all(params),
+          byGroup: db
+            .prepare(`SELECT g.value AS "group", ${counts} FROM launches, json_each(launches.groups) AS g ${where} GROUP BY g.value`)
+            .all(params),
+          overTime: db
+            .prepare(`SELECT ${PERIOD_EXPRESSIONS[interval]} AS period, ${counts} FROM launches ${where} GROUP BY period`)
+            .all(params),
+        };
+      },
+      async usageByUser(userId) {
+        return db
+          .prepare(
+            `SELECT serviceId, COUNT(*) AS launches, MAX(launchedAt) AS lastLaunchedAt
+             FROM launches WHERE userId = ? GROUP BY serviceId`
+          )
+          .all(userId);
+      },
+      // Supprime les ouvertures antérieures à before ; renvoie leur nombre
+      async purge(before) {
+        return db.prepare('DELETE FROM launches WHERE launchedAt < ?').run(before.toISOString()).changes;
+      },
+    },
+
+    // Révisions des services, numérotées par service
+    revisions: {
+      async count(serviceId) {
+        return db.prepare('SELECT COUNT(*) AS count FROM service_revisions WHERE serviceId = ?').get(serviceId).count;
+      },
+      async list(serviceId) {
+        return db
+          .prepare('SELECT * FROM service_revisions WHERE serviceId = ? ORDER BY number DESC')
+          .all(serviceId)
+          .map(fromRow);
+      },
+      async get(serviceId, number) {
+        return fromRow(
+          db.prepare('SELECT * FROM service_revisions WHERE serviceId = ? AND number = ?').get(serviceId, number)
+        );
+      },
+      async create(serviceId, data) {
+        const { last } = db
+          .prepare('SELECT MAX(number) AS last FROM service_revisions WHERE serviceId = ?')
+          .get(serviceId);
+        const revision = {
+          id: crypto.randomUUID(),
+          serviceId,
+          number: (last || 0) + 1,
+          ...data,
+          createdAt: new Date().toISOString(),
+        };
+        insert('service_revisions', revision);
+        return revision;
+      },
+      async countByImage(imagePath) {
+        return db.prepare('SELECT COUNT(*) AS count FROM service_revisions WHERE imagePath = ?').get(imagePath).count;
+      },
+      async imagePaths() {
+        return db
+          .prepare('SELECT DISTINCT imagePath FROM service_revisions WHERE imagePath IS NOT NULL')
+          .all()
+          .map((row) => row.imagePath);
+      },
+    },
+
+    // Journal d'audit en ajout seul : ni modification ni suppression
+    audit: {
+      async record(data) {
+        const entry = { id: crypto.randomUUID(), ...data, createdAt: new Date().toISOString() };
+        insert('audit_log', entry);
+        return entry;
+      },
+      async list({ actor, resourceType, resourceId, since, until, limit } = {}) {
+        const conditions = [];
+        const params = {};
+        for (const [column, value] of Object.entries({ actor, resourceType, resourceId })) {
+          if (value === undefined) continue;
+          conditions.push(`${column} = @${column}`);
+          params[column] = value;
+        }
+        if (since) {
+          conditions.push('createdAt >= @since');
+          params.since = since.toISOString();
+        }
+        if (until) {
+          conditions.push('createdAt < @until');
+          params.until = until.toISOString();
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limitClause = limit ? `LIMIT ${Number(limit)}` : '';
+        // À date égale, l'ordre d'écriture (rowid) départage les entrées
+        return db
+          .prepare(`SELECT * FROM audit_log ${where} ORDER BY createdAt DESC, rowid DESC ${limitClause}`)
+          .all(params)
+          .map(fromRow);
+      },
+    },
+
+    categories: {
+      async list() {
+        return db.prepare('SELECT * FROM categories ORDER BY position, createdAt').all().map(fromRow);
+      },
+      async get(id) {
+        return fromRow(db.prepare('SELECT * FROM categories WHERE id = ?').get(id));
+      },
+      async create(data) {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        insert('categories', { id, ...data, createdAt: now, updatedAt: now });
+        return fromRow(db.prepare('SELECT * FROM categories WHERE id = ?').get(id));
+      },
+      async update(id, data) {
+        return update('categories', id, { ...data, updatedAt: new Date().toISOString() });
+      },
+      async delete(id) {
+        // Les services de la catégorie deviennent non classés
+        return db.transaction(() => {
+          db.prepare('UPDATE services SET categoryId = NULL WHERE categoryId = ?').run(id);
+          return remove('categories', id);
+        })();
+      },
+      async reorder(updates) {
+        const now = new Date().toISOString();
+        db.transaction(() => {
+          for (const { id, ...data } of updates) update('categories', id, { ...data, updatedAt: now });
+        })();
+      },
+    },
+
+    messages: {
+      async createMany(userIds, data) {
+        const createdAt = new Date().toISOString();
+        const created = userIds.map((userId) => ({
+          id: crypto.randomUUID(),
+          userId,
+          ...data,
+          dismissed: false,
+          createdAt,
+        }));
+        db.transaction(() => created.forEach((message) => insert('messages', message)))();
+        return created;
+      },
+      async list({ userId, dismissed } = {}) {
+        const clauses = [];
+        const params = {};
+        if (userId !== undefined) {
+          clauses.push('userId = @userId');
+          params.userId = userId;
+        }
+        if (dismissed !== undefined) {
+          clauses.push('dismissed = @dismissed');
+          params.dismissed = dismissed ? 1 : 0;
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+        return db.prepare(`SELECT * FROM messages ${where} ORDER BY createdAt`).all(params).map(fromRow);
+      },
+      async get(id) {
+        return fromRow(db.prepare('SELECT * FROM messages WHERE id = ?').get(id));
+      },
+      async update(id, data) {
+        return update('messages', id, data);
+      },
+      async delete(id) {
+        return remove('messages', id);
+      },
+    },
+
+    favorites: {
+      async list(userId) {
+        return db.prepare('SELECT * FROM favorites WHERE userId = ? ORDER BY createdAt').all(userId).map(fromRow);
+      },
+      async get(userId, url) {
+        return fromRow(db.prepare('SELECT * FROM favorites WHERE userId = ? AND url = ?').get(userId, url));
+      },
+      async create(userId, data) {
+        const favorite = { id: crypto.randomUUID(), ...data, userId, createdAt: new Date().toISOString() };
+        insert('favorites', favorite);
+        return favorite;
+      },
+      async delete(userId, url) {
+        const favorite = fromRow(db.prepare('SELECT * FROM favorites WHERE userId = ? AND url = ?').get(userId, url));
+        if (favorite) db.prepare('DELETE FROM favorites WHERE id = ?').run(favorite.id);
+        return favorite;
+      },
+    },
+
+    apiTokens: {
+      async list({ userId } = {}) {
+        if (userId === undefined) {
+          return db.prepare('SELECT * FROM api_tokens ORDER BY createdAt').all().map(fromRow);
+        }
+        return db.prepare('SELECT * FROM api_tokens WHERE userId = ? ORDER BY createdAt').all(userId).map(fromRow);
+      },
+      async get(id) {
+        return fromRow(db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(id));
+      },
+      async getByHash(tokenHash) {
+        return fromRow(db.prepare('SELECT * FROM api_tokens WHERE tokenHash = ?').get(tokenHash));
+      },
+      async create(data) {
+        const id = crypto.randomUUID();
+        insert('api_tokens', { id, ...data, createdAt: new Date().toISOString() });
+        return fromRow(db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(id));
+      },
+      async update(id, data) {
+        return update('api_tokens', id, data);
+      },
+      async delete(id) {
+        return remove('api_tokens', id);
+      },
+    },
+
+    backup: {
+      // Ajoute ou remplace par clé. ON CONFLICT DO UPDATE plutôt que
+      // INSERT OR REPLACE, qui supprimerait en cascade santé, révisions et favoris
+      async importRecords(collection, records) {
+        const table = BACKUP_TABLES[collection];
+        const keys = BACKUP_KEYS[collection] || ['id'];
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+        db.transaction(() => {
+          for (const record of records) {
+            const row = toRow(Object.fromEntries(columns.filter((c) => c in record).map((c) => [c, record[c]])));
+            const names = Object.keys(row);
+            const updates = names.filter((c) => c !== 'id' && !keys.includes(c));
+            db.prepare(
+              `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map((c) => `@${c}`).join(', ')})
+               ON CONFLICT (${keys.join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.map((c) => `${c} = excluded.${c}`).join(', ')}` : 'NOTHING'}`
+            ).run(row);
+          }
+        })();
+      },
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Parité des stores : les mêmes scénarios passent sur les fichiers JSON,
+ * SQLite et PostgreSQL (Prisma). Le store Prisma n'est testé qu'avec
+ * TEST_DATABASE_URL, une base dédiée dont les tables sont vidées.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from './index.js';
+
+// Les dates Prisma deviennent des chaînes ISO, comme dans les autres stores
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Modèles Prisma, dans un ordre compatible avec les clés étrangères
+const PRISMA_MODELS = ['session', 'favorite', 'message', 'apiToken', 'auditLog', 'serviceRevision', 'launch', 'healthHistory', 'serviceHealth', 'service', 'category', 'user'];
+
+const DRIVERS = {
+  json: { open: (dir) => createStore({ driver: 'json', dataDir: path.join(dir, 'data') }) },
+  sqlite: { open: (dir) => createStore({ driver: 'sqlite', sqlitePath: path.join(dir, 'home-services.db') }) },
+  prisma: {
+    skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL non défini',
+    async open() {
+      const { getPrisma } = await import('./prisma.js');
+      const prisma = getPrisma(process.env.TEST_DATABASE_URL);
+      for (const model of PRISMA_MODELS) await prisma[model].deleteMany();
+      await prisma.$disconnect();
+      return createStore({ driver: 'prisma', databaseUrl: process.env.TEST_DATABASE_URL });
+    },
+  },
+};
+
+for (const [driver, { open, skip = false }] of Object.entries(DRIVERS)) {
+  describe(`store ${driver}`, { skip }, () => {
+    let dir;
+    let store;
+    const service = (data = {}) =>
+      store.services.create({ name: 'Grafana', redirectUrl: 'https://grafana.example', allowedGroups: ['users'], imagePath: 'images/icon.png', ...data });
+
+    before(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), `store-${driver}-`));
+      store = await open(dir);
+    });
+    after(async () => {
+      await store?.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('utilisateurs : upsert par username', async () => {
+      const created = plain(await store.users.upsert('alice', { email: 'alice@example.com', groups: ['users'] }));
+      assert.equal(created.username, 'alice');
+      assert.ok(created.id);
+
+      const updated = plain(await store.users.upsert('alice', { groups: ['users', 'admin'] }));
+      assert.equal(updated.id, created.id);
+      assert.equal(updated.email, 'alice@example.com');
+      assert.deepEqual(updated.groups, ['users', 'admin']);
+
+      assert.deepEqual(plain(await store.users.get('alice')), updated);
+      assert.equal(await store.users.get('inconnu'), null);
+      assert.deepEqual((await store.users.list()).map((u) => u.username), ['alice']);
+    });
+
+    it('services : création, mise à jour et suppression', async () => {
+      const grafana = await service();
+      assert.equal((await store.services.get(grafana.id)).name, 'Grafana');
+      assert.deepEqual((await store.services.list()).map((s) => s.id), [grafana.id]);
+
+      const updated = plain(await store.services.update(grafana.id, { name: 'Grafana 11' }));
+      assert.equal(updated.name, 'Grafana 11');
+      assert.deepEqual(updated.allowedGroups, ['users']);
+      assert.equal(await store.services.update('inconnu', { name: 'x' }), null);
+
+      assert.equal((await store.services.delete(grafana.id)).id, grafana.id);
+      assert.equal(await store.services.delete(grafana.id), null);
+      assert.equal(await store.services.get(grafana.id), null);
+    });
+
+    it("services : règles d'accès par utilisateur", async () => {
+      const rules = { allowedUsers: ['carol@example.com'], deniedUsers: ['bob'], deniedGroups: ['interns'] };
+      const created = await service({ name: 'Règles', redirectUrl: 'https://rules.example', ...rules });
+      const { allowedUsers, deniedUsers, deniedGroups } = await store.services.get(created.id);
+      assert.deepEqual({ allowedUsers, deniedUsers, deniedGroups }, rules);
+      const updated = await store.services.update(created.id, { deniedUsers: [] });
+      assert.deepEqual([updated.allowedUsers, updated.deniedUsers, updated.deniedGroups], [['carol@example.com'], [], ['interns']]);
+      await store.services.delete(created.id);
+    });
+
+    it('services : recherche, groupe et visibilité', async () => {
+      const search = (name, data) => service({ name, redirectUrl: `https://${name.toLowerCase()}.search.example`, ...data });
+      const created = [
+        await search('Grafana', { allowedGroups: ['users'] }),
+        await search('Plex', { allowedGroups: ['media'], allowedUsers: ['bob'] }),
+        await search('Admin', { allowedGroups: ['users'], deniedUsers: ['bob'], deniedGroups: ['guests'] }),
+        await search('100%_Wiki', { allowedGroups: ['admin'] }),
+      ];
+
+      const names = async (query) => (await store.services.search({ ...query, terms: ['search', ...(query.terms || [])] })).map((s) => s.name).sort();
+      assert.deepEqual(await names({ visibleTo: { username: 'Bob', groups: ['users'] } }), ['Grafana', 'Plex']);
+      assert.deepEqual(await names({ visibleTo: { username: 'carol', groups: ['users', 'guests'] } }), ['Grafana']);
+      assert.deepEqual(await names({ group: 'media' }), ['Plex']);
+      assert.deepEqual(await names({ terms: ['GRAF', 'example'] }), ['Grafana']);
+      // Les jokers SQL sont cherchés tels quels
+      assert.deepEqual(await names({ terms: ['%_'] }), ['100%_Wiki']);
+
+      for (const { id } of created) await store.services.delete(id);
+    });
+
+    it('services : images partagées', async () => {
+      await service({ name: 'Un', redirectUrl: 'https://one.example', imagePath: 'images/shared.png' });
+      await service({ name: 'Deux', redirectUrl: 'https://two.example', imagePath: 'images/shared.png' });
+      assert.equal(await store.services.countByImage('images/shared.png'), 2);
+      assert.equal(await store.services.countByImage('images/other.png'), 0);
+    });
+
+    it('catégories : ordre, réordonnancement et suppression', async () => {
+      const media = await store.categories.create({ name: 'Média', icon: null, position: 1 });
+      const outils = await store.categories.create({ name: 'Outils', icon: null, position: 0 });
+      assert.deepEqual((await store.categories.list()).map((c) => c.name), ['Outils', 'Média']);
+
+      await store.categories.reorder([{ id: media.id, position: 0 }, { id: outils.id, position: 1 }]);
+      assert.deepEqual((await store.categories.list()).map((c) => c.name), ['Média', 'Outils']);
+
+      const classified = await service({ name: 'Jellyfin', redirectUrl: 'https://jellyfin.example', categoryId: media.id });
+      await store.services.reorder([{ id: classified.id, categoryId: media.id, position: 3 }]);
+      assert.equal((await store.services.get(classified.id)).position, 3);
+
+      await store.categories.delete(media.id);
+      assert.equal(await store.categories.get(media.id), null);
+      // Les services de la catégorie supprimée deviennent non classés
+      assert.equal((await store.services.get(classified.id)).categoryId, null);
+    });
+
+    it('santé : dernier état, agrégats horaires et purge', async () => {
+      const watched = await service({ name: 'Surveillé', redirectUrl: 'https://watched.example' });
+      const old = new Date('2026-01-01T08:00:00.000Z');
+      const recent = new Date('2026-01-05T10:00:00.000Z');
+      await store.health.record(watched.id, { status: 'up', statusCode: 200, latencyMs: 5, error: null, checkedAt: old, hour: old });
+      await store.health.record(watched.id, { status: 'up', statusCode: 200, latencyMs: 10, error: null, checkedAt: recent, hour: recent });
+      await store.health.record(watched.id, { status: 'down', statusCode: 503, latencyMs: null, error: 'Code HTTP 503', checkedAt: recent, hour: recent });
+
+      const current = plain(await store.health.get(watched.id));
+      assert.equal(current.status, 'down');
+      assert.equal(current.checkedAt, recent.toISOString());
+      assert.ok((await store.health.list()).some((h) => h.serviceId === watched.id));
+
+      const history = plain(await store.health.history(watched.id, new Date(0)));
+      assert.deepEqual(
+        history.map(({ hour, checks, up, latencyTotal }) => ({ hour, checks, up, latencyTotal })),
+        [
+          { hour: old.toISOString(), checks: 1, up: 1, latencyTotal: 5 },
+          { hour: recent.toISOString(), checks: 2, up: 1, latencyTotal: 10 },
+        ]
+      );
+
+      await store.health.purge(new Date('2026-01-02T00:00:00.000Z'));
+      assert.deepEqual(plain(await store.health.history(watched.id, new Date(0))).map((b) => b.hour), [recent.toISOString()]);
+
+      // Supprimer le service supprime son état et son historique
+      await store.services.delete(watched.id);
+      assert.equal(await store.health.get(watched.id), null);
+      assert.deepEqual(await store.health.history(watched.id, new Date(0)), []);
+    });
+
+    it('ouvertures : par période et par service, usage par utilisateur', async () => {
+      const [a, b] = [await service({ name: 'A', redirectUrl: 'https://a.example' }), await service({ name: 'B', redirectUrl: 'https://b.example' })];
+      await store.launches.record({ serviceId: a.id, userId: 'alice', groups: ['users', 'admin'], userAgent: 'test' });
+      await store.launches.record({ serviceId: a.id, userId: 'bob', groups: ['users'], userAgent: null });
+      await store.launches.record({ serviceId: b.id, userId: 'alice', groups: ['users', 'admin'], userAgent: null });
+
+      const since = new Date(Date.now() - 60 * 60 * 1000);
+      const launches = plain(await store.launches.list({ since, until: new Date(Date.now() + 60 * 1000) }));
+      assert.equal(launches.length, 3);
+      assert.deepEqual(launches.find((l) => l.userId === 'bob').groups, ['users']);
+      assert.equal((await store.launches.list({ since, serviceId: b.id })).length, 1);
+      assert.deepEqual(await store.launches.list({ since: new Date(Date.now() + 60 * 1000) }), []);
+
+      const until = new Date(Date.now() + 60 * 1000);
+      const stats = plain(await store.launches.stats({ since, until, interval: 'month' }));
+      assert.equal(stats.total, 3);
+      assert.equal(stats.users, 2);
+      const byService = Object.fromEntries(stats.byService.map(({ serviceId, launches, users }) => [serviceId, [launches, users]]));
+      assert.deepEqual(byService, { [a.id]: [2, 2], [b.id]: [1, 1] });
+      const byGroup = Object.fromEntries(stats.byGroup.map(({ group, launches, users }) => [group, [launches, users]]));
+      assert.deepEqual(byGroup, { users: [3, 2], admin: [2, 1] });
+      const month = new Date();
+      month.setUTCDate(1);
+      month.setUTCHours(0, 0, 0, 0);
+      assert.deepEqual(stats.overTime.map(({ period, launches }) => [new Date(period).toISOString(), launches]), [[month.toISOString(), 3]]);
+      assert.equal((await store.launches.stats({ since, until, serviceId: b.id, interval: 'day' })).total, 1);
+
+      const usage = plain(await store.launches.usageByUser('alice'));
+      assert.deepEqual(usage.map((u) => `${u.serviceId}:${u.launches}`).sort(), [`${a.id}:1`, `${b.id}:1`].sort());
+      assert.ok(usage.every((u) => u.lastLaunchedAt));
+
+      // Supprimer un service supprime ses ouvertures
+      await store.services.delete(a.id);
+      assert.deepEqual(await store.launches.list({ serviceId: a.id }), []);
+
+      // La purge ne supprime que les ouvertures antérieures à la date donnée
+      assert.equal(await store.launches.purge(since), 0);
+      assert.equal(await store.launches.purge(new Date(Date.now() + 60 * 1000)), 1);
+      assert.deepEqual(await store.launches.list(), []);
+    });
+
+    it("journal d'audit : filtres, plus récentes d'abord, limite", async () => {
+      // Écritures rapprochées, souvent dans la même milliseconde : l'ordre d'écriture doit être gardé
+      for (const action of ['create', 'update', 'delete']) {
+        await store.audit.record({ actor: 'alice', apiTokenId: null, ip: null, route: '/x', action, resourceType: 'service', resourceId: 's-1', changes: { action } });
+      }
+      await store.audit.record({ actor: 'bob', apiTokenId: null, ip: null, route: '/y', action: 'create', resourceType: 'category', resourceId: 'c-1', changes: {} });
+
+      assert.deepEqual((await store.audit.list({ actor: 'alice' })).map((e) => e.action), ['delete', 'update', 'create']);
+      assert.deepEqual((await store.audit.list({ resourceType: 'category' })).map((e) => e.actor), ['bob']);
+      assert.equal((await store.audit.list({ limit: 2 })).length, 2);
+      assert.deepEqual((await store.audit.list({ resourceId: 's-1', limit: 1 }))[0].changes, { action: 'delete' });
+      assert.deepEqual(await store.audit.list({ since: new Date(Date.now() + 60 * 1000) }), []);
+    });
+
+    it('services : corbeille et restauration', async () => {
+      const trashed = await service({ name: 'Ancien', redirectUrl: 'https://old.example', imagePath: 'images/old.png' });
+      await service({ name: 'Autre', redirectUrl: 'https://other.example', imagePath: 'images/old.png' });
+
+      assert.equal((await store.services.trash(trashed.id, 'alice')).deletedBy, 'alice');
+      assert.equal(await store.services.get(trashed.id), null);
+      assert.ok(!(await store.services.list()).some((s) => s.id === trashed.id));
+      assert.ok(!(await store.services.search({ terms: ['old.example'] })).length);
+      assert.deepEqual((await store.services.listTrash()).map((s) => s.id), [trashed.id]);
+      assert.equal((await store.services.getTrashed(trashed.id)).name, 'Ancien');
+      // L'image reste comptée tant que le service est dans la corbeille
+      assert.equal(await store.services.countByImage('images/old.png'), 2);
+
+      const restored = await store.services.restore(trashed.id);
+      assert.equal(restored.deletedAt, null);
+      assert.equal((await store.services.get(trashed.id)).name, 'Ancien');
+      assert.deepEqual(await store.services.listTrash(), []);
+    });
+
+    it('révisions : numérotées par service, images référencées', async () => {
+      const tracked = await service({ name: 'Suivi', redirectUrl: 'https://tracked.example' });
+      for (const imagePath of ['images/a.png', 'images/b.png']) {
+        await store.revisions.create(tracked.id, { action: 'update', author: 'alice', snapshot: { imagePath }, imagePath });
+      }
+
+      assert.equal(await store.revisions.count(tracked.id), 2);
+      assert.deepEqual((await store.revisions.list(tracked.id)).map((r) => r.number), [2, 1]);
+      assert.deepEqual((await store.revisions.get(tracked.id, 1)).snapshot, { imagePath: 'images/a.png' });
+      assert.equal(await store.revisions.get(tracked.id, 3), null);
+      assert.equal(await store.revisions.countByImage('images/b.png'), 1);
+      assert.deepEqual((await store.revisions.imagePaths()).sort(), ['images/a.png', 'images/b.png']);
+
+      // Supprimer le service supprime ses révisions
+      await store.services.delete(tracked.id);
+      assert.equal(await store.revisions.count(tracked.id), 0);
+    });
+
+    it('messages : par destinataire, lus ou non', async () => {
+      const [toAlice, toBob] = await store.messages.createMany(['alice', 'bob'], { type: 'info', title: 'Maintenance', content: 'Ce soir' });
+      assert.equal(toAlice.dismissed, false);
+
+      await store.messages.update(toAlice.id, { dismissed: true });
+      assert.deepEqual((await store.messages.list({ userId: 'alice', dismissed: false })).length, 0);
+      assert.deepEqual((await store.messages.list({ dismissed: false })).map((m) => m.id), [toBob.id]);
+
+      assert.equal((await store.messages.delete(toBob.id)).id, toBob.id);
+      assert.equal(await store.messages.get(toBob.id), null);
+      assert.equal(await store.messages.delete(toBob.id), null);
+    });
+
+    it("favoris : par utilisateur et par URL", async () => {
+      const { id: userId } = await store.users.get('alice');
+      await store.favorites.create(userId, { id: 'f-1', url: 'https://docs.example', title: 'Docs' });
+
+      assert.equal((await store.favorites.get(userId, 'https://docs.example')).title, 'Docs');
+      assert.deepEqual((await store.favorites.list(userId)).map((f) => f.url), ['https://docs.example']);
+      assert.equal((await store.favorites.delete(userId, 'https://docs.example')).url, 'https://docs.example');
+      assert.equal(await store.favorites.delete(userId, 'https://docs.example'), null);
+      assert.deepEqual(await store.favorites.list(userId), []);
+    });
+
+    it('tokens API : recherche par empreinte, mise à jour et suppression', async () => {
+      const token = await store.apiTokens.create({
+        userId: 'alice', name: 'CI', type: 'personal', tokenHash: 'hash-1', prefix: 'hst_abcd', scopes: ['services:read'], groups: ['users'], expiresAt: null,
+      });
+      assert.equal(token.lastUsedAt, null);
+      assert.equal((await store.apiTokens.getByHash('hash-1')).id, token.id);
+      assert.deepEqual((await store.apiTokens.list({ userId: 'alice' })).map((t) => t.name), ['CI']);
+      assert.deepEqual(await store.apiTokens.list({ userId: 'bob' }), []);
+
+      const usedAt = new Date('2026-01-05T10:00:00.000Z');
+      assert.equal(plain(await store.apiTokens.update(token.id, { lastUsedAt: usedAt })).lastUsedAt, usedAt.toISOString());
+      assert.deepEqual((await store.apiTokens.get(token.id)).scopes, ['services:read']);
+
+      await store.apiTokens.delete(token.id);
+      assert.equal(await store.apiTokens.getByHash('hash-1'), null);
+    });
+
+    it("import de sauvegarde : ajout ou remplacement par clé", async () => {
+      const createdAt = '2025-06-01T00:00:00.000Z';
+      const category = { id: crypto.randomUUID(), name: 'Importée', icon: null, position: 5, createdAt, updatedAt: createdAt };
+      await store.backup.importRecords('categories', [category]);
+      assert.equal(plain(await store.categories.get(category.id)).createdAt, createdAt);
+
+      await store.backup.importRecords('categories', [{ ...category, name: 'Remplacée' }]);
+      assert.equal((await store.categories.get(category.id)).name, 'Remplacée');
+      assert.equal((await store.categories.list()).filter((c) => c.id === category.id).length, 1);
+    });
+  });
+}